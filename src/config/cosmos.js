@@ -30,7 +30,21 @@ const containers = {
   products: database.container('products'),
   orders: database.container('orders'),
   categories: database.container('categories'),
-  otp_codes: database.container('otp_codes')
+  otp_codes: database.container('otp_codes'),
+  carts: database.container('carts'),
+  webhook_events: database.container('webhook_events'),
+  returns: database.container('returns'),
+  email_outbox: database.container('email_outbox'),
+  wishlists: database.container('wishlists'),
+  reviews: database.container('reviews'),
+  product_views: database.container('product_views'),
+  recommendations: database.container('recommendations'),
+  promotions: database.container('promotions'),
+  shipping_zones: database.container('shipping_zones'),
+  tax_rates: database.container('tax_rates'),
+  currencies: database.container('currencies'),
+  counters: database.container('counters'),
+  invoices: database.container('invoices')
 };
 
 // Initialize database and containers if they don't exist
@@ -45,20 +59,56 @@ export async function initializeCosmosDB() {
     });
     console.log(`✅ Database '${cosmosConfig.databaseName}' ready`);
 
-    // Create containers if they don't exist (will use shared throughput)
+    // Create containers if they don't exist (will use shared throughput).
+    // `sortPaths` are the properties lists are sorted by; cursor pages sort
+    // by each of them and then /id, which needs a composite index.
     const containerConfigs = [
-      { id: 'users', partitionKey: '/email' },
-      { id: 'products', partitionKey: '/id' },
-      { id: 'orders', partitionKey: '/userId' },
+      { id: 'users', partitionKey: '/email', sortPaths: ['/createdAt'] },
+      { id: 'products', partitionKey: '/id', sortPaths: ['/createdAt', '/price', '/name', '/ratingAverage'] },
+      { id: 'orders', partitionKey: '/userId', sortPaths: ['/createdAt'] },
       { id: 'categories', partitionKey: '/id' },
-      { id: 'otp_codes', partitionKey: '/email' }
+      { id: 'otp_codes', partitionKey: '/email' },
+      { id: 'carts', partitionKey: '/userId' },
+      // defaultTtl -1 enables per-document `ttl` without expiring anything by default
+      { id: 'webhook_events', partitionKey: '/id', defaultTtl: -1 },
+      { id: 'returns', partitionKey: '/userId', sortPaths: ['/createdAt'] },
+      { id: 'email_outbox', partitionKey: '/id', defaultTtl: -1 },
+      { id: 'wishlists', partitionKey: '/userId' },
+      { id: 'reviews', partitionKey: '/productId' },
+      { id: 'product_views', partitionKey: '/viewerId', defaultTtl: -1 },
+      { id: 'recommendations', partitionKey: '/productId' },
+      { id: 'promotions', partitionKey: '/id' },
+      { id: 'shipping_zones', partitionKey: '/id' },
+      { id: 'tax_rates', partitionKey: '/id' },
+      { id: 'currencies', partitionKey: '/id' },
+      { id: 'counters', partitionKey: '/id' },
+      { id: 'invoices', partitionKey: '/id' }
     ];
 
     for (const config of containerConfigs) {
-      await db.containers.createIfNotExists({
+      const compositeIndexes = (config.sortPaths || []).map(path => [
+        { path, order: 'ascending' },
+        { path: '/id', order: 'ascending' }
+      ]);
+      const { container, resource } = await db.containers.createIfNotExists({
         id: config.id,
-        partitionKey: config.partitionKey
+        partitionKey: config.partitionKey,
+        ...(config.defaultTtl !== undefined && { defaultTtl: config.defaultTtl }),
+        ...(compositeIndexes.length > 0 && { indexingPolicy: { compositeIndexes } })
       });
+
+      // Containers created before the indexes existed get them added
+      const missing = compositeIndexes.filter(index => !(resource.indexingPolicy.compositeIndexes || [])
+        .some(existing => existing.length === 2 && existing[0].path === index[0].path && existing[1].path === '/id'));
+      if (missing.length > 0) {
+        await container.replace({
+          ...resource,
+          indexingPolicy: {
+            ...resource.indexingPolicy,
+            compositeIndexes: [...(resource.indexingPolicy.compositeIndexes || []), ...missing]
+          }
+        });
+      }
       console.log(`✅ Container '${config.id}' ready`);
     }
 
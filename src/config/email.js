@@ -0,0 +1,40 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Email Configuration
+// EMAIL_TRANSPORT picks how mail leaves the app: smtp, mailersend, file
+// (writes .eml files for development and tests) or console (logs only).
+// Without it, SMTP is used when credentials are present; file and console
+// are only used when named, and never in production.
+const smtpUser = process.env.SMTP_USER || process.env.GMAIL_USER;
+
+const emailConfig = {
+  transport: process.env.EMAIL_TRANSPORT || (smtpUser ? 'smtp' : null),
+  production: process.env.NODE_ENV === 'production',
+  from: {
+    email: process.env.EMAIL_FROM_ADDRESS || process.env.GMAIL_SENDER_EMAIL || smtpUser,
+    name: process.env.EMAIL_FROM_NAME || 'John Store'
+  },
+  smtp: {
+    host: process.env.SMTP_HOST || 'smtp.gmail.com',
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true', // true for 465, false for STARTTLS
+    user: smtpUser,
+    pass: process.env.SMTP_PASS || process.env.GMAIL_APP_PASSWORD
+  },
+  mailersend: {
+    apiKey: process.env.MAILERSEND_API_KEY
+  },
+  file: {
+    directory: process.env.EMAIL_FILE_DIR || 'tmp/emails'
+  },
+  defaultLocale: process.env.EMAIL_DEFAULT_LOCALE || 'en',
+  outbox: {
+    intervalMs: parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS) || 30 * 1000,
+    maxAttempts: parseInt(process.env.EMAIL_OUTBOX_MAX_ATTEMPTS) || 8
+  },
+  storeUrl: process.env.STORE_URL || 'https://zealous-pond-0258f0803.1.azurestaticapps.net/'
+};
+
+export { emailConfig };
@@ -0,0 +1,21 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Invoice Configuration
+// Seller details printed on every invoice. INVOICE_SELLER_ADDRESS is one
+// line per comma, e.g. "1 High Street, London, EC1A 1AA, United Kingdom".
+const invoiceConfig = {
+  prefix: process.env.INVOICE_PREFIX || 'INV-',
+  seller: {
+    name: process.env.INVOICE_SELLER_NAME || process.env.EMAIL_FROM_NAME || 'John Store',
+    addressLines: (process.env.INVOICE_SELLER_ADDRESS || '')
+      .split(',')
+      .map(line => line.trim())
+      .filter(Boolean),
+    email: process.env.INVOICE_SELLER_EMAIL || process.env.EMAIL_FROM_ADDRESS || null,
+    vatNumber: process.env.INVOICE_SELLER_VAT_NUMBER || null
+  }
+};
+
+export { invoiceConfig };
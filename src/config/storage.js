@@ -6,7 +6,9 @@ dotenv.config();
 // Azure Storage Configuration
 const storageConfig = {
   connectionString: process.env.AZURE_STORAGE_CONNECTION_STRING,
-  containerName: process.env.AZURE_STORAGE_CONTAINER_NAME || 'product-images'
+  containerName: process.env.AZURE_STORAGE_CONTAINER_NAME || 'product-images',
+  // Documents with customer details (invoices), served only through the API
+  privateContainerName: process.env.AZURE_STORAGE_PRIVATE_CONTAINER_NAME || 'private-documents'
 };
 
 // Validate required environment variables
@@ -17,18 +19,21 @@ if (!storageConfig.connectionString) {
 // Initialize Blob Service Client
 const blobServiceClient = BlobServiceClient.fromConnectionString(storageConfig.connectionString);
 
-// Get container client
+// Get container clients
 const containerClient = blobServiceClient.getContainerClient(storageConfig.containerName);
+const privateContainerClient = blobServiceClient.getContainerClient(storageConfig.privateContainerName);
 
 // Initialize storage container if it doesn't exist
 export async function initializeStorage() {
   try {
     console.log('🔗 Connecting to Azure Storage Blob...');
     
-    // Create container if it doesn't exist
+    // Create containers if they don't exist; without an access level the
+    // private container allows no anonymous reads
     await containerClient.createIfNotExists();
+    await privateContainerClient.createIfNotExists();
     
-    console.log(`✅ Storage container '${storageConfig.containerName}' ready`);
+    console.log(`✅ Storage containers '${storageConfig.containerName}' and '${storageConfig.privateContainerName}' ready`);
     console.log('🎉 Azure Storage initialization complete!');
     return true;
   } catch (error) {
@@ -37,10 +42,10 @@ export async function initializeStorage() {
   }
 }
 
-// Upload file to blob storage
-export async function uploadFile(fileName, fileBuffer, contentType) {
+// Upload file to blob storage (the private container with `isPrivate`)
+export async function uploadFile(fileName, fileBuffer, contentType, { isPrivate = false } = {}) {
   try {
-    const blockBlobClient = containerClient.getBlockBlobClient(fileName);
+    const blockBlobClient = (isPrivate ? privateContainerClient : containerClient).getBlockBlobClient(fileName);
     
     const uploadResult = await blockBlobClient.upload(fileBuffer, fileBuffer.length, {
       blobHTTPHeaders: {
@@ -71,10 +76,24 @@ export async function deleteFile(fileName) {
   }
 }
 
+// Download a file from blob storage (the private container with `isPrivate`)
+export async function downloadFile(fileName, { isPrivate = false } = {}) {
+  try {
+    const blockBlobClient = (isPrivate ? privateContainerClient : containerClient).getBlockBlobClient(fileName);
+    return await blockBlobClient.downloadToBuffer();
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return null;
+    }
+    console.error('❌ Error downloading file:', error);
+    throw new Error('Failed to download file from Azure Storage');
+  }
+}
+
 // Get file URL
 export function getFileUrl(fileName) {
   const blockBlobClient = containerClient.getBlockBlobClient(fileName);
   return blockBlobClient.url;
 }
 
-export { containerClient, blobServiceClient, storageConfig }; 
\ No newline at end of file
+export { containerClient, privateContainerClient, blobServiceClient, storageConfig }; 
\ No newline at end of file
@@ -0,0 +1,15 @@
+import Stripe from 'stripe';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Stripe Configuration
+const stripeConfig = {
+  secretKey: process.env.STRIPE_SECRET_KEY,
+  webhookSecret: process.env.STRIPE_WEBHOOK_SECRET
+};
+
+// Initialize Stripe Client
+const stripe = new Stripe(stripeConfig.secretKey);
+
+export { stripe, stripeConfig };
@@ -1,6 +1,7 @@
 import { body, validationResult, query } from 'express-validator';
 import userService from '../../services/userService.js';
 import { AdminSeeder } from '../../seeders/adminSeeder.js';
+import { getPagination } from '../../utils/pagination.js';
 
 export class AdminController {
   // Validation rules
@@ -42,6 +43,10 @@ export class AdminController {
       .optional()
       .isInt({ min: 1, max: 100 })
       .withMessage('Limit must be between 1 and 100'),
+    query('cursor')
+      .optional()
+      .isString()
+      .withMessage('Cursor must be a string'),
     query('search')
       .optional()
       .trim()
@@ -64,14 +69,8 @@ export class AdminController {
         });
       }
 
-      const { page = 1, limit = 10, search } = req.query;
-
-      let result;
-      if (search) {
-        result = await userService.searchUsers(search, parseInt(page), parseInt(limit));
-      } else {
-        result = await userService.getAllUsers(parseInt(page), parseInt(limit));
-      }
+      const { search } = req.query;
+      const result = await userService.listUsers(search, getPagination(req.query));
 
       res.json({
         success: true,
@@ -222,7 +221,11 @@ export class AdminController {
         processing: orderStatusResult.find(item => item.status === 'processing')?.count || 0,
         confirmed: orderStatusResult.find(item => item.status === 'confirmed')?.count || 0,
         out_for_delivery: orderStatusResult.find(item => item.status === 'out_for_delivery')?.count || 0,
-        cancelled: orderStatusResult.find(item => item.status === 'cancelled')?.count || 0
+        cancelled: orderStatusResult.find(item => item.status === 'cancelled')?.count || 0,
+        payment_failed: orderStatusResult.find(item => item.status === 'payment_failed')?.count || 0,
+        refunded: orderStatusResult.find(item => item.status === 'refunded')?.count || 0,
+        partially_refunded: orderStatusResult.find(item => item.status === 'partially_refunded')?.count || 0,
+        disputed: orderStatusResult.find(item => item.status === 'disputed')?.count || 0
       };
       
       // Format product status breakdown
@@ -0,0 +1,217 @@
+// Category Management Controller for Admin
+// This controller handles:
+// - Create, Read, Update, Delete categories
+// - Arranging categories into a tree (parent and sort order)
+// - Category image upload to Azure Blob Storage
+
+import { body, validationResult } from 'express-validator';
+import categoryService from '../../services/categoryService.js';
+import productService from '../../services/productService.js';
+import imageService from '../../services/imageService.js';
+
+export class AdminCategoryController {
+  // Validation rules for category operations
+  static categoryValidation = [
+    body('slug')
+      .optional()
+      .trim()
+      .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+      .withMessage('Slug may only contain lowercase letters, numbers and single hyphens'),
+    body('parentId')
+      .optional({ nullable: true, checkFalsy: true })
+      .isString()
+      .withMessage('Parent ID must be a string'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Category description must be at most 500 characters'),
+    body('image')
+      .optional({ nullable: true, checkFalsy: true })
+      .isURL()
+      .withMessage('Image must be a valid URL'),
+    body('sortOrder')
+      .optional()
+      .isInt()
+      .withMessage('Sort order must be an integer')
+      .toInt(),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean value')
+      .toBoolean()
+  ];
+
+  static createCategoryValidation = [
+    body('name')
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('Category name must be between 2 and 50 characters'),
+    ...AdminCategoryController.categoryValidation
+  ];
+
+  static updateCategoryValidation = [
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('Category name must be between 2 and 50 characters'),
+    ...AdminCategoryController.categoryValidation
+  ];
+
+  // Fields an admin may set; an uploaded `image` file replaces the image URL
+  static async categoryData(req) {
+    const data = {};
+    ['name', 'slug', 'description', 'image', 'sortOrder', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+    if (req.body.parentId !== undefined) data.parentId = req.body.parentId || null;
+    if (req.file) {
+      const upload = await imageService.uploadProductImage(req.file, req.params.id || data.slug || 'new', 'categories');
+      data.image = upload.url;
+    }
+    return data;
+  }
+
+  // Get the full category tree, including inactive categories
+  static async getCategoryTree(req, res, next) {
+    try {
+      const categories = await categoryService.getCategoryTree({ includeInactive: true });
+      res.json({
+        success: true,
+        data: {
+          categories
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get a category by ID
+  static async getCategoryById(req, res, next) {
+    try {
+      const category = await categoryService.findById(req.params.id);
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Category not found',
+            details: 'The requested category does not exist'
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          category: category.toDocument()
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Create a category
+  static async createCategory(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const category = await categoryService.createCategory(await AdminCategoryController.categoryData(req));
+
+      res.status(201).json({
+        success: true,
+        message: 'Category created successfully',
+        data: {
+          category: category.toDocument()
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Update a category
+  static async updateCategory(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const category = await categoryService.updateCategory(req.params.id, await AdminCategoryController.categoryData(req));
+
+      res.json({
+        success: true,
+        message: 'Category updated successfully',
+        data: {
+          category: category.toDocument()
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Delete a category that has no subcategories or products
+  static async deleteCategory(req, res, next) {
+    try {
+      const category = await categoryService.findById(req.params.id);
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Category not found',
+            details: 'The requested category does not exist'
+          }
+        });
+      }
+
+      const children = await categoryService.getChildren(category.id);
+      const productCount = await productService.countByCategoryId(category.id);
+      if (children.length > 0 || productCount > 0) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: 'Category in use',
+            details: `Move its ${children.length} subcategories and ${productCount} products to another category first`
+          }
+        });
+      }
+
+      await categoryService.deleteCategory(category.id);
+
+      res.json({
+        success: true,
+        message: 'Category deleted successfully',
+        data: {
+          deletedCategory: {
+            id: category.id,
+            name: category.name,
+            slug: category.slug
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
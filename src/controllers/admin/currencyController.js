@@ -0,0 +1,168 @@
+// Currency Management Controller for Admin
+// This controller handles:
+// - Create, Read, Update, Delete the currencies customers may pay in
+// - Their exchange rates from the store currency
+
+import { body, validationResult } from 'express-validator';
+import currencyService from '../../services/currencyService.js';
+
+export class AdminCurrencyController {
+  // Validation rules for currency operations
+  static currencyValidation = [
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Currency name must be between 1 and 50 characters'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean value')
+      .toBoolean()
+  ];
+
+  static createCurrencyValidation = [
+    body('code')
+      .trim()
+      .isAlpha()
+      .isLength({ min: 3, max: 3 })
+      .withMessage('Currency code must be a three-letter ISO 4217 code (e.g. eur)')
+      .toLowerCase(),
+    body('rate')
+      .isFloat({ gt: 0 })
+      .withMessage('Exchange rate must be a positive number')
+      .toFloat(),
+    ...AdminCurrencyController.currencyValidation
+  ];
+
+  static updateCurrencyValidation = [
+    body('rate')
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage('Exchange rate must be a positive number')
+      .toFloat(),
+    ...AdminCurrencyController.currencyValidation
+  ];
+
+  // Fields an admin may set
+  static currencyData(req) {
+    const data = {};
+    ['code', 'name', 'rate', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+    return data;
+  }
+
+  // Get all currencies, including inactive ones
+  static async getAllCurrencies(req, res, next) {
+    try {
+      const currencies = await currencyService.getAllCurrencies();
+      res.json({
+        success: true,
+        data: {
+          currencies: currencies.map(currency => currency.toDocument())
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get a currency by code
+  static async getCurrencyByCode(req, res, next) {
+    try {
+      const currency = await currencyService.findByCode(req.params.code);
+      if (!currency) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Currency not found',
+            details: 'The requested currency does not exist'
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          currency: currency.toDocument()
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Create a currency
+  static async createCurrency(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const currency = await currencyService.createCurrency(AdminCurrencyController.currencyData(req));
+
+      res.status(201).json({
+        success: true,
+        message: 'Currency created successfully',
+        data: {
+          currency: currency.toDocument()
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Update a currency's name, exchange rate or status (the code cannot change)
+  static async updateCurrency(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const { code, ...updateData } = AdminCurrencyController.currencyData(req);
+      const currency = await currencyService.updateCurrency(req.params.code, updateData);
+
+      res.json({
+        success: true,
+        message: 'Currency updated successfully',
+        data: {
+          currency: currency.toDocument()
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Delete a currency
+  static async deleteCurrency(req, res, next) {
+    try {
+      await currencyService.deleteCurrency(req.params.code);
+
+      res.json({
+        success: true,
+        message: 'Currency deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
@@ -5,37 +5,107 @@
 // - Order details and customer information
 // - Order analytics and reporting
 
+import { body, query, validationResult } from 'express-validator';
 import Order from '../../models/Order.js';
 import { containers } from '../../config/cosmos.js';
+import orderService from '../../services/orderService.js';
+import invoiceService from '../../services/invoiceService.js';
+import { CARRIERS } from '../../utils/carriers.js';
+import { getPagination } from '../../utils/pagination.js';
 
 export class OrderController {
+  // Validation rules for refunds
+  static createRefundValidation = [
+    body('amount')
+      .optional()
+      .isFloat({ min: 0.01 })
+      .withMessage('Refund amount must be a positive number'),
+    body('items')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Items must be a non-empty array'),
+    body('items.*.productId')
+      .isString()
+      .notEmpty()
+      .withMessage('Each item needs a product ID'),
+    body('items.*.variantId')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('Variant IDs must be strings'),
+    body('items.*.quantity')
+      .isInt({ min: 1 })
+      .withMessage('Each item quantity must be a positive integer'),
+    body('restock')
+      .optional()
+      .isBoolean()
+      .withMessage('Restock must be a boolean value'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason must be at most 500 characters')
+  ];
+
+  // Validation rules for shipments
+  static createShipmentValidation = [
+    body('carrier')
+      .isIn(Object.keys(CARRIERS))
+      .withMessage(`Carrier must be one of: ${Object.keys(CARRIERS).join(', ')}`),
+    body('trackingNumber')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Tracking number must be between 1 and 100 characters'),
+    body('trackingUrl')
+      .optional()
+      .isURL({ protocols: ['https'], require_protocol: true })
+      .withMessage('Tracking URL must be a valid https URL'),
+    body('shippedAt')
+      .optional()
+      .isISO8601()
+      .withMessage('Shipped at must be an ISO 8601 date'),
+    body('items')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Items must be a non-empty array'),
+    body('items.*.productId')
+      .isString()
+      .notEmpty()
+      .withMessage('Each item needs a product ID'),
+    body('items.*.variantId')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('Variant IDs must be strings'),
+    body('items.*.quantity')
+      .isInt({ min: 1 })
+      .withMessage('Each item quantity must be a positive integer')
+  ];
+
+  // Validation rules for analytics
+  static orderAnalyticsValidation = [
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be an ISO 8601 date'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be an ISO 8601 date')
+  ];
+
   // Get all orders (admin) with filtering, pagination, and search (Cosmos DB)
   static async getAllOrders(req, res, next) {
     try {
-      const { page = 1, limit = 20, status, search } = req.query;
-      const offset = (parseInt(page) - 1) * parseInt(limit);
-      let query = `SELECT * FROM c WHERE 1=1`;
-      const parameters = [];
-      if (status) {
-        query += ' AND c.status = @status';
-        parameters.push({ name: '@status', value: status });
-      }
-      if (search) {
-        query += ' AND (CONTAINS(c.customerEmail, @search, true) OR CONTAINS(c.metadata.order_ref, @search, true))';
-        parameters.push({ name: '@search', value: search });
-      }
-      query += ' ORDER BY c.createdAt DESC OFFSET @offset LIMIT @limit';
-      parameters.push({ name: '@offset', value: offset });
-      parameters.push({ name: '@limit', value: parseInt(limit) });
-      const querySpec = { query, parameters };
-      const { resources } = await containers.orders.items.query(querySpec).fetchAll();
+      const { status, search } = req.query;
+      // page/limit/total/totalPages for offset pages, limit/nextCursor for cursor pages
+      const { orders, ...pageInfo } = await orderService.listOrders(
+        { status, search },
+        getPagination(req.query, { defaultLimit: 20 })
+      );
       res.json({
         success: true,
-        orders: resources.map(doc => Order.fromDocument(doc)),
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: resources.length,
-        totalPages: Math.ceil(resources.length / limit),
+        orders,
+        ...pageInfo
       });
     } catch (error) {
       next(error);
@@ -82,46 +152,262 @@ export class OrderController {
   }
 
   // Update order status (admin, Cosmos DB)
+  // Only transitions allowed by the Order state machine are accepted, and
+  // none to a payment status (those come from Stripe or the refunds
+  // endpoint); every change is recorded in the order's statusHistory.
   static async updateOrderStatus(req, res, next) {
     try {
       const orderId = req.params.id;
-      const { status } = req.body;
-      const validStatuses = ['pending', 'confirmed', 'processing', 'out_for_delivery', 'delivered', 'cancelled'];
-      if (!validStatuses.includes(status)) {
+      const { status, reason } = req.body;
+      if (!Order.STATUSES.includes(status)) {
         return res.status(400).json({ success: false, error: 'Invalid status' });
       }
       // Find the order (scan all partitions)
-      const querySpec = {
-        query: 'SELECT * FROM c WHERE c.id = @id',
-        parameters: [{ name: '@id', value: orderId }]
-      };
-      const { resources } = await containers.orders.items.query(querySpec).fetchAll();
-      if (!resources || resources.length === 0) {
+      let order = await orderService.findById(orderId);
+      if (!order) {
+        return res.status(404).json({ success: false, error: 'Order not found' });
+      }
+      if (!order.canTransitionManuallyTo(status)) {
+        return res.status(409).json({
+          success: false,
+          error: `Cannot change order status from ${order.status} to ${status}`,
+          allowedStatuses: order.getManualTransitions()
+        });
+      }
+      if (status === 'out_for_delivery' && req.body.carrier) {
+        // Shipping everything that is left records the carrier and tracking
+        const { carrier, trackingNumber, trackingUrl } = req.body;
+        ({ order } = await orderService.createShipment(order, {
+          carrier,
+          trackingNumber,
+          trackingUrl,
+          actorId: req.user.id,
+          actorRole: req.user.role
+        }));
+      } else if (status === 'cancelled') {
+        // Cancelling refunds any payment and gives the stock back
+        order = await orderService.cancelOrder(order, {
+          actorId: req.user.id,
+          actorRole: req.user.role,
+          reason: reason || null
+        });
+      } else {
+        order = await orderService.saveOrder(order, current => {
+          current.transitionTo(status, {
+            actorId: req.user.id,
+            actorRole: req.user.role,
+            reason: reason || null
+          });
+        });
+        await orderService.notifyStatusChange(order);
+      }
+      res.json({ success: true, order });
+    } catch (error) {
+      if (error.type && error.type.startsWith('Stripe')) {
+        return res.status(502).json({ success: false, error: `Stripe refund failed: ${error.message}` });
+      }
+      next(error);
+    }
+  }
+
+  // Refund an order in full or in part through Stripe (admin)
+  // Body: { amount } or { items: [{ productId, quantity }] }, plus optional
+  // `restock` and `reason`. With neither amount nor items the remaining
+  // balance is refunded. An `Idempotency-Key` header makes retries of the
+  // same request return the first refund instead of refunding again.
+  static async createRefund(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const order = await orderService.findById(req.params.id);
+      if (!order) {
+        return res.status(404).json({ success: false, error: 'Order not found' });
+      }
+
+      const { items, restock, reason } = req.body;
+      const amount = req.body.amount !== undefined ? parseFloat(req.body.amount) : undefined;
+      const idempotencyKey = req.get('Idempotency-Key') || null;
+      const refundId = orderService.getRefundId(order, { idempotencyKey, amount, items });
+      const updatedOrder = await orderService.refundOrder(order, {
+        amount,
+        items,
+        restock: restock === true || restock === 'true',
+        reason: reason || null,
+        actorId: req.user.id,
+        actorRole: req.user.role,
+        idempotencyKey
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Refund issued successfully',
+        refund: updatedOrder.refunds.find(refund => refund.id === refundId),
+        order: updatedOrder
+      });
+    } catch (error) {
+      if (error.type && error.type.startsWith('Stripe')) {
+        return res.status(502).json({ success: false, error: `Stripe refund failed: ${error.message}` });
+      }
+      next(error);
+    }
+  }
+
+  // List refunds recorded on an order (admin)
+  static async getRefunds(req, res, next) {
+    try {
+      const order = await orderService.findById(req.params.id);
+      if (!order) {
+        return res.status(404).json({ success: false, error: 'Order not found' });
+      }
+      res.json({
+        success: true,
+        refunds: order.refunds,
+        amountRefunded: order.amountRefunded,
+        refundableAmount: order.getRefundableAmount()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Ship some or all remaining lines of an order (admin)
+  static async createShipment(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const order = await orderService.findById(req.params.id);
+      if (!order) {
+        return res.status(404).json({ success: false, error: 'Order not found' });
+      }
+
+      const { carrier, trackingNumber, trackingUrl, items, shippedAt } = req.body;
+      const result = await orderService.createShipment(order, {
+        carrier,
+        trackingNumber,
+        trackingUrl,
+        items,
+        shippedAt: shippedAt ? new Date(shippedAt).toISOString() : undefined,
+        actorId: req.user.id,
+        actorRole: req.user.role
+      });
+
+      res.status(201).json({ success: true, shipment: result.shipment, order: result.order });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // List shipments recorded on an order (admin)
+  static async getShipments(req, res, next) {
+    try {
+      const order = await orderService.findById(req.params.id);
+      if (!order) {
         return res.status(404).json({ success: false, error: 'Order not found' });
       }
-      const orderDoc = resources[0];
-      orderDoc.status = status;
-      orderDoc.updatedAt = new Date().toISOString();
-      await containers.orders.item(orderId, orderDoc.userId).replace(orderDoc);
-      res.json({ success: true, order: Order.fromDocument(orderDoc) });
+      res.json({ success: true, shipments: order.shipments, fullyShipped: order.isFullyShipped() });
     } catch (error) {
       next(error);
     }
   }
 
+  // Sales, discount, shipping and tax totals for orders placed in a period
   static async getOrderAnalytics(req, res, next) {
-    // TODO: Get order analytics and reporting
-    res.status(501).json({
-      success: false,
-      message: 'Order management not implemented yet'
-    });
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const analytics = await orderService.getOrderAnalytics({
+        from: req.query.from ? new Date(req.query.from).toISOString() : undefined,
+        to: req.query.to ? new Date(req.query.to).toISOString() : undefined
+      });
+
+      res.json({
+        success: true,
+        data: analytics
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Download the invoice PDF of a paid order, issuing it on first request
+  static async getOrderInvoice(req, res, next) {
+    try {
+      const order = await orderService.findById(req.params.id);
+      if (!order) {
+        return res.status(404).json({ success: false, error: 'Order not found' });
+      }
+      if (!invoiceService.canInvoice(order)) {
+        return res.status(409).json({ success: false, error: 'Orders are invoiced once they have been paid' });
+      }
+
+      const { invoice, pdf } = await invoiceService.getInvoice(order);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${invoice.number}.pdf"`
+      });
+      res.send(pdf);
+    } catch (error) {
+      next(error);
+    }
   }
 
+  // Cancel an order (admin): refunds any payment and releases stock
   static async cancelOrder(req, res, next) {
-    // TODO: Cancel order
-    res.status(501).json({
-      success: false,
-      message: 'Order management not implemented yet'
-    });
+    try {
+      const order = await orderService.findById(req.params.id);
+      if (!order) {
+        return res.status(404).json({ success: false, error: 'Order not found' });
+      }
+      if (!order.canTransitionTo('cancelled')) {
+        return res.status(409).json({
+          success: false,
+          error: `Orders that are ${order.status} cannot be cancelled`,
+          allowedStatuses: order.getAllowedTransitions()
+        });
+      }
+
+      const cancelledOrder = await orderService.cancelOrder(order, {
+        actorId: req.user.id,
+        actorRole: req.user.role,
+        reason: req.body.reason || null
+      });
+
+      res.json({ success: true, message: 'Order cancelled successfully', order: cancelledOrder });
+    } catch (error) {
+      if (error.type && error.type.startsWith('Stripe')) {
+        return res.status(502).json({ success: false, error: `Stripe refund failed: ${error.message}` });
+      }
+      next(error);
+    }
   }
 } 
\ No newline at end of file
@@ -5,10 +5,85 @@
 // - Product categories and inventory management
 // - Product pricing and discounts
 
-import productService from '../../services/productService.js';
+import productService, { ProductService } from '../../services/productService.js';
+import categoryService from '../../services/categoryService.js';
 import imageService from '../../services/imageService.js';
+import { getPagination } from '../../utils/pagination.js';
+import { STORE_CURRENCY } from '../../utils/money.js';
 import { body, validationResult, query } from 'express-validator';
 
+// Multipart forms send options and variants as JSON strings
+function parseJsonField(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// Prices in other currencies, keyed by lowercase currency code; multipart
+// forms send them as a JSON string
+function parsePrices(value) {
+  const prices = parseJsonField(value);
+  if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+    return prices;
+  }
+  return Object.fromEntries(Object.entries(prices)
+    .map(([code, price]) => [code.trim().toLowerCase(), typeof price === 'string' ? parseFloat(price) : price]));
+}
+
+function isPriceList(prices) {
+  return Boolean(prices) && typeof prices === 'object' && !Array.isArray(prices) &&
+    Object.entries(prices).every(([code, price]) =>
+      /^[a-z]{3}$/.test(code) && code !== STORE_CURRENCY && typeof price === 'number' && price > 0);
+}
+
+// Pagination block for product lists: page numbers and totals for offset
+// pages, `nextCursor` for cursor pages
+function productPagination(result) {
+  if (result.nextCursor !== undefined) {
+    return {
+      productsPerPage: result.limit,
+      nextCursor: result.nextCursor
+    };
+  }
+  return {
+    currentPage: result.page,
+    totalPages: result.totalPages,
+    totalProducts: result.total,
+    productsPerPage: result.limit
+  };
+}
+
+// Resolve `categoryId` and store the category slug alongside it, so listings
+// and the storefront can keep filtering products by `category`
+async function applyCategory(data) {
+  if (!data.categoryId) {
+    return data;
+  }
+  const category = await categoryService.findById(data.categoryId);
+  if (!category) {
+    throw new Error('Category not found');
+  }
+  data.category = category.slug;
+  return data;
+}
+
+// Convert multipart fields of a variant to their proper types
+function variantData(body) {
+  const data = {};
+  if (body.sku !== undefined) data.sku = body.sku;
+  if (body.options !== undefined) data.options = body.options;
+  if (body.price !== undefined) data.price = body.price === null || body.price === '' ? null : parseFloat(body.price);
+  if (body.quantity !== undefined) data.quantity = parseInt(body.quantity, 10);
+  if (body.isActive !== undefined) data.isActive = body.isActive === 'true' || body.isActive === true;
+  if (Array.isArray(body.images)) data.images = body.images;
+  return data;
+}
+
 export class ProductController {
   // Validation rules for product operations
   static createProductValidation = [
@@ -27,7 +102,16 @@ export class ProductController {
       .optional()
       .isInt({ min: 0 })
       .withMessage('Product quantity must be a non-negative integer'),
+    body('weight')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Product weight must be a non-negative number (kg)'),
+    body('categoryId')
+      .optional()
+      .isString()
+      .withMessage('Category ID must be a string'),
     body('category')
+      .if(body('categoryId').not().exists())
       .trim()
       .isLength({ min: 2, max: 50 })
       .withMessage('Product category must be between 2 and 50 characters'),
@@ -43,11 +127,29 @@ export class ProductController {
       .optional()
       .isBoolean()
       .withMessage('Featured must be a boolean value'),
+    body('taxInclusive')
+      .optional()
+      .isBoolean()
+      .withMessage('taxInclusive must be a boolean value'),
+    body('prices')
+      .optional()
+      .customSanitizer(parsePrices)
+      .custom(isPriceList)
+      .withMessage('Prices must map currency codes other than the store currency to positive prices, e.g. { "eur": 14.99 }'),
     body('images')
       .optional()
       .isArray()
-      .withMessage('Images must be an array')
-      
+      .withMessage('Images must be an array'),
+    body('options')
+      .optional()
+      .customSanitizer(parseJsonField)
+      .isArray()
+      .withMessage('Options must be an array of { name, values }'),
+    body('variants')
+      .optional()
+      .customSanitizer(parseJsonField)
+      .isArray()
+      .withMessage('Variants must be an array')
   ];
 
   static updateProductValidation = [
@@ -69,6 +171,14 @@ export class ProductController {
       .optional()
       .isInt({ min: 0 })
       .withMessage('Product quantity must be a non-negative integer'),
+    body('weight')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Product weight must be a non-negative number (kg)'),
+    body('categoryId')
+      .optional()
+      .isString()
+      .withMessage('Category ID must be a string'),
     body('category')
       .optional()
       .trim()
@@ -86,12 +196,64 @@ export class ProductController {
       .optional()
       .isBoolean()
       .withMessage('Featured must be a boolean value'),
+    body('taxInclusive')
+      .optional()
+      .isBoolean()
+      .withMessage('taxInclusive must be a boolean value'),
+    body('prices')
+      .optional()
+      .customSanitizer(parsePrices)
+      .custom(isPriceList)
+      .withMessage('Prices must map currency codes other than the store currency to positive prices, e.g. { "eur": 14.99 }'),
+    body('images')
+      .optional()
+      .isArray()
+      .withMessage('Images must be an array'),
+    body('options')
+      .optional()
+      .customSanitizer(parseJsonField)
+      .isArray()
+      .withMessage('Options must be an array of { name, values }')
+  ];
+
+  // Validation rules for variants; `options` maps option names to values,
+  // e.g. { "Size": "M", "Colour": "Red" }, and a null `price` uses the product price
+  static variantValidation = [
+    body('sku')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 64 })
+      .withMessage('Variant SKU must be between 2 and 64 characters'),
+    body('options')
+      .optional()
+      .customSanitizer(parseJsonField)
+      .isObject()
+      .withMessage('Variant options must be an object of option name to value'),
+    body('price')
+      .optional({ nullable: true, checkFalsy: true })
+      .isFloat({ min: 0.01 })
+      .withMessage('Variant price must be a positive number'),
+    body('quantity')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Variant quantity must be a non-negative integer'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean value'),
     body('images')
       .optional()
       .isArray()
       .withMessage('Images must be an array')
   ];
 
+  static createVariantValidation = [
+    body('options')
+      .exists()
+      .withMessage('Variant options are required'),
+    ...ProductController.variantValidation
+  ];
+
   static searchProductsValidation = [
     query('page')
       .optional()
@@ -101,6 +263,10 @@ export class ProductController {
       .optional()
       .isInt({ min: 1, max: 100 })
       .withMessage('Limit must be between 1 and 100'),
+    query('cursor')
+      .optional()
+      .isString()
+      .withMessage('Cursor must be a string'),
     query('search')
       .optional()
       .trim()
@@ -118,7 +284,11 @@ export class ProductController {
     query('stock')
       .optional()
       .isIn(['in_stock', 'out_of_stock', 'all'])
-      .withMessage('Stock filter must be in_stock, out_of_stock, or all')
+      .withMessage('Stock filter must be in_stock, out_of_stock, or all'),
+    query('sort')
+      .optional()
+      .isIn(ProductService.SORTS)
+      .withMessage(`Sort must be one of: ${ProductService.SORTS.join(', ')}`)
   ];
 
   // Create new product
@@ -127,7 +297,8 @@ export class ProductController {
       // Convert form-data fields to correct types
       if (req.body.price) req.body.price = parseFloat(req.body.price);
       if (req.body.quantity) req.body.quantity = parseInt(req.body.quantity, 10);
-      ['isActive', 'published', 'featured'].forEach(field => {
+      if (req.body.weight !== undefined && req.body.weight !== '') req.body.weight = parseFloat(req.body.weight);
+      ['isActive', 'published', 'featured', 'taxInclusive'].forEach(field => {
         if (req.body[field] !== undefined) {
           req.body[field] = req.body[field] === 'true' || req.body[field] === true;
         }
@@ -152,12 +323,13 @@ export class ProductController {
         imageUrls = uploadResults.map(result => result.url);
       }
 
-      const productData = {
+      const productData = await applyCategory({
         ...req.body,
+        variants: (req.body.variants || []).map(variantData),
         images: imageUrls,
         published: req.body.published !== undefined ? req.body.published : false,
         featured: req.body.featured !== undefined ? req.body.featured : false
-      };
+      });
 
       const product = await productService.createProduct(productData);
 
@@ -188,42 +360,29 @@ export class ProductController {
         });
       }
 
-      const { page = 1, limit = 10, search, category, status, stock } = req.query;
-
-      let result;
-      if (search) {
-        result = await productService.searchProducts(search, parseInt(page), parseInt(limit));
-      } else if (category) {
-        result = await productService.getProductsByCategory(category, parseInt(page), parseInt(limit));
-      } else if (status === 'active') {
-        result = await productService.getActiveProducts(parseInt(page), parseInt(limit));
-      } else {
-        result = await productService.getAllProducts(parseInt(page), parseInt(limit));
-      }
+      const { search, category, status, stock, sort = 'newest' } = req.query;
 
-      // Apply stock filter if specified
-      if (stock && stock !== 'all') {
-        const isInStock = stock === 'in_stock';
-        result.products = result.products.filter(product => 
-          isInStock ? product.isInStock() : !product.isInStock()
-        );
-      }
+      const result = await productService.queryProducts({
+        search,
+        category,
+        status,
+        inStock: stock && stock !== 'all' ? stock === 'in_stock' : undefined
+      }, {
+        ...getPagination(req.query),
+        sort
+      });
 
       res.json({
         success: true,
         data: {
           products: result.products.map(product => product.toAdminInfo()),
-          pagination: {
-            currentPage: parseInt(page),
-            totalPages: Math.ceil(result.total / parseInt(limit)),
-            totalProducts: result.total,
-            productsPerPage: parseInt(limit)
-          },
+          pagination: productPagination(result),
           filters: {
             search: search || null,
             category: category || null,
             status: status || 'all',
-            stock: stock || 'all'
+            stock: stock || 'all',
+            sort: sort
           }
         }
       });
@@ -264,7 +423,8 @@ export class ProductController {
       // Convert form-data fields to correct types
       if (req.body.price) req.body.price = parseFloat(req.body.price);
       if (req.body.quantity) req.body.quantity = parseInt(req.body.quantity, 10);
-      ['isActive', 'published', 'featured'].forEach(field => {
+      if (req.body.weight !== undefined && req.body.weight !== '') req.body.weight = parseFloat(req.body.weight);
+      ['isActive', 'published', 'featured', 'taxInclusive'].forEach(field => {
         if (req.body[field] !== undefined) {
           req.body[field] = req.body[field] === 'true' || req.body[field] === true;
         }
@@ -300,17 +460,22 @@ export class ProductController {
         newImageUrls = uploadResults.map(result => result.url);
       }
 
-      const { name, description, price, quantity, category, isActive, published, featured, images } = req.body;
+      const { name, description, price, prices, quantity, weight, taxInclusive, category, categoryId, isActive, published, featured, images, options } = req.body;
       const updateData = {};
 
       if (name !== undefined) updateData.name = name;
       if (description !== undefined) updateData.description = description;
       if (price !== undefined) updateData.price = price;
+      if (prices !== undefined) updateData.prices = prices;
       if (quantity !== undefined) updateData.quantity = quantity;
+      if (weight !== undefined) updateData.weight = weight;
+      if (taxInclusive !== undefined) updateData.taxInclusive = taxInclusive;
       if (category !== undefined) updateData.category = category;
+      if (categoryId !== undefined) updateData.categoryId = categoryId || null;
       if (isActive !== undefined) updateData.isActive = isActive;
       if (published !== undefined) updateData.published = published;
       if (featured !== undefined) updateData.featured = featured;
+      if (options !== undefined) updateData.options = options;
       // Merge existing images, new uploads, and any provided images
       let mergedImages = Array.isArray(images) ? images : existingProduct.images;
       if (newImageUrls.length > 0) {
@@ -319,7 +484,7 @@ export class ProductController {
       updateData.images = mergedImages;
 
       // Update product
-      const updatedProduct = await productService.updateProduct(req.params.id, updateData);
+      const updatedProduct = await productService.updateProduct(req.params.id, await applyCategory(updateData));
 
       res.json({
         success: true,
@@ -376,10 +541,10 @@ export class ProductController {
     }
   }
 
-  // Update product stock
+  // Update product stock (pass `variantId` for products with variants)
   static async updateProductStock(req, res, next) {
     try {
-      const { quantity } = req.body;
+      const { quantity, variantId } = req.body;
 
       if (typeof quantity !== 'number' || quantity < 0) {
         return res.status(400).json({
@@ -391,7 +556,7 @@ export class ProductController {
         });
       }
 
-      const updatedProduct = await productService.updateProductStock(req.params.id, quantity);
+      const updatedProduct = await productService.updateProductStock(req.params.id, quantity, variantId || null);
 
       res.json({
         success: true,
@@ -405,6 +570,121 @@ export class ProductController {
     }
   }
 
+  // Get a product's option definitions and variants
+  static async getVariants(req, res, next) {
+    try {
+      const product = await productService.findById(req.params.id);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Product not found',
+            details: 'The requested product does not exist'
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          options: product.options,
+          variants: product.variants
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Add a variant (multipart; uploaded files become the variant's images)
+  static async addVariant(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const data = variantData(req.body);
+      if (req.files && req.files.length > 0) {
+        const uploadResults = await imageService.uploadProductImages(req.files, req.params.id);
+        data.images = [...(data.images || []), ...uploadResults.map(result => result.url)];
+      }
+
+      const product = await productService.addVariant(req.params.id, data);
+
+      res.status(201).json({
+        success: true,
+        message: 'Variant added successfully',
+        data: {
+          product: product.toAdminInfo()
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Update a variant's SKU, options, price, stock, images or status
+  static async updateVariant(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const data = variantData(req.body);
+      if (req.files && req.files.length > 0) {
+        const product = await productService.findById(req.params.id);
+        const variant = product && product.findVariant(req.params.variantId);
+        const uploadResults = await imageService.uploadProductImages(req.files, req.params.id);
+        data.images = [...(data.images || (variant ? variant.images : [])), ...uploadResults.map(result => result.url)];
+      }
+
+      const product = await productService.updateVariant(req.params.id, req.params.variantId, data);
+
+      res.json({
+        success: true,
+        message: 'Variant updated successfully',
+        data: {
+          product: product.toAdminInfo()
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Delete a variant
+  static async deleteVariant(req, res, next) {
+    try {
+      const product = await productService.removeVariant(req.params.id, req.params.variantId);
+
+      res.json({
+        success: true,
+        message: 'Variant deleted successfully',
+        data: {
+          product: product.toAdminInfo()
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Add image to product
   static async addProductImage(req, res, next) {
     try {
@@ -0,0 +1,206 @@
+// Promotion Management Controller for Admin
+// This controller handles:
+// - Create, Read, Update, Delete promo codes
+// - Discount type, validity window, usage limits, minimum spend and scope
+
+import { body, validationResult } from 'express-validator';
+import { Promotion } from '../../models/Promotion.js';
+import promotionService from '../../services/promotionService.js';
+
+export class AdminPromotionController {
+  // Validation rules for promotion operations
+  static promotionValidation = [
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Description must be at most 200 characters'),
+    body('value')
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage('Value must be a positive number')
+      .toFloat(),
+    body('startsAt')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Start date must be a valid ISO 8601 date'),
+    body('endsAt')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('End date must be a valid ISO 8601 date'),
+    body('usageLimit')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Usage limit must be a positive integer')
+      .toInt(),
+    body('perUserLimit')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Per-customer limit must be a positive integer')
+      .toInt(),
+    body('minimumSpend')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Minimum spend must be a non-negative number')
+      .toFloat(),
+    body('productIds')
+      .optional()
+      .isArray()
+      .withMessage('Product IDs must be a list'),
+    body('categoryIds')
+      .optional()
+      .isArray()
+      .withMessage('Category IDs must be a list'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean value')
+      .toBoolean()
+  ];
+
+  static createPromotionValidation = [
+    body('code')
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,32}$/)
+      .withMessage('Code must be 3-32 letters, numbers, hyphens or underscores'),
+    body('type')
+      .isIn(Promotion.TYPES)
+      .withMessage(`Type must be one of: ${Promotion.TYPES.join(', ')}`),
+    ...AdminPromotionController.promotionValidation
+  ];
+
+  static updatePromotionValidation = [
+    body('code')
+      .optional()
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,32}$/)
+      .withMessage('Code must be 3-32 letters, numbers, hyphens or underscores'),
+    body('type')
+      .optional()
+      .isIn(Promotion.TYPES)
+      .withMessage(`Type must be one of: ${Promotion.TYPES.join(', ')}`),
+    ...AdminPromotionController.promotionValidation
+  ];
+
+  // Fields an admin may set; the usage count is only changed by checkout
+  static promotionData(req) {
+    const data = {};
+    ['code', 'description', 'type', 'value', 'startsAt', 'endsAt', 'usageLimit', 'perUserLimit',
+      'minimumSpend', 'productIds', 'categoryIds', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+    return data;
+  }
+
+  // Get all promotions with their current status
+  static async getAllPromotions(req, res, next) {
+    try {
+      const promotions = await promotionService.getAllPromotions();
+      res.json({
+        success: true,
+        data: {
+          promotions: promotions.map(promotion => promotion.toAdminInfo())
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get a promotion by ID
+  static async getPromotionById(req, res, next) {
+    try {
+      const promotion = await promotionService.findById(req.params.id);
+      if (!promotion) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Promotion not found',
+            details: 'The requested promotion does not exist'
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          promotion: promotion.toAdminInfo()
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Create a promotion
+  static async createPromotion(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const promotion = await promotionService.createPromotion(AdminPromotionController.promotionData(req));
+
+      res.status(201).json({
+        success: true,
+        message: 'Promotion created successfully',
+        data: {
+          promotion: promotion.toAdminInfo()
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Update a promotion
+  static async updatePromotion(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const promotion = await promotionService.updatePromotion(req.params.id, AdminPromotionController.promotionData(req));
+
+      res.json({
+        success: true,
+        message: 'Promotion updated successfully',
+        data: {
+          promotion: promotion.toAdminInfo()
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Delete a promotion (orders that used it keep their discount)
+  static async deletePromotion(req, res, next) {
+    try {
+      await promotionService.deletePromotion(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Promotion deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
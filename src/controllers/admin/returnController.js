@@ -0,0 +1,211 @@
+// Returns Management Controller for Admin
+// This controller handles:
+// - Listing and viewing return requests
+// - Approving or rejecting returns
+// - Receiving returned goods (refund and restock)
+
+import { body, param, query, validationResult } from 'express-validator';
+import { ReturnRequest } from '../../models/ReturnRequest.js';
+import returnService from '../../services/returnService.js';
+import { getPagination } from '../../utils/pagination.js';
+
+export class AdminReturnController {
+  // Validation rules
+  static listReturnsValidation = [
+    query('status')
+      .optional()
+      .isIn(ReturnRequest.STATUSES)
+      .withMessage(`Status must be one of: ${ReturnRequest.STATUSES.join(', ')}`),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ];
+
+  static photoValidation = [
+    param('index')
+      .isInt({ min: 0 })
+      .withMessage('Photo index must be a non-negative integer')
+  ];
+
+  static reviewReturnValidation = [
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Notes must be at most 1000 characters')
+  ];
+
+  static receiveReturnValidation = [
+    ...AdminReturnController.reviewReturnValidation,
+    body('restock')
+      .optional()
+      .isBoolean()
+      .withMessage('Restock must be a boolean value')
+  ];
+
+  // Get all returns with optional status filter and pagination
+  static async getAllReturns(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      // page/limit/total/totalPages for offset pages, limit/nextCursor for cursor pages
+      const { returns, ...pageInfo } = await returnService.listReturns(
+        { status: req.query.status },
+        getPagination(req.query, { defaultLimit: 20 })
+      );
+
+      res.json({
+        success: true,
+        returns: returns.map(returnRequest => returnRequest.toAdminInfo()),
+        ...pageInfo
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get a single return
+  static async getReturnById(req, res, next) {
+    try {
+      const returnRequest = await returnService.findById(req.params.id);
+      if (!returnRequest) {
+        return res.status(404).json({ success: false, error: 'Return not found' });
+      }
+      res.json({ success: true, return: returnRequest.toAdminInfo() });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get one of a return's photos
+  static async getReturnPhoto(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const returnRequest = await returnService.findById(req.params.id);
+      if (!returnRequest) {
+        return res.status(404).json({ success: false, error: 'Return not found' });
+      }
+      const photo = await returnService.getPhoto(returnRequest, parseInt(req.params.index));
+      if (!photo) {
+        return res.status(404).json({ success: false, error: 'Photo not found' });
+      }
+      res.set({ 'Content-Type': photo.contentType, 'Cache-Control': 'private, no-store' });
+      res.send(photo.content);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Approve or reject a return
+  static async reviewReturn(req, res, next, status) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const returnRequest = await returnService.findById(req.params.id);
+      if (!returnRequest) {
+        return res.status(404).json({ success: false, error: 'Return not found' });
+      }
+      if (!returnRequest.canTransitionTo(status)) {
+        return res.status(409).json({
+          success: false,
+          error: `Cannot change return status from ${returnRequest.status} to ${status}`
+        });
+      }
+
+      const updatedReturn = await returnService.reviewReturn(returnRequest, status, {
+        actorId: req.user.id,
+        actorRole: req.user.role,
+        notes: req.body.notes || null
+      });
+      res.json({ success: true, return: updatedReturn.toAdminInfo() });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async approveReturn(req, res, next) {
+    return AdminReturnController.reviewReturn(req, res, next, 'approved');
+  }
+
+  static async rejectReturn(req, res, next) {
+    return AdminReturnController.reviewReturn(req, res, next, 'rejected');
+  }
+
+  // Mark returned goods as received: refunds the lines and restocks them
+  static async receiveReturn(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const returnRequest = await returnService.findById(req.params.id);
+      if (!returnRequest) {
+        return res.status(404).json({ success: false, error: 'Return not found' });
+      }
+      if (!returnRequest.canTransitionTo('received')) {
+        return res.status(409).json({
+          success: false,
+          error: 'Only approved returns can be received'
+        });
+      }
+
+      const result = await returnService.receiveReturn(returnRequest, {
+        actorId: req.user.id,
+        actorRole: req.user.role,
+        notes: req.body.notes || null,
+        restock: req.body.restock !== undefined ? req.body.restock === true || req.body.restock === 'true' : true
+      });
+
+      res.json({ success: true, return: result.returnRequest.toAdminInfo(), order: result.order });
+    } catch (error) {
+      if (error.type && error.type.startsWith('Stripe')) {
+        return res.status(502).json({ success: false, error: `Stripe refund failed: ${error.message}` });
+      }
+      next(error);
+    }
+  }
+}
@@ -0,0 +1,127 @@
+// Reviews Moderation Controller for Admin
+// This controller handles:
+// - Listing and viewing reviews (e.g. the pending queue)
+// - Approving reviews so they are published and counted in ratings
+// - Hiding reviews from the storefront
+
+import { body, query, validationResult } from 'express-validator';
+import { Review } from '../../models/Review.js';
+import reviewService from '../../services/reviewService.js';
+
+export class AdminReviewController {
+  // Validation rules
+  static listReviewsValidation = [
+    query('status')
+      .optional()
+      .isIn(Review.STATUSES)
+      .withMessage(`Status must be one of: ${Review.STATUSES.join(', ')}`),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ];
+
+  static moderateReviewValidation = [
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Note must be at most 1000 characters')
+  ];
+
+  // Get all reviews with optional status/product filters and pagination
+  static async getAllReviews(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const { status, productId, page = 1, limit = 20 } = req.query;
+      const reviews = await reviewService.getAllReviews({
+        status,
+        productId,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      res.json({
+        success: true,
+        reviews,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get a single review
+  static async getReviewById(req, res, next) {
+    try {
+      const review = await reviewService.findById(req.params.id);
+      if (!review) {
+        return res.status(404).json({ success: false, error: 'Review not found' });
+      }
+      res.json({ success: true, review });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Approve or hide a review
+  static async moderateReview(req, res, next, status) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const review = await reviewService.findById(req.params.id);
+      if (!review) {
+        return res.status(404).json({ success: false, error: 'Review not found' });
+      }
+      if (!review.canTransitionTo(status)) {
+        return res.status(409).json({
+          success: false,
+          error: `Cannot change review status from ${review.status} to ${status}`
+        });
+      }
+
+      const updatedReview = await reviewService.moderateReview(review, status, {
+        actorId: req.user.id,
+        actorRole: req.user.role,
+        note: req.body.note || null
+      });
+      res.json({ success: true, review: updatedReview });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async approveReview(req, res, next) {
+    return AdminReviewController.moderateReview(req, res, next, 'approved');
+  }
+
+  static async hideReview(req, res, next) {
+    return AdminReviewController.moderateReview(req, res, next, 'hidden');
+  }
+}
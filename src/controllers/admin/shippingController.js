@@ -0,0 +1,170 @@
+// Shipping Management Controller for Admin
+// This controller handles:
+// - Create, Read, Update, Delete shipping zones (groups of countries)
+// - Each zone's shipping methods and their rate tables
+
+import { body, validationResult } from 'express-validator';
+import shippingService from '../../services/shippingService.js';
+
+export class AdminShippingController {
+  // Validation rules for zone operations; methods are checked in full by the model
+  static zoneValidation = [
+    body('countries')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Countries must be a non-empty list'),
+    body('methods')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Methods must be a non-empty list of { name, basis, rates, freeOver, minDays, maxDays }'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean value')
+      .toBoolean()
+  ];
+
+  static createZoneValidation = [
+    body('name')
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('Zone name must be between 2 and 50 characters'),
+    body('countries')
+      .exists()
+      .withMessage('Countries are required'),
+    body('methods')
+      .exists()
+      .withMessage('At least one shipping method is required'),
+    ...AdminShippingController.zoneValidation
+  ];
+
+  static updateZoneValidation = [
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('Zone name must be between 2 and 50 characters'),
+    ...AdminShippingController.zoneValidation
+  ];
+
+  // Fields an admin may set
+  static zoneData(req) {
+    const data = {};
+    ['name', 'countries', 'methods', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+    return data;
+  }
+
+  // Get all shipping zones
+  static async getAllZones(req, res, next) {
+    try {
+      const zones = await shippingService.getAllZones();
+      res.json({
+        success: true,
+        data: {
+          zones: zones.map(zone => zone.toDocument())
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get a shipping zone by ID
+  static async getZoneById(req, res, next) {
+    try {
+      const zone = await shippingService.findById(req.params.id);
+      if (!zone) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Shipping zone not found',
+            details: 'The requested shipping zone does not exist'
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          zone: zone.toDocument()
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Create a shipping zone
+  static async createZone(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const zone = await shippingService.createZone(AdminShippingController.zoneData(req));
+
+      res.status(201).json({
+        success: true,
+        message: 'Shipping zone created successfully',
+        data: {
+          zone: zone.toDocument()
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Update a shipping zone; `methods` replaces the zone's methods
+  static async updateZone(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const zone = await shippingService.updateZone(req.params.id, AdminShippingController.zoneData(req));
+
+      res.json({
+        success: true,
+        message: 'Shipping zone updated successfully',
+        data: {
+          zone: zone.toDocument()
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Delete a shipping zone
+  static async deleteZone(req, res, next) {
+    try {
+      await shippingService.deleteZone(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Shipping zone deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
@@ -0,0 +1,174 @@
+// Tax Management Controller for Admin
+// This controller handles:
+// - Create, Read, Update, Delete tax rates per country
+// - Category rates that override a country's standard rate
+
+import { body, validationResult } from 'express-validator';
+import taxService from '../../services/taxService.js';
+
+export class AdminTaxController {
+  // Validation rules for tax rate operations
+  static rateValidation = [
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 30 })
+      .withMessage('Tax name must be between 1 and 30 characters'),
+    body('categoryId')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('Category ID must be a string'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean value')
+      .toBoolean()
+  ];
+
+  static createRateValidation = [
+    body('country')
+      .trim()
+      .notEmpty()
+      .withMessage('Country is required (use * for every other country)'),
+    body('rate')
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Rate must be a percentage between 0 and 100')
+      .toFloat(),
+    ...AdminTaxController.rateValidation
+  ];
+
+  static updateRateValidation = [
+    body('country')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Country cannot be empty'),
+    body('rate')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Rate must be a percentage between 0 and 100')
+      .toFloat(),
+    ...AdminTaxController.rateValidation
+  ];
+
+  // Fields an admin may set
+  static rateData(req) {
+    const data = {};
+    ['name', 'country', 'categoryId', 'rate', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+    return data;
+  }
+
+  // Get all tax rates
+  static async getAllRates(req, res, next) {
+    try {
+      const rates = await taxService.getAllRates();
+      res.json({
+        success: true,
+        data: {
+          rates: rates.map(rate => rate.toDocument())
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get a tax rate by ID
+  static async getRateById(req, res, next) {
+    try {
+      const rate = await taxService.findById(req.params.id);
+      if (!rate) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Tax rate not found',
+            details: 'The requested tax rate does not exist'
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          rate: rate.toDocument()
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Create a tax rate
+  static async createRate(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const rate = await taxService.createRate(AdminTaxController.rateData(req));
+
+      res.status(201).json({
+        success: true,
+        message: 'Tax rate created successfully',
+        data: {
+          rate: rate.toDocument()
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Update a tax rate
+  static async updateRate(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const rate = await taxService.updateRate(req.params.id, AdminTaxController.rateData(req));
+
+      res.json({
+        success: true,
+        message: 'Tax rate updated successfully',
+        data: {
+          rate: rate.toDocument()
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Delete a tax rate
+  static async deleteRate(req, res, next) {
+    try {
+      await taxService.deleteRate(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Tax rate deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
@@ -66,7 +66,7 @@ export class AuthController {
       try {
         const otp = otpService.generateOTP();
         await otpService.storeOTP(email, otp);
-        await emailService.sendOTPEmail(email, otp, firstName);
+        await emailService.sendOTPEmail(email, otp, firstName, { locale: req.acceptsLanguages()[0] });
       } catch (emailError) {
         console.error('Error sending OTP email:', emailError);
         // Don't fail registration if email fails, but log it
@@ -68,8 +68,8 @@ export class EmailVerificationController {
       const otp = otpService.generateOTP();
       await otpService.storeOTP(email, otp);
 
-      // Send OTP email
-      await emailService.sendOTPEmail(email, otp, user.firstName);
+      // Queue the OTP email; a mail outage delays it instead of failing here
+      await emailService.sendOTPEmail(email, otp, user.firstName, { locale: req.acceptsLanguages()[0] });
 
       res.status(200).json({
         success: true,
@@ -132,7 +132,7 @@ export class EmailVerificationController {
 
       // Send welcome email
       try {
-        await emailService.sendWelcomeEmail(email, user.firstName);
+        await emailService.sendWelcomeEmail(email, user.firstName, { locale: req.acceptsLanguages()[0] });
       } catch (emailError) {
         console.error('Error sending welcome email:', emailError);
         // Don't fail the verification if welcome email fails
@@ -200,8 +200,8 @@ export class EmailVerificationController {
       // Resend OTP
       const result = await otpService.resendOTP(email);
       
-      // Send new OTP email
-      await emailService.sendOTPEmail(email, result.otp, user.firstName);
+      // Queue the new OTP email; a mail outage delays it instead of failing here
+      await emailService.sendOTPEmail(email, result.otp, user.firstName, { locale: req.acceptsLanguages()[0] });
 
       res.status(200).json({
         success: true,
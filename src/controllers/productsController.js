@@ -1,9 +1,60 @@
 // General Product Controller for Users
 // This controller handles public product viewing without authentication
 
-import productService from '../services/productService.js';
+import productService, { ProductService } from '../services/productService.js';
+import categoryService from '../services/categoryService.js';
+import searchService, { SearchService } from '../services/searchService.js';
+import recommendationService, { RecommendationService } from '../services/recommendationService.js';
+import reviewService, { ReviewService } from '../services/reviewService.js';
+import currencyService from '../services/currencyService.js';
+import { getPagination } from '../utils/pagination.js';
 import { query, validationResult } from 'express-validator';
 
+// Listing filters for a category (given by slug or ID) and all of its
+// subcategories. Names that are not in the category tree fall back to the
+// products' own `category` field.
+async function categoryFilter(value) {
+  const category = await categoryService.findByIdOrSlug(value);
+  if (!category || !category.isActive) {
+    return { filters: { category: value }, category: null };
+  }
+  const { ids, slugs } = await categoryService.getCategoryWithDescendants(category);
+  return { filters: { categoryIds: ids, categorySlugs: slugs }, category: category.toPublicInfo() };
+}
+
+// The currency prices are shown in (`?currency=`, default the store
+// currency). Answers 400 and returns null when the store does not offer it.
+async function requestCurrency(req, res) {
+  const currency = await currencyService.resolve(req.query.currency);
+  if (!currency) {
+    res.status(400).json({
+      success: false,
+      error: {
+        message: 'Currency not supported',
+        details: `${String(req.query.currency).toUpperCase()} is not one of the store's currencies`
+      }
+    });
+  }
+  return currency;
+}
+
+// Pagination block for product lists: page numbers and totals for offset
+// pages, `nextCursor` for cursor pages
+function productPagination(result) {
+  if (result.nextCursor !== undefined) {
+    return {
+      productsPerPage: result.limit,
+      nextCursor: result.nextCursor
+    };
+  }
+  return {
+    currentPage: result.page,
+    totalPages: result.totalPages,
+    totalProducts: result.total,
+    productsPerPage: result.limit
+  };
+}
+
 export class ProductsController {
   // Validation rules for product search and filtering
   static searchProductsValidation = [
@@ -15,6 +66,10 @@ export class ProductsController {
       .optional()
       .isInt({ min: 1, max: 50 })
       .withMessage('Limit must be between 1 and 50'),
+    query('cursor')
+      .optional()
+      .isString()
+      .withMessage('Cursor must be a string'),
     query('search')
       .optional()
       .trim()
@@ -33,10 +88,94 @@ export class ProductsController {
       .optional()
       .isFloat({ min: 0 })
       .withMessage('Maximum price must be a positive number'),
+    query('inStock')
+      .optional()
+      .isBoolean()
+      .withMessage('inStock must be a boolean value')
+      .toBoolean(),
+    query('featured')
+      .optional()
+      .isBoolean()
+      .withMessage('Featured must be a boolean value')
+      .toBoolean(),
     query('sort')
       .optional()
-      .isIn(['price_asc', 'price_desc', 'name_asc', 'name_desc', 'newest', 'oldest'])
-      .withMessage('Sort must be one of: price_asc, price_desc, name_asc, name_desc, newest, oldest')
+      .isIn(ProductService.SORTS)
+      .withMessage(`Sort must be one of: ${ProductService.SORTS.join(', ')}`)
+  ];
+
+  static searchValidation = [
+    query('q')
+      .optional()
+      .trim()
+      .isLength({ min: 2 })
+      .withMessage('Search term must be at least 2 characters long'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+    query('category')
+      .optional()
+      .trim()
+      .isLength({ min: 2 })
+      .withMessage('Category filter must be at least 2 characters long'),
+    query('minPrice')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Minimum price must be a positive number'),
+    query('maxPrice')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Maximum price must be a positive number'),
+    query('priceBand')
+      .optional()
+      .isIn(SearchService.PRICE_BANDS)
+      .withMessage(`Price band must be one of: ${SearchService.PRICE_BANDS.join(', ')}`),
+    query('sort')
+      .optional()
+      .isIn(SearchService.SORTS)
+      .withMessage(`Sort must be one of: ${SearchService.SORTS.join(', ')}`)
+  ];
+
+  static suggestValidation = [
+    query('q')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Search term must be between 1 and 100 characters'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 10 })
+      .withMessage('Limit must be between 1 and 10')
+  ];
+
+  static recommendationsValidation = [
+    query('strategy')
+      .optional()
+      .isIn(RecommendationService.STRATEGIES)
+      .withMessage(`Strategy must be one of: ${RecommendationService.STRATEGIES.join(', ')}`),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 20 })
+      .withMessage('Limit must be between 1 and 20')
+  ];
+
+  static productReviewsValidation = [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+    query('sort')
+      .optional()
+      .isIn(ReviewService.SORTS)
+      .withMessage(`Sort must be one of: ${ReviewService.SORTS.join(', ')}`)
   ];
 
   // Get all published products (for customers)
@@ -54,78 +193,52 @@ export class ProductsController {
         });
       }
 
+      const currency = await requestCurrency(req, res);
+      if (!currency) return;
+
       const { 
-        page = 1, 
-        limit = 12, 
         search, 
         category, 
         minPrice, 
         maxPrice, 
+        inStock,
+        featured,
         sort = 'newest' 
       } = req.query;
 
-      let result;
-      
-      // Handle search
-      if (search) {
-        result = await productService.searchProducts(search, parseInt(page), parseInt(limit));
-      } 
-      // Handle category filter
-      else if (category) {
-        result = await productService.getProductsByCategory(category, parseInt(page), parseInt(limit));
-      } 
-      // Get all published products
-      else {
-        result = await productService.getPublishedProducts(parseInt(page), parseInt(limit));
-      }
-
-      // Apply price filters
-      if (minPrice || maxPrice) {
-        const min = minPrice ? parseFloat(minPrice) : 0;
-        const max = maxPrice ? parseFloat(maxPrice) : Infinity;
-        
-        result.products = result.products.filter(product => 
-          product.price >= min && product.price <= max
-        );
+      // Search, category, price range, stock and featured filters combine
+      // into one query; only published products are listed. The price range
+      // and price sorts use the prices shown in `currency`, own prices included.
+      const filters = {
+        published: true,
+        search,
+        minPrice: minPrice !== undefined ? parseFloat(minPrice) : undefined,
+        maxPrice: maxPrice !== undefined ? parseFloat(maxPrice) : undefined,
+        inStock,
+        featured,
+        currency
+      };
+      if (category) {
+        Object.assign(filters, (await categoryFilter(category)).filters);
       }
 
-      // Apply sorting
-      if (sort) {
-        result.products.sort((a, b) => {
-          switch (sort) {
-            case 'price_asc':
-              return a.price - b.price;
-            case 'price_desc':
-              return b.price - a.price;
-            case 'name_asc':
-              return a.name.localeCompare(b.name);
-            case 'name_desc':
-              return b.name.localeCompare(a.name);
-            case 'newest':
-              return new Date(b.createdAt) - new Date(a.createdAt);
-            case 'oldest':
-              return new Date(a.createdAt) - new Date(b.createdAt);
-            default:
-              return 0;
-          }
-        });
-      }
+      const result = await productService.queryProducts(filters, {
+        ...getPagination(req.query, { defaultLimit: 12, maxLimit: 50 }),
+        sort
+      });
 
       res.json({
         success: true,
         data: {
-          products: result.products.map(product => product.toPublicInfo()),
-          pagination: {
-            currentPage: parseInt(page),
-            totalPages: Math.ceil(result.total / parseInt(limit)),
-            totalProducts: result.total,
-            productsPerPage: parseInt(limit)
-          },
+          products: result.products.map(product => product.toPublicInfo(currency)),
+          pagination: productPagination(result),
           filters: {
             search: search || null,
             category: category || null,
             minPrice: minPrice || null,
             maxPrice: maxPrice || null,
+            inStock: inStock !== undefined ? inStock : null,
+            featured: featured !== undefined ? featured : null,
             sort: sort
           }
         }
@@ -138,6 +251,9 @@ export class ProductsController {
   // Get product by ID (public view)
   static async getProductById(req, res, next) {
     try {
+      const currency = await requestCurrency(req, res);
+      if (!currency) return;
+
       const product = await productService.findById(req.params.id);
       
       if (!product) {
@@ -161,10 +277,19 @@ export class ProductsController {
         });
       }
 
+      // Record the view for "customers also viewed". Anonymous visitors are
+      // identified by an X-Visitor-Id header the storefront keeps.
+      const visitorId = req.get('X-Visitor-Id');
+      const viewerId = req.user ? `user_${req.user.id}`
+        : (visitorId && /^[A-Za-z0-9_-]{8,64}$/.test(visitorId) ? `visitor_${visitorId}` : null);
+      if (viewerId) {
+        recommendationService.recordView(product.id, viewerId).catch(() => {});
+      }
+
       res.json({
         success: true,
         data: {
-          product: product.toPublicInfo()
+          product: product.toPublicInfo(currency)
         }
       });
     } catch (error) {
@@ -175,6 +300,9 @@ export class ProductsController {
   // Get featured products
   static async getFeaturedProducts(req, res, next) {
     try {
+      const currency = await requestCurrency(req, res);
+      if (!currency) return;
+
       const { limit = 8 } = req.query;
       
       const result = await productService.getFeaturedProducts(1, parseInt(limit));
@@ -182,7 +310,7 @@ export class ProductsController {
       res.json({
         success: true,
         data: {
-          products: result.products.map(product => product.toPublicInfo()),
+          products: result.products.map(product => product.toPublicInfo(currency)),
           total: result.products.length
         }
       });
@@ -194,47 +322,24 @@ export class ProductsController {
   // Get products by category
   static async getProductsByCategory(req, res, next) {
     try {
+      const currency = await requestCurrency(req, res);
+      if (!currency) return;
+
       const { category } = req.params;
-      const { page = 1, limit = 12, sort = 'newest' } = req.query;
-
-      const result = await productService.getProductsByCategory(category, parseInt(page), parseInt(limit));
-
-      // Filter only published products
-      const publishedProducts = result.products.filter(product => product.isPublished());
-
-      // Apply sorting
-      if (sort) {
-        publishedProducts.sort((a, b) => {
-          switch (sort) {
-            case 'price_asc':
-              return a.price - b.price;
-            case 'price_desc':
-              return b.price - a.price;
-            case 'name_asc':
-              return a.name.localeCompare(b.name);
-            case 'name_desc':
-              return b.name.localeCompare(a.name);
-            case 'newest':
-              return new Date(b.createdAt) - new Date(a.createdAt);
-            case 'oldest':
-              return new Date(a.createdAt) - new Date(b.createdAt);
-            default:
-              return 0;
-          }
-        });
-      }
+      const { sort = 'newest' } = req.query;
+
+      const { filters, category: categoryInfo } = await categoryFilter(category);
+      const result = await productService.queryProducts({ ...filters, published: true, currency }, {
+        ...getPagination(req.query, { defaultLimit: 12, maxLimit: 50 }),
+        sort
+      });
 
       res.json({
         success: true,
         data: {
-          products: publishedProducts.map(product => product.toPublicInfo()),
-          category,
-          pagination: {
-            currentPage: parseInt(page),
-            totalPages: Math.ceil(publishedProducts.length / parseInt(limit)),
-            totalProducts: publishedProducts.length,
-            productsPerPage: parseInt(limit)
-          },
+          products: result.products.map(product => product.toPublicInfo(currency)),
+          category: categoryInfo || category,
+          pagination: productPagination(result),
           filters: {
             sort: sort
           }
@@ -245,7 +350,7 @@ export class ProductsController {
     }
   }
 
-  // Search products
+  // Search published products by relevance, with category and price facets
   static async searchProducts(req, res, next) {
     try {
       // Check for validation errors
@@ -260,7 +365,19 @@ export class ProductsController {
         });
       }
 
-      const { q: searchTerm, page = 1, limit = 12, sort = 'newest' } = req.query;
+      const currency = await requestCurrency(req, res);
+      if (!currency) return;
+
+      const {
+        q: searchTerm,
+        page = 1,
+        limit = 12,
+        category,
+        minPrice,
+        maxPrice,
+        priceBand,
+        sort = 'relevance'
+      } = req.query;
 
       if (!searchTerm) {
         return res.status(400).json({
@@ -272,45 +389,35 @@ export class ProductsController {
         });
       }
 
-      const result = await productService.searchProducts(searchTerm, parseInt(page), parseInt(limit));
-
-      // Filter only published products
-      const publishedProducts = result.products.filter(product => product.isPublished());
-
-      // Apply sorting
-      if (sort) {
-        publishedProducts.sort((a, b) => {
-          switch (sort) {
-            case 'price_asc':
-              return a.price - b.price;
-            case 'price_desc':
-              return b.price - a.price;
-            case 'name_asc':
-              return a.name.localeCompare(b.name);
-            case 'name_desc':
-              return b.name.localeCompare(a.name);
-            case 'newest':
-              return new Date(b.createdAt) - new Date(a.createdAt);
-            case 'oldest':
-              return new Date(a.createdAt) - new Date(b.createdAt);
-            default:
-              return 0;
-          }
-        });
+      const options = {
+        minPrice: minPrice !== undefined ? parseFloat(minPrice) : undefined,
+        maxPrice: maxPrice !== undefined ? parseFloat(maxPrice) : undefined,
+        priceBand,
+        currency,
+        sort,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      };
+      if (category) {
+        const { filters } = await categoryFilter(category);
+        options.categoryIds = filters.categoryIds || [];
+        options.categorySlugs = filters.categorySlugs || [filters.category];
       }
 
+      const result = await searchService.search(searchTerm, options);
+
       res.json({
         success: true,
         data: {
-          products: publishedProducts.map(product => product.toPublicInfo()),
+          products: result.products.map(product => product.toPublicInfo(currency)),
           searchTerm,
-          pagination: {
-            currentPage: parseInt(page),
-            totalPages: Math.ceil(publishedProducts.length / parseInt(limit)),
-            totalProducts: publishedProducts.length,
-            productsPerPage: parseInt(limit)
-          },
+          pagination: productPagination(result),
+          facets: result.facets,
           filters: {
+            category: category || null,
+            minPrice: minPrice || null,
+            maxPrice: maxPrice || null,
+            priceBand: priceBand || null,
             sort: sort
           }
         }
@@ -320,16 +427,115 @@ export class ProductsController {
     }
   }
 
-  // Get product categories
+  // Suggestions for the search box as the user types. Only published
+  // products are suggested, as on the product page.
+  static async suggest(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const { q: searchTerm, limit = 5 } = req.query;
+      const suggestions = await searchService.suggest(searchTerm, { limit: parseInt(limit) });
+
+      res.json({
+        success: true,
+        data: {
+          searchTerm,
+          ...suggestions
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get the currencies prices can be shown and paid in, the store currency first
+  static async getCurrencies(req, res, next) {
+    try {
+      const currencies = await currencyService.getStoreCurrencies();
+
+      res.json({
+        success: true,
+        data: {
+          currencies: currencies.map(currency => currency.toPublicInfo())
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get the category tree with product counts
   static async getCategories(req, res, next) {
     try {
-      const allProducts = await productService.getPublishedProducts(1, 1000);
-      const categories = [...new Set(allProducts.products.map(product => product.category))];
+      const categories = await categoryService.getCategoryTree();
       
       res.json({
         success: true,
         data: {
-          categories: categories.sort()
+          categories
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get a product's approved reviews with its rating summary
+  static async getProductReviews(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const product = await productService.findById(req.params.id);
+      if (!product || !product.isPublished()) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Product not found',
+            details: 'The requested product does not exist'
+          }
+        });
+      }
+
+      const { page = 1, limit = 10, sort = 'newest' } = req.query;
+      const [reviews, summary] = await Promise.all([
+        reviewService.getProductReviews(product.id, { sort, page: parseInt(page), limit: parseInt(limit) }),
+        reviewService.getRatingSummary(product.id)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          reviews: reviews.map(review => review.toPublicInfo()),
+          summary,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(summary.ratingCount / parseInt(limit)),
+            totalReviews: summary.ratingCount,
+            reviewsPerPage: parseInt(limit)
+          },
+          filters: {
+            sort: sort
+          }
         }
       });
     } catch (error) {
@@ -337,11 +543,27 @@ export class ProductsController {
     }
   }
 
-  // Get product recommendations (based on category)
+  // Get product recommendations: frequently bought together, customers
+  // also viewed and/or the same category, chosen by `strategy`
   static async getProductRecommendations(req, res, next) {
     try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const currency = await requestCurrency(req, res);
+      if (!currency) return;
+
       const { productId } = req.params;
-      const { limit = 4 } = req.query;
+      const { limit = 4, strategy = 'auto' } = req.query;
 
       const product = await productService.findById(productId);
       if (!product || !product.isPublished()) {
@@ -354,18 +576,19 @@ export class ProductsController {
         });
       }
 
-      // Get products from the same category
-      const result = await productService.getProductsByCategory(product.category, 1, parseInt(limit) * 2);
-      
-      // Filter out the current product and only published products
-      const recommendations = result.products
-        .filter(p => p.id !== productId && p.isPublished())
-        .slice(0, parseInt(limit));
+      const recommendations = await recommendationService.getRecommendations(product, {
+        strategy,
+        limit: parseInt(limit)
+      });
 
       res.json({
         success: true,
         data: {
-          recommendations: recommendations.map(product => product.toPublicInfo()),
+          recommendations: recommendations.map(({ product: item, reason }) => ({
+            ...item.toPublicInfo(currency),
+            reason
+          })),
+          strategy,
           total: recommendations.length
         }
       });
@@ -0,0 +1,142 @@
+// Customer Returns Controller
+// This controller handles:
+// - Opening return requests on delivered orders (with photos)
+// - Listing and viewing the customer's own returns and their photos
+
+import { body, param, validationResult } from 'express-validator';
+import { ReturnRequest } from '../../models/ReturnRequest.js';
+import orderService from '../../services/orderService.js';
+import returnService from '../../services/returnService.js';
+
+// Multipart forms send the items list as a JSON string
+function parseJsonField(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+export class ReturnController {
+  // Validation rules for opening a return
+  static createReturnValidation = [
+    body('items')
+      .customSanitizer(parseJsonField)
+      .isArray({ min: 1 })
+      .withMessage('Items must be a non-empty array'),
+    body('items.*.productId')
+      .isString()
+      .notEmpty()
+      .withMessage('Each item needs a product ID'),
+    body('items.*.variantId')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('Variant IDs must be strings'),
+    body('items.*.quantity')
+      .isInt({ min: 1 })
+      .withMessage('Each item quantity must be a positive integer'),
+    body('reason')
+      .isIn(ReturnRequest.REASONS)
+      .withMessage(`Reason must be one of: ${ReturnRequest.REASONS.join(', ')}`),
+    body('comments')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Comments must be at most 1000 characters')
+  ];
+
+  // Open a return on lines of a delivered order
+  static async createReturn(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const order = await orderService.findByIdForUser(req.params.id, req.user.id);
+      if (!order) {
+        return res.status(404).json({ success: false, error: 'Order not found' });
+      }
+
+      const { items, reason, comments } = req.body;
+      const returnRequest = await returnService.createReturn(order, { items, reason, comments }, req.files || []);
+
+      res.status(201).json({
+        success: true,
+        message: 'Return requested successfully',
+        return: returnRequest.toCustomerInfo()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static photoValidation = [
+    param('index')
+      .isInt({ min: 0 })
+      .withMessage('Photo index must be a non-negative integer')
+  ];
+
+  // Get all returns for the authenticated user
+  static async getReturns(req, res, next) {
+    try {
+      const returns = await returnService.getUserReturns(req.user.id);
+      res.json({ success: true, returns: returns.map(returnRequest => returnRequest.toCustomerInfo()) });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get a single return for the authenticated user
+  static async getReturnById(req, res, next) {
+    try {
+      const returnRequest = await returnService.findByIdForUser(req.params.id, req.user.id);
+      if (!returnRequest) {
+        return res.status(404).json({ success: false, error: 'Return not found' });
+      }
+      res.json({ success: true, return: returnRequest.toCustomerInfo() });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get one of the photos of the authenticated user's return
+  static async getReturnPhoto(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const returnRequest = await returnService.findByIdForUser(req.params.id, req.user.id);
+      if (!returnRequest) {
+        return res.status(404).json({ success: false, error: 'Return not found' });
+      }
+      const photo = await returnService.getPhoto(returnRequest, parseInt(req.params.index));
+      if (!photo) {
+        return res.status(404).json({ success: false, error: 'Photo not found' });
+      }
+      res.set({ 'Content-Type': photo.contentType, 'Cache-Control': 'private, no-store' });
+      res.send(photo.content);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
@@ -0,0 +1,134 @@
+// Customer Reviews Controller
+// This controller handles:
+// - Posting reviews of products from delivered orders
+// - Editing, deleting and listing the customer's own reviews
+
+import { body, validationResult } from 'express-validator';
+import reviewService from '../../services/reviewService.js';
+
+export class ReviewController {
+  // Validation rules for posting a review
+  static createReviewValidation = [
+    body('productId')
+      .trim()
+      .notEmpty()
+      .withMessage('Product ID is required'),
+    body('rating')
+      .isInt({ min: 1, max: 5 })
+      .withMessage('Rating must be an integer between 1 and 5')
+      .toInt(),
+    body('title')
+      .optional()
+      .trim()
+      .isLength({ max: 120 })
+      .withMessage('Title must be at most 120 characters'),
+    body('body')
+      .trim()
+      .isLength({ min: 10, max: 2000 })
+      .withMessage('Review text must be between 10 and 2000 characters')
+  ];
+
+  static updateReviewValidation = [
+    body('rating')
+      .optional()
+      .isInt({ min: 1, max: 5 })
+      .withMessage('Rating must be an integer between 1 and 5')
+      .toInt(),
+    body('title')
+      .optional()
+      .trim()
+      .isLength({ max: 120 })
+      .withMessage('Title must be at most 120 characters'),
+    body('body')
+      .optional()
+      .trim()
+      .isLength({ min: 10, max: 2000 })
+      .withMessage('Review text must be between 10 and 2000 characters')
+  ];
+
+  // Post a review of a product the customer has received
+  static async createReview(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const { productId, rating, title, body: text } = req.body;
+      const review = await reviewService.createReview(req.user, productId, { rating, title, body: text });
+
+      res.status(201).json({
+        success: true,
+        message: 'Review submitted and awaiting moderation',
+        review: review.toCustomerInfo()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get all reviews written by the authenticated user
+  static async getReviews(req, res, next) {
+    try {
+      const reviews = await reviewService.getUserReviews(req.user.id);
+      res.json({ success: true, reviews: reviews.map(review => review.toCustomerInfo()) });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Edit the user's review of a product (sends it back to moderation)
+  static async updateReview(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const review = await reviewService.findByProductForUser(req.params.productId, req.user.id);
+      if (!review) {
+        return res.status(404).json({ success: false, error: 'Review not found' });
+      }
+
+      const { rating, title, body: text } = req.body;
+      const updatedReview = await reviewService.updateReview(review, { rating, title, body: text });
+
+      res.json({
+        success: true,
+        message: 'Review updated and awaiting moderation',
+        review: updatedReview.toCustomerInfo()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Delete the user's review of a product
+  static async deleteReview(req, res, next) {
+    try {
+      const review = await reviewService.findByProductForUser(req.params.productId, req.user.id);
+      if (!review) {
+        return res.status(404).json({ success: false, error: 'Review not found' });
+      }
+
+      await reviewService.deleteReview(review);
+      res.json({ success: true, message: 'Review deleted successfully' });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
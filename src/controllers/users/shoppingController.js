@@ -5,62 +5,412 @@
 // - Order history
 // - Product reviews and ratings
 
-import Stripe from 'stripe';
 import dotenv from 'dotenv';
 dotenv.config();
 
+import { body, query, validationResult } from 'express-validator';
 import userService from '../../services/userService.js';
+import cartService from '../../services/cartService.js';
+import wishlistService from '../../services/wishlistService.js';
+import orderService from '../../services/orderService.js';
+import promotionService from '../../services/promotionService.js';
+import shippingService from '../../services/shippingService.js';
+import taxService from '../../services/taxService.js';
+import currencyService from '../../services/currencyService.js';
+import { normalizeCountry } from '../../models/ShippingZone.js';
+import webhookService from '../../services/webhookService.js';
+import invoiceService from '../../services/invoiceService.js';
+import { stripe } from '../../config/stripe.js';
+import { roundMoney, toMinorUnits } from '../../utils/money.js';
+import { getPagination } from '../../utils/pagination.js';
 
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+// Customers may only cancel orders that have not started fulfilment
+const CUSTOMER_CANCELLABLE_STATUSES = ['pending', 'confirmed'];
+
+// Stripe allows checkout sessions to live between 30 minutes and 24 hours
+const CHECKOUT_SESSION_TTL_MINUTES = Math.min(
+  Math.max(parseInt(process.env.CHECKOUT_SESSION_TTL_MINUTES) || 30, 30),
+  24 * 60
+);
 
 export class ShoppingController {
-  // TODO: Implement shopping functionality
+  // Validation rules for cart operations
+  static addToCartValidation = [
+    body('productId')
+      .trim()
+      .notEmpty()
+      .withMessage('Product ID is required'),
+    body('variantId')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Variant ID must not be empty'),
+    body('quantity')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Quantity must be an integer between 1 and 100')
+  ];
+
+  // Lines of products with variants are addressed with ?variantId=
+  static cartItemValidation = [
+    query('variantId')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Variant ID must not be empty')
+  ];
+
+  static updateCartItemValidation = [
+    ...ShoppingController.cartItemValidation,
+    body('quantity')
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Quantity must be an integer between 1 and 100')
+  ];
+
+  static shippingQuoteValidation = [
+    query('country')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Country must not be empty'),
+    query('promoCode')
+      .optional()
+      .trim()
+      .isLength({ max: 32 })
+      .withMessage('Promo code must be at most 32 characters'),
+    query('currency')
+      .optional()
+      .trim()
+      .isLength({ min: 3, max: 3 })
+      .withMessage('Currency must be a three-letter currency code')
+  ];
+
+  // Validation rules for wishlist operations
+  static addToWishlistValidation = [
+    body('productId')
+      .trim()
+      .notEmpty()
+      .withMessage('Product ID is required'),
+    body('notifyBackInStock')
+      .optional()
+      .isBoolean()
+      .withMessage('notifyBackInStock must be a boolean')
+      .toBoolean(),
+    body('notifyPriceDrop')
+      .optional()
+      .isBoolean()
+      .withMessage('notifyPriceDrop must be a boolean')
+      .toBoolean()
+  ];
+
+  static updateWishlistItemValidation = [
+    body('notifyBackInStock')
+      .optional()
+      .isBoolean()
+      .withMessage('notifyBackInStock must be a boolean')
+      .toBoolean(),
+    body('notifyPriceDrop')
+      .optional()
+      .isBoolean()
+      .withMessage('notifyPriceDrop must be a boolean')
+      .toBoolean()
+  ];
+
+  // Get the user's cart, re-priced against the current catalogue
   static async getCart(req, res, next) {
-    // TODO: Get user shopping cart
-    res.status(501).json({
-      success: false,
-      message: 'Shopping cart not implemented yet'
-    });
+    try {
+      const cart = await cartService.getPricedCart(req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          cart
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
   }
 
+  // Add product to cart
   static async addToCart(req, res, next) {
-    // TODO: Add product to cart
-    res.status(501).json({
-      success: false,
-      message: 'Shopping cart not implemented yet'
-    });
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const { productId, variantId } = req.body;
+      const quantity = req.body.quantity ? parseInt(req.body.quantity, 10) : 1;
+      const cart = await cartService.addItem(req.user.id, productId, quantity, variantId || null);
+
+      res.json({
+        success: true,
+        message: 'Product added to cart',
+        data: {
+          cart
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
   }
 
+  // Update cart item quantity
   static async updateCartItem(req, res, next) {
-    // TODO: Update cart item quantity
-    res.status(501).json({
-      success: false,
-      message: 'Shopping cart not implemented yet'
-    });
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const quantity = parseInt(req.body.quantity, 10);
+      const cart = await cartService.updateItem(req.user.id, req.params.productId, quantity, req.query.variantId || null);
+
+      res.json({
+        success: true,
+        message: 'Cart item updated',
+        data: {
+          cart
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
   }
 
+  // Remove item from cart
   static async removeFromCart(req, res, next) {
-    // TODO: Remove item from cart
-    res.status(501).json({
-      success: false,
-      message: 'Shopping cart not implemented yet'
-    });
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const cart = await cartService.removeItem(req.user.id, req.params.productId, req.query.variantId || null);
+
+      res.json({
+        success: true,
+        message: 'Product removed from cart',
+        data: {
+          cart
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
   }
 
+  // Remove all items from cart
+  static async clearCart(req, res, next) {
+    try {
+      const cart = await cartService.clearCart(req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Cart cleared',
+        data: {
+          cart
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Shipping methods and prices for the user's cart, to `country` or the
+  // country of their saved address. A promo code's free shipping is applied.
+  static async getShippingQuote(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const country = String(req.query.country || (req.user.address && req.user.address.country) || '').trim();
+      if (!normalizeCountry(country)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Country is required',
+            details: 'Pass ?country= or save an address first'
+          }
+        });
+      }
+
+      const currency = await currencyService.resolve(req.query.currency);
+      if (!currency) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Currency not supported',
+            details: `${req.query.currency.toUpperCase()} is not one of the store's currencies`
+          }
+        });
+      }
+
+      const cart = await cartService.getCart(req.user.id);
+      const { lines, subtotal, errors: itemErrors } = await orderService.priceItems(cart.items, currency);
+      let discount = null;
+      let promoErrors = [];
+      if (req.query.promoCode) {
+        ({ discount, errors: promoErrors } = await promotionService.applyPromotion(req.query.promoCode, {
+          userId: req.user.id,
+          lines,
+          currency
+        }));
+      }
+
+      const orderValue = roundMoney(subtotal - (discount ? discount.amount : 0));
+      const quote = await shippingService.quote({
+        lines,
+        orderValue,
+        country,
+        freeShipping: Boolean(discount && discount.freeShipping),
+        currency
+      });
+
+      res.json({
+        success: true,
+        data: {
+          shipping: {
+            country,
+            // False when no shipping zone covers the country
+            available: !quote.configured || Boolean(quote.zone),
+            zone: quote.zone,
+            weight: quote.weight,
+            currency: currency.code,
+            orderValue,
+            methods: quote.methods,
+            // Cart lines that cannot be bought and promo code problems
+            warnings: [...itemErrors, ...promoErrors]
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get the user's wishlist with live product info
   static async getWishlist(req, res, next) {
-    // TODO: Get user wishlist
-    res.status(501).json({
-      success: false,
-      message: 'Wishlist not implemented yet'
-    });
+    try {
+      const wishlist = await wishlistService.getWishlistWithProducts(req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          wishlist
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
   }
 
+  // Add product to wishlist, optionally with back-in-stock and price-drop alerts
   static async addToWishlist(req, res, next) {
-    // TODO: Add product to wishlist
-    res.status(501).json({
-      success: false,
-      message: 'Wishlist not implemented yet'
-    });
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const { productId, notifyBackInStock, notifyPriceDrop } = req.body;
+      const wishlist = await wishlistService.addItem(req.user, productId, { notifyBackInStock, notifyPriceDrop });
+
+      res.json({
+        success: true,
+        message: 'Product added to wishlist',
+        data: {
+          wishlist
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Turn alerts on or off for a wishlisted product
+  static async updateWishlistItem(req, res, next) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Validation Error',
+            details: errors.array().map(err => err.msg)
+          }
+        });
+      }
+
+      const { notifyBackInStock, notifyPriceDrop } = req.body;
+      const wishlist = await wishlistService.updateItem(req.user, req.params.productId, { notifyBackInStock, notifyPriceDrop });
+
+      res.json({
+        success: true,
+        message: 'Wishlist item updated',
+        data: {
+          wishlist
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Remove product from wishlist
+  static async removeFromWishlist(req, res, next) {
+    try {
+      const wishlist = await wishlistService.removeItem(req.user.id, req.params.productId);
+
+      res.json({
+        success: true,
+        message: 'Product removed from wishlist',
+        data: {
+          wishlist
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
   }
 
   static async getOrderHistory(req, res, next) {
@@ -75,32 +425,16 @@ export class ShoppingController {
   static async getOrders(req, res, next) {
     try {
       const userId = req.user.id;
-      const { page = 1, limit = 20, status, search } = req.query;
-      const offset = (parseInt(page) - 1) * parseInt(limit);
-      const { containers } = await import('../../config/cosmos.js');
-      const Order = (await import('../../models/Order.js')).Order;
-      let query = `SELECT * FROM c WHERE c.userId = @userId`;
-      const parameters = [{ name: '@userId', value: userId }];
-      if (status) {
-        query += ' AND c.status = @status';
-        parameters.push({ name: '@status', value: status });
-      }
-      if (search) {
-        query += ' AND CONTAINS(c.metadata.order_ref, @search, true)';
-        parameters.push({ name: '@search', value: search });
-      }
-      query += ' ORDER BY c.createdAt DESC OFFSET @offset LIMIT @limit';
-      parameters.push({ name: '@offset', value: offset });
-      parameters.push({ name: '@limit', value: parseInt(limit) });
-      const querySpec = { query, parameters };
-      const { resources } = await containers.orders.items.query(querySpec).fetchAll();
+      const { status, search } = req.query;
+      // page/limit/total/totalPages for offset pages, limit/nextCursor for cursor pages
+      const { orders, ...pageInfo } = await orderService.listOrders(
+        { userId, status, search },
+        getPagination(req.query, { defaultLimit: 20 })
+      );
       res.json({
         success: true,
-        orders: resources.map(doc => Order.fromDocument(doc)),
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: resources.length,
-        totalPages: Math.ceil(resources.length / limit),
+        orders: orders.map(order => order.toCustomerInfo()),
+        ...pageInfo
       });
     } catch (error) {
       next(error);
@@ -118,122 +452,335 @@ export class ShoppingController {
       if (!resource) {
         return res.status(404).json({ success: false, error: 'Order not found' });
       }
-      res.json({ success: true, order: Order.fromDocument(resource) });
+      res.json({ success: true, order: Order.fromDocument(resource).toCustomerInfo() });
     } catch (error) {
       next(error);
     }
   }
 
+  // Download the invoice PDF of one of the user's paid orders
+  static async getOrderInvoice(req, res, next) {
+    try {
+      const order = await orderService.findByIdForUser(req.params.id, req.user.id);
+      if (!order) {
+        return res.status(404).json({ success: false, error: 'Order not found' });
+      }
+      if (!invoiceService.canInvoice(order)) {
+        return res.status(409).json({ success: false, error: 'An invoice is available once the order has been paid' });
+      }
+
+      const { invoice, pdf } = await invoiceService.getInvoice(order);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${invoice.number}.pdf"`
+      });
+      res.send(pdf);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Cancel an order before it is fulfilled (customer)
+  // Paid orders are refunded automatically and their stock is released.
+  static async cancelOrder(req, res, next) {
+    try {
+      const order = await orderService.findByIdForUser(req.params.id, req.user.id);
+      if (!order) {
+        return res.status(404).json({ success: false, error: 'Order not found' });
+      }
+      if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+        return res.status(409).json({
+          success: false,
+          error: `Orders that are ${order.status} can no longer be cancelled`
+        });
+      }
+
+      const cancelledOrder = await orderService.cancelOrder(order, {
+        actorId: req.user.id,
+        actorRole: 'customer',
+        reason: req.body.reason || 'Cancelled by customer'
+      });
+
+      res.json({
+        success: true,
+        message: 'Order cancelled successfully',
+        order: cancelledOrder.toCustomerInfo()
+      });
+    } catch (error) {
+      if (error.type && error.type.startsWith('Stripe')) {
+        return res.status(502).json({ success: false, error: 'We could not refund your payment. Please try again or contact support.' });
+      }
+      next(error);
+    }
+  }
+
   // Create Stripe Checkout Session and Order
+  // Prices, names and totals are always taken from the catalogue; the client
+  // only says which products it wants and how many. Without `items` the
+  // user's saved cart is checked out. An optional `promoCode` is checked
+  // here and passed to Stripe as a one-off coupon. Shipping is charged for
+  // `shippingMethodId` (or the cheapest method) to the address's country,
+  // and tax at that country's rates. Everything is priced and charged in
+  // `currency` (default the store currency).
   static async createCheckoutSession(req, res, next) {
     try {
       const userId = req.user.id;
-      const { cartItems, customerEmail, address, total, metadata } = req.body;
-      if (!cartItems || !Array.isArray(cartItems) || cartItems.length === 0) {
+      const { items, cartItems, metadata, promoCode, shippingMethodId } = req.body;
+      const currency = await currencyService.resolve(req.body.currency);
+      if (!currency) {
+        return res.status(400).json({ success: false, error: `Currency ${String(req.body.currency).toUpperCase()} is not supported` });
+      }
+      let requestedItems = items || cartItems;
+      if (requestedItems === undefined) {
+        const cart = await cartService.getCart(userId);
+        requestedItems = cart.items;
+      }
+      if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
         return res.status(400).json({ success: false, error: 'Cart items are required' });
       }
-      if (!address) {
+      if (!req.body.address || typeof req.body.address !== 'object') {
         return res.status(400).json({ success: false, error: 'Address is required' });
       }
-      // 1. Create order in DB (pending, no stripeSessionId yet)
-      const order = await userService.createOrder({
+      // Shipping and tax are priced by country: without one the order would
+      // fall through to the rest-of-world zone and rates
+      if (typeof req.body.address.country !== 'string' || !normalizeCountry(req.body.address.country)) {
+        return res.status(400).json({ success: false, error: 'Address country is required' });
+      }
+      const address = { ...req.body.address, country: req.body.address.country.trim() };
+      // 1. Re-read every product and price the lines server-side in the chosen currency
+      const priced = await orderService.priceItems(requestedItems, currency);
+      if (priced.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Some items cannot be purchased',
+          details: priced.errors
+        });
+      }
+      const { subtotal } = priced;
+      let lines = priced.lines;
+      // 2. Apply the promo code, spreading its discount over the lines it covers
+      let discount = null;
+      if (promoCode !== undefined && promoCode !== null && promoCode !== '') {
+        const applied = await promotionService.applyPromotion(String(promoCode), { userId, lines, currency });
+        if (applied.errors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'Promo code cannot be applied',
+            details: applied.errors
+          });
+        }
+        ({ lines, discount } = applied);
+      }
+      const discountTotal = discount ? discount.amount : 0;
+      // 3. Work out shipping to the delivery country
+      const { shipping, errors: shippingErrors } = await shippingService.selectMethod({
+        lines,
+        orderValue: roundMoney(subtotal - discountTotal),
+        country: address.country,
+        freeShipping: Boolean(discount && discount.freeShipping),
+        currency,
+        methodId: shippingMethodId || null
+      });
+      if (shippingErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Shipping is not available',
+          details: shippingErrors
+        });
+      }
+      const shippingTotal = shipping ? shipping.price : 0;
+      // 4. Work out tax for the delivery country on the discounted lines and shipping
+      const tax = await taxService.calculate({ lines, shipping, country: address.country });
+      lines = tax.lines;
+      if (shipping && tax.shippingTax) {
+        shipping.tax = tax.shippingTax;
+      }
+      // 5. Create order in DB (pending, no stripeSessionId yet)
+      const orderRef = `ORD-${Date.now()}`;
+      const total = roundMoney(subtotal - discountTotal + shippingTotal + tax.addedTax);
+      const pendingOrder = await userService.createOrder({
         userId,
-        items: cartItems,
+        items: lines,
         address,
+        subtotal,
+        discountTotal,
+        discount,
+        shippingTotal,
+        shipping,
+        taxTotal: tax.taxTotal,
+        taxLines: tax.taxLines,
         total,
+        currency: currency.code,
+        exchangeRate: currency.rate,
+        baseTotal: roundMoney(total / currency.rate),
         status: 'pending',
         stripeSessionId: undefined,
-        customerEmail,
-        metadata,
+        customerEmail: req.user.email,
+        customerName: `${req.user.firstName} ${req.user.lastName}`.trim(),
+        metadata: { ...metadata, order_ref: orderRef },
       });
-      // 2. Create Stripe Checkout Session, using order.id as client_reference_id
-      const line_items = cartItems.map(item => ({
+      // 6. Reserve stock for every line; concurrent buyers are resolved by ETag
+      let order;
+      try {
+        order = await orderService.reserveStock(pendingOrder);
+      } catch (error) {
+        await orderService.deleteOrder(pendingOrder);
+        if (error.message && error.message.startsWith('Insufficient stock')) {
+          return res.status(409).json({ success: false, error: error.message });
+        }
+        throw error;
+      }
+      // 7. Take one use of the promo code, also resolved by ETag
+      try {
+        order = await orderService.reserveDiscount(order);
+      } catch (error) {
+        await orderService.releaseStock(order);
+        await orderService.deleteOrder(order);
+        if (error.message && error.message.startsWith('Promo code')) {
+          return res.status(409).json({ success: false, error: error.message });
+        }
+        throw error;
+      }
+      // 8. Create Stripe Checkout Session, using order.id as client_reference_id
+      const line_items = lines.map(line => ({
         price_data: {
-          currency: 'gbp',
-          unit_amount: Math.round(item.price * 100),
+          currency: order.currency,
+          unit_amount: toMinorUnits(line.unitPrice),
           product_data: {
-            name: item.name,
-            description: item.description && item.description.trim() ? item.description : 'No description provided',
-            images: item.images || [],
+            name: line.name,
+            images: line.image ? [line.image] : [],
+            metadata: { productId: line.productId, variantId: line.variantId || '', sku: line.sku },
           },
         },
-        quantity: item.quantity,
+        quantity: line.quantity,
       }));
-      const session = await stripe.checkout.sessions.create({
-        mode: 'payment',
-        payment_method_types: ['card'],
-        line_items,
-        customer_email: customerEmail,
-        success_url: `${process.env.CLIENT_SUCCESS_URL}?session_id={CHECKOUT_SESSION_ID}`,
-        cancel_url: process.env.CLIENT_CANCEL_URL,
-        client_reference_id: order.id,
-        metadata: {
-          order_ref: `ORD-${Date.now()}`,
-          address: JSON.stringify(address),
-        },
+      // Tax added on top of tax-exclusive prices is charged as its own line;
+      // tax included in prices is noted next to the pay button
+      const addedTaxLines = order.taxLines.filter(taxLine => !taxLine.inclusive);
+      const includedTaxLines = order.taxLines.filter(taxLine => taxLine.inclusive);
+      addedTaxLines.forEach(taxLine => {
+        line_items.push({
+          price_data: {
+            currency: order.currency,
+            unit_amount: toMinorUnits(taxLine.amount),
+            product_data: { name: `${taxLine.name} (${taxLine.rate}%)` },
+          },
+          quantity: 1,
+        });
+      });
+      let session;
+      try {
+        // Stripe takes the discount off the whole session as a single-use coupon
+        let discounts;
+        if (order.discountTotal > 0) {
+          const coupon = await stripe.coupons.create({
+            amount_off: toMinorUnits(order.discountTotal),
+            currency: order.currency,
+            duration: 'once',
+            max_redemptions: 1,
+            name: order.discount.code,
+            metadata: { orderId: order.id, promotionId: order.discount.promotionId },
+          }, { idempotencyKey: `coupon_${order.id}` });
+          discounts = [{ coupon: coupon.id }];
+        }
+        // The shipping method was chosen before checkout, so it is the only option
+        let shipping_options;
+        if (order.shipping) {
+          shipping_options = [{
+            shipping_rate_data: {
+              type: 'fixed_amount',
+              fixed_amount: { amount: toMinorUnits(order.shippingTotal), currency: order.currency },
+              display_name: order.shipping.name,
+              ...(order.shipping.minDays !== null && order.shipping.maxDays !== null && {
+                delivery_estimate: {
+                  minimum: { unit: 'business_day', value: order.shipping.minDays },
+                  maximum: { unit: 'business_day', value: order.shipping.maxDays },
+                },
+              }),
+            },
+          }];
+        }
+        session = await stripe.checkout.sessions.create({
+          mode: 'payment',
+          payment_method_types: ['card'],
+          line_items,
+          ...(discounts && { discounts }),
+          ...(shipping_options && { shipping_options }),
+          ...(includedTaxLines.length > 0 && {
+            custom_text: {
+              submit: {
+                message: `Prices include ${includedTaxLines
+                  .map(taxLine => `${taxLine.name} (${taxLine.rate}%) of ${taxLine.amount.toFixed(2)} ${order.currency.toUpperCase()}`)
+                  .join(', ')}`,
+              },
+            },
+          }),
+          customer_email: order.customerEmail,
+          success_url: `${process.env.CLIENT_SUCCESS_URL}?session_id={CHECKOUT_SESSION_ID}`,
+          cancel_url: process.env.CLIENT_CANCEL_URL,
+          client_reference_id: order.id,
+          // Reserved stock is released when Stripe reports the session expired
+          expires_at: Math.floor(Date.now() / 1000) + CHECKOUT_SESSION_TTL_MINUTES * 60,
+          metadata: {
+            order_ref: orderRef,
+            userId,
+            address: JSON.stringify(address),
+          },
+        });
+      } catch (error) {
+        await orderService.releaseStock(order);
+        await orderService.deleteOrder(order);
+        throw error;
+      }
+      // 9. Update order with stripeSessionId in Cosmos DB
+      order = await orderService.saveOrder(order, current => {
+        current.stripeSessionId = session.id;
+      });
+      // 10. Return Checkout URL with the authoritative totals
+      return res.status(200).json({
+        url: session.url,
+        orderId: order.id,
+        subtotal: order.subtotal,
+        discountTotal: order.discountTotal,
+        discount: order.discount,
+        shippingTotal: order.shippingTotal,
+        shipping: order.shipping,
+        taxTotal: order.taxTotal,
+        taxLines: order.taxLines,
+        total: order.total,
+        currency: order.currency,
+        baseTotal: order.baseTotal,
+        baseCurrency: order.baseCurrency,
       });
-      // 3. Update order with stripeSessionId in Cosmos DB
-      const updatedOrderDoc = {
-        ...order.toDocument(),
-        stripeSessionId: session.id,
-        updatedAt: new Date().toISOString(),
-      };
-      const { containers } = await import('../../config/cosmos.js');
-      await containers.orders.item(order.id, userId).replace(updatedOrderDoc);
-      // 4. Return Checkout URL
-      return res.status(200).json({ url: session.url });
     } catch (error) {
       console.error('Checkout Error:', error);
+      if (error.message && error.message.startsWith('Order validation failed')) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
       return res.status(500).json({ error: 'Internal Server Error' });
     }
   }
 
   // Stripe Webhook Handler
+  // Each event is logged by its Stripe ID before it is handled, so
+  // redeliveries of an event that was already processed are no-ops.
   static async handleStripeWebhook(req, res, next) {
     const sig = req.headers['stripe-signature'];
     let event;
     try {
-      event = stripe.webhooks.constructEvent(
-        req.body,
-        sig,
-        process.env.STRIPE_WEBHOOK_SECRET
-      );
+      event = webhookService.constructEvent(req.body, sig);
     } catch (err) {
       console.error('Webhook signature verification failed:', err.message);
       return res.status(400).send(`Webhook Error: ${err.message}`);
     }
-    
-    if (event.type === 'checkout.session.completed') {
-      const session = event.data.object;
-      const orderId = session.client_reference_id;
-      console.log('Processing checkout.session.completed for order:', orderId);
-      
-      if (orderId) {
-        try {
-          const { containers } = await import('../../config/cosmos.js');
-          // First, find the order by scanning (since we don't know the partition key)
-          const querySpec = {
-            query: 'SELECT * FROM c WHERE c.id = @id',
-            parameters: [{ name: '@id', value: orderId }]
-          };
-          const { resources } = await containers.orders.items.query(querySpec).fetchAll();
-          
-          if (resources && resources.length > 0) {
-            const orderDoc = resources[0];
-            // Update status to confirmed using the correct partition key (userId)
-            orderDoc.status = 'confirmed';
-            orderDoc.updatedAt = new Date().toISOString();
-            await containers.orders.item(orderId, orderDoc.userId).replace(orderDoc);
-            console.log('Order marked as confirmed:', orderId);
-          } else {
-            console.error('Order not found:', orderId);
-          }
-        } catch (error) {
-          console.error('Error updating order status:', error);
-        }
-      }
+
+    try {
+      const result = await webhookService.processEvent(event);
+      res.json({ received: true, duplicate: result.duplicate });
+    } catch (error) {
+      // A non-2xx response makes Stripe retry the delivery later
+      console.error(`Error processing webhook event ${event.id} (${event.type}):`, error);
+      res.status(500).json({ received: false });
     }
-    
-    res.json({ received: true });
   }
-} 
\ No newline at end of file
+}
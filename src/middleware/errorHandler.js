@@ -32,6 +32,10 @@ export function errorHandler(err, req, res, next) {
     statusCode = 409;
     message = 'Conflict';
     error = err.message;
+  } else if (err.message && err.message.includes('Invalid status transition')) {
+    statusCode = 409;
+    message = 'Conflict';
+    error = err.message;
   } else if (err.message && err.message.includes('Invalid token')) {
     statusCode = 401;
     message = 'Authentication Error';
@@ -0,0 +1,111 @@
+import { isSameLine } from './Order.js';
+
+export class Cart {
+  constructor(data = {}) {
+    this.userId = data.userId;
+    this.id = data.id || this.generateId();
+    this.items = data.items || [];
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  // One cart per user, so the ID is derived from the user ID
+  generateId() {
+    return `cart_${this.userId}`;
+  }
+
+  // Validate cart data
+  validate() {
+    const errors = [];
+
+    if (!this.userId) {
+      errors.push('User ID is required');
+    }
+
+    if (!Array.isArray(this.items)) {
+      errors.push('Cart items must be an array');
+    } else {
+      this.items.forEach((item, index) => {
+        if (!item.productId) {
+          errors.push(`Item ${index + 1}: product ID is required`);
+        }
+        if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+          errors.push(`Item ${index + 1}: quantity must be a positive integer`);
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  // Find a line by product ID (and variant ID for products with variants)
+  findItem(productId, variantId = null) {
+    return this.items.find(item => isSameLine(item, productId, variantId));
+  }
+
+  // Add a product to the cart (increments quantity if already present)
+  addItem(productId, quantity, variantId = null) {
+    const existing = this.findItem(productId, variantId);
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      this.items.push({
+        productId,
+        variantId,
+        quantity,
+        addedAt: new Date().toISOString()
+      });
+    }
+    this.updatedAt = new Date().toISOString();
+  }
+
+  // Set the quantity of an existing line
+  setItemQuantity(productId, quantity, variantId = null) {
+    const existing = this.findItem(productId, variantId);
+    if (!existing) {
+      throw new Error('Cart item not found');
+    }
+    existing.quantity = quantity;
+    this.updatedAt = new Date().toISOString();
+  }
+
+  // Remove a line from the cart
+  removeItem(productId, variantId = null) {
+    const index = this.items.findIndex(item => isSameLine(item, productId, variantId));
+    if (index === -1) {
+      throw new Error('Cart item not found');
+    }
+    this.items.splice(index, 1);
+    this.updatedAt = new Date().toISOString();
+  }
+
+  // Remove all lines
+  clear() {
+    this.items = [];
+    this.updatedAt = new Date().toISOString();
+  }
+
+  // Convert to Cosmos DB document
+  toDocument() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      items: this.items,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  // Create from Cosmos DB document
+  static fromDocument(doc) {
+    return new Cart({
+      id: doc.id,
+      userId: doc.userId,
+      items: doc.items,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt
+    });
+  }
+}
+
+export default Cart;
@@ -0,0 +1,112 @@
+// Turn a name into a URL slug, e.g. "Men's T-Shirts" -> "mens-t-shirts"
+export function slugify(value) {
+  return String(value || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['\u2019]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+export class Category {
+  static SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+  constructor(data = {}) {
+    this.id = data.id || this.generateId();
+    this.name = data.name;
+    this.slug = data.slug || slugify(data.name);
+    this.parentId = data.parentId || null;
+    this.description = data.description || '';
+    this.image = data.image || null;
+    this.sortOrder = data.sortOrder !== undefined ? data.sortOrder : 0;
+    this.isActive = data.isActive !== undefined ? data.isActive : true;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  // Generate a unique ID for Cosmos DB
+  generateId() {
+    return `category_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  // Validate category data
+  validate() {
+    const errors = [];
+
+    if (!this.name) {
+      errors.push('Category name is required');
+    } else if (this.name.length < 2 || this.name.length > 50) {
+      errors.push('Category name must be between 2 and 50 characters');
+    }
+
+    if (!this.slug || !Category.SLUG_PATTERN.test(this.slug)) {
+      errors.push('Slug may only contain lowercase letters, numbers and single hyphens');
+    }
+
+    if (this.parentId && this.parentId === this.id) {
+      errors.push('A category cannot be its own parent');
+    }
+
+    if (this.description.length > 500) {
+      errors.push('Category description must be at most 500 characters');
+    }
+
+    if (!Number.isInteger(this.sortOrder)) {
+      errors.push('Sort order must be an integer');
+    }
+
+    if (typeof this.isActive !== 'boolean') {
+      errors.push('isActive must be a boolean value');
+    }
+
+    return errors;
+  }
+
+  // Convert to Cosmos DB document
+  toDocument() {
+    return {
+      id: this.id,
+      name: this.name,
+      slug: this.slug,
+      parentId: this.parentId,
+      description: this.description,
+      image: this.image,
+      sortOrder: this.sortOrder,
+      isActive: this.isActive,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  // Create from Cosmos DB document
+  static fromDocument(doc) {
+    return new Category({
+      id: doc.id,
+      name: doc.name,
+      slug: doc.slug,
+      parentId: doc.parentId,
+      description: doc.description,
+      image: doc.image,
+      sortOrder: doc.sortOrder,
+      isActive: doc.isActive,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt
+    });
+  }
+
+  // Get public category info (for customers)
+  toPublicInfo() {
+    return {
+      id: this.id,
+      name: this.name,
+      slug: this.slug,
+      parentId: this.parentId,
+      description: this.description,
+      image: this.image,
+      sortOrder: this.sortOrder
+    };
+  }
+}
+
+export default Category;
@@ -0,0 +1,84 @@
+import { roundMoney } from '../utils/money.js';
+
+// Stripe charges these in whole units; amounts here are always in hundredths
+const ZERO_DECIMAL_CURRENCIES = ['bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'];
+
+export class Currency {
+  static CODE_PATTERN = /^[a-z]{3}$/;
+
+  constructor(data = {}) {
+    this.code = String(data.code || '').trim().toLowerCase(); // ISO 4217, e.g. eur
+    this.id = this.code; // one document per currency
+    this.name = data.name || this.code.toUpperCase();
+    this.rate = data.rate; // units of this currency per unit of the store currency
+    this.isActive = data.isActive !== undefined ? data.isActive : true;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  // Validate currency data
+  validate() {
+    const errors = [];
+
+    if (!Currency.CODE_PATTERN.test(this.code)) {
+      errors.push('Currency code must be a three-letter ISO 4217 code (e.g. eur)');
+    } else if (ZERO_DECIMAL_CURRENCIES.includes(this.code)) {
+      errors.push(`Currencies without minor units (${this.code.toUpperCase()}) are not supported`);
+    }
+
+    if (!this.name || this.name.length > 50) {
+      errors.push('Currency name must be between 1 and 50 characters');
+    }
+
+    if (typeof this.rate !== 'number' || !(this.rate > 0)) {
+      errors.push('Exchange rate must be a positive number');
+    }
+
+    if (typeof this.isActive !== 'boolean') {
+      errors.push('isActive must be a boolean value');
+    }
+
+    return errors;
+  }
+
+  // An amount in the store currency, converted to this currency
+  convert(amount) {
+    return roundMoney(amount * this.rate);
+  }
+
+  // Convert to Cosmos DB document
+  toDocument() {
+    return {
+      id: this.id,
+      code: this.code,
+      name: this.name,
+      rate: this.rate,
+      isActive: this.isActive,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  // Create from Cosmos DB document
+  static fromDocument(doc) {
+    return new Currency({
+      code: doc.code,
+      name: doc.name,
+      rate: doc.rate,
+      isActive: doc.isActive,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt
+    });
+  }
+
+  // Get public currency info (for the storefront's currency picker)
+  toPublicInfo() {
+    return {
+      code: this.code,
+      name: this.name,
+      rate: this.rate
+    };
+  }
+}
+
+export default Currency;
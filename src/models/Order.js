@@ -1,16 +1,67 @@
 import { v4 as uuidv4 } from 'uuid';
+import { roundMoney, STORE_CURRENCY } from '../utils/money.js';
+
+// Allowed status transitions: status -> statuses it may move to
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'payment_failed', 'cancelled'],
+  payment_failed: ['cancelled'], // the stock has gone back; the customer orders again
+  confirmed: ['processing', 'out_for_delivery', 'cancelled', 'refunded', 'partially_refunded', 'disputed'],
+  processing: ['out_for_delivery', 'cancelled', 'refunded', 'partially_refunded', 'disputed'],
+  out_for_delivery: ['delivered', 'refunded', 'partially_refunded', 'disputed'],
+  delivered: ['refunded', 'partially_refunded', 'disputed'],
+  partially_refunded: ['processing', 'out_for_delivery', 'delivered', 'refunded', 'disputed'],
+  disputed: ['confirmed', 'processing', 'out_for_delivery', 'delivered', 'refunded'],
+  refunded: ['disputed'],
+  cancelled: []
+};
+
+// Statuses only payments move an order to: Stripe webhooks confirm, fail
+// and dispute, and refunds go through the refunds endpoint. An admin
+// cannot set them by hand.
+const PAYMENT_STATUSES = ['confirmed', 'payment_failed', 'refunded', 'partially_refunded', 'disputed'];
+
+// Whether an item (refund, shipment or return line) refers to the given
+// product and variant; lines without variants have no variantId
+export function isSameLine(item, productId, variantId = null) {
+  return item.productId === productId && (item.variantId || null) === (variantId || null);
+}
 
 export class Order {
+  static STATUSES = Object.keys(STATUS_TRANSITIONS);
+  static STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
   constructor(data = {}) {
     this.id = data.id || this.generateId();
     this.userId = data.userId;
     this.items = data.items || [];
     this.address = data.address || {};
     this.status = data.status || 'pending';
+    this.subtotal = data.subtotal || 0;
+    this.discountTotal = data.discountTotal || 0;
+    this.discount = data.discount || null; // promo code applied at checkout
+    this.shippingTotal = data.shippingTotal || 0;
+    this.shipping = data.shipping || null; // shipping method chosen at checkout
+    this.taxTotal = data.taxTotal || 0; // all tax, whether included in prices or added
+    this.taxLines = data.taxLines || []; // [{ name, rate, inclusive, taxable, amount }]
     this.total = data.total || 0;
+    // Amounts are in the currency the customer paid in. `exchangeRate` is
+    // how many units of it one unit of the store currency bought at
+    // checkout; `baseTotal` is the total in the store currency.
+    this.currency = data.currency || STORE_CURRENCY;
+    this.exchangeRate = data.exchangeRate || 1;
+    this.baseCurrency = data.baseCurrency || STORE_CURRENCY;
+    this.baseTotal = data.baseTotal !== undefined ? data.baseTotal : this.total;
     this.stripeSessionId = data.stripeSessionId || null;
+    this.stockStatus = data.stockStatus || null; // reserved | committed | released
+    this.paymentIntentId = data.paymentIntentId || null;
+    this.paymentStatus = data.paymentStatus || 'unpaid'; // unpaid | processing | paid | failed | refunded | partially_refunded | disputed
     this.customerEmail = data.customerEmail || '';
+    this.customerName = data.customerName || '';
     this.metadata = data.metadata || {};
+    this.statusHistory = data.statusHistory || [];
+    this.refunds = data.refunds || [];
+    this.amountRefunded = data.amountRefunded || 0;
+    this.shipments = data.shipments || [];
     this.createdAt = data.createdAt || new Date().toISOString();
     this.updatedAt = data.updatedAt || new Date().toISOString();
   }
@@ -22,12 +73,119 @@ export class Order {
   validate() {
     const errors = [];
     if (!this.userId) errors.push('User ID is required');
-    if (!this.items || !Array.isArray(this.items) || this.items.length === 0) errors.push('At least one item is required');
+    if (!this.items || !Array.isArray(this.items) || this.items.length === 0) {
+      errors.push('At least one item is required');
+    } else {
+      this.items.forEach((item, index) => {
+        if (!item.productId) errors.push(`Item ${index + 1}: product ID is required`);
+        if (!Number.isInteger(item.quantity) || item.quantity < 1) errors.push(`Item ${index + 1}: quantity must be a positive integer`);
+        if (typeof item.unitPrice !== 'number' || item.unitPrice <= 0) errors.push(`Item ${index + 1}: unit price must be a positive number`);
+      });
+    }
     if (!this.address || !this.address.street || !this.address.city || !this.address.country) errors.push('Valid address is required');
     if (!this.customerEmail) errors.push('Customer email is required');
+    if (!Order.STATUSES.includes(this.status)) errors.push(`Invalid status: ${this.status}`);
     return errors;
   }
 
+  // Statuses this order may move to next
+  getAllowedTransitions() {
+    return STATUS_TRANSITIONS[this.status] || [];
+  }
+
+  // Check whether the order may move to the given status
+  canTransitionTo(status) {
+    return this.getAllowedTransitions().includes(status);
+  }
+
+  // Statuses an admin may move this order to by hand
+  getManualTransitions() {
+    return this.getAllowedTransitions().filter(status => !PAYMENT_STATUSES.includes(status));
+  }
+
+  // Check whether an admin may move the order to the given status by hand
+  canTransitionManuallyTo(status) {
+    return this.getManualTransitions().includes(status);
+  }
+
+  // Move to a new status and record who did it and why.
+  // Throws if the transition is not in the allowed-transitions table.
+  transitionTo(status, { actorId = 'system', actorRole = 'system', reason = null } = {}) {
+    if (!this.canTransitionTo(status)) {
+      throw new Error(`Invalid status transition from ${this.status} to ${status}`);
+    }
+
+    const timestamp = new Date().toISOString();
+    this.statusHistory.push({
+      from: this.status,
+      to: status,
+      actorId,
+      actorRole,
+      reason,
+      timestamp
+    });
+    this.status = status;
+    this.updatedAt = timestamp;
+  }
+
+  // Amount still available to refund
+  getRefundableAmount() {
+    return roundMoney(this.total - this.amountRefunded);
+  }
+
+  // Find a line by product and variant
+  findItem(productId, variantId = null) {
+    return this.items.find(item => isSameLine(item, productId, variantId));
+  }
+
+  // Amount the customer paid for `quantity` units of a line, after its
+  // share of any promo code discount and with tax added to tax-exclusive prices
+  getPaidAmount(line, quantity = line.quantity) {
+    const lineTotal = line.lineTotal !== undefined ? line.lineTotal : line.unitPrice * line.quantity;
+    const addedTax = line.tax && !line.tax.inclusive ? line.tax.amount : 0;
+    return roundMoney((lineTotal - (line.discount || 0) + addedTax) * quantity / line.quantity);
+  }
+
+  // Quantity of a line that has not been refunded yet
+  getRefundableQuantity(productId, variantId = null) {
+    const line = this.findItem(productId, variantId);
+    return line ? line.quantity - (line.refundedQuantity || 0) : 0;
+  }
+
+  // Quantity of a line already included in shipments
+  getShippedQuantity(productId, variantId = null) {
+    return this.shipments.reduce((sum, shipment) => {
+      const item = shipment.items.find(shipped => isSameLine(shipped, productId, variantId));
+      return sum + (item ? item.quantity : 0);
+    }, 0);
+  }
+
+  // Quantity of a line still to be shipped (refunded units are not sent)
+  getUnshippedQuantity(productId, variantId = null) {
+    const line = this.findItem(productId, variantId);
+    if (!line) {
+      return 0;
+    }
+    return Math.max(line.quantity - (line.refundedQuantity || 0) - this.getShippedQuantity(productId, variantId), 0);
+  }
+
+  // Whether every line that is still owed to the customer has been shipped
+  isFullyShipped() {
+    return this.items.every(item => this.getUnshippedQuantity(item.productId, item.variantId) === 0);
+  }
+
+  // Record the initial status of a newly created order
+  recordCreation({ actorId, actorRole = 'customer', reason = 'Order created' } = {}) {
+    this.statusHistory = [{
+      from: null,
+      to: this.status,
+      actorId: actorId || this.userId,
+      actorRole,
+      reason,
+      timestamp: this.createdAt
+    }];
+  }
+
   toDocument() {
     return {
       id: this.id,
@@ -35,10 +193,29 @@ export class Order {
       items: this.items,
       address: this.address,
       status: this.status,
+      subtotal: this.subtotal,
+      discountTotal: this.discountTotal,
+      discount: this.discount,
+      shippingTotal: this.shippingTotal,
+      shipping: this.shipping,
+      taxTotal: this.taxTotal,
+      taxLines: this.taxLines,
       total: this.total,
+      currency: this.currency,
+      exchangeRate: this.exchangeRate,
+      baseCurrency: this.baseCurrency,
+      baseTotal: this.baseTotal,
       stripeSessionId: this.stripeSessionId,
+      stockStatus: this.stockStatus,
+      paymentIntentId: this.paymentIntentId,
+      paymentStatus: this.paymentStatus,
       customerEmail: this.customerEmail,
+      customerName: this.customerName,
       metadata: this.metadata,
+      statusHistory: this.statusHistory,
+      refunds: this.refunds,
+      amountRefunded: this.amountRefunded,
+      shipments: this.shipments,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -51,14 +228,44 @@ export class Order {
       items: doc.items,
       address: doc.address,
       status: doc.status,
+      subtotal: doc.subtotal,
+      discountTotal: doc.discountTotal,
+      discount: doc.discount,
+      shippingTotal: doc.shippingTotal,
+      shipping: doc.shipping,
+      taxTotal: doc.taxTotal,
+      taxLines: doc.taxLines,
       total: doc.total,
+      currency: doc.currency,
+      exchangeRate: doc.exchangeRate,
+      baseCurrency: doc.baseCurrency,
+      baseTotal: doc.baseTotal,
       stripeSessionId: doc.stripeSessionId,
+      stockStatus: doc.stockStatus,
+      paymentIntentId: doc.paymentIntentId,
+      paymentStatus: doc.paymentStatus,
       customerEmail: doc.customerEmail,
+      customerName: doc.customerName,
       metadata: doc.metadata,
+      statusHistory: doc.statusHistory,
+      refunds: doc.refunds,
+      amountRefunded: doc.amountRefunded,
+      shipments: doc.shipments,
       createdAt: doc.createdAt,
       updatedAt: doc.updatedAt
     });
   }
+
+  // Get order info for the customer who placed it (staff IDs and Stripe
+  // references are not exposed)
+  toCustomerInfo() {
+    const { stripeSessionId, paymentIntentId, ...doc } = this.toDocument();
+    return {
+      ...doc,
+      statusHistory: this.statusHistory.map(({ actorId, ...entry }) => entry),
+      refunds: this.refunds.map(({ actorId, stripeRefundId, ...refund }) => refund)
+    };
+  }
 }
 
 export default Order; 
\ No newline at end of file
@@ -1,4 +1,5 @@
 import { v4 as uuidv4 } from 'uuid';
+import { STORE_CURRENCY } from '../utils/money.js';
 
 export class Product {
   constructor(data = {}) {
@@ -7,12 +8,20 @@ export class Product {
     this.name = data.name;
     this.description = data.description;
     this.price = data.price;
+    this.prices = data.prices || {}; // prices in other currencies, e.g. { eur: 14.99 }; others are converted
     this.quantity = data.quantity || 0;
+    this.weight = data.weight || 0; // kg per unit, for shipping rates
+    this.taxInclusive = data.taxInclusive !== undefined ? data.taxInclusive : true; // whether prices include tax
     this.isActive = data.isActive !== undefined ? data.isActive : true;
     this.published = data.published !== undefined ? data.published : false;
     this.featured = data.featured !== undefined ? data.featured : false;
-    this.category = data.category;
+    this.category = data.category; // slug of the category, kept for older clients and filters
+    this.categoryId = data.categoryId || null;
     this.images = data.images || [];
+    this.options = data.options || []; // [{ name: 'Size', values: ['S', 'M', 'L'] }]
+    this.variants = data.variants || []; // [{ id, sku, options: { Size: 'M' }, price, quantity, images, isActive }]
+    this.ratingAverage = data.ratingAverage || 0; // mean of approved reviews, 0 when there are none
+    this.ratingCount = data.ratingCount || 0;
     this.createdAt = data.createdAt || new Date().toISOString();
     this.updatedAt = data.updatedAt || new Date().toISOString();
   }
@@ -51,10 +60,30 @@ export class Product {
       errors.push('Product price must be a positive number');
     }
 
+    if (!this.prices || typeof this.prices !== 'object' || Array.isArray(this.prices)) {
+      errors.push('Prices must be an object of currency codes to prices');
+    } else {
+      Object.entries(this.prices).forEach(([code, price]) => {
+        if (!/^[a-z]{3}$/.test(code) || code === STORE_CURRENCY) {
+          errors.push(`Price currency ${code} must be a lowercase currency code other than the store currency`);
+        } else if (typeof price !== 'number' || price <= 0) {
+          errors.push(`Price in ${code.toUpperCase()} must be a positive number`);
+        }
+      });
+    }
+
     if (typeof this.quantity !== 'number' || this.quantity < 0) {
       errors.push('Product quantity must be a non-negative number');
     }
 
+    if (typeof this.weight !== 'number' || this.weight < 0) {
+      errors.push('Product weight must be a non-negative number');
+    }
+
+    if (typeof this.taxInclusive !== 'boolean') {
+      errors.push('taxInclusive must be a boolean value');
+    }
+
     if (!this.category) {
       errors.push('Product category is required');
     }
@@ -67,6 +96,83 @@ export class Product {
       errors.push('Featured must be a boolean value');
     }
 
+    errors.push(...this.validateVariants());
+
+    return errors;
+  }
+
+  // Validate option definitions and variants. Every variant must pick one
+  // allowed value for each option, and no two variants may share a
+  // combination or a SKU.
+  validateVariants() {
+    const errors = [];
+
+    if (!Array.isArray(this.options)) {
+      errors.push('Options must be an array');
+      return errors;
+    }
+    const optionNames = new Set();
+    this.options.forEach((option, index) => {
+      if (!option || typeof option.name !== 'string' || !option.name.trim()) {
+        errors.push(`Option ${index + 1}: name is required`);
+        return;
+      }
+      if (optionNames.has(option.name)) {
+        errors.push(`Option ${option.name} is defined more than once`);
+      }
+      optionNames.add(option.name);
+      if (!Array.isArray(option.values) || option.values.length === 0) {
+        errors.push(`Option ${option.name}: at least one value is required`);
+      } else if (new Set(option.values).size !== option.values.length) {
+        errors.push(`Option ${option.name}: values must be unique`);
+      }
+    });
+
+    if (!Array.isArray(this.variants)) {
+      errors.push('Variants must be an array');
+      return errors;
+    }
+    if (this.variants.length > 0 && this.options.length === 0) {
+      errors.push('Variants require at least one option');
+    }
+    const combinations = new Set();
+    const skus = new Set();
+    this.variants.forEach((variant, index) => {
+      const label = `Variant ${index + 1}`;
+      if (!variant.id) errors.push(`${label}: ID is required`);
+      if (!variant.sku) {
+        errors.push(`${label}: SKU is required`);
+      } else if (skus.has(variant.sku)) {
+        errors.push(`${label}: SKU ${variant.sku} is already used by another variant`);
+      }
+      skus.add(variant.sku);
+      if (variant.price !== null && (typeof variant.price !== 'number' || variant.price <= 0)) {
+        errors.push(`${label}: price must be a positive number`);
+      }
+      if (!Number.isInteger(variant.quantity) || variant.quantity < 0) {
+        errors.push(`${label}: quantity must be a non-negative integer`);
+      }
+      if (typeof variant.isActive !== 'boolean') {
+        errors.push(`${label}: isActive must be a boolean value`);
+      }
+
+      const selected = variant.options || {};
+      const unknown = Object.keys(selected).filter(name => !optionNames.has(name));
+      if (unknown.length > 0) {
+        errors.push(`${label}: unknown option ${unknown.join(', ')}`);
+      }
+      this.options.forEach(option => {
+        if (!Array.isArray(option.values) || !option.values.includes(selected[option.name])) {
+          errors.push(`${label}: ${option.name} must be one of ${(option.values || []).join(', ')}`);
+        }
+      });
+      const combination = this.getVariantLabel(variant);
+      if (combinations.has(combination)) {
+        errors.push(`${label}: another variant already has ${combination}`);
+      }
+      combinations.add(combination);
+    });
+
     return errors;
   }
 
@@ -78,12 +184,20 @@ export class Product {
       name: this.name,
       description: this.description,
       price: this.price,
+      prices: this.prices,
       quantity: this.quantity,
+      weight: this.weight,
+      taxInclusive: this.taxInclusive,
       isActive: this.isActive,
       published: this.published,
       featured: this.featured,
       category: this.category,
+      categoryId: this.categoryId,
       images: this.images,
+      options: this.options,
+      variants: this.variants,
+      ratingAverage: this.ratingAverage,
+      ratingCount: this.ratingCount,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -97,31 +211,51 @@ export class Product {
       name: doc.name,
       description: doc.description,
       price: doc.price,
+      prices: doc.prices,
       quantity: doc.quantity,
+      weight: doc.weight,
+      taxInclusive: doc.taxInclusive,
       isActive: doc.isActive,
       published: doc.published,
       featured: doc.featured,
       category: doc.category,
+      categoryId: doc.categoryId,
       images: doc.images,
+      options: doc.options,
+      variants: doc.variants,
+      ratingAverage: doc.ratingAverage,
+      ratingCount: doc.ratingCount,
       createdAt: doc.createdAt,
       updatedAt: doc.updatedAt
     });
   }
 
-  // Get public product info (for customers)
-  toPublicInfo() {
+  // Get public product info (for customers), priced in `currency` (from
+  // currencyService.resolve) or the store currency
+  toPublicInfo(currency = null) {
     return {
       id: this.id,
       sku: this.sku,
       name: this.name,
       description: this.description,
-      price: this.price,
+      price: currency ? this.getPriceIn(currency) : this.price,
+      currency: currency ? currency.code : STORE_CURRENCY,
       quantity: this.quantity,
+      weight: this.weight,
+      taxInclusive: this.taxInclusive,
       isActive: this.isActive,
       published: this.published,
       featured: this.featured,
       category: this.category,
+      categoryId: this.categoryId,
       images: this.images,
+      options: this.options,
+      availableOptions: this.getAvailableOptions(),
+      variants: this.variants
+        .filter(variant => variant.isActive)
+        .map(variant => this.toPublicVariant(variant, currency)),
+      ratingAverage: this.ratingAverage,
+      ratingCount: this.ratingCount,
       createdAt: this.createdAt
     };
   }
@@ -134,12 +268,20 @@ export class Product {
       name: this.name,
       description: this.description,
       price: this.price,
+      prices: this.prices,
       quantity: this.quantity,
+      weight: this.weight,
+      taxInclusive: this.taxInclusive,
       isActive: this.isActive,
       published: this.published,
       featured: this.featured,
       category: this.category,
+      categoryId: this.categoryId,
       images: this.images,
+      options: this.options,
+      variants: this.variants,
+      ratingAverage: this.ratingAverage,
+      ratingCount: this.ratingCount,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -160,13 +302,147 @@ export class Product {
     return this.featured && this.isPublished();
   }
 
-  // Update stock quantity
-  updateStock(newQuantity) {
+  // Update stock quantity, of one variant when `variantId` is given.
+  // Products with variants keep stock per variant; their quantity is the total.
+  updateStock(newQuantity, variantId = null) {
     if (typeof newQuantity !== 'number' || newQuantity < 0) {
       throw new Error('Quantity must be a non-negative number');
     }
-    this.quantity = newQuantity;
+    if (variantId) {
+      const variant = this.findVariant(variantId);
+      if (!variant) {
+        throw new Error('Product variant not found');
+      }
+      variant.quantity = newQuantity;
+      this.syncVariantStock();
+    } else if (this.hasVariants()) {
+      throw new Error('Validation failed: Stock for this product is managed per variant');
+    } else {
+      this.quantity = newQuantity;
+    }
+    this.updatedAt = new Date().toISOString();
+  }
+
+  // Check if the product is sold in variants
+  hasVariants() {
+    return this.variants.length > 0;
+  }
+
+  // Find a variant by ID
+  findVariant(variantId) {
+    return this.variants.find(variant => variant.id === variantId);
+  }
+
+  // Option values of a variant in option order, e.g. "M / Red"
+  getVariantLabel(variant) {
+    const selected = variant.options || {};
+    return this.options.map(option => selected[option.name]).filter(Boolean).join(' / ');
+  }
+
+  // Name for an order or cart line, including the variant's options
+  getLineName(variant = null) {
+    return variant ? `${this.name} (${this.getVariantLabel(variant)})` : this.name;
+  }
+
+  // Price of a variant (its override, or the product price)
+  getVariantPrice(variant = null) {
+    return variant && variant.price !== null && variant.price !== undefined ? variant.price : this.price;
+  }
+
+  // Price of a variant in a currency (from currencyService.resolve): the
+  // product's own price in that currency when it has one, else the store
+  // price converted at the currency's rate. Variants with their own price
+  // are always converted.
+  getPriceIn(currency, variant = null) {
+    const variantPriced = variant && variant.price !== null && variant.price !== undefined;
+    if (!variantPriced && this.prices[currency.code] !== undefined) {
+      return this.prices[currency.code];
+    }
+    return currency.convert(this.getVariantPrice(variant));
+  }
+
+  // Check if a variant can be bought
+  isVariantAvailable(variant) {
+    return Boolean(variant && variant.isActive && variant.quantity > 0);
+  }
+
+  // Option values for which at least one active variant is in stock
+  getAvailableOptions() {
+    return this.options.map(option => ({
+      name: option.name,
+      values: option.values.filter(value => this.variants.some(variant =>
+        this.isVariantAvailable(variant) && variant.options[option.name] === value
+      ))
+    }));
+  }
+
+  // Get public variant info (for customers)
+  toPublicVariant(variant, currency = null) {
+    return {
+      id: variant.id,
+      sku: variant.sku,
+      options: variant.options,
+      label: this.getVariantLabel(variant),
+      price: currency ? this.getPriceIn(currency, variant) : this.getVariantPrice(variant),
+      quantity: variant.quantity,
+      inStock: this.isVariantAvailable(variant),
+      images: variant.images
+    };
+  }
+
+  // Add a variant. The SKU defaults to the product SKU plus the option values.
+  addVariant(data = {}) {
+    const variant = {
+      id: data.id || `variant_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      sku: data.sku,
+      options: data.options || {},
+      price: data.price !== undefined ? data.price : null,
+      quantity: data.quantity || 0,
+      images: data.images || [],
+      isActive: data.isActive !== undefined ? data.isActive : true
+    };
+    if (!variant.sku) {
+      const suffix = this.getVariantLabel(variant).toUpperCase().replace(/[^A-Z0-9]+/g, '-').replace(/^-|-$/g, '');
+      variant.sku = `${this.sku}-${suffix}`;
+    }
+    this.variants.push(variant);
+    this.syncVariantStock();
+    this.updatedAt = new Date().toISOString();
+    return variant;
+  }
+
+  // Change a variant's SKU, options, price, stock, images or status
+  updateVariant(variantId, data = {}) {
+    const variant = this.findVariant(variantId);
+    if (!variant) {
+      throw new Error('Product variant not found');
+    }
+    ['sku', 'options', 'price', 'quantity', 'images', 'isActive'].forEach(field => {
+      if (data[field] !== undefined) variant[field] = data[field];
+    });
+    this.syncVariantStock();
     this.updatedAt = new Date().toISOString();
+    return variant;
+  }
+
+  // Remove a variant
+  removeVariant(variantId) {
+    const index = this.variants.findIndex(variant => variant.id === variantId);
+    if (index === -1) {
+      throw new Error('Product variant not found');
+    }
+    this.variants.splice(index, 1);
+    this.syncVariantStock();
+    this.updatedAt = new Date().toISOString();
+  }
+
+  // Keep the product quantity equal to the stock of its active variants
+  syncVariantStock() {
+    if (this.hasVariants()) {
+      this.quantity = this.variants
+        .filter(variant => variant.isActive)
+        .reduce((sum, variant) => sum + variant.quantity, 0);
+    }
   }
 
   // Add image to product
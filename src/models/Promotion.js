@@ -0,0 +1,168 @@
+// Discount types: percentage off, a fixed amount off, or free shipping
+const TYPES = ['percentage', 'fixed_amount', 'free_shipping'];
+
+// Normalise a promo code as customers may type it ("summer-10 " -> "SUMMER-10")
+export function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+export class Promotion {
+  static TYPES = TYPES;
+  static CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+  constructor(data = {}) {
+    this.id = data.id || this.generateId();
+    this.code = normalizeCode(data.code);
+    this.description = data.description || '';
+    this.type = data.type;
+    this.value = data.value !== undefined ? data.value : 0;
+    this.startsAt = data.startsAt || null;
+    this.endsAt = data.endsAt || null;
+    this.usageLimit = data.usageLimit || null; // total uses across all customers
+    this.perUserLimit = data.perUserLimit || null; // uses per customer
+    this.minimumSpend = data.minimumSpend || 0;
+    this.productIds = data.productIds || [];
+    this.categoryIds = data.categoryIds || [];
+    this.usageCount = data.usageCount || 0;
+    this.isActive = data.isActive !== undefined ? data.isActive : true;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  // Generate a unique ID for Cosmos DB
+  generateId() {
+    return `promo_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  // Validate promotion data
+  validate() {
+    const errors = [];
+
+    if (!Promotion.CODE_PATTERN.test(this.code)) {
+      errors.push('Code must be 3-32 letters, numbers, hyphens or underscores');
+    }
+
+    if (!TYPES.includes(this.type)) {
+      errors.push(`Type must be one of: ${TYPES.join(', ')}`);
+    } else if (this.type === 'percentage' && !(this.value > 0 && this.value <= 100)) {
+      errors.push('Percentage must be greater than 0 and at most 100');
+    } else if (this.type === 'fixed_amount' && !(this.value > 0)) {
+      errors.push('Amount must be greater than 0');
+    }
+
+    if (this.description.length > 200) {
+      errors.push('Description must be at most 200 characters');
+    }
+
+    if (this.startsAt && isNaN(Date.parse(this.startsAt))) {
+      errors.push('Start date must be a valid date');
+    }
+    if (this.endsAt && isNaN(Date.parse(this.endsAt))) {
+      errors.push('End date must be a valid date');
+    }
+    if (this.startsAt && this.endsAt && Date.parse(this.endsAt) <= Date.parse(this.startsAt)) {
+      errors.push('End date must be after the start date');
+    }
+
+    if (this.usageLimit !== null && !(Number.isInteger(this.usageLimit) && this.usageLimit > 0)) {
+      errors.push('Usage limit must be a positive integer');
+    }
+    if (this.perUserLimit !== null && !(Number.isInteger(this.perUserLimit) && this.perUserLimit > 0)) {
+      errors.push('Per-customer limit must be a positive integer');
+    }
+    if (typeof this.minimumSpend !== 'number' || this.minimumSpend < 0) {
+      errors.push('Minimum spend must be a non-negative number');
+    }
+
+    if (!Array.isArray(this.productIds) || !Array.isArray(this.categoryIds)) {
+      errors.push('Product and category IDs must be lists');
+    }
+
+    if (typeof this.isActive !== 'boolean') {
+      errors.push('isActive must be a boolean value');
+    }
+
+    return errors;
+  }
+
+  // Whether the promotion can be used at the given time
+  isRedeemableAt(date = new Date()) {
+    const time = date.getTime();
+    return this.isActive &&
+      (!this.startsAt || Date.parse(this.startsAt) <= time) &&
+      (!this.endsAt || Date.parse(this.endsAt) > time);
+  }
+
+  // Whether every use allowed by the usage limit has been taken
+  isUsedUp() {
+    return this.usageLimit !== null && this.usageCount >= this.usageLimit;
+  }
+
+  // Current state for admins: inactive, scheduled, expired, used_up or active
+  getStatus(date = new Date()) {
+    if (!this.isActive) return 'inactive';
+    if (this.startsAt && Date.parse(this.startsAt) > date.getTime()) return 'scheduled';
+    if (this.endsAt && Date.parse(this.endsAt) <= date.getTime()) return 'expired';
+    if (this.isUsedUp()) return 'used_up';
+    return 'active';
+  }
+
+  // Whether the promotion is limited to some products or categories
+  isScoped() {
+    return this.productIds.length > 0 || this.categoryIds.length > 0;
+  }
+
+  // Convert to Cosmos DB document
+  toDocument() {
+    return {
+      id: this.id,
+      code: this.code,
+      description: this.description,
+      type: this.type,
+      value: this.value,
+      startsAt: this.startsAt,
+      endsAt: this.endsAt,
+      usageLimit: this.usageLimit,
+      perUserLimit: this.perUserLimit,
+      minimumSpend: this.minimumSpend,
+      productIds: this.productIds,
+      categoryIds: this.categoryIds,
+      usageCount: this.usageCount,
+      isActive: this.isActive,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  // Promotion info for admins, with its current status
+  toAdminInfo() {
+    return {
+      ...this.toDocument(),
+      status: this.getStatus()
+    };
+  }
+
+  // Create from Cosmos DB document
+  static fromDocument(doc) {
+    return new Promotion({
+      id: doc.id,
+      code: doc.code,
+      description: doc.description,
+      type: doc.type,
+      value: doc.value,
+      startsAt: doc.startsAt,
+      endsAt: doc.endsAt,
+      usageLimit: doc.usageLimit,
+      perUserLimit: doc.perUserLimit,
+      minimumSpend: doc.minimumSpend,
+      productIds: doc.productIds,
+      categoryIds: doc.categoryIds,
+      usageCount: doc.usageCount,
+      isActive: doc.isActive,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt
+    });
+  }
+}
+
+export default Promotion;
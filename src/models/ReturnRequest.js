@@ -0,0 +1,164 @@
+// Allowed status transitions: status -> statuses it may move to
+const STATUS_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received', 'rejected'],
+  received: [],
+  rejected: []
+};
+
+// Reasons a customer can give for returning a line
+const REASONS = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'];
+
+export class ReturnRequest {
+  static STATUSES = Object.keys(STATUS_TRANSITIONS);
+  static STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+  static REASONS = REASONS;
+
+  constructor(data = {}) {
+    this.id = data.id || this.generateId();
+    this.orderId = data.orderId;
+    this.userId = data.userId;
+    this.customerEmail = data.customerEmail || '';
+    this.items = data.items || []; // [{ productId, name, quantity, unitPrice }]
+    this.reason = data.reason;
+    this.comments = data.comments || '';
+    this.photos = data.photos || []; // [{ fileName, contentType }] in the private blob container
+    this.status = data.status || 'requested';
+    this.statusHistory = data.statusHistory || [];
+    this.adminNotes = data.adminNotes || '';
+    this.refund = data.refund || null; // { id, amount, restocked } once received
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  generateId() {
+    return `return_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  validate() {
+    const errors = [];
+    if (!this.orderId) errors.push('Order ID is required');
+    if (!this.userId) errors.push('User ID is required');
+    if (!Array.isArray(this.items) || this.items.length === 0) {
+      errors.push('At least one item is required');
+    } else {
+      this.items.forEach((item, index) => {
+        if (!item.productId) errors.push(`Item ${index + 1}: product ID is required`);
+        if (!Number.isInteger(item.quantity) || item.quantity < 1) errors.push(`Item ${index + 1}: quantity must be a positive integer`);
+      });
+    }
+    if (!REASONS.includes(this.reason)) errors.push(`Reason must be one of: ${REASONS.join(', ')}`);
+    if (this.comments && this.comments.length > 1000) errors.push('Comments must be at most 1000 characters');
+    if (!ReturnRequest.STATUSES.includes(this.status)) errors.push(`Invalid status: ${this.status}`);
+    return errors;
+  }
+
+  // Whether the return still holds quantities against the order
+  isOpen() {
+    return ['requested', 'approved'].includes(this.status);
+  }
+
+  // Check whether the return may move to the given status
+  canTransitionTo(status) {
+    return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+  }
+
+  // Move to a new status and record who did it and why.
+  // Throws if the transition is not in the allowed-transitions table.
+  transitionTo(status, { actorId = 'system', actorRole = 'system', reason = null } = {}) {
+    if (!this.canTransitionTo(status)) {
+      throw new Error(`Invalid status transition from ${this.status} to ${status}`);
+    }
+
+    const timestamp = new Date().toISOString();
+    this.statusHistory.push({
+      from: this.status,
+      to: status,
+      actorId,
+      actorRole,
+      reason,
+      timestamp
+    });
+    this.status = status;
+    this.updatedAt = timestamp;
+  }
+
+  // Record the initial status of a newly opened return
+  recordCreation() {
+    this.statusHistory = [{
+      from: null,
+      to: this.status,
+      actorId: this.userId,
+      actorRole: 'customer',
+      reason: 'Return requested',
+      timestamp: this.createdAt
+    }];
+  }
+
+  toDocument() {
+    return {
+      id: this.id,
+      orderId: this.orderId,
+      userId: this.userId,
+      customerEmail: this.customerEmail,
+      items: this.items,
+      reason: this.reason,
+      comments: this.comments,
+      photos: this.photos,
+      status: this.status,
+      statusHistory: this.statusHistory,
+      adminNotes: this.adminNotes,
+      refund: this.refund,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  static fromDocument(doc) {
+    return new ReturnRequest({
+      id: doc.id,
+      orderId: doc.orderId,
+      userId: doc.userId,
+      customerEmail: doc.customerEmail,
+      items: doc.items,
+      reason: doc.reason,
+      comments: doc.comments,
+      photos: doc.photos,
+      status: doc.status,
+      statusHistory: doc.statusHistory,
+      adminNotes: doc.adminNotes,
+      refund: doc.refund,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt
+    });
+  }
+
+  // Photos as links to the API route under `basePath` that serves them;
+  // the blobs themselves cannot be read without signing in
+  getPhotoLinks(basePath) {
+    return this.photos.map((photo, index) => ({
+      url: `${basePath}/${this.id}/photos/${index}`,
+      contentType: photo.contentType || null
+    }));
+  }
+
+  // Get return info for admins
+  toAdminInfo() {
+    return {
+      ...this.toDocument(),
+      photos: this.getPhotoLinks('/api/admin/returns')
+    };
+  }
+
+  // Get return info for the customer who opened it (staff IDs and notes are not exposed)
+  toCustomerInfo() {
+    const { adminNotes, ...doc } = this.toDocument();
+    return {
+      ...doc,
+      photos: this.getPhotoLinks('/api/users/returns'),
+      statusHistory: this.statusHistory.map(({ actorId, ...entry }) => entry)
+    };
+  }
+}
+
+export default ReturnRequest;
@@ -0,0 +1,149 @@
+// Allowed status transitions: status -> statuses it may move to.
+// Reviews wait in `pending` until an admin approves them; a customer editing
+// their review sends it back to `pending` for another look.
+const STATUS_TRANSITIONS = {
+  pending: ['approved', 'hidden'],
+  approved: ['pending', 'hidden'],
+  hidden: ['pending', 'approved']
+};
+
+export class Review {
+  static STATUSES = Object.keys(STATUS_TRANSITIONS);
+  static STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+  constructor(data = {}) {
+    this.productId = data.productId;
+    this.userId = data.userId;
+    this.id = data.id || this.generateId();
+    this.orderId = data.orderId;
+    this.authorName = data.authorName || '';
+    this.rating = data.rating;
+    this.title = data.title || '';
+    this.body = data.body || '';
+    this.status = data.status || 'pending';
+    this.statusHistory = data.statusHistory || [];
+    this.moderationNote = data.moderationNote || '';
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  // One review per customer per product, so the ID is derived from both
+  generateId() {
+    return `review_${this.productId}_${this.userId}`;
+  }
+
+  validate() {
+    const errors = [];
+    if (!this.productId) errors.push('Product ID is required');
+    if (!this.userId) errors.push('User ID is required');
+    if (!this.orderId) errors.push('Order ID is required');
+    if (!Number.isInteger(this.rating) || this.rating < 1 || this.rating > 5) errors.push('Rating must be an integer between 1 and 5');
+    if (this.title.length > 120) errors.push('Title must be at most 120 characters');
+    if (this.body.length < 10 || this.body.length > 2000) errors.push('Review text must be between 10 and 2000 characters');
+    if (!Review.STATUSES.includes(this.status)) errors.push(`Invalid status: ${this.status}`);
+    return errors;
+  }
+
+  // Whether the review counts towards the product's rating
+  isApproved() {
+    return this.status === 'approved';
+  }
+
+  // Check whether the review may move to the given status
+  canTransitionTo(status) {
+    return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+  }
+
+  // Move to a new status and record who did it and why.
+  // Throws if the transition is not in the allowed-transitions table.
+  transitionTo(status, { actorId = 'system', actorRole = 'system', reason = null } = {}) {
+    if (!this.canTransitionTo(status)) {
+      throw new Error(`Invalid status transition from ${this.status} to ${status}`);
+    }
+
+    const timestamp = new Date().toISOString();
+    this.statusHistory.push({
+      from: this.status,
+      to: status,
+      actorId,
+      actorRole,
+      reason,
+      timestamp
+    });
+    this.status = status;
+    this.updatedAt = timestamp;
+  }
+
+  // Record the initial status of a newly posted review
+  recordCreation() {
+    this.statusHistory = [{
+      from: null,
+      to: this.status,
+      actorId: this.userId,
+      actorRole: 'customer',
+      reason: 'Review posted',
+      timestamp: this.createdAt
+    }];
+  }
+
+  toDocument() {
+    return {
+      id: this.id,
+      productId: this.productId,
+      userId: this.userId,
+      orderId: this.orderId,
+      authorName: this.authorName,
+      rating: this.rating,
+      title: this.title,
+      body: this.body,
+      status: this.status,
+      statusHistory: this.statusHistory,
+      moderationNote: this.moderationNote,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  static fromDocument(doc) {
+    return new Review({
+      id: doc.id,
+      productId: doc.productId,
+      userId: doc.userId,
+      orderId: doc.orderId,
+      authorName: doc.authorName,
+      rating: doc.rating,
+      title: doc.title,
+      body: doc.body,
+      status: doc.status,
+      statusHistory: doc.statusHistory,
+      moderationNote: doc.moderationNote,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt
+    });
+  }
+
+  // Get review info for shoppers browsing the product
+  toPublicInfo() {
+    return {
+      id: this.id,
+      productId: this.productId,
+      authorName: this.authorName,
+      rating: this.rating,
+      title: this.title,
+      body: this.body,
+      verifiedPurchase: true,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  // Get review info for the customer who wrote it (staff IDs are not exposed)
+  toCustomerInfo() {
+    return {
+      ...this.toDocument(),
+      statusHistory: this.statusHistory.map(({ actorId, ...entry }) => entry)
+    };
+  }
+}
+
+export default Review;
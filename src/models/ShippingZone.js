@@ -0,0 +1,154 @@
+// How a shipping method's rate table is looked up: by the parcel's total
+// weight (kg) or by the order value after discounts
+const RATE_BASES = ['weight', 'order_value'];
+
+// Countries are free text on addresses, so they are compared loosely
+// ("united kingdom " matches "United Kingdom")
+export function normalizeCountry(country) {
+  return String(country || '').trim().toLowerCase();
+}
+
+export class ShippingZone {
+  static RATE_BASES = RATE_BASES;
+  // A zone listing this country covers every country no other zone lists
+  static REST_OF_WORLD = '*';
+
+  constructor(data = {}) {
+    this.id = data.id || this.generateId();
+    this.name = data.name;
+    this.countries = data.countries || [];
+    // [{ id, name, basis, rates: [{ upTo, price }], freeOver, minDays, maxDays, isActive }]
+    this.methods = (data.methods || []).map(method => ({
+      id: method.id || this.generateMethodId(),
+      name: method.name,
+      basis: method.basis || 'weight',
+      rates: method.rates || [],
+      freeOver: method.freeOver !== undefined ? method.freeOver : null, // free at or above this order value
+      minDays: method.minDays !== undefined ? method.minDays : null,
+      maxDays: method.maxDays !== undefined ? method.maxDays : null,
+      isActive: method.isActive !== undefined ? method.isActive : true
+    }));
+    this.isActive = data.isActive !== undefined ? data.isActive : true;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  // Generate a unique ID for Cosmos DB
+  generateId() {
+    return `zone_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  generateMethodId() {
+    return `method_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  // Validate zone data
+  validate() {
+    const errors = [];
+
+    if (!this.name || this.name.length < 2 || this.name.length > 50) {
+      errors.push('Zone name must be between 2 and 50 characters');
+    }
+
+    if (!Array.isArray(this.countries) || this.countries.length === 0) {
+      errors.push('At least one country is required');
+    } else if (this.countries.some(country => typeof country !== 'string' || !country.trim())) {
+      errors.push('Countries must be non-empty strings');
+    }
+
+    if (!Array.isArray(this.methods) || this.methods.length === 0) {
+      errors.push('At least one shipping method is required');
+    } else {
+      errors.push(...this.validateMethods());
+    }
+
+    if (typeof this.isActive !== 'boolean') {
+      errors.push('isActive must be a boolean value');
+    }
+
+    return errors;
+  }
+
+  // Validate shipping methods and their rate tables. Rates are tried in
+  // order of `upTo`; one rate may leave `upTo` empty to cover everything above.
+  validateMethods() {
+    const errors = [];
+    const ids = new Set();
+
+    this.methods.forEach((method, index) => {
+      const label = `Method ${index + 1}`;
+      if (ids.has(method.id)) errors.push(`${label}: ID ${method.id} is used by another method`);
+      ids.add(method.id);
+      if (!method.name || typeof method.name !== 'string') errors.push(`${label}: name is required`);
+      if (!RATE_BASES.includes(method.basis)) errors.push(`${label}: basis must be one of ${RATE_BASES.join(', ')}`);
+      if (method.freeOver !== null && (typeof method.freeOver !== 'number' || method.freeOver < 0)) {
+        errors.push(`${label}: free shipping threshold must be a non-negative number`);
+      }
+      if (method.minDays !== null && (!Number.isInteger(method.minDays) || method.minDays < 0)) {
+        errors.push(`${label}: minimum days must be a non-negative integer`);
+      }
+      if (method.maxDays !== null && (!Number.isInteger(method.maxDays) || method.maxDays < (method.minDays || 0))) {
+        errors.push(`${label}: maximum days must be an integer no less than the minimum`);
+      }
+      if (typeof method.isActive !== 'boolean') errors.push(`${label}: isActive must be a boolean value`);
+
+      if (!Array.isArray(method.rates) || method.rates.length === 0) {
+        errors.push(`${label}: at least one rate is required`);
+        return;
+      }
+      let unbounded = 0;
+      method.rates.forEach((rate, rateIndex) => {
+        if (!rate || typeof rate.price !== 'number' || rate.price < 0) {
+          errors.push(`${label}, rate ${rateIndex + 1}: price must be a non-negative number`);
+        }
+        if (rate && (rate.upTo === null || rate.upTo === undefined)) {
+          unbounded += 1;
+        } else if (!rate || typeof rate.upTo !== 'number' || rate.upTo <= 0) {
+          errors.push(`${label}, rate ${rateIndex + 1}: upTo must be a positive number or empty`);
+        }
+      });
+      if (unbounded > 1) errors.push(`${label}: only one rate may have no upper limit`);
+    });
+
+    return errors;
+  }
+
+  // Whether the zone lists a country by name
+  coversCountry(country) {
+    const normalized = normalizeCountry(country);
+    return this.countries.some(item => normalizeCountry(item) === normalized);
+  }
+
+  // Whether this is the catch-all zone
+  isRestOfWorld() {
+    return this.countries.includes(ShippingZone.REST_OF_WORLD);
+  }
+
+  // Convert to Cosmos DB document
+  toDocument() {
+    return {
+      id: this.id,
+      name: this.name,
+      countries: this.countries,
+      methods: this.methods,
+      isActive: this.isActive,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  // Create from Cosmos DB document
+  static fromDocument(doc) {
+    return new ShippingZone({
+      id: doc.id,
+      name: doc.name,
+      countries: doc.countries,
+      methods: doc.methods,
+      isActive: doc.isActive,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt
+    });
+  }
+}
+
+export default ShippingZone;
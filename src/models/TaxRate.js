@@ -0,0 +1,80 @@
+import { normalizeCountry } from './ShippingZone.js';
+
+export class TaxRate {
+  // A rate for this country applies wherever no rate names the country
+  static ALL_COUNTRIES = '*';
+
+  constructor(data = {}) {
+    this.id = data.id || this.generateId();
+    this.name = data.name || 'VAT';
+    this.country = data.country;
+    this.categoryId = data.categoryId || null; // null: every category without its own rate
+    this.rate = data.rate !== undefined ? data.rate : 0; // percentage, e.g. 20
+    this.isActive = data.isActive !== undefined ? data.isActive : true;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  // Generate a unique ID for Cosmos DB
+  generateId() {
+    return `tax_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  // Validate tax rate data
+  validate() {
+    const errors = [];
+
+    if (!this.name || this.name.length > 30) {
+      errors.push('Tax name must be between 1 and 30 characters');
+    }
+
+    if (!this.country || typeof this.country !== 'string' || !this.country.trim()) {
+      errors.push('Country is required');
+    }
+
+    if (typeof this.rate !== 'number' || this.rate < 0 || this.rate > 100) {
+      errors.push('Rate must be a percentage between 0 and 100');
+    }
+
+    if (typeof this.isActive !== 'boolean') {
+      errors.push('isActive must be a boolean value');
+    }
+
+    return errors;
+  }
+
+  // Whether the rate is for the given country (by name, case-insensitively)
+  isForCountry(country) {
+    return normalizeCountry(this.country) === normalizeCountry(country);
+  }
+
+  // Convert to Cosmos DB document
+  toDocument() {
+    return {
+      id: this.id,
+      name: this.name,
+      country: this.country,
+      categoryId: this.categoryId,
+      rate: this.rate,
+      isActive: this.isActive,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  // Create from Cosmos DB document
+  static fromDocument(doc) {
+    return new TaxRate({
+      id: doc.id,
+      name: doc.name,
+      country: doc.country,
+      categoryId: doc.categoryId,
+      rate: doc.rate,
+      isActive: doc.isActive,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt
+    });
+  }
+}
+
+export default TaxRate;
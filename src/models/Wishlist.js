@@ -0,0 +1,114 @@
+export class Wishlist {
+  constructor(data = {}) {
+    this.userId = data.userId;
+    this.id = data.id || this.generateId();
+    this.email = data.email || '';
+    this.firstName = data.firstName || '';
+    this.items = data.items || [];
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  // One wishlist per user, so the ID is derived from the user ID
+  generateId() {
+    return `wishlist_${this.userId}`;
+  }
+
+  // Validate wishlist data
+  validate() {
+    const errors = [];
+
+    if (!this.userId) {
+      errors.push('User ID is required');
+    }
+
+    if (!Array.isArray(this.items)) {
+      errors.push('Wishlist items must be an array');
+    } else {
+      this.items.forEach((item, index) => {
+        if (!item.productId) {
+          errors.push(`Item ${index + 1}: product ID is required`);
+        }
+        if (typeof item.notifyBackInStock !== 'boolean' || typeof item.notifyPriceDrop !== 'boolean') {
+          errors.push(`Item ${index + 1}: alert settings must be boolean values`);
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  // Find a line by product ID
+  findItem(productId) {
+    return this.items.find(item => item.productId === productId);
+  }
+
+  // Add a product (updates its alert settings if already present).
+  // `price` is remembered so price drops are measured from when it was added.
+  addItem(productId, { price, notifyBackInStock = false, notifyPriceDrop = false } = {}) {
+    const existing = this.findItem(productId);
+    if (existing) {
+      existing.notifyBackInStock = notifyBackInStock;
+      existing.notifyPriceDrop = notifyPriceDrop;
+    } else {
+      this.items.push({
+        productId,
+        priceWhenAdded: price,
+        notifyBackInStock,
+        notifyPriceDrop,
+        lastNotifiedPrice: null,
+        addedAt: new Date().toISOString()
+      });
+    }
+    this.updatedAt = new Date().toISOString();
+  }
+
+  // Change the alert settings of an existing line
+  setItemAlerts(productId, { notifyBackInStock, notifyPriceDrop }) {
+    const existing = this.findItem(productId);
+    if (!existing) {
+      throw new Error('Wishlist item not found');
+    }
+    if (notifyBackInStock !== undefined) existing.notifyBackInStock = notifyBackInStock;
+    if (notifyPriceDrop !== undefined) existing.notifyPriceDrop = notifyPriceDrop;
+    this.updatedAt = new Date().toISOString();
+  }
+
+  // Remove a line from the wishlist
+  removeItem(productId) {
+    const index = this.items.findIndex(item => item.productId === productId);
+    if (index === -1) {
+      throw new Error('Wishlist item not found');
+    }
+    this.items.splice(index, 1);
+    this.updatedAt = new Date().toISOString();
+  }
+
+  // Convert to Cosmos DB document
+  toDocument() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      email: this.email,
+      firstName: this.firstName,
+      items: this.items,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  // Create from Cosmos DB document
+  static fromDocument(doc) {
+    return new Wishlist({
+      id: doc.id,
+      userId: doc.userId,
+      email: doc.email,
+      firstName: doc.firstName,
+      items: doc.items,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt
+    });
+  }
+}
+
+export default Wishlist;
@@ -2,7 +2,14 @@ import express from 'express';
 import { AdminController } from '../controllers/admin/adminController.js';
 import { AdminUserController } from '../controllers/admin/userController.js';
 import { ProductController } from '../controllers/admin/productController.js';
+import { AdminCategoryController } from '../controllers/admin/categoryController.js';
+import { AdminPromotionController } from '../controllers/admin/promotionController.js';
+import { AdminShippingController } from '../controllers/admin/shippingController.js';
+import { AdminTaxController } from '../controllers/admin/taxController.js';
+import { AdminCurrencyController } from '../controllers/admin/currencyController.js';
 import { OrderController } from '../controllers/admin/orderController.js';
+import { AdminReturnController } from '../controllers/admin/returnController.js';
+import { AdminReviewController } from '../controllers/admin/reviewController.js';
 import { authenticateToken, authorizeRole } from '../middleware/auth.js';
 import multer from 'multer';
 const upload = multer({ storage: multer.memoryStorage() });
@@ -38,11 +45,50 @@ router.get('/products/:id', ProductController.getProductById);
 router.put('/products/:id', upload.array('files', 5), ProductController.updateProductValidation, ProductController.updateProduct);
 router.delete('/products/:id', ProductController.deleteProduct);
 router.patch('/products/:id/stock', upload.none(), ProductController.updateProductStock);
+router.get('/products/:id/variants', ProductController.getVariants);
+router.post('/products/:id/variants', upload.array('files', 5), ProductController.createVariantValidation, ProductController.addVariant);
+router.put('/products/:id/variants/:variantId', upload.array('files', 5), ProductController.variantValidation, ProductController.updateVariant);
+router.delete('/products/:id/variants/:variantId', ProductController.deleteVariant);
 router.post('/products/:id/images', upload.none(), ProductController.addProductImage);
 router.delete('/products/:id/images', upload.none(), ProductController.removeProductImage);
 router.get('/products/published', ProductController.getPublishedProducts);
 router.get('/products/featured', ProductController.getFeaturedProducts);
 
+// Category management routes
+router.get('/categories', AdminCategoryController.getCategoryTree);
+router.post('/categories', upload.single('image'), AdminCategoryController.createCategoryValidation, AdminCategoryController.createCategory);
+router.get('/categories/:id', AdminCategoryController.getCategoryById);
+router.put('/categories/:id', upload.single('image'), AdminCategoryController.updateCategoryValidation, AdminCategoryController.updateCategory);
+router.delete('/categories/:id', AdminCategoryController.deleteCategory);
+
+// Promotion (promo code) management routes
+router.get('/promotions', AdminPromotionController.getAllPromotions);
+router.post('/promotions', AdminPromotionController.createPromotionValidation, AdminPromotionController.createPromotion);
+router.get('/promotions/:id', AdminPromotionController.getPromotionById);
+router.put('/promotions/:id', AdminPromotionController.updatePromotionValidation, AdminPromotionController.updatePromotion);
+router.delete('/promotions/:id', AdminPromotionController.deletePromotion);
+
+// Shipping zone and rate management routes
+router.get('/shipping/zones', AdminShippingController.getAllZones);
+router.post('/shipping/zones', AdminShippingController.createZoneValidation, AdminShippingController.createZone);
+router.get('/shipping/zones/:id', AdminShippingController.getZoneById);
+router.put('/shipping/zones/:id', AdminShippingController.updateZoneValidation, AdminShippingController.updateZone);
+router.delete('/shipping/zones/:id', AdminShippingController.deleteZone);
+
+// Tax rate management routes
+router.get('/tax/rates', AdminTaxController.getAllRates);
+router.post('/tax/rates', AdminTaxController.createRateValidation, AdminTaxController.createRate);
+router.get('/tax/rates/:id', AdminTaxController.getRateById);
+router.put('/tax/rates/:id', AdminTaxController.updateRateValidation, AdminTaxController.updateRate);
+router.delete('/tax/rates/:id', AdminTaxController.deleteRate);
+
+// Currency management routes
+router.get('/currencies', AdminCurrencyController.getAllCurrencies);
+router.post('/currencies', AdminCurrencyController.createCurrencyValidation, AdminCurrencyController.createCurrency);
+router.get('/currencies/:code', AdminCurrencyController.getCurrencyByCode);
+router.put('/currencies/:code', AdminCurrencyController.updateCurrencyValidation, AdminCurrencyController.updateCurrency);
+router.delete('/currencies/:code', AdminCurrencyController.deleteCurrency);
+
 // Admin management routes
 router.get('/admins', AdminController.listAdmins);
 router.post('/admins', AdminController.createAdminValidation, AdminController.createAdmin);
@@ -50,7 +96,28 @@ router.delete('/admins/:id', AdminController.deleteAdmin);
 
 // Admin order management routes
 router.get('/orders', OrderController.getAllOrders);
+router.get('/orders/analytics', OrderController.orderAnalyticsValidation, OrderController.getOrderAnalytics);
 router.get('/orders/:id', OrderController.getOrderById);
+router.get('/orders/:id/invoice', OrderController.getOrderInvoice);
 router.patch('/orders/:id/status', OrderController.updateOrderStatus);
+router.post('/orders/:id/cancel', OrderController.cancelOrder);
+router.get('/orders/:id/refunds', OrderController.getRefunds);
+router.post('/orders/:id/refunds', OrderController.createRefundValidation, OrderController.createRefund);
+router.get('/orders/:id/shipments', OrderController.getShipments);
+router.post('/orders/:id/shipments', OrderController.createShipmentValidation, OrderController.createShipment);
+
+// Admin return (RMA) management routes
+router.get('/returns', AdminReturnController.listReturnsValidation, AdminReturnController.getAllReturns);
+router.get('/returns/:id', AdminReturnController.getReturnById);
+router.get('/returns/:id/photos/:index', AdminReturnController.photoValidation, AdminReturnController.getReturnPhoto);
+router.post('/returns/:id/approve', AdminReturnController.reviewReturnValidation, AdminReturnController.approveReturn);
+router.post('/returns/:id/reject', AdminReturnController.reviewReturnValidation, AdminReturnController.rejectReturn);
+router.post('/returns/:id/receive', AdminReturnController.receiveReturnValidation, AdminReturnController.receiveReturn);
+
+// Admin review moderation routes
+router.get('/reviews', AdminReviewController.listReviewsValidation, AdminReviewController.getAllReviews);
+router.get('/reviews/:id', AdminReviewController.getReviewById);
+router.post('/reviews/:id/approve', AdminReviewController.moderateReviewValidation, AdminReviewController.approveReview);
+router.post('/reviews/:id/hide', AdminReviewController.moderateReviewValidation, AdminReviewController.hideReview);
 
 export default router; 
\ No newline at end of file
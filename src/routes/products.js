@@ -1,5 +1,6 @@
 import express from 'express';
 import ProductsController from '../controllers/productsController.js';
+import { optionalAuth } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -9,7 +10,10 @@ const router = express.Router();
 router.get('/', ProductsController.searchProductsValidation, ProductsController.getAllProducts);
 
 // Search products
-router.get('/search', ProductsController.searchProductsValidation, ProductsController.searchProducts);
+router.get('/search', ProductsController.searchValidation, ProductsController.searchProducts);
+
+// Search box suggestions (declared before /:id so "suggest" is not taken as an ID)
+router.get('/suggest', ProductsController.suggestValidation, ProductsController.suggest);
 
 // Get featured products
 router.get('/featured', ProductsController.getFeaturedProducts);
@@ -17,13 +21,19 @@ router.get('/featured', ProductsController.getFeaturedProducts);
 // Get product categories
 router.get('/categories', ProductsController.getCategories);
 
+// Get the currencies prices can be shown and paid in
+router.get('/currencies', ProductsController.getCurrencies);
+
 // Get product by ID (public view)
-router.get('/:id', ProductsController.getProductById);
+router.get('/:id', optionalAuth, ProductsController.getProductById);
+
+// Get approved reviews and rating summary for a product
+router.get('/:id/reviews', ProductsController.productReviewsValidation, ProductsController.getProductReviews);
 
 // Get products by category
 router.get('/category/:category', ProductsController.getProductsByCategory);
 
 // Get product recommendations
-router.get('/:productId/recommendations', ProductsController.getProductRecommendations);
+router.get('/:productId/recommendations', ProductsController.recommendationsValidation, ProductsController.getProductRecommendations);
 
 export default router; 
\ No newline at end of file
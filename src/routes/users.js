@@ -2,10 +2,14 @@ import express from 'express';
 import { UserController } from '../controllers/users/userController.js';
 import { ProfileController } from '../controllers/users/profileController.js';
 import { ShoppingController } from '../controllers/users/shoppingController.js';
+import { ReturnController } from '../controllers/users/returnController.js';
+import { ReviewController } from '../controllers/users/reviewController.js';
+import { ImageService } from '../services/imageService.js';
 import { authenticateToken } from '../middleware/auth.js';
 import bodyParser from 'body-parser';
 
 const router = express.Router();
+const uploadPhotos = ImageService.getMulterConfig();
 
 // Stripe Webhook (must use raw body parser for Stripe signature verification)
 router.post('/webhook', bodyParser.raw({ type: 'application/json' }), ShoppingController.handleStripeWebhook);
@@ -27,6 +31,20 @@ router.get('/address', ProfileController.getUserAddress);
 router.post('/address', ProfileController.addressValidation, ProfileController.createAddress);
 router.put('/address', ProfileController.addressValidation, ProfileController.updateAddress);
 
+// Shopping cart routes
+router.get('/cart', ShoppingController.getCart);
+router.post('/cart/items', ShoppingController.addToCartValidation, ShoppingController.addToCart);
+router.put('/cart/items/:productId', ShoppingController.updateCartItemValidation, ShoppingController.updateCartItem);
+router.delete('/cart/items/:productId', ShoppingController.cartItemValidation, ShoppingController.removeFromCart);
+router.delete('/cart', ShoppingController.clearCart);
+router.get('/cart/shipping', ShoppingController.shippingQuoteValidation, ShoppingController.getShippingQuote);
+
+// Wishlist routes
+router.get('/wishlist', ShoppingController.getWishlist);
+router.post('/wishlist/items', ShoppingController.addToWishlistValidation, ShoppingController.addToWishlist);
+router.put('/wishlist/items/:productId', ShoppingController.updateWishlistItemValidation, ShoppingController.updateWishlistItem);
+router.delete('/wishlist/items/:productId', ShoppingController.removeFromWishlist);
+
 // Stripe Checkout Session (user payment)
 router.post('/checkout', ShoppingController.createCheckoutSession);
 
@@ -34,5 +52,22 @@ router.post('/checkout', ShoppingController.createCheckoutSession);
 router.get('/orders', ShoppingController.getOrders);
 // Get a single order for the authenticated user
 router.get('/orders/:id', ShoppingController.getOrderById);
+// Download the invoice of a paid order
+router.get('/orders/:id/invoice', ShoppingController.getOrderInvoice);
+// Cancel an order that has not started fulfilment
+router.post('/orders/:id/cancel', ShoppingController.cancelOrder);
+// Open a return on a delivered order (multipart, up to 5 photos)
+router.post('/orders/:id/returns', uploadPhotos.array('photos', 5), ReturnController.createReturnValidation, ReturnController.createReturn);
+
+// Return requests for the authenticated user
+router.get('/returns', ReturnController.getReturns);
+router.get('/returns/:id', ReturnController.getReturnById);
+router.get('/returns/:id/photos/:index', ReturnController.photoValidation, ReturnController.getReturnPhoto);
+
+// Product reviews by the authenticated user (one per product)
+router.get('/reviews', ReviewController.getReviews);
+router.post('/reviews', ReviewController.createReviewValidation, ReviewController.createReview);
+router.put('/reviews/:productId', ReviewController.updateReviewValidation, ReviewController.updateReview);
+router.delete('/reviews/:productId', ReviewController.deleteReview);
 
 export default router; 
\ No newline at end of file
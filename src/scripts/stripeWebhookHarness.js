@@ -0,0 +1,145 @@
+// Stripe Webhook Harness
+// Sends fake Stripe events, signed with STRIPE_WEBHOOK_SECRET, to a locally
+// running API so webhook handling can be exercised without the Stripe CLI or
+// any network access.
+//
+// Usage:
+//   node src/scripts/stripeWebhookHarness.js <event-type> [options]
+//
+// Options:
+//   --order <id>            Order ID (checkout.session.* events)
+//   --user <id>             Order owner, sent as session metadata
+//   --payment-intent <id>   Payment intent ID (defaults to pi_test_<order>)
+//   --amount <pence>        Charge amount (charge.* events)
+//   --refunded <pence>      Amount refunded (charge.refunded, defaults to --amount)
+//   --payment-status <s>    Session payment_status (default: paid)
+//   --event-id <id>         Reuse an event ID to test redelivery
+//   --repeat <n>            Deliver the same event n times (default: 1)
+//   --url <url>             Webhook URL (default: http://localhost:$PORT/api/users/webhook)
+
+import Stripe from 'stripe';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const SUPPORTED_EVENTS = [
+  'checkout.session.completed',
+  'checkout.session.async_payment_succeeded',
+  'checkout.session.async_payment_failed',
+  'checkout.session.expired',
+  'charge.refunded',
+  'charge.dispute.created'
+];
+
+function parseArgs(argv) {
+  const [type, ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i += 2) {
+    const key = rest[i].replace(/^--/, '').replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    options[key] = rest[i + 1];
+  }
+  return { type, options };
+}
+
+function randomId(prefix) {
+  return `${prefix}_test_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+// Build the `data.object` Stripe would send for the event type
+function buildObject(type, options) {
+  const paymentIntent = options.paymentIntent || `pi_test_${options.order || 'unknown'}`;
+  const amount = parseInt(options.amount) || 1000;
+
+  if (type.startsWith('checkout.session.')) {
+    if (!options.order) {
+      throw new Error('--order is required for checkout.session.* events');
+    }
+    const paymentStatus = {
+      'checkout.session.completed': options.paymentStatus || 'paid',
+      'checkout.session.async_payment_succeeded': 'paid',
+      'checkout.session.async_payment_failed': 'unpaid',
+      'checkout.session.expired': 'unpaid'
+    }[type];
+
+    return {
+      id: randomId('cs'),
+      object: 'checkout.session',
+      client_reference_id: options.order,
+      payment_intent: type === 'checkout.session.expired' ? null : paymentIntent,
+      payment_status: paymentStatus,
+      status: type === 'checkout.session.expired' ? 'expired' : 'complete',
+      metadata: options.user ? { userId: options.user } : {}
+    };
+  }
+
+  if (type === 'charge.refunded') {
+    const refunded = parseInt(options.refunded) || amount;
+    return {
+      id: randomId('ch'),
+      object: 'charge',
+      payment_intent: paymentIntent,
+      amount,
+      amount_refunded: refunded,
+      refunded: refunded >= amount
+    };
+  }
+
+  return {
+    id: randomId('dp'),
+    object: 'dispute',
+    payment_intent: paymentIntent,
+    charge: randomId('ch'),
+    amount,
+    reason: 'fraudulent',
+    status: 'needs_response'
+  };
+}
+
+async function main() {
+  const { type, options } = parseArgs(process.argv.slice(2));
+
+  if (!SUPPORTED_EVENTS.includes(type)) {
+    console.error(`Usage: node src/scripts/stripeWebhookHarness.js <${SUPPORTED_EVENTS.join('|')}> [options]`);
+    process.exit(1);
+  }
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    console.error('❌ STRIPE_WEBHOOK_SECRET must be set to sign events');
+    process.exit(1);
+  }
+
+  const event = {
+    id: options.eventId || randomId('evt'),
+    object: 'event',
+    type,
+    api_version: '2025-06-30.basil',
+    created: Math.floor(Date.now() / 1000),
+    livemode: false,
+    data: { object: buildObject(type, options) }
+  };
+  const payload = JSON.stringify(event);
+
+  // Signing is done locally; the key is never used to call Stripe
+  const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || 'sk_test_harness');
+  const url = options.url || `http://localhost:${process.env.PORT || 3001}/api/users/webhook`;
+  const repeat = parseInt(options.repeat) || 1;
+
+  console.log(`📨 Sending ${type} (${event.id}) to ${url}`);
+  for (let i = 1; i <= repeat; i++) {
+    const signature = stripe.webhooks.generateTestHeaderString({
+      payload,
+      secret: process.env.STRIPE_WEBHOOK_SECRET
+    });
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+      body: payload
+    });
+    console.log(`   Delivery ${i}: ${response.status} ${await response.text()}`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Harness failed:', error.message);
+  process.exit(1);
+});
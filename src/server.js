@@ -19,6 +19,8 @@ import { errorHandler } from './middleware/errorHandler.js';
 import { initializeCosmosDB } from './config/cosmos.js';
 import { initializeStorage } from './config/storage.js';
 import { AdminSeeder } from './seeders/adminSeeder.js';
+import emailOutboxService from './services/emailOutboxService.js';
+import recommendationService from './services/recommendationService.js';
 
 // Load environment variables
 dotenv.config();
@@ -31,7 +33,14 @@ app.use(helmet());
 app.use(cors());
 
 // Body parsing middleware (before routes)
-app.use(express.json({ limit: '10mb' }));
+// The Stripe webhook is skipped: signature verification needs the raw body
+const jsonParser = express.json({ limit: '10mb' });
+app.use((req, res, next) => {
+  if (req.originalUrl.startsWith('/api/users/webhook')) {
+    return next();
+  }
+  jsonParser(req, res, next);
+});
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Rate limiting
@@ -120,6 +129,12 @@ async function startServer() {
       }
     }
 
+    // Retry queued emails in the background
+    emailOutboxService.start();
+
+    // Precompute product recommendations in the background
+    recommendationService.start();
+
     // Start server
     app.listen(PORT, () => {
       console.log('🎉 Ecommerce API Server Started!');
@@ -0,0 +1,220 @@
+import { containers } from '../config/cosmos.js';
+import { Cart } from '../models/Cart.js';
+import productService from './productService.js';
+import { roundMoney } from '../utils/money.js';
+
+export class CartService {
+  constructor() {
+    this.container = containers.carts;
+  }
+
+  // Get the user's cart (an empty cart if none has been saved yet)
+  async getCart(userId) {
+    try {
+      const cart = new Cart({ userId });
+      const { resource } = await this.container.item(cart.id, userId).read();
+      return resource ? Cart.fromDocument(resource) : cart;
+    } catch (error) {
+      if (error.code === 404) {
+        return new Cart({ userId });
+      }
+      console.error('Error getting cart:', error);
+      throw error;
+    }
+  }
+
+  // Persist the cart (created on first write)
+  async saveCart(cart) {
+    try {
+      const validationErrors = cart.validate();
+      if (validationErrors.length > 0) {
+        throw new Error(`Validation failed: ${validationErrors.join(', ')}`);
+      }
+
+      const { resource } = await this.container.items.upsert(cart.toDocument());
+      return Cart.fromDocument(resource);
+    } catch (error) {
+      console.error('Error saving cart:', error);
+      throw error;
+    }
+  }
+
+  // Look up a product (and variant) that can be put in a cart.
+  // Returns { product, variant, available } where `available` is the stock.
+  async findPurchasableProduct(productId, variantId = null) {
+    const product = await productService.findById(productId);
+    if (!product || !product.isPublished()) {
+      throw new Error('Product not found');
+    }
+
+    let variant = null;
+    if (product.hasVariants()) {
+      if (!variantId) {
+        throw new Error('Validation failed: Choose the product options to add');
+      }
+      variant = product.findVariant(variantId);
+      if (!variant || !variant.isActive) {
+        throw new Error('Product variant not found');
+      }
+    } else if (variantId) {
+      throw new Error('Product variant not found');
+    }
+
+    const available = variant ? variant.quantity : product.quantity;
+    if (available <= 0) {
+      throw new Error('Validation failed: Product is out of stock');
+    }
+    return { product, variant, available };
+  }
+
+  // Add a product to the cart, clamped to available stock
+  async addItem(userId, productId, quantity, variantId = null) {
+    try {
+      const { available } = await this.findPurchasableProduct(productId, variantId);
+      const cart = await this.getCart(userId);
+
+      cart.addItem(productId, quantity, variantId);
+      const item = cart.findItem(productId, variantId);
+      item.quantity = Math.min(item.quantity, available);
+
+      await this.saveCart(cart);
+      return this.getPricedCart(userId);
+    } catch (error) {
+      console.error('Error adding item to cart:', error);
+      throw error;
+    }
+  }
+
+  // Change the quantity of a cart line, clamped to available stock
+  async updateItem(userId, productId, quantity, variantId = null) {
+    try {
+      const cart = await this.getCart(userId);
+      if (!cart.findItem(productId, variantId)) {
+        throw new Error('Cart item not found');
+      }
+
+      const { available } = await this.findPurchasableProduct(productId, variantId);
+      cart.setItemQuantity(productId, Math.min(quantity, available), variantId);
+
+      await this.saveCart(cart);
+      return this.getPricedCart(userId);
+    } catch (error) {
+      console.error('Error updating cart item:', error);
+      throw error;
+    }
+  }
+
+  // Remove a line from the cart
+  async removeItem(userId, productId, variantId = null) {
+    try {
+      const cart = await this.getCart(userId);
+      cart.removeItem(productId, variantId);
+
+      await this.saveCart(cart);
+      return this.getPricedCart(userId);
+    } catch (error) {
+      console.error('Error removing cart item:', error);
+      throw error;
+    }
+  }
+
+  // Empty the cart
+  async clearCart(userId) {
+    try {
+      const cart = await this.getCart(userId);
+      cart.clear();
+      await this.saveCart(cart);
+      return this.getPricedCart(userId);
+    } catch (error) {
+      console.error('Error clearing cart:', error);
+      throw error;
+    }
+  }
+
+  // Re-validate every line against the catalogue and price it server-side.
+  // Lines for products that are gone or unavailable are dropped and quantities
+  // are clamped to stock; any change is saved and reported in `adjustments`.
+  async getPricedCart(userId) {
+    try {
+      const cart = await this.getCart(userId);
+      const items = [];
+      const adjustments = [];
+      const keptItems = [];
+
+      for (const line of cart.items) {
+        const product = await productService.findById(line.productId);
+        const variantId = line.variantId || null;
+
+        if (!product || !product.isPublished()) {
+          adjustments.push({ productId: line.productId, variantId, type: 'removed', reason: 'Product is no longer available' });
+          continue;
+        }
+
+        // A variant that was removed or disabled, or options that were added
+        // to the product after the line was saved, invalidate the line
+        const variant = variantId ? product.findVariant(variantId) : null;
+        if (product.hasVariants() ? !variant || !variant.isActive : variantId) {
+          adjustments.push({ productId: line.productId, variantId, type: 'removed', reason: 'The selected options are no longer available' });
+          continue;
+        }
+
+        const available = variant ? variant.quantity : product.quantity;
+        if (available <= 0) {
+          adjustments.push({ productId: line.productId, variantId, type: 'removed', reason: 'Product is out of stock' });
+          continue;
+        }
+
+        let quantity = line.quantity;
+        if (quantity > available) {
+          adjustments.push({
+            productId: line.productId,
+            variantId,
+            type: 'quantity_reduced',
+            reason: `Only ${available} left in stock`,
+            requested: quantity,
+            available
+          });
+          quantity = available;
+        }
+
+        const unitPrice = product.getVariantPrice(variant);
+        keptItems.push({ ...line, quantity });
+        items.push({
+          productId: product.id,
+          variantId,
+          options: variant ? variant.options : null,
+          sku: variant ? variant.sku : product.sku,
+          name: product.getLineName(variant),
+          image: (variant && variant.images[0]) || product.images[0] || null,
+          unitPrice,
+          quantity,
+          lineTotal: roundMoney(unitPrice * quantity),
+          availableQuantity: available
+        });
+      }
+
+      if (adjustments.length > 0) {
+        cart.items = keptItems;
+        cart.updatedAt = new Date().toISOString();
+        await this.saveCart(cart);
+      }
+
+      const subtotal = roundMoney(items.reduce((sum, item) => sum + item.lineTotal, 0));
+
+      return {
+        id: cart.id,
+        items,
+        itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+        subtotal,
+        total: subtotal,
+        adjustments,
+        updatedAt: cart.updatedAt
+      };
+    } catch (error) {
+      console.error('Error pricing cart:', error);
+      throw error;
+    }
+  }
+}
+
+export default new CartService();
@@ -0,0 +1,234 @@
+import { containers } from '../config/cosmos.js';
+import { Category } from '../models/Category.js';
+import productService from './productService.js';
+import searchService from './searchService.js';
+
+// Order siblings by sort order, then name
+function compareCategories(a, b) {
+  return (a.sortOrder - b.sortOrder) || a.name.localeCompare(b.name);
+}
+
+export class CategoryService {
+  constructor() {
+    this.container = containers.categories;
+  }
+
+  // All categories (the tree is small enough to load whole)
+  async getAllCategories() {
+    try {
+      const { resources } = await this.container.items.query('SELECT * FROM c').fetchAll();
+      return resources.map(doc => Category.fromDocument(doc)).sort(compareCategories);
+    } catch (error) {
+      console.error('Error getting categories:', error);
+      throw error;
+    }
+  }
+
+  // Find a category by ID
+  async findById(id) {
+    try {
+      const { resource } = await this.container.item(id, id).read();
+      return resource ? Category.fromDocument(resource) : null;
+    } catch (error) {
+      if (error.code === 404) {
+        return null;
+      }
+      console.error('Error finding category by ID:', error);
+      throw error;
+    }
+  }
+
+  // Find a category by slug
+  async findBySlug(slug) {
+    try {
+      const querySpec = {
+        query: 'SELECT * FROM c WHERE c.slug = @slug',
+        parameters: [{ name: '@slug', value: slug }]
+      };
+      const { resources } = await this.container.items.query(querySpec).fetchAll();
+      return resources.length > 0 ? Category.fromDocument(resources[0]) : null;
+    } catch (error) {
+      console.error('Error finding category by slug:', error);
+      throw error;
+    }
+  }
+
+  // Find a category from a URL parameter that may be an ID or a slug
+  async findByIdOrSlug(value) {
+    return (await this.findBySlug(value)) || (await this.findById(value));
+  }
+
+  // IDs of a category and every category below it
+  getDescendantIds(categoryId, categories) {
+    const ids = [categoryId];
+    for (let i = 0; i < ids.length; i++) {
+      categories
+        .filter(category => category.parentId === ids[i])
+        .forEach(category => ids.push(category.id));
+    }
+    return ids;
+  }
+
+  // A category with all of its descendants, for product listings
+  async getCategoryWithDescendants(category) {
+    const categories = await this.getAllCategories();
+    const ids = this.getDescendantIds(category.id, categories);
+    const slugs = categories.filter(item => ids.includes(item.id)).map(item => item.slug);
+    return { ids, slugs };
+  }
+
+  // Check a new parent exists and would not create a loop
+  async checkParent(category, parentId) {
+    if (!parentId) {
+      return;
+    }
+    const categories = await this.getAllCategories();
+    if (!categories.some(item => item.id === parentId)) {
+      throw new Error('Parent category not found');
+    }
+    if (this.getDescendantIds(category.id, categories).includes(parentId)) {
+      throw new Error('Validation failed: A category cannot be moved under itself or one of its subcategories');
+    }
+  }
+
+  // Check no other category uses the slug
+  async checkSlug(category) {
+    const existing = await this.findBySlug(category.slug);
+    if (existing && existing.id !== category.id) {
+      throw new Error('Category with this slug already exists');
+    }
+  }
+
+  // Create a category
+  async createCategory(categoryData) {
+    try {
+      const category = new Category(categoryData);
+
+      const validationErrors = category.validate();
+      if (validationErrors.length > 0) {
+        throw new Error(`Validation failed: ${validationErrors.join(', ')}`);
+      }
+      await this.checkSlug(category);
+      await this.checkParent(category, category.parentId);
+
+      const { resource } = await this.container.items.create(category.toDocument());
+      searchService.invalidate();
+      return Category.fromDocument(resource);
+    } catch (error) {
+      console.error('Error creating category:', error);
+      throw error;
+    }
+  }
+
+  // Update a category. Products keep their category; a new slug is copied to them.
+  async updateCategory(id, updateData) {
+    try {
+      const category = await this.findById(id);
+      if (!category) {
+        throw new Error('Category not found');
+      }
+      const previousSlug = category.slug;
+
+      ['name', 'slug', 'parentId', 'description', 'image', 'sortOrder', 'isActive'].forEach(field => {
+        if (updateData[field] !== undefined) category[field] = updateData[field];
+      });
+      category.parentId = category.parentId || null;
+      category.updatedAt = new Date().toISOString();
+
+      const validationErrors = category.validate();
+      if (validationErrors.length > 0) {
+        throw new Error(`Validation failed: ${validationErrors.join(', ')}`);
+      }
+      if (category.slug !== previousSlug) {
+        await this.checkSlug(category);
+      }
+      if (updateData.parentId !== undefined) {
+        await this.checkParent(category, category.parentId);
+      }
+
+      const { resource } = await this.container.item(id, id).replace(category.toDocument());
+      searchService.invalidate();
+      if (category.slug !== previousSlug) {
+        await productService.renameCategorySlug(id, category.slug);
+      }
+      return Category.fromDocument(resource);
+    } catch (error) {
+      console.error('Error updating category:', error);
+      throw error;
+    }
+  }
+
+  // Delete a category (callers check it has no subcategories or products)
+  async deleteCategory(id) {
+    try {
+      await this.container.item(id, id).delete();
+      searchService.invalidate();
+      return true;
+    } catch (error) {
+      if (error.code === 404) {
+        throw new Error('Category not found');
+      }
+      console.error('Error deleting category:', error);
+      throw error;
+    }
+  }
+
+  // Direct subcategories of a category
+  async getChildren(id) {
+    const categories = await this.getAllCategories();
+    return categories.filter(category => category.parentId === id);
+  }
+
+  // The category tree with published product counts. `productCount` counts
+  // products directly in a category, `totalProductCount` includes its
+  // subcategories. Inactive categories (and everything below them) are left
+  // out unless `includeInactive` is set.
+  async getCategoryTree({ includeInactive = false } = {}) {
+    try {
+      const [categories, counts] = await Promise.all([
+        this.getAllCategories(),
+        productService.countPublishedByCategory()
+      ]);
+
+      const nodes = new Map(categories.map(category => [category.id, {
+        ...(includeInactive ? category.toDocument() : category.toPublicInfo()),
+        productCount: 0,
+        totalProductCount: 0,
+        children: []
+      }]));
+      const bySlug = new Map(categories.map(category => [category.slug, category.id]));
+      counts.forEach(({ categoryId, category, count }) => {
+        const node = nodes.get(categoryId) || nodes.get(bySlug.get(category));
+        if (node) {
+          node.productCount += count;
+        }
+      });
+
+      const roots = [];
+      categories.forEach(category => {
+        if (!includeInactive && !category.isActive) {
+          return;
+        }
+        const node = nodes.get(category.id);
+        if (!category.parentId) {
+          roots.push(node);
+        } else if (nodes.has(category.parentId)) {
+          nodes.get(category.parentId).children.push(node);
+        }
+      });
+
+      // Children were added in sorted order; totals are summed bottom-up
+      const total = node => {
+        node.totalProductCount = node.productCount + node.children.reduce((sum, child) => sum + total(child), 0);
+        return node.totalProductCount;
+      };
+      roots.forEach(total);
+      return roots;
+    } catch (error) {
+      console.error('Error getting category tree:', error);
+      throw error;
+    }
+  }
+}
+
+export default new CategoryService();
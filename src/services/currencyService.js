@@ -0,0 +1,129 @@
+import { containers } from '../config/cosmos.js';
+import { Currency } from '../models/Currency.js';
+import { STORE_CURRENCY } from '../utils/money.js';
+
+// The store currency converts at 1 and is never stored
+const storeCurrency = new Currency({ code: STORE_CURRENCY, rate: 1 });
+
+export class CurrencyService {
+  constructor() {
+    this.container = containers.currencies;
+  }
+
+  // All currencies customers may pay in besides the store currency
+  async getAllCurrencies() {
+    try {
+      const { resources } = await this.container.items.query('SELECT * FROM c').fetchAll();
+      return resources
+        .map(doc => Currency.fromDocument(doc))
+        .sort((a, b) => a.code.localeCompare(b.code));
+    } catch (error) {
+      console.error('Error getting currencies:', error);
+      throw error;
+    }
+  }
+
+  // The currencies offered to customers: the store currency first, then
+  // every active currency
+  async getStoreCurrencies() {
+    const currencies = await this.getAllCurrencies();
+    return [storeCurrency, ...currencies.filter(currency => currency.isActive)];
+  }
+
+  // Find a currency by its code
+  async findByCode(code) {
+    const id = String(code || '').trim().toLowerCase();
+    try {
+      const { resource } = await this.container.item(id, id).read();
+      return resource ? Currency.fromDocument(resource) : null;
+    } catch (error) {
+      if (error.code === 404) {
+        return null;
+      }
+      console.error('Error finding currency by code:', error);
+      throw error;
+    }
+  }
+
+  // The currency a customer asked for: the store currency when none is
+  // given, else an active currency. Null when the code is not offered.
+  async resolve(code) {
+    if (code === undefined || code === null || code === '') {
+      return storeCurrency;
+    }
+    const normalized = String(code).trim().toLowerCase();
+    if (normalized === STORE_CURRENCY) {
+      return storeCurrency;
+    }
+    const currency = await this.findByCode(normalized);
+    return currency && currency.isActive ? currency : null;
+  }
+
+  // Create a currency
+  async createCurrency(currencyData) {
+    try {
+      const currency = new Currency(currencyData);
+
+      const validationErrors = currency.validate();
+      if (currency.code === STORE_CURRENCY) {
+        validationErrors.push(`${STORE_CURRENCY.toUpperCase()} is the store currency`);
+      }
+      if (validationErrors.length > 0) {
+        throw new Error(`Validation failed: ${validationErrors.join(', ')}`);
+      }
+      if (await this.findByCode(currency.code)) {
+        throw new Error('Currency with this code already exists');
+      }
+
+      const { resource } = await this.container.items.create(currency.toDocument());
+      return Currency.fromDocument(resource);
+    } catch (error) {
+      console.error('Error creating currency:', error);
+      throw error;
+    }
+  }
+
+  // Update a currency's name, exchange rate or status. Orders keep the rate
+  // they were placed at.
+  async updateCurrency(code, updateData) {
+    try {
+      const currency = await this.findByCode(code);
+      if (!currency) {
+        throw new Error('Currency not found');
+      }
+
+      ['name', 'rate', 'isActive'].forEach(field => {
+        if (updateData[field] !== undefined) currency[field] = updateData[field];
+      });
+      currency.updatedAt = new Date().toISOString();
+
+      const validationErrors = currency.validate();
+      if (validationErrors.length > 0) {
+        throw new Error(`Validation failed: ${validationErrors.join(', ')}`);
+      }
+
+      const { resource } = await this.container.item(currency.id, currency.id).replace(currency.toDocument());
+      return Currency.fromDocument(resource);
+    } catch (error) {
+      console.error('Error updating currency:', error);
+      throw error;
+    }
+  }
+
+  // Delete a currency
+  async deleteCurrency(code) {
+    const id = String(code || '').trim().toLowerCase();
+    try {
+      await this.container.item(id, id).delete();
+      return true;
+    } catch (error) {
+      if (error.code === 404) {
+        throw new Error('Currency not found');
+      }
+      console.error('Error deleting currency:', error);
+      throw error;
+    }
+  }
+}
+
+export default new CurrencyService();
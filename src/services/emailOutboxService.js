@@ -0,0 +1,220 @@
+import { containers } from '../config/cosmos.js';
+import { emailConfig } from '../config/email.js';
+import { createTransport } from './emailTransports.js';
+
+// Sent emails are kept for 7 days and failed ones for 30 for troubleshooting
+const SENT_TTL_SECONDS = 7 * 24 * 60 * 60;
+const FAILED_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// A message still marked "sending" after this long is assumed to have been
+// abandoned (e.g. the process restarted mid-send) and is retried
+const STALE_SENDING_MS = 5 * 60 * 1000;
+
+// Retry delay after the nth failed attempt: 1, 2, 4, ... minutes, capped at an hour
+function retryDelayMs(attempts) {
+  return Math.min(60 * 1000 * 2 ** (attempts - 1), 60 * 60 * 1000);
+}
+
+// Whether a message with an expiry (such as a one-time code) is too late to send
+function isExpired(record) {
+  return Boolean(record.expiresAt) && new Date(record.expiresAt).getTime() <= Date.now();
+}
+
+// Seconds a record is kept after this write: until its expiry when it has
+// one (at least a second, as Cosmos needs a positive TTL), else `ttl`
+function keepFor(record, ttl) {
+  if (!record.expiresAt) {
+    return ttl;
+  }
+  return Math.max(Math.ceil((new Date(record.expiresAt).getTime() - Date.now()) / 1000), 1);
+}
+
+// Persists outgoing email before sending it, so a mail outage delays
+// messages instead of failing the request that triggered them. Messages are
+// sent straight away when possible and retried with backoff by `processOutbox`.
+// Mail that is useless once late, such as one-time codes, is queued with an
+// expiry: it is retried until then and deleted when it passes.
+export class EmailOutboxService {
+  constructor() {
+    this.container = containers.email_outbox;
+    this.transport = createTransport(emailConfig);
+    this.maxAttempts = emailConfig.outbox.maxAttempts;
+    this.timer = null;
+    this.processing = false;
+  }
+
+  // Queue a rendered message: { to, subject, html, text, template, attachments }.
+  // With `expiresInSeconds` it is only sent within that time and the record
+  // is deleted once it passes.
+  async enqueue(message, { expiresInSeconds = null } = {}) {
+    const now = new Date().toISOString();
+    const record = {
+      id: `email_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      template: message.template || null,
+      to: message.to,
+      from: emailConfig.from,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      attachments: message.attachments || [],
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: now,
+      expiresAt: expiresInSeconds ? new Date(Date.now() + expiresInSeconds * 1000).toISOString() : null,
+      createdAt: now,
+      updatedAt: now
+    };
+    if (record.expiresAt) {
+      record.ttl = expiresInSeconds;
+    }
+
+    try {
+      await this.container.items.create(record);
+    } catch (error) {
+      // Without the outbox there is nothing to retry from: try to send now
+      console.error('Error queueing email, sending directly:', error.message);
+      await this.transport.send(record);
+      return { id: record.id, status: 'sent' };
+    }
+
+    // Send in the background; failures are picked up by the outbox processor
+    setImmediate(() => {
+      this.deliver(record.id).catch(error => {
+        console.error(`Error delivering email ${record.id}:`, error.message);
+      });
+    });
+    return { id: record.id, status: 'pending' };
+  }
+
+  // Take ownership of a message so only one worker sends it
+  async claim(record, etag) {
+    try {
+      const { resource } = await this.container.item(record.id, record.id).replace({
+        ...record,
+        status: 'sending',
+        attempts: record.attempts + 1,
+        updatedAt: new Date().toISOString()
+      }, { accessCondition: { type: 'IfMatch', condition: etag } });
+      return resource;
+    } catch (error) {
+      if (error.code === 412) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Whether a message is waiting to be (re)sent
+  isDue(record) {
+    if (isExpired(record)) {
+      return false;
+    }
+    if (record.status === 'pending') {
+      return new Date(record.nextAttemptAt).getTime() <= Date.now();
+    }
+    return record.status === 'sending' &&
+      Date.now() - new Date(record.updatedAt).getTime() > STALE_SENDING_MS;
+  }
+
+  // Send one queued message and record the outcome
+  async deliver(id) {
+    const { resource: record, etag } = await this.container.item(id, id).read();
+    if (!record || !this.isDue(record)) {
+      return null;
+    }
+
+    const claimed = await this.claim(record, etag);
+    if (!claimed) {
+      return null;
+    }
+
+    try {
+      const result = await this.transport.send(claimed);
+      console.log(`Email ${claimed.template || claimed.subject} sent to ${claimed.to} via ${this.transport.name}:`, result.messageId);
+      return this.save({
+        ...claimed,
+        status: 'sent',
+        messageId: result.messageId || null,
+        attachments: [], // Drop attachment bodies once delivered
+        lastError: null,
+        sentAt: new Date().toISOString(),
+        ttl: keepFor(claimed, SENT_TTL_SECONDS)
+      });
+    } catch (error) {
+      const failed = claimed.attempts >= this.maxAttempts || isExpired(claimed);
+      console.error(`Error sending email ${claimed.id} (attempt ${claimed.attempts}/${this.maxAttempts}):`, error.message);
+      return this.save({
+        ...claimed,
+        status: failed ? 'failed' : 'pending',
+        lastError: error.message,
+        nextAttemptAt: new Date(Date.now() + retryDelayMs(claimed.attempts)).toISOString(),
+        ...((failed || claimed.expiresAt) && { ttl: keepFor(claimed, FAILED_TTL_SECONDS) })
+      });
+    }
+  }
+
+  async save(record) {
+    const { resource } = await this.container.item(record.id, record.id).replace({
+      ...record,
+      updatedAt: new Date().toISOString()
+    });
+    return resource;
+  }
+
+  // Send every message that is due. Runs one batch at a time.
+  async processOutbox(limit = 50) {
+    if (this.processing) {
+      return 0;
+    }
+    this.processing = true;
+
+    try {
+      const querySpec = {
+        query: `SELECT TOP @limit c.id FROM c
+          WHERE (c.status = 'pending' AND c.nextAttemptAt <= @now)
+          OR (c.status = 'sending' AND c.updatedAt <= @staleBefore)`,
+        parameters: [
+          { name: '@limit', value: limit },
+          { name: '@now', value: new Date().toISOString() },
+          { name: '@staleBefore', value: new Date(Date.now() - STALE_SENDING_MS).toISOString() }
+        ]
+      };
+      const { resources } = await this.container.items.query(querySpec).fetchAll();
+
+      let sent = 0;
+      for (const { id } of resources) {
+        try {
+          const record = await this.deliver(id);
+          if (record && record.status === 'sent') {
+            sent++;
+          }
+        } catch (error) {
+          console.error(`Error processing email ${id}:`, error.message);
+        }
+      }
+      return sent;
+    } catch (error) {
+      console.error('Error processing email outbox:', error);
+      return 0;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  // Start processing the outbox on an interval
+  start(intervalMs = emailConfig.outbox.intervalMs) {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.processOutbox(), intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export default new EmailOutboxService();
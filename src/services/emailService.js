@@ -1,207 +1,212 @@
-import nodemailer from 'nodemailer';
-
-class EmailService {
-  constructor() {
-    // Create Gmail transporter for testing
-    this.transporter = nodemailer.createTransport({
-      host: 'smtp.gmail.com',
-      port: 587,
-      secure: false, // true for 465, false for other ports
-      auth: {
-        user: process.env.GMAIL_USER,
-        pass: process.env.GMAIL_APP_PASSWORD
-      },
-      tls: {
-        rejectUnauthorized: false
-      },
-      connectionTimeout: 30000, // 30 seconds
-      greetingTimeout: 15000,   // 15 seconds
-      socketTimeout: 30000,     // 30 seconds
-      debug: false, // Disable debug to reduce noise
-      logger: false
-    });
-    
-    this.senderEmail = process.env.GMAIL_SENDER_EMAIL || process.env.GMAIL_USER;
-  }
-
-  async sendOTPEmail(userEmail, otp, userName) {
-    try {
-      const mailOptions = {
-        from: `"John Store" <${this.senderEmail}>`,
-        to: userEmail,
-        subject: 'Email Verification - John Store',
-        html: this.generateOTPEmailHTML(otp, userName),
-        text: this.generateOTPEmailText(otp, userName)
-      };
-
-      const result = await this.transporter.sendMail(mailOptions);
-      console.log('OTP email sent successfully:', result.messageId);
-      return result;
-    } catch (error) {
-      console.error('Error sending OTP email:', error);
-      throw error;
-    }
-  }
-
-  generateOTPEmailHTML(otp, userName) {
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <title>Email Verification</title>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background: #007bff; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
-          .content { background: #f9f9f9; padding: 20px; border-radius: 0 0 5px 5px; }
-          .otp-code { background: #007bff; color: white; font-size: 24px; font-weight: bold; padding: 15px; text-align: center; border-radius: 5px; margin: 20px 0; }
-          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h1>John Store</h1>
-            <p>Email Verification</p>
-          </div>
-          <div class="content">
-            <h2>Hello ${userName}!</h2>
-            <p>Thank you for registering with John Store. To complete your registration, please use the verification code below:</p>
-            
-            <div class="otp-code">${otp}</div>
-            
-            <p><strong>Important:</strong></p>
-            <ul>
-              <li>This code will expire in 10 minutes</li>
-              <li>Do not share this code with anyone</li>
-              <li>If you didn't request this code, please ignore this email</li>
-            </ul>
-            
-            <p>Best regards,<br>The John Store Team</p>
-          </div>
-          <div class="footer">
-            <p>This is an automated email. Please do not reply.</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
+import emailTemplateService from './emailTemplateService.js';
+import emailOutboxService from './emailOutboxService.js';
+import { OTP_EXPIRY_MINUTES } from './otpService.js';
+import { emailConfig } from '../config/email.js';
+import { formatMoney } from '../utils/money.js';
+
+// Header colour for each email
+const COLORS = {
+  info: '#007bff',
+  success: '#28a745',
+  danger: '#dc3545',
+  neutral: '#6c757d'
+};
+
+// Line total for an order or refund item, or null for unpriced lines such as
+// shipment items (orders created before server-side pricing only stored `price`)
+function lineTotal(item) {
+  if (item.lineTotal !== undefined) {
+    return item.lineTotal;
   }
+  const unitPrice = item.unitPrice !== undefined ? item.unitPrice : item.price;
+  return unitPrice !== undefined ? unitPrice * item.quantity : null;
+}
 
-  generateOTPEmailText(otp, userName) {
-    return `
-Email Verification - John Store
+// Reference shown to customers for an order
+function orderRef(order) {
+  return (order.metadata && order.metadata.order_ref) || order.id;
+}
 
-Hello ${userName}!
+// Human-readable order status
+function statusLabel(status) {
+  const label = String(status || '').replace(/_/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
 
-Thank you for registering with John Store. To complete your registration, please use the verification code below:
+// Address lines for an order, skipping empty fields
+function addressLines(address = {}) {
+  return [
+    address.street,
+    address.city,
+    address.postCode,
+    address.country
+  ].filter(Boolean);
+}
 
-VERIFICATION CODE: ${otp}
+// Item rows for the order-items partial
+function itemRows(items, currency) {
+  const rows = items.map(item => ({
+    name: item.name,
+    quantity: item.quantity,
+    total: lineTotal(item) !== null ? formatMoney(lineTotal(item), currency) : null
+  }));
+  return { items: rows, showPrices: rows.every(row => row.total !== null) };
+}
 
-Important:
-- This code will expire in 10 minutes
-- Do not share this code with anyone
-- If you didn't request this code, please ignore this email
+// Template data shared by every order email
+function orderView(order) {
+  const price = amount => formatMoney(amount, order.currency);
+  return {
+    customerName: order.customerName || 'there',
+    orderRef: orderRef(order),
+    ...itemRows(order.items, order.currency),
+    discountTotal: order.discountTotal > 0 ? `-${price(order.discountTotal)}` : null,
+    discountCode: order.discount ? order.discount.code : null,
+    shippingTotal: order.shipping ? (order.shippingTotal > 0 ? price(order.shippingTotal) : 'Free') : null,
+    shippingMethod: order.shipping ? order.shipping.name : null,
+    taxRows: (order.taxLines || []).map(taxLine => ({
+      label: `${taxLine.name} ${taxLine.rate}%${taxLine.inclusive ? ' (included)' : ''}`,
+      amount: price(taxLine.amount)
+    })),
+    orderTotal: price(order.total),
+    addressLines: addressLines(order.address)
+  };
+}
 
-Best regards,
-The John Store Team
+// Storefront link for a product
+function productUrl(product) {
+  return `${emailConfig.storeUrl.replace(/\/$/, '')}/products/${encodeURIComponent(product.id)}`;
+}
 
-This is an automated email. Please do not reply.
-    `;
+class EmailService {
+  constructor() {
+    this.templates = emailTemplateService;
+    this.outbox = emailOutboxService;
   }
 
-  async sendWelcomeEmail(userEmail, userName) {
+  // Render a template and queue it for delivery. `expiresInSeconds` drops
+  // the message if it cannot be sent in time (see emailOutboxService).
+  async sendTemplate(to, template, data, { locale = null, color = COLORS.info, attachments = [], expiresInSeconds = null } = {}) {
     try {
-      const mailOptions = {
-        from: `"John Store" <${this.senderEmail}>`,
-        to: userEmail,
-        subject: 'Welcome to John Store!',
-        html: this.generateWelcomeEmailHTML(userName),
-        text: this.generateWelcomeEmailText(userName)
+      const rendered = this.templates.render(template, {
+        storeName: emailConfig.from.name,
+        storeUrl: emailConfig.storeUrl,
+        color,
+        ...data
+      }, locale);
+
+      const message = {
+        to,
+        template,
+        subject: rendered.subject,
+        html: rendered.html,
+        text: rendered.text,
+        attachments
       };
-
-      const result = await this.transporter.sendMail(mailOptions);
-      console.log('Welcome email sent successfully:', result.messageId);
-      return result;
+      return await this.outbox.enqueue(message, { expiresInSeconds });
     } catch (error) {
-      console.error('Error sending welcome email:', error);
+      console.error(`Error sending ${template} email:`, error);
       throw error;
     }
   }
 
-  generateWelcomeEmailHTML(userName) {
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <title>Welcome to John Store</title>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background: #28a745; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
-          .content { background: #f9f9f9; padding: 20px; border-radius: 0 0 5px 5px; }
-          .cta-button { background: #28a745; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block; margin: 20px 0; }
-          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h1>John Store</h1>
-            <p>Welcome Aboard!</p>
-          </div>
-          <div class="content">
-            <h2>Hello ${userName}!</h2>
-            <p>Welcome to John Store! Your email has been successfully verified and your account is now active.</p>
-            
-            <p>You can now:</p>
-            <ul>
-              <li>Browse our products</li>
-              <li>Make purchases</li>
-              <li>Track your orders</li>
-              <li>Access your account dashboard</li>
-            </ul>
-            
-            <a href="https://zealous-pond-0258f0803.1.azurestaticapps.net/" class="cta-button">Start Shopping Now</a>
-            
-            <p>If you have any questions, feel free to contact our support team.</p>
-            
-            <p>Best regards,<br>The John Store Team</p>
-          </div>
-          <div class="footer">
-            <p>This is an automated email. Please do not reply.</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
+  async sendOTPEmail(userEmail, otp, userName, { locale } = {}) {
+    return this.sendTemplate(userEmail, 'otp', {
+      customerName: userName,
+      otp,
+      expiryMinutes: OTP_EXPIRY_MINUTES
+    }, { locale, color: COLORS.info, expiresInSeconds: OTP_EXPIRY_MINUTES * 60 }); // a late code is useless
   }
 
-  generateWelcomeEmailText(userName) {
-    return `
-Welcome to John Store!
+  async sendWelcomeEmail(userEmail, userName, { locale } = {}) {
+    return this.sendTemplate(userEmail, 'welcome', {
+      customerName: userName
+    }, { locale, color: COLORS.success });
+  }
 
-Hello ${userName}!
+  // Order confirmation, sent once payment has been received, with the
+  // invoice (from invoiceService.getInvoice) attached when there is one
+  async sendOrderConfirmationEmail(order, invoice = null) {
+    return this.sendTemplate(order.customerEmail, 'order-confirmation', {
+      ...orderView(order),
+      invoiceNumber: invoice ? invoice.invoice.number : null
+    }, {
+      color: COLORS.success,
+      attachments: invoice ? [{
+        filename: `${invoice.invoice.number}.pdf`,
+        content: invoice.pdf.toString('base64'),
+        contentType: 'application/pdf'
+      }] : []
+    });
+  }
+
+  // Generic status update for changes without a dedicated email
+  async sendOrderStatusEmail(order) {
+    return this.sendTemplate(order.customerEmail, 'order-status', {
+      ...orderView(order),
+      statusLabel: statusLabel(order.status)
+    }, { color: COLORS.info });
+  }
 
-Welcome to John Store! Your email has been successfully verified and your account is now active.
+  // Dispatch notice for a shipment, with its tracking link
+  async sendOrderDispatchEmail(order, shipment) {
+    return this.sendTemplate(order.customerEmail, 'order-dispatch', {
+      ...orderView(order),
+      ...itemRows(shipment.items),
+      orderTotal: null,
+      carrierName: shipment.carrierName,
+      trackingNumber: shipment.trackingNumber,
+      trackingUrl: shipment.trackingUrl,
+      moreToFollow: !order.isFullyShipped()
+    }, { color: COLORS.info });
+  }
 
-You can now:
-- Browse our products
-- Make purchases
-- Track your orders
-- Access your account dashboard
+  // Delivery confirmation
+  async sendOrderDeliveredEmail(order) {
+    return this.sendTemplate(order.customerEmail, 'order-delivered', orderView(order), { color: COLORS.success });
+  }
 
-Start shopping now: https://zealous-pond-0258f0803.1.azurestaticapps.net/
+  // Cancellation notice, including any refund issued
+  async sendOrderCancellationEmail(order) {
+    return this.sendTemplate(order.customerEmail, 'order-cancellation', {
+      ...orderView(order),
+      refundAmount: order.amountRefunded > 0 ? formatMoney(order.amountRefunded, order.currency) : null
+    }, { color: COLORS.danger });
+  }
 
-If you have any questions, feel free to contact our support team.
+  // Refund notice; `refund` is the refund record (omit it to report the order's total refunded)
+  async sendOrderRefundEmail(order, refund = null) {
+    const items = refund && refund.items && refund.items.length > 0 ? itemRows(refund.items, order.currency) : { items: [] };
+    return this.sendTemplate(order.customerEmail, 'order-refund', {
+      ...orderView(order),
+      ...items,
+      orderTotal: null,
+      refundAmount: formatMoney(refund ? refund.amount : order.amountRefunded, order.currency),
+      amountRefunded: formatMoney(order.amountRefunded, order.currency),
+      orderTotalPaid: formatMoney(order.total, order.currency),
+      fullyRefunded: order.amountRefunded >= order.total
+    }, { color: COLORS.neutral });
+  }
 
-Best regards,
-The John Store Team
+  // Wishlist alert: a product the customer is watching is back in stock
+  async sendWishlistBackInStockEmail(wishlist, product) {
+    return this.sendTemplate(wishlist.email, 'wishlist-back-in-stock', {
+      customerName: wishlist.firstName || 'there',
+      productName: product.name,
+      price: formatMoney(product.price),
+      productUrl: productUrl(product)
+    }, { color: COLORS.success });
+  }
 
-This is an automated email. Please do not reply.
-    `;
+  // Wishlist alert: a product the customer is watching has got cheaper
+  async sendWishlistPriceDropEmail(wishlist, product, previousPrice) {
+    return this.sendTemplate(wishlist.email, 'wishlist-price-drop', {
+      customerName: wishlist.firstName || 'there',
+      productName: product.name,
+      price: formatMoney(product.price),
+      previousPrice: formatMoney(previousPrice),
+      productUrl: productUrl(product)
+    }, { color: COLORS.success });
   }
 }
 
@@ -0,0 +1,103 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { compile } from '../utils/templateEngine.js';
+import { emailConfig } from '../config/email.js';
+
+const TEMPLATES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../templates/emails');
+
+// Loads email templates from src/templates/emails/<locale>/. Each email has
+// <name>.html and <name>.txt bodies, wrapped in layouts/default.* and able to
+// include partials/*; its subject and title come from messages.json. Any file
+// a locale does not provide falls back to the default locale's version.
+export class EmailTemplateService {
+  constructor(directory = TEMPLATES_DIR, defaultLocale = emailConfig.defaultLocale) {
+    this.directory = directory;
+    this.defaultLocale = defaultLocale;
+    this.cache = new Map();
+  }
+
+  // Locales that have a template directory
+  getLocales() {
+    return fs.readdirSync(this.directory, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name);
+  }
+
+  // Pick the best supported locale for a requested one ("fr-CA" -> "fr")
+  resolveLocale(requested) {
+    const locales = this.getLocales();
+    const candidates = requested ? [requested, requested.split('-')[0]] : [];
+    return candidates.find(locale => locales.includes(locale)) || this.defaultLocale;
+  }
+
+  // Read a template file for a locale, falling back to the default locale
+  readFile(locale, relativePath) {
+    for (const candidate of [locale, this.defaultLocale]) {
+      const filePath = path.join(this.directory, candidate, relativePath);
+      if (fs.existsSync(filePath)) {
+        return fs.readFileSync(filePath, 'utf8').replace(/\r\n/g, '\n');
+      }
+    }
+    throw new Error(`Email template not found: ${relativePath}`);
+  }
+
+  // Compiled template for a locale (cached)
+  getTemplate(locale, relativePath) {
+    const key = `${locale}/${relativePath}`;
+    if (!this.cache.has(key)) {
+      let source = this.readFile(locale, relativePath);
+      if (relativePath.startsWith('partials/')) {
+        // Partials are included inline; their final newline belongs to the caller
+        source = source.replace(/\n$/, '');
+      }
+      this.cache.set(key, compile(source));
+    }
+    return this.cache.get(key);
+  }
+
+  // Subject and title strings for an email; locale entries override the default's
+  getMessages(locale, name) {
+    const messages = JSON.parse(this.readFile(this.defaultLocale, 'messages.json'));
+    if (locale !== this.defaultLocale) {
+      try {
+        Object.assign(messages, JSON.parse(fs.readFileSync(path.join(this.directory, locale, 'messages.json'), 'utf8')));
+      } catch (error) {
+        // No overrides for this locale
+      }
+    }
+    if (!messages[name]) {
+      throw new Error(`Email template not found: ${name}`);
+    }
+    return messages[name];
+  }
+
+  // Render an email. Returns { subject, html, text, locale }.
+  render(name, data = {}, requestedLocale = null) {
+    const locale = this.resolveLocale(requestedLocale);
+    const messages = this.getMessages(locale, name);
+    const textData = { ...data, locale };
+    const subject = compile(messages.subject).render(textData, { escape: false });
+    const title = compile(messages.title).render(textData, { escape: false });
+    const context = { ...textData, title };
+
+    const renderFormat = (extension, escape) => {
+      const options = {
+        escape,
+        resolvePartial: partial => this.getTemplate(locale, `partials/${partial}.${extension}`)
+      };
+      const body = this.getTemplate(locale, `${name}.${extension}`).render(context, options);
+      return this.getTemplate(locale, `layouts/default.${extension}`).render({ ...context, body }, options);
+    };
+
+    return {
+      subject,
+      html: renderFormat('html', true),
+      // Optional sections leave runs of blank lines behind in plain text
+      text: renderFormat('txt', false).replace(/\n{3,}/g, '\n\n'),
+      locale
+    };
+  }
+}
+
+export default new EmailTemplateService();
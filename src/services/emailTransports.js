@@ -0,0 +1,158 @@
+import nodemailer from 'nodemailer';
+import fs from 'fs/promises';
+import path from 'path';
+import { MailerSend, EmailParams, Sender, Recipient, Attachment } from 'mailersend';
+
+// Every transport takes the same message and resolves with { messageId }:
+// { from: { email, name }, to, subject, html, text, attachments: [{ filename, content (base64), contentType }] }
+
+// Transports that deliver mail; file and console keep it on this machine
+const DELIVERING_TRANSPORTS = ['smtp', 'mailersend'];
+
+// Message in nodemailer's format (used by the SMTP and file transports)
+function toNodemailerMessage(message) {
+  return {
+    from: `"${message.from.name}" <${message.from.email}>`,
+    to: message.to,
+    subject: message.subject,
+    html: message.html,
+    text: message.text,
+    attachments: (message.attachments || []).map(attachment => ({
+      filename: attachment.filename,
+      content: attachment.content,
+      encoding: 'base64',
+      contentType: attachment.contentType
+    }))
+  };
+}
+
+// SMTP via nodemailer (Gmail by default)
+export class SmtpTransport {
+  constructor(config) {
+    if (!config.user || !config.pass) {
+      throw new Error('SMTP_USER and SMTP_PASS are required for the smtp email transport');
+    }
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host: config.host,
+      port: config.port,
+      secure: config.secure,
+      auth: {
+        user: config.user,
+        pass: config.pass
+      },
+      connectionTimeout: 30000, // 30 seconds
+      greetingTimeout: 15000,   // 15 seconds
+      socketTimeout: 30000      // 30 seconds
+    });
+  }
+
+  async send(message) {
+    const result = await this.transporter.sendMail(toNodemailerMessage(message));
+    return { messageId: result.messageId };
+  }
+}
+
+// MailerSend HTTP API
+export class MailerSendTransport {
+  constructor(config) {
+    if (!config.apiKey) {
+      throw new Error('MAILERSEND_API_KEY is required for the mailersend email transport');
+    }
+    this.name = 'mailersend';
+    this.client = new MailerSend({ apiKey: config.apiKey });
+  }
+
+  async send(message) {
+    const params = new EmailParams()
+      .setFrom(new Sender(message.from.email, message.from.name))
+      .setTo([new Recipient(message.to)])
+      .setSubject(message.subject)
+      .setHtml(message.html)
+      .setText(message.text);
+    if (message.attachments && message.attachments.length > 0) {
+      params.setAttachments(message.attachments.map(attachment => new Attachment(attachment.content, attachment.filename, 'attachment')));
+    }
+
+    try {
+      const response = await this.client.email.send(params);
+      return { messageId: response.headers['x-message-id'] || null };
+    } catch (error) {
+      // The SDK rejects with the raw response rather than an Error
+      if (error instanceof Error) {
+        throw error;
+      }
+      const details = error.body && error.body.message ? error.body.message : JSON.stringify(error.body);
+      throw new Error(`MailerSend request failed (${error.statusCode}): ${details}`);
+    }
+  }
+}
+
+// Writes each message to an .eml file (plus its HTML body) for local
+// development and tests
+export class FileTransport {
+  constructor(config) {
+    this.name = 'file';
+    this.directory = path.resolve(config.directory);
+    this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+
+  async send(message) {
+    const messageId = `${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
+    const { message: raw } = await this.transporter.sendMail(toNodemailerMessage(message));
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(path.join(this.directory, `${messageId}.eml`), raw);
+    await fs.writeFile(path.join(this.directory, `${messageId}.html`), message.html || '');
+    return { messageId };
+  }
+}
+
+// Logs messages instead of sending them
+export class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    const messageId = `console_${Date.now()}`;
+    console.log(`📧 [console email] To: ${message.to} | Subject: ${message.subject}`);
+    console.log(message.text);
+    return { messageId };
+  }
+}
+
+// Stands in when no transport is configured outside production: every send
+// fails, so missing configuration shows up instead of mail going nowhere
+export class UnconfiguredTransport {
+  constructor() {
+    this.name = 'none';
+  }
+
+  async send() {
+    throw new Error('No email transport configured: set EMAIL_TRANSPORT');
+  }
+}
+
+// Build the transport named in the email configuration. Production must
+// deliver mail, so it refuses to start with file, console or no transport.
+export function createTransport(config) {
+  if (config.production && !DELIVERING_TRANSPORTS.includes(config.transport)) {
+    throw new Error(`EMAIL_TRANSPORT must be one of ${DELIVERING_TRANSPORTS.join(', ')} in production`);
+  }
+
+  switch (config.transport) {
+    case null:
+      return new UnconfiguredTransport();
+    case 'smtp':
+      return new SmtpTransport(config.smtp);
+    case 'mailersend':
+      return new MailerSendTransport(config.mailersend);
+    case 'file':
+      return new FileTransport(config.file);
+    case 'console':
+      return new ConsoleTransport();
+    default:
+      throw new Error(`Unknown email transport: ${config.transport}`);
+  }
+}
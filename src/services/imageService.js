@@ -1,4 +1,4 @@
-import { uploadFile, deleteFile, getFileUrl } from '../config/storage.js';
+import { uploadFile, deleteFile, downloadFile, getFileUrl } from '../config/storage.js';
 import multer from 'multer';
 import path from 'path';
 
@@ -27,15 +27,15 @@ export class ImageService {
   }
 
   // Generate unique filename
-  generateFileName(originalName, productId) {
+  generateFileName(originalName, productId, folder = 'products') {
     const timestamp = Date.now();
     const randomString = Math.random().toString(36).substring(2, 15);
     const extension = path.extname(originalName);
-    return `products/${productId}/${timestamp}_${randomString}${extension}`;
+    return `${folder}/${productId}/${timestamp}_${randomString}${extension}`;
   }
 
-  // Upload single image
-  async uploadProductImage(file, productId) {
+  // Upload single image (to the private container with `isPrivate`)
+  async uploadProductImage(file, productId, folder = 'products', { isPrivate = false } = {}) {
     try {
       // Validate file
       if (!file) {
@@ -51,10 +51,10 @@ export class ImageService {
       }
 
       // Generate unique filename
-      const fileName = this.generateFileName(file.originalname, productId);
+      const fileName = this.generateFileName(file.originalname, productId, folder);
 
       // Upload to Azure Blob Storage
-      const uploadResult = await uploadFile(fileName, file.buffer, file.mimetype);
+      const uploadResult = await uploadFile(fileName, file.buffer, file.mimetype, { isPrivate });
 
       return {
         url: uploadResult.url,
@@ -90,6 +90,33 @@ export class ImageService {
     }
   }
 
+  // Upload the photos attached to a return request. They often show the
+  // customer's name and address, so they go to the private container.
+  async uploadReturnPhotos(files, returnId) {
+    try {
+      if (files.length > 5) {
+        throw new Error('Validation failed: Maximum 5 photos allowed per return');
+      }
+
+      const uploadPromises = files.map(file => this.uploadProductImage(file, returnId, 'returns', { isPrivate: true }));
+      return await Promise.all(uploadPromises);
+    } catch (error) {
+      console.error('Error uploading return photos:', error);
+      throw error;
+    }
+  }
+
+  // Read a return photo back; null if it is missing. Photos stored before
+  // they were kept private have a public `url` and live in the public container.
+  async downloadReturnPhoto(photo) {
+    try {
+      return await downloadFile(photo.fileName, { isPrivate: !photo.url });
+    } catch (error) {
+      console.error('Error downloading return photo:', error);
+      throw error;
+    }
+  }
+
   // Delete image from blob storage
   async deleteProductImage(fileName) {
     try {
@@ -0,0 +1,295 @@
+import { containers } from '../config/cosmos.js';
+import { uploadFile, downloadFile } from '../config/storage.js';
+import { invoiceConfig } from '../config/invoice.js';
+import { PdfDocument } from '../utils/pdf.js';
+import { formatMoney } from '../utils/money.js';
+
+// Orders are invoiced once paid, and keep their invoice if refunded later
+const INVOICED_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded', 'disputed'];
+
+// An invoice claimed but not numbered after this long was abandoned (the
+// claiming request died); waiting requests poll for it every CLAIM_POLL_MS
+const CLAIM_TIMEOUT_MS = 60 * 1000;
+const CLAIM_POLL_MS = 250;
+
+const MARGIN = 50;
+const LINE_HEIGHT = 14;
+
+// Shorten text with an ellipsis until it fits in `width` points
+function fitText(pdf, text, width, options = {}) {
+  let fitted = String(text || '');
+  while (fitted.length > 1 && pdf.textWidth(fitted, options) > width) {
+    fitted = `${fitted.slice(0, -2).trimEnd()}…`;
+  }
+  return fitted;
+}
+
+// Unit price and line total of an order item (orders created before
+// server-side pricing only stored `price`)
+function itemAmounts(item) {
+  const unitPrice = item.unitPrice !== undefined ? item.unitPrice : item.price;
+  const lineTotal = item.lineTotal !== undefined ? item.lineTotal : unitPrice * item.quantity;
+  return { unitPrice, lineTotal };
+}
+
+export class InvoiceService {
+  constructor() {
+    this.container = containers.invoices;
+    this.countersContainer = containers.counters;
+  }
+
+  // Whether an order can be invoiced
+  canInvoice(order) {
+    return INVOICED_PAYMENT_STATUSES.includes(order.paymentStatus);
+  }
+
+  // Take the next invoice number. The counter document is updated with its
+  // ETag, so two invoices can never get the same number.
+  async nextInvoiceNumber(maxAttempts = 10) {
+    const id = 'invoice';
+    for (let attempt = 1; ; attempt++) {
+      let resource = null;
+      try {
+        ({ resource } = await this.countersContainer.item(id, id).read());
+      } catch (error) {
+        if (error.code !== 404) {
+          throw error;
+        }
+      }
+
+      try {
+        const value = resource ? resource.value + 1 : 1;
+        if (resource) {
+          await this.countersContainer.item(id, id).replace({ id, value }, {
+            accessCondition: { type: 'IfMatch', condition: resource._etag }
+          });
+        } else {
+          await this.countersContainer.items.create({ id, value });
+        }
+        return `${invoiceConfig.prefix}${String(value).padStart(6, '0')}`;
+      } catch (error) {
+        // 412: another invoice took the number; 409: another request created the counter
+        if ((error.code === 412 || error.code === 409) && attempt < maxAttempts) {
+          continue;
+        }
+        throw error;
+      }
+    }
+  }
+
+  // Draw the invoice: seller, invoice details, billing address, line items
+  // and totals, all in the currency the order was paid in
+  renderInvoice(order, invoice) {
+    const pdf = new PdfDocument({ title: `Invoice ${invoice.number}` });
+    const right = pdf.width - MARGIN;
+    const money = amount => formatMoney(amount, order.currency);
+    const { seller } = invoiceConfig;
+
+    // Seller on the left, invoice details on the right
+    let y = MARGIN + 12;
+    pdf.text(seller.name, MARGIN, y, { size: 14, bold: true });
+    [...seller.addressLines, seller.email, seller.vatNumber && `VAT number: ${seller.vatNumber}`]
+      .filter(Boolean)
+      .forEach(line => {
+        y += LINE_HEIGHT;
+        pdf.text(line, MARGIN, y);
+      });
+
+    pdf.text('INVOICE', right, MARGIN + 12, { size: 20, bold: true, align: 'right' });
+    const details = [
+      `Invoice number: ${invoice.number}`,
+      `Invoice date: ${invoice.issuedAt.slice(0, 10)}`,
+      `Order: ${(order.metadata && order.metadata.order_ref) || order.id}`,
+      `Order date: ${order.createdAt.slice(0, 10)}`
+    ];
+    details.forEach((line, index) => pdf.text(line, right, MARGIN + 36 + index * LINE_HEIGHT, { align: 'right' }));
+
+    // Billing address
+    y = Math.max(y, MARGIN + 36 + (details.length - 1) * LINE_HEIGHT) + 36;
+    pdf.text('Bill to', MARGIN, y, { bold: true });
+    const address = order.address || {};
+    [order.customerName, address.street, address.city, address.postCode, address.country, order.customerEmail]
+      .filter(Boolean)
+      .forEach(line => {
+        y += LINE_HEIGHT;
+        pdf.text(line, MARGIN, y);
+      });
+
+    // Line items, with the column headings repeated on each page
+    const columns = { quantity: right - 180, unitPrice: right - 90, amount: right };
+    const tableHeader = () => {
+      pdf.text('Description', MARGIN, y, { bold: true });
+      pdf.text('Qty', columns.quantity, y, { bold: true, align: 'right' });
+      pdf.text('Unit price', columns.unitPrice, y, { bold: true, align: 'right' });
+      pdf.text('Amount', columns.amount, y, { bold: true, align: 'right' });
+      pdf.line(MARGIN, y + 6, right, y + 6);
+      y += 22;
+    };
+    const ensureSpace = (height, withHeader) => {
+      if (y + height > pdf.height - MARGIN - 30) {
+        pdf.addPage();
+        y = MARGIN + 12;
+        if (withHeader) tableHeader();
+      }
+    };
+
+    y += 36;
+    tableHeader();
+    order.items.forEach(item => {
+      ensureSpace(LINE_HEIGHT, true);
+      const { unitPrice, lineTotal } = itemAmounts(item);
+      pdf.text(fitText(pdf, item.name, columns.quantity - MARGIN - 40), MARGIN, y);
+      pdf.text(String(item.quantity), columns.quantity, y, { align: 'right' });
+      pdf.text(money(unitPrice), columns.unitPrice, y, { align: 'right' });
+      pdf.text(money(lineTotal), columns.amount, y, { align: 'right' });
+      y += LINE_HEIGHT + 2;
+    });
+
+    // Totals
+    const rows = [['Subtotal', money(order.subtotal)]];
+    if (order.discountTotal > 0) {
+      rows.push([order.discount ? `Discount (${order.discount.code})` : 'Discount', `-${money(order.discountTotal)}`]);
+    }
+    if (order.shipping) {
+      rows.push([`Shipping (${order.shipping.name})`, order.shippingTotal > 0 ? money(order.shippingTotal) : 'Free']);
+    }
+    (order.taxLines || []).forEach(taxLine => {
+      rows.push([`${taxLine.name} ${taxLine.rate}%${taxLine.inclusive ? ' (included)' : ''}`, money(taxLine.amount)]);
+    });
+
+    ensureSpace((rows.length + 3) * (LINE_HEIGHT + 2), false);
+    pdf.line(columns.quantity - 60, y - 6, right, y - 6);
+    y += 8;
+    rows.forEach(([label, amount]) => {
+      pdf.text(fitText(pdf, label, 200), columns.unitPrice, y, { align: 'right' });
+      pdf.text(amount, columns.amount, y, { align: 'right' });
+      y += LINE_HEIGHT + 2;
+    });
+    pdf.text('Total', columns.unitPrice, y + 4, { size: 12, bold: true, align: 'right' });
+    pdf.text(money(order.total), columns.amount, y + 4, { size: 12, bold: true, align: 'right' });
+    if (order.currency !== order.baseCurrency) {
+      y += 24;
+      pdf.text(
+        `Total in ${order.baseCurrency.toUpperCase()}: ${formatMoney(order.baseTotal, order.baseCurrency)} ` +
+        `(1 ${order.baseCurrency.toUpperCase()} = ${order.exchangeRate} ${order.currency.toUpperCase()})`,
+        columns.amount, y, { size: 8, align: 'right' }
+      );
+    }
+
+    pdf.text('Thank you for your order.', pdf.width / 2, pdf.height - MARGIN, { size: 9, align: 'center' });
+    return pdf.toBuffer();
+  }
+
+  // The invoice issued for an order, or null. An invoice that is still
+  // being numbered (see issueInvoice) is not issued yet.
+  async findByOrderId(orderId) {
+    try {
+      const { resource } = await this.container.item(orderId, orderId).read();
+      return resource && resource.number ? resource : null;
+    } catch (error) {
+      if (error.code === 404) {
+        return null;
+      }
+      console.error('Error finding invoice:', error);
+      throw error;
+    }
+  }
+
+  // Issue the order's invoice: { id (the order ID), number, userId, issuedAt,
+  // blobName }. The order's invoice document is claimed before a number is
+  // taken, so when two requests race only the one that claimed it takes a
+  // number and the other waits for it. A number is only left unused if the
+  // claiming request dies between taking it and saving the invoice.
+  async issueInvoice(order) {
+    let claim;
+    try {
+      ({ resource: claim } = await this.container.items.create({
+        id: order.id,
+        userId: order.userId,
+        number: null,
+        claimedAt: new Date().toISOString()
+      }));
+    } catch (error) {
+      if (error.code !== 409) {
+        throw error;
+      }
+      claim = await this.waitForInvoice(order.id);
+      if (claim.number) {
+        return claim;
+      }
+    }
+
+    const number = await this.nextInvoiceNumber();
+    const { resource } = await this.container.item(order.id, order.id).replace({
+      id: order.id,
+      number,
+      userId: order.userId,
+      issuedAt: new Date().toISOString(),
+      blobName: `invoices/${order.id}/${number}.pdf`
+    }, { accessCondition: { type: 'IfMatch', condition: claim._etag } });
+    return resource;
+  }
+
+  // Wait for the request that claimed an order's invoice to number it and
+  // return the invoice. A claim left unnumbered for CLAIM_TIMEOUT_MS was
+  // abandoned (e.g. the process restarted) and is taken over and returned.
+  async waitForInvoice(orderId, maxAttempts = 20) {
+    for (let attempt = 1; ; attempt++) {
+      const { resource } = await this.container.item(orderId, orderId).read();
+      if (!resource) {
+        throw new Error('Invoice not found');
+      }
+      if (resource.number) {
+        return resource;
+      }
+
+      if (Date.now() - new Date(resource.claimedAt).getTime() > CLAIM_TIMEOUT_MS) {
+        try {
+          const { resource: claim } = await this.container.item(orderId, orderId).replace({
+            ...resource,
+            claimedAt: new Date().toISOString()
+          }, { accessCondition: { type: 'IfMatch', condition: resource._etag } });
+          return claim;
+        } catch (error) {
+          // Numbered or taken over by someone else meanwhile: look again
+          if (error.code !== 412) {
+            throw error;
+          }
+          continue;
+        }
+      }
+
+      if (attempt >= maxAttempts) {
+        throw new Error('Invoice is still being issued, try again shortly');
+      }
+      await new Promise(resolve => setTimeout(resolve, CLAIM_POLL_MS));
+    }
+  }
+
+  // The invoice for a paid order. The first request numbers it and stores
+  // the PDF in private blob storage; later requests return the stored PDF.
+  // Returns { invoice, pdf }.
+  async getInvoice(order) {
+    try {
+      if (!this.canInvoice(order)) {
+        throw new Error('Validation failed: Orders are invoiced once they have been paid');
+      }
+
+      const invoice = await this.findByOrderId(order.id) || await this.issueInvoice(order);
+      const stored = await downloadFile(invoice.blobName, { isPrivate: true });
+      if (stored) {
+        return { invoice, pdf: stored };
+      }
+
+      // Newly issued, or the file has gone missing: draw it under the invoice's number
+      const pdf = this.renderInvoice(order, invoice);
+      await uploadFile(invoice.blobName, pdf, 'application/pdf', { isPrivate: true });
+      return { invoice, pdf };
+    } catch (error) {
+      console.error('Error getting invoice:', error);
+      throw error;
+    }
+  }
+}
+
+export default new InvoiceService();
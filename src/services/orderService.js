@@ -0,0 +1,827 @@
+import crypto from 'crypto';
+import { containers } from '../config/cosmos.js';
+import Order from '../models/Order.js';
+import { stripe } from '../config/stripe.js';
+import productService from './productService.js';
+import emailService from './emailService.js';
+import promotionService from './promotionService.js';
+import invoiceService from './invoiceService.js';
+import { roundMoney, toMinorUnits, STORE_CURRENCY } from '../utils/money.js';
+import { CARRIERS, getTrackingUrl } from '../utils/carriers.js';
+import { queryPage } from '../utils/pagination.js';
+
+export class OrderService {
+  constructor() {
+    this.container = containers.orders;
+  }
+
+  // Merge requested lines by product and variant and normalise quantities.
+  // Only product IDs, variant IDs and quantities are read from the client;
+  // any price, name or total it sends is ignored.
+  normalizeRequestedItems(requestedItems) {
+    const merged = new Map();
+    const errors = [];
+
+    requestedItems.forEach((item, index) => {
+      const productId = item && (item.productId || item.id);
+      const variantId = (item && item.variantId) || null;
+      const quantity = Number(item && item.quantity);
+
+      if (!productId || typeof productId !== 'string') {
+        errors.push(`Item ${index + 1}: product ID is required`);
+        return;
+      }
+      if (variantId !== null && typeof variantId !== 'string') {
+        errors.push(`Item ${index + 1}: variant ID must be a string`);
+        return;
+      }
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        errors.push(`Item ${index + 1}: quantity must be a positive integer`);
+        return;
+      }
+
+      const key = `${productId}:${variantId || ''}`;
+      const existing = merged.get(key);
+      merged.set(key, { productId, variantId, quantity: (existing ? existing.quantity : 0) + quantity });
+    });
+
+    return {
+      items: [...merged.values()],
+      errors
+    };
+  }
+
+  // Re-read every requested product and build authoritative order lines.
+  // Returns { lines, subtotal, errors }; callers must refuse to create an
+  // order while `errors` is non-empty. Lines are priced in `currency` (from
+  // currencyService.resolve) when given, else in the store currency.
+  async priceItems(requestedItems, currency = null) {
+    try {
+      const { items, errors } = this.normalizeRequestedItems(requestedItems);
+      const lines = [];
+
+      for (const item of items) {
+        const product = await productService.findById(item.productId);
+
+        if (!product) {
+          errors.push(`Product ${item.productId} not found`);
+          continue;
+        }
+        if (!product.isPublished()) {
+          errors.push(`${product.name} is not available for purchase`);
+          continue;
+        }
+
+        // Products with variants are bought one variant at a time
+        let variant = null;
+        if (product.hasVariants()) {
+          variant = item.variantId ? product.findVariant(item.variantId) : null;
+          if (!variant || !variant.isActive) {
+            errors.push(item.variantId
+              ? `The selected options of ${product.name} are not available`
+              : `Choose options for ${product.name}`);
+            continue;
+          }
+        } else if (item.variantId) {
+          errors.push(`${product.name} has no options to choose from`);
+          continue;
+        }
+
+        const name = product.getLineName(variant);
+        const available = variant ? variant.quantity : product.quantity;
+        if (available <= 0) {
+          errors.push(`${name} is out of stock`);
+          continue;
+        }
+        if (item.quantity > available) {
+          errors.push(`Only ${available} of ${name} left in stock`);
+          continue;
+        }
+
+        const unitPrice = currency ? product.getPriceIn(currency, variant) : product.getVariantPrice(variant);
+        lines.push({
+          productId: product.id,
+          variantId: variant ? variant.id : null,
+          categoryId: product.categoryId,
+          weight: product.weight,
+          taxInclusive: product.taxInclusive,
+          options: variant ? variant.options : null,
+          sku: variant ? variant.sku : product.sku,
+          name,
+          image: (variant && variant.images[0]) || product.images[0] || null,
+          unitPrice,
+          quantity: item.quantity,
+          lineTotal: roundMoney(unitPrice * item.quantity)
+        });
+      }
+
+      const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+
+      return { lines, subtotal, errors };
+    } catch (error) {
+      console.error('Error pricing order items:', error);
+      throw error;
+    }
+  }
+
+  // Find an order by ID when the owner is unknown (cross-partition query)
+  async findById(orderId) {
+    try {
+      const querySpec = {
+        query: 'SELECT * FROM c WHERE c.id = @id',
+        parameters: [{ name: '@id', value: orderId }]
+      };
+      const { resources } = await this.container.items.query(querySpec).fetchAll();
+      return resources.length > 0 ? Order.fromDocument(resources[0]) : null;
+    } catch (error) {
+      console.error('Error finding order by ID:', error);
+      throw error;
+    }
+  }
+
+  // List orders, newest first. Filters: userId (one customer's orders),
+  // status and search (order reference, and customer email when listing
+  // every customer's orders). `pagination` comes from getPagination.
+  async listOrders({ userId, status, search } = {}, pagination) {
+    try {
+      const conditions = [];
+      const parameters = [];
+      if (userId) {
+        conditions.push('c.userId = @userId');
+        parameters.push({ name: '@userId', value: userId });
+      }
+      if (status) {
+        conditions.push('c.status = @status');
+        parameters.push({ name: '@status', value: status });
+      }
+      if (search) {
+        conditions.push(userId
+          ? 'CONTAINS(c.metadata.order_ref, @search, true)'
+          : '(CONTAINS(c.customerEmail, @search, true) OR CONTAINS(c.metadata.order_ref, @search, true))');
+        parameters.push({ name: '@search', value: search });
+      }
+
+      const { resources, ...pageInfo } = await queryPage(this.container, {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        parameters,
+        // A customer's orders all live in their partition
+        partitionKey: userId || undefined
+      }, pagination);
+
+      return {
+        orders: resources.map(doc => Order.fromDocument(doc)),
+        ...pageInfo
+      };
+    } catch (error) {
+      console.error('Error listing orders:', error);
+      throw error;
+    }
+  }
+
+  // Sales figures for orders placed from `from` up to `to` (ISO dates, both
+  // optional). Money figures count orders that were paid, before refunds,
+  // except `refunded` and `netSales`. Orders paid in other currencies are
+  // converted back to the store currency at their checkout exchange rate.
+  async getOrderAnalytics({ from, to } = {}) {
+    try {
+      const conditions = [];
+      const parameters = [];
+      if (from) {
+        conditions.push('c.createdAt >= @from');
+        parameters.push({ name: '@from', value: from });
+      }
+      if (to) {
+        conditions.push('c.createdAt < @to');
+        parameters.push({ name: '@to', value: to });
+      }
+      const { resources: orders } = await this.container.items.query({
+        query: `SELECT c.status, c.paymentStatus, c.subtotal, c.discountTotal, c.shippingTotal,
+          c.taxTotal, c.taxLines, c.total, c.amountRefunded, c.exchangeRate FROM c
+          ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}`,
+        parameters
+      }).fetchAll();
+
+      const statusCounts = {};
+      orders.forEach(order => {
+        statusCounts[order.status] = (statusCounts[order.status] || 0) + 1;
+      });
+
+      const paid = orders.filter(order => ['paid', 'partially_refunded', 'refunded', 'disputed'].includes(order.paymentStatus));
+      const toBase = (order, amount) => (amount || 0) / (order.exchangeRate || 1);
+      const sum = field => roundMoney(paid.reduce((total, order) => total + toBase(order, order[field]), 0));
+
+      // Tax per rate, split into tax included in prices and tax added on top
+      const taxByRate = new Map();
+      paid.forEach(order => (order.taxLines || []).forEach(taxLine => {
+        const key = `${taxLine.name}|${taxLine.rate}|${taxLine.inclusive}`;
+        const entry = taxByRate.get(key) || { name: taxLine.name, rate: taxLine.rate, inclusive: taxLine.inclusive, taxable: 0, amount: 0 };
+        entry.taxable = roundMoney(entry.taxable + toBase(order, taxLine.taxable));
+        entry.amount = roundMoney(entry.amount + toBase(order, taxLine.amount));
+        taxByRate.set(key, entry);
+      }));
+
+      const grossSales = sum('total');
+      const refunded = sum('amountRefunded');
+      return {
+        period: { from: from || null, to: to || null },
+        currency: STORE_CURRENCY,
+        orderCount: orders.length,
+        paidOrderCount: paid.length,
+        statusCounts,
+        grossSales,
+        refunded,
+        netSales: roundMoney(grossSales - refunded),
+        averageOrderValue: paid.length > 0 ? roundMoney(grossSales / paid.length) : 0,
+        subtotal: sum('subtotal'),
+        discountTotal: sum('discountTotal'),
+        shippingTotal: sum('shippingTotal'),
+        taxTotal: sum('taxTotal'),
+        taxByRate: [...taxByRate.values()]
+      };
+    } catch (error) {
+      console.error('Error getting order analytics:', error);
+      throw error;
+    }
+  }
+
+  // Find the order paid for by a Stripe payment intent (cross-partition query)
+  async findByPaymentIntentId(paymentIntentId) {
+    try {
+      const querySpec = {
+        query: 'SELECT * FROM c WHERE c.paymentIntentId = @paymentIntentId',
+        parameters: [{ name: '@paymentIntentId', value: paymentIntentId }]
+      };
+      const { resources } = await this.container.items.query(querySpec).fetchAll();
+      return resources.length > 0 ? Order.fromDocument(resources[0]) : null;
+    } catch (error) {
+      console.error('Error finding order by payment intent:', error);
+      throw error;
+    }
+  }
+
+  // Find an order belonging to a user (point read within the user's partition)
+  async findByIdForUser(orderId, userId) {
+    try {
+      const { resource } = await this.container.item(orderId, userId).read();
+      return resource ? Order.fromDocument(resource) : null;
+    } catch (error) {
+      if (error.code === 404) {
+        return null;
+      }
+      console.error('Error finding order for user:', error);
+      throw error;
+    }
+  }
+
+  // The user's most recent delivered order containing a product, or null.
+  // Orders partly refunded after delivery still count; fully refunded ones do not.
+  async findDeliveredOrderWithProduct(userId, productId) {
+    try {
+      const querySpec = {
+        query: `SELECT VALUE c FROM c JOIN i IN c.items
+          WHERE c.userId = @userId AND i.productId = @productId
+          AND c.status IN ('delivered', 'partially_refunded')
+          AND ARRAY_CONTAINS(c.statusHistory, { "to": "delivered" }, true)
+          ORDER BY c.createdAt DESC`,
+        parameters: [
+          { name: '@userId', value: userId },
+          { name: '@productId', value: productId }
+        ]
+      };
+      const { resources } = await this.container.items
+        .query(querySpec, { partitionKey: userId })
+        .fetchAll();
+      return resources.length > 0 ? Order.fromDocument(resources[0]) : null;
+    } catch (error) {
+      console.error('Error finding delivered order with product:', error);
+      throw error;
+    }
+  }
+
+  // Delete an order (used when checkout fails before payment was possible)
+  async deleteOrder(order) {
+    try {
+      await this.container.item(order.id, order.userId).delete();
+      return true;
+    } catch (error) {
+      console.error('Error deleting order:', error);
+      throw error;
+    }
+  }
+
+  // Take stock for every line of a new order. If any line cannot be
+  // reserved, the lines already taken are put back before rethrowing.
+  async reserveStock(order) {
+    if (order.stockStatus) {
+      return order;
+    }
+
+    const reserved = [];
+    try {
+      for (const line of order.items) {
+        await productService.adjustStock(line.productId, -line.quantity, line.variantId);
+        reserved.push(line);
+      }
+    } catch (error) {
+      for (const line of reserved) {
+        try {
+          await productService.adjustStock(line.productId, line.quantity, line.variantId);
+        } catch (rollbackError) {
+          console.error(`Error rolling back stock for product ${line.productId}:`, rollbackError);
+        }
+      }
+      throw error;
+    }
+
+    return this.saveOrder(order, current => {
+      current.stockStatus = 'reserved';
+    });
+  }
+
+  // Payment succeeded: the reserved stock is now sold. Saves the order along
+  // with `changes` (see saveOrder).
+  async commitStock(order, changes = () => {}) {
+    return this.saveOrder(order, current => {
+      changes(current);
+      if (current.stockStatus === 'reserved') {
+        current.stockStatus = 'committed';
+      }
+      if (current.discount && current.discount.status === 'reserved') {
+        current.discount.status = 'redeemed';
+      }
+    });
+  }
+
+  // Take one use of the order's promo code, counted against its usage limit
+  // like stock. Throws if the code was used up or withdrawn meanwhile. The
+  // customer's uses are counted again once this order holds its use, so two
+  // checkouts racing past the per-customer limit are both refused. If
+  // anything fails once the use is taken, the use is given back.
+  async reserveDiscount(order) {
+    if (!order.discount || order.discount.status) {
+      return order;
+    }
+
+    const promotion = await promotionService.reserveUse(order.discount.promotionId);
+    let reserved = null;
+    let overLimit;
+    try {
+      reserved = await this.saveOrder(order, current => {
+        current.discount.status = 'reserved';
+      });
+      overLimit = promotion.perUserLimit !== null &&
+        await promotionService.countUsesByUser(promotion.id, order.userId) > promotion.perUserLimit;
+    } catch (error) {
+      try {
+        await this.undoReserveDiscount(order, reserved);
+      } catch (rollbackError) {
+        console.error(`Error giving back promo code use for order ${order.id}:`, rollbackError);
+      }
+      throw error;
+    }
+
+    if (overLimit) {
+      await this.undoReserveDiscount(order, reserved);
+      throw new Error(`Promo code ${promotion.code} can only be used ${promotion.perUserLimit} time(s) per customer`);
+    }
+    return reserved;
+  }
+
+  // Give back the use reserveDiscount took. `reserved` is the order as saved
+  // holding the use, or null if saving it failed.
+  async undoReserveDiscount(order, reserved) {
+    if (!reserved) {
+      await promotionService.releaseUse(order.discount.promotionId);
+      return;
+    }
+    await this.releaseDiscount(reserved);
+    await this.saveOrder(reserved, current => {
+      current.discount.status = 'released';
+    });
+  }
+
+  // Give the order's promo code use back. Does not save the order; returns
+  // whether there was a use to give back.
+  async releaseDiscount(order) {
+    if (!order.discount || !['reserved', 'redeemed'].includes(order.discount.status)) {
+      return false;
+    }
+
+    try {
+      await promotionService.releaseUse(order.discount.promotionId);
+    } catch (error) {
+      // A deleted promotion has no usage count to return to
+      if (error.message !== 'Promotion not found') {
+        throw error;
+      }
+      console.error(`Promotion ${order.discount.code} no longer exists, skipping release`);
+    }
+    return true;
+  }
+
+  // Put an order's stock and promo code use back (session expired or order
+  // cancelled) and save the order along with `changes` (see saveOrder). Safe
+  // to call more than once; only reserved or committed stock is released.
+  async releaseStock(order, changes = () => {}) {
+    const discountReleased = await this.releaseDiscount(order);
+    const stockReleased = order.stockStatus === 'reserved' || order.stockStatus === 'committed';
+    const save = () => this.saveOrder(order, current => {
+      changes(current);
+      if (discountReleased) {
+        current.discount.status = 'released';
+      }
+      if (stockReleased) {
+        current.stockStatus = 'released';
+      }
+    });
+
+    if (!stockReleased) {
+      return save();
+    }
+
+    for (const line of order.items) {
+      try {
+        await productService.adjustStock(line.productId, line.quantity, line.variantId);
+      } catch (error) {
+        // A deleted product or variant has no stock to return to
+        if (error.message !== 'Product not found' && error.message !== 'Product variant not found') {
+          throw error;
+        }
+        console.error(`${line.name} no longer exists, skipping stock release`);
+      }
+    }
+    return save();
+  }
+
+  // Work out which lines and how much a refund request covers.
+  // `items` refunds specific quantities at the price paid, `amount` refunds a
+  // fixed sum, and neither refunds everything still outstanding.
+  buildRefund(order, { amount, items } = {}) {
+    const errors = [];
+    let refundItems = [];
+    let refundAmount;
+
+    if (amount !== undefined && items !== undefined) {
+      errors.push('Provide either an amount or a list of items, not both');
+    } else if (items !== undefined) {
+      const { items: requested, errors: itemErrors } = this.normalizeRequestedItems(items);
+      errors.push(...itemErrors);
+
+      for (const item of requested) {
+        const line = order.findItem(item.productId, item.variantId);
+        if (!line) {
+          errors.push(`Product ${item.productId} is not part of this order`);
+        } else if (item.quantity > order.getRefundableQuantity(item.productId, item.variantId)) {
+          errors.push(`Only ${order.getRefundableQuantity(item.productId, item.variantId)} of ${line.name} can still be refunded`);
+        } else {
+          refundItems.push({
+            productId: line.productId,
+            variantId: line.variantId || null,
+            name: line.name,
+            quantity: item.quantity,
+            unitPrice: line.unitPrice,
+            // What was paid for these units, net of any promo code discount
+            lineTotal: order.getPaidAmount(line, item.quantity)
+          });
+        }
+      }
+      refundAmount = roundMoney(refundItems.reduce((sum, item) => sum + item.lineTotal, 0));
+    } else if (amount !== undefined) {
+      refundAmount = roundMoney(amount);
+    } else {
+      refundItems = order.items
+        .filter(line => order.getRefundableQuantity(line.productId, line.variantId) > 0)
+        .map(line => ({
+          productId: line.productId,
+          variantId: line.variantId || null,
+          name: line.name,
+          quantity: order.getRefundableQuantity(line.productId, line.variantId),
+          unitPrice: line.unitPrice,
+          lineTotal: order.getPaidAmount(line, order.getRefundableQuantity(line.productId, line.variantId))
+        }));
+      refundAmount = order.getRefundableAmount();
+    }
+
+    if (errors.length === 0) {
+      if (!(refundAmount > 0)) {
+        errors.push('Refund amount must be greater than zero');
+      } else if (refundAmount > order.getRefundableAmount()) {
+        errors.push(`Refund amount exceeds the ${order.getRefundableAmount()} still refundable on this order`);
+      }
+    }
+
+    return { amount: refundAmount, items: refundItems, errors };
+  }
+
+  // ID of the refund a request makes. The idempotency key identifies the
+  // request (the client's key, or e.g. a return's ID); without one it is the
+  // request itself and the number of refunds already made, so the same
+  // request sent twice at once is refunded once.
+  getRefundId(order, { idempotencyKey = null, amount, items } = {}) {
+    const key = idempotencyKey || JSON.stringify([order.refunds.length, amount ?? null, items ?? null]);
+    return `refund_${crypto.createHash('sha256').update(`${order.id}:${key}`).digest('hex').slice(0, 24)}`;
+  }
+
+  // Refund (part of) an order through Stripe and record it on the order.
+  // With `restock`, refunded lines are put back into stock. The refund is
+  // recorded before Stripe is asked for it, so the charge.refunded webhook
+  // finds it already counted; if Stripe refuses, the record is removed again.
+  // A request whose refund is already recorded returns the order unchanged.
+  async refundOrder(order, { amount, items, restock = false, reason = null, actorId, actorRole = 'admin', updateStatus = true, notify = true, idempotencyKey = null } = {}) {
+    try {
+      const refundId = this.getRefundId(order, { idempotencyKey, amount, items });
+      if (order.refunds.some(existing => existing.id === refundId)) {
+        return order;
+      }
+
+      let refund;
+      const recordedOrder = await this.saveOrder(order, current => {
+        if (current.refunds.some(existing => existing.id === refundId)) {
+          throw new Error('Refund for this request already exists');
+        }
+        if (!current.paymentIntentId || !['paid', 'partially_refunded', 'disputed'].includes(current.paymentStatus)) {
+          throw new Error('Validation failed: Order has no captured payment to refund');
+        }
+
+        refund = this.buildRefund(current, { amount, items });
+        if (refund.errors.length > 0) {
+          throw new Error(`Validation failed: ${refund.errors.join(', ')}`);
+        }
+
+        for (const item of refund.items) {
+          const line = current.findItem(item.productId, item.variantId);
+          line.refundedQuantity = (line.refundedQuantity || 0) + item.quantity;
+        }
+        current.refunds.push({
+          id: refundId,
+          stripeRefundId: null,
+          status: 'requested',
+          amount: refund.amount,
+          items: refund.items,
+          restocked: false,
+          reason,
+          actorId,
+          createdAt: new Date().toISOString()
+        });
+        current.amountRefunded = roundMoney(current.amountRefunded + refund.amount);
+      });
+
+      let stripeRefund;
+      try {
+        stripeRefund = await stripe.refunds.create({
+          payment_intent: recordedOrder.paymentIntentId,
+          amount: toMinorUnits(refund.amount),
+          reason: 'requested_by_customer',
+          metadata: { orderId: order.id, refundId }
+        }, { idempotencyKey: refundId });
+      } catch (error) {
+        await this.removeRefund(order, refundId, refund);
+        throw error;
+      }
+
+      // Only stock that actually left the warehouse's books can go back
+      const restocked = restock && refund.items.length > 0 && recordedOrder.stockStatus === 'committed';
+      if (restocked) {
+        for (const item of refund.items) {
+          try {
+            await productService.adjustStock(item.productId, item.quantity, item.variantId);
+          } catch (error) {
+            console.error(`Error restocking product ${item.productId}:`, error);
+          }
+        }
+      }
+
+      const savedOrder = await this.saveOrder(order, current => {
+        const recorded = current.refunds.find(existing => existing.id === refundId);
+        recorded.stripeRefundId = stripeRefund.id;
+        recorded.status = stripeRefund.status;
+        recorded.restocked = restocked;
+
+        const newStatus = current.getRefundableAmount() <= 0 ? 'refunded' : 'partially_refunded';
+        current.paymentStatus = newStatus;
+        if (updateStatus && current.status !== newStatus && current.canTransitionTo(newStatus)) {
+          current.transitionTo(newStatus, { actorId, actorRole, reason: reason || `Refunded ${refund.amount}` });
+        }
+      });
+      if (notify) {
+        await this.notifyCustomer('sendOrderRefundEmail', savedOrder, savedOrder.refunds.find(existing => existing.id === refundId));
+      }
+      return savedOrder;
+    } catch (error) {
+      console.error('Error refunding order:', error);
+      throw error;
+    }
+  }
+
+  // Take back a refund recorded by refundOrder that Stripe refused
+  async removeRefund(order, refundId, refund) {
+    try {
+      await this.saveOrder(order, current => {
+        const index = current.refunds.findIndex(existing => existing.id === refundId);
+        if (index === -1) {
+          return;
+        }
+        current.refunds.splice(index, 1);
+        current.amountRefunded = roundMoney(current.amountRefunded - refund.amount);
+        for (const item of refund.items) {
+          const line = current.findItem(item.productId, item.variantId);
+          line.refundedQuantity -= item.quantity;
+        }
+      });
+    } catch (error) {
+      console.error(`Error removing refund ${refundId} from order ${order.id}:`, error);
+    }
+  }
+
+  // Cancel an order: refund whatever was paid, stop an open checkout session
+  // from being paid, put the stock back and email the customer.
+  async cancelOrder(order, { actorId, actorRole = 'customer', reason = null } = {}) {
+    try {
+      if (!order.canTransitionTo('cancelled')) {
+        throw new Error(`Invalid status transition from ${order.status} to cancelled`);
+      }
+
+      if (['paid', 'partially_refunded'].includes(order.paymentStatus) && order.getRefundableAmount() > 0) {
+        // Refund first: if Stripe refuses, the order is left as it was
+        order = await this.refundOrder(order, {
+          reason: reason || 'Order cancelled',
+          actorId,
+          actorRole,
+          updateStatus: false,
+          notify: false
+        });
+      } else if (order.status === 'pending' && order.stripeSessionId) {
+        try {
+          await stripe.checkout.sessions.expire(order.stripeSessionId);
+        } catch (error) {
+          // Already expired or completed; a late payment is refunded by the webhook
+          console.error(`Could not expire checkout session ${order.stripeSessionId}:`, error.message);
+        }
+      }
+
+      const cancelledOrder = await this.releaseStock(order, current => {
+        current.transitionTo('cancelled', { actorId, actorRole, reason: reason || 'Order cancelled' });
+      });
+      await this.notifyCustomer('sendOrderCancellationEmail', cancelledOrder);
+      return cancelledOrder;
+    } catch (error) {
+      console.error('Error cancelling order:', error);
+      throw error;
+    }
+  }
+
+  // Record a shipment of some (or all remaining) lines of an order.
+  // The order moves to processing while lines are still to be sent, and to
+  // out_for_delivery once everything has shipped. The customer is emailed the
+  // tracking details.
+  async createShipment(order, { carrier, trackingNumber, trackingUrl, items, shippedAt, actorId, actorRole = 'admin' } = {}) {
+    try {
+      let shipment;
+      const savedOrder = await this.saveOrder(order, current => {
+        const errors = [];
+        if (!['confirmed', 'processing', 'partially_refunded'].includes(current.status)) {
+          errors.push(`Orders that are ${current.status} cannot be shipped`);
+        }
+        if (!CARRIERS[carrier]) {
+          errors.push(`Carrier must be one of: ${Object.keys(CARRIERS).join(', ')}`);
+        }
+
+        let shipmentItems = [];
+        if (items !== undefined) {
+          const { items: requested, errors: itemErrors } = this.normalizeRequestedItems(items);
+          errors.push(...itemErrors);
+
+          for (const item of requested) {
+            const line = current.findItem(item.productId, item.variantId);
+            if (!line) {
+              errors.push(`Product ${item.productId} is not part of this order`);
+            } else if (item.quantity > current.getUnshippedQuantity(item.productId, item.variantId)) {
+              errors.push(`Only ${current.getUnshippedQuantity(item.productId, item.variantId)} of ${line.name} are still to be shipped`);
+            } else {
+              shipmentItems.push({ productId: line.productId, variantId: line.variantId || null, name: line.name, quantity: item.quantity });
+            }
+          }
+        } else {
+          shipmentItems = current.items
+            .filter(line => current.getUnshippedQuantity(line.productId, line.variantId) > 0)
+            .map(line => ({
+              productId: line.productId,
+              variantId: line.variantId || null,
+              name: line.name,
+              quantity: current.getUnshippedQuantity(line.productId, line.variantId)
+            }));
+        }
+        if (errors.length === 0 && shipmentItems.length === 0) {
+          errors.push('Nothing is left to ship on this order');
+        }
+        if (errors.length > 0) {
+          throw new Error(`Validation failed: ${errors.join(', ')}`);
+        }
+
+        const now = new Date().toISOString();
+        shipment = {
+          id: `shipment_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          carrier,
+          carrierName: CARRIERS[carrier].name,
+          trackingNumber: trackingNumber || null,
+          trackingUrl: trackingUrl || getTrackingUrl(carrier, trackingNumber),
+          items: shipmentItems,
+          shippedAt: shippedAt || now,
+          createdAt: now
+        };
+        current.shipments.push(shipment);
+
+        const reason = `Shipped with ${shipment.carrierName}${shipment.trackingNumber ? ` (${shipment.trackingNumber})` : ''}`;
+        if (current.isFullyShipped()) {
+          current.transitionTo('out_for_delivery', { actorId, actorRole, reason });
+        } else if (current.status !== 'processing') {
+          current.transitionTo('processing', { actorId, actorRole, reason: `Partially shipped: ${reason}` });
+        }
+      });
+      await this.notifyCustomer('sendOrderDispatchEmail', savedOrder, shipment);
+      return { order: savedOrder, shipment };
+    } catch (error) {
+      console.error('Error creating shipment:', error);
+      throw error;
+    }
+  }
+
+  // Email the customer about their order. Failures are logged and never
+  // undo the change that triggered the email.
+  async notifyCustomer(method, order, ...args) {
+    try {
+      await emailService[method](order, ...args);
+    } catch (error) {
+      console.error(`Error sending ${method} for order ${order.id}:`, error);
+    }
+  }
+
+  // Email the order confirmation with the invoice attached once the order is
+  // paid. If the invoice cannot be made the email goes out without it.
+  async sendConfirmation(order) {
+    let invoice = null;
+    if (invoiceService.canInvoice(order)) {
+      try {
+        invoice = await invoiceService.getInvoice(order);
+      } catch (error) {
+        console.error(`Error invoicing order ${order.id}:`, error);
+      }
+    }
+    await this.notifyCustomer('sendOrderConfirmationEmail', order, invoice);
+  }
+
+  // Email the customer about the order's current status
+  async notifyStatusChange(order) {
+    const methods = {
+      confirmed: 'sendOrderConfirmationEmail',
+      delivered: 'sendOrderDeliveredEmail',
+      cancelled: 'sendOrderCancellationEmail',
+      refunded: 'sendOrderRefundEmail',
+      partially_refunded: 'sendOrderRefundEmail'
+    };
+    const method = methods[order.status] && !(order.status.includes('refunded') && order.amountRefunded <= 0)
+      ? methods[order.status]
+      : 'sendOrderStatusEmail';
+    if (method === 'sendOrderConfirmationEmail') {
+      return this.sendConfirmation(order);
+    }
+    await this.notifyCustomer(method, order);
+  }
+
+  // Change an order and save it (partition key: userId). `mutate` makes the
+  // changes to the latest copy of the order, which is replaced only if nobody
+  // saved it in between (ETag); otherwise it is read again and `mutate`
+  // re-applied, so an admin action and a webhook never overwrite each other.
+  // Errors thrown by `mutate` abort the save.
+  async saveOrder(order, mutate, maxAttempts = 5) {
+    try {
+      for (let attempt = 1; ; attempt++) {
+        const { resource } = await this.container.item(order.id, order.userId).read();
+        if (!resource) {
+          throw new Error('Order not found');
+        }
+
+        const current = Order.fromDocument(resource);
+        mutate(current);
+        current.updatedAt = new Date().toISOString();
+
+        try {
+          const { resource: updated } = await this.container.item(order.id, order.userId).replace(current.toDocument(), {
+            accessCondition: { type: 'IfMatch', condition: resource._etag }
+          });
+          return Order.fromDocument(updated);
+        } catch (replaceError) {
+          if (replaceError.code === 412 && attempt < maxAttempts) {
+            continue;
+          }
+          throw replaceError;
+        }
+      }
+    } catch (error) {
+      console.error('Error saving order:', error);
+      throw error;
+    }
+  }
+}
+
+export default new OrderService();
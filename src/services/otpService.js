@@ -1,5 +1,8 @@
 import { CosmosClient } from '@azure/cosmos';
 
+// How long a code stays valid; its email is not sent after this either
+export const OTP_EXPIRY_MINUTES = 10;
+
 class OTPService {
   constructor() {
     this.cosmosClient = new CosmosClient({
@@ -24,7 +27,7 @@ class OTPService {
         email: email.toLowerCase(),
         otp: otp,
         createdAt: new Date().toISOString(),
-        expiresAt: new Date(Date.now() + 10 * 60 * 1000).toISOString() // 10 minutes
+        expiresAt: new Date(Date.now() + OTP_EXPIRY_MINUTES * 60 * 1000).toISOString()
       };
 
       await this.container.items.create(otpData);
@@ -1,7 +1,24 @@
 import { containers } from '../config/cosmos.js';
 import { Product } from '../models/Product.js';
+import wishlistService from './wishlistService.js';
+import searchService from './searchService.js';
+import { queryPage, encodeCursor, decodeCursor } from '../utils/pagination.js';
+import { STORE_CURRENCY } from '../utils/money.js';
+
+// Sort orders for product listings
+const PRODUCT_SORTS = {
+  newest: 'c.createdAt DESC',
+  oldest: 'c.createdAt ASC',
+  price_asc: 'c.price ASC',
+  price_desc: 'c.price DESC',
+  name_asc: 'c.name ASC',
+  name_desc: 'c.name DESC',
+  rating: 'c.ratingAverage DESC'
+};
 
 export class ProductService {
+  static SORTS = Object.keys(PRODUCT_SORTS);
+
   constructor() {
     this.container = containers.products;
   }
@@ -24,7 +41,9 @@ export class ProductService {
   // Create a new product
   async createProduct(productData) {
     try {
-      const product = new Product(productData);
+      const { variants = [], ...data } = productData;
+      const product = new Product(data);
+      variants.forEach(variant => product.addVariant(variant));
       
       // Validate product data
       const validationErrors = product.validate();
@@ -47,8 +66,10 @@ export class ProductService {
       // Create document in Cosmos DB
       const document = product.toDocument();
       const { resource } = await this.container.items.create(document);
+      const created = Product.fromDocument(resource);
+      searchService.syncProduct(created);
 
-      return Product.fromDocument(resource);
+      return created;
     } catch (error) {
       console.error('Error creating product:', error);
       throw error;
@@ -94,51 +115,24 @@ export class ProductService {
     }
   }
 
-  // Update product
+  // Update product. Applied with the document ETag, so a stock reservation
+  // landing at the same time is not overwritten.
   async updateProduct(id, updateData) {
     try {
-      const product = await this.findById(id);
-      if (!product) {
-        throw new Error('Product not found');
-      }
-
-      // Update product properties
-      Object.assign(product, updateData);
-      product.updatedAt = new Date().toISOString();
-
-      // Try different partition key strategies
-      const document = product.toDocument();
-      
-            // Strategy 1: Try with product ID as partition key
-      try {
-        const { resource } = await this.container.item(id, id).replace(document);
-        return Product.fromDocument(resource);
-      } catch (error1) {
-        // Strategy 2: Try with category as partition key
-        try {
-          const { resource } = await this.container.item(id, product.category).replace(document);
-          return Product.fromDocument(resource);
-        } catch (error2) {
-          // Strategy 3: Try with categoryId (if it exists)
-          if (product.categoryId) {
-            try {
-              const { resource } = await this.container.item(id, product.categoryId).replace(document);
-              return Product.fromDocument(resource);
-            } catch (error3) {
-              // Continue to next strategy
-            }
-          }
-          
-          // Strategy 4: Try without partition key (for single partition containers)
-          try {
-            const { resource } = await this.container.item(id).replace(document);
-            return Product.fromDocument(resource);
-          } catch (error4) {
-            // If all strategies fail, throw the original error
-            throw new Error(`Product update failed. Tried multiple partition keys but none worked. Product ID: ${id}, Category: ${product.category}`);
-          }
+      const { previous, product } = await this.modifyProduct(id, current => {
+        // Update product properties
+        Object.assign(current, updateData);
+        current.updatedAt = new Date().toISOString();
+
+        // Stock of a product with variants always follows its variants
+        current.syncVariantStock();
+        const variantErrors = current.validateVariants();
+        if (variantErrors.length > 0) {
+          throw new Error(`Validation failed: ${variantErrors.join(', ')}`);
         }
-      }
+      });
+      searchService.syncProduct(product);
+      return this.notifyWishlists(previous, product);
     } catch (error) {
       console.error('Error updating product:', error);
       throw error;
@@ -168,6 +162,7 @@ export class ProductService {
           throw deleteError;
         }
       }
+      searchService.removeProduct(id);
       return true;
     } catch (error) {
       console.error('Error deleting product:', error);
@@ -177,241 +172,372 @@ export class ProductService {
 
   // Get all products (with pagination)
   async getAllProducts(page = 1, limit = 10) {
+    return this.queryProducts({}, { page, limit });
+  }
+
+  // Build the WHERE clause and parameters for a product listing.
+  // Filters: search, category (stored slug), categoryIds/categorySlugs (a
+  // category tree; products without a category ID match by slug), minPrice,
+  // maxPrice, inStock, featured, status ('active' | 'inactive') and
+  // published (storefront visibility: active and published). With a
+  // `currency` (from currencyService.resolve), minPrice and maxPrice are in
+  // it and compared with the price products show in it (see getPriceIn).
+  buildProductFilter(filters = {}) {
+    const conditions = [];
+    const parameters = [];
+    const add = (condition, values = {}) => {
+      conditions.push(condition);
+      Object.entries(values).forEach(([name, value]) => parameters.push({ name, value }));
+    };
+
+    const hasMinPrice = filters.minPrice !== undefined && filters.minPrice !== null;
+    const hasMaxPrice = filters.maxPrice !== undefined && filters.maxPrice !== null;
+    let price = 'c.price';
+    if ((hasMinPrice || hasMaxPrice) && filters.currency && filters.currency.code !== STORE_CURRENCY) {
+      price = '(IS_DEFINED(c.prices[@currencyCode]) ? c.prices[@currencyCode] : ROUND(c.price * @currencyRate * 100) / 100)';
+      parameters.push({ name: '@currencyCode', value: filters.currency.code }, { name: '@currencyRate', value: filters.currency.rate });
+    }
+
+    if (filters.published) {
+      add('c.isActive = true AND c.published = true');
+    } else if (filters.status === 'active') {
+      add('c.isActive = true');
+    } else if (filters.status === 'inactive') {
+      add('c.isActive = false');
+    }
+    if (filters.search) {
+      add(`(CONTAINS(c.name, @searchTerm, true)
+        OR CONTAINS(c.description, @searchTerm, true)
+        OR CONTAINS(c.sku, @searchTerm, true))`, { '@searchTerm': filters.search });
+    }
+    if (filters.categoryIds) {
+      add(`(ARRAY_CONTAINS(@categoryIds, c.categoryId)
+        OR ((NOT IS_DEFINED(c.categoryId) OR IS_NULL(c.categoryId)) AND ARRAY_CONTAINS(@categorySlugs, c.category)))`, {
+        '@categoryIds': filters.categoryIds,
+        '@categorySlugs': filters.categorySlugs || []
+      });
+    } else if (filters.category) {
+      add('c.category = @category', { '@category': filters.category });
+    }
+    if (hasMinPrice) {
+      add(`${price} >= @minPrice`, { '@minPrice': filters.minPrice });
+    }
+    if (hasMaxPrice) {
+      add(`${price} <= @maxPrice`, { '@maxPrice': filters.maxPrice });
+    }
+    if (filters.inStock === true) {
+      add('c.quantity > 0');
+    } else if (filters.inStock === false) {
+      add('c.quantity <= 0');
+    }
+    if (filters.featured) {
+      add('c.featured = true');
+    }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      parameters
+    };
+  }
+
+  // List products matching the filters (see buildProductFilter) as one page.
+  // Offset pages include the total number of matches; cursor pages (`mode:
+  // 'cursor'`, see utils/pagination.js) include `nextCursor` instead. Price
+  // sorts are by the price shown in `filters.currency` when given.
+  async queryProducts(filters = {}, { mode = 'offset', page = 1, limit = 10, cursor = null, sort = 'newest' } = {}) {
     try {
-      const offset = (page - 1) * limit;
-      
-      const querySpec = {
-        query: 'SELECT * FROM c ORDER BY c.createdAt DESC OFFSET @offset LIMIT @limit',
-        parameters: [
-          { name: '@offset', value: offset },
-          { name: '@limit', value: limit }
-        ]
-      };
+      if (['price_asc', 'price_desc'].includes(sort) && filters.currency && filters.currency.code !== STORE_CURRENCY) {
+        return await this.queryProductsByShownPrice(filters, { mode, page, limit, cursor, descending: sort === 'price_desc' });
+      }
+
+      const { where, parameters } = this.buildProductFilter(filters);
+      const { resources, ...pageInfo } = await queryPage(this.container, {
+        where,
+        parameters,
+        orderBy: PRODUCT_SORTS[sort] || PRODUCT_SORTS.newest
+      }, { mode, page, limit, cursor });
 
-      const { resources } = await this.container.items.query(querySpec).fetchAll();
-      
       return {
         products: resources.map(doc => Product.fromDocument(doc)),
-        page,
-        limit,
-        total: resources.length
+        ...pageInfo
       };
     } catch (error) {
-      console.error('Error getting all products:', error);
+      console.error('Error querying products:', error);
       throw error;
     }
   }
 
-  // Search products
-  async searchProducts(searchTerm, page = 1, limit = 10) {
-    try {
-      const offset = (page - 1) * limit;
-      
-      const querySpec = {
-        query: `
-          SELECT * FROM c 
-          WHERE CONTAINS(c.name, @searchTerm, true) 
-             OR CONTAINS(c.description, @searchTerm, true)
-             OR CONTAINS(c.sku, @searchTerm, true)
-          ORDER BY c.createdAt DESC 
-          OFFSET @offset LIMIT @limit
-        `,
-        parameters: [
-          { name: '@searchTerm', value: searchTerm },
-          { name: '@offset', value: offset },
-          { name: '@limit', value: limit }
-        ]
-      };
-
-      const { resources } = await this.container.items.query(querySpec).fetchAll();
-      
+  // A page of products sorted by their price in a currency other than the
+  // store currency. Products' own prices in it can order them differently
+  // from their store prices, and Cosmos DB only sorts on stored values, so
+  // every match is read and sorted here; ties are broken by ID.
+  async queryProductsByShownPrice(filters, { mode, page, limit, cursor, descending }) {
+    const { where, parameters } = this.buildProductFilter(filters);
+    const querySpec = { query: `SELECT * FROM c ${where}`, parameters };
+    const { resources } = await this.container.items.query(querySpec).fetchAll();
+
+    const direction = descending ? -1 : 1;
+    const compare = (a, b) => direction * ((a.price - b.price) || a.id.localeCompare(b.id));
+    const priced = resources
+      .map(doc => Product.fromDocument(doc))
+      .map(product => ({ product, id: product.id, price: product.getPriceIn(filters.currency) }))
+      .sort(compare);
+
+    if (mode === 'cursor') {
+      // Cursors only resume the same sort in the same currency and rate
+      const cursorSpec = { ...querySpec, descending, currency: filters.currency.code, rate: filters.currency.rate };
+      let start = 0;
+      if (cursor) {
+        const { value, id } = decodeCursor(cursor, cursorSpec);
+        start = priced.findIndex(item => compare(item, { price: value, id }) > 0);
+        if (start === -1) {
+          start = priced.length;
+        }
+      }
+      const pageItems = priced.slice(start, start + limit);
+      const last = pageItems[pageItems.length - 1];
       return {
-        products: resources.map(doc => Product.fromDocument(doc)),
-        page,
+        products: pageItems.map(({ product }) => product),
         limit,
-        total: resources.length,
-        searchTerm
+        nextCursor: start + limit < priced.length ? encodeCursor({ value: last.price, id: last.id }, cursorSpec) : null
       };
-    } catch (error) {
-      console.error('Error searching products:', error);
-      throw error;
     }
+
+    return {
+      products: priced.slice((page - 1) * limit, page * limit).map(({ product }) => product),
+      page,
+      limit,
+      total: priced.length,
+      totalPages: Math.ceil(priced.length / limit)
+    };
+  }
+
+  // Search products
+  async searchProducts(searchTerm, page = 1, limit = 10) {
+    const result = await this.queryProducts({ search: searchTerm }, { page, limit });
+    return { ...result, searchTerm };
   }
 
   // Get products by category
   async getProductsByCategory(category, page = 1, limit = 10) {
+    const result = await this.queryProducts({ category }, { page, limit });
+    return { ...result, category };
+  }
+
+  // Number of published products per category ID (or per slug for products
+  // without a category ID): [{ categoryId, category, count }]
+  async countPublishedByCategory() {
     try {
-      const offset = (page - 1) * limit;
-      
       const querySpec = {
-        query: 'SELECT * FROM c WHERE c.category = @category ORDER BY c.createdAt DESC OFFSET @offset LIMIT @limit',
-        parameters: [
-          { name: '@category', value: category },
-          { name: '@offset', value: offset },
-          { name: '@limit', value: limit }
-        ]
+        query: `SELECT c.categoryId, c.category, COUNT(1) AS count FROM c
+          WHERE c.isActive = true AND c.published = true
+          GROUP BY c.categoryId, c.category`
       };
-
       const { resources } = await this.container.items.query(querySpec).fetchAll();
-      
-      return {
-        products: resources.map(doc => Product.fromDocument(doc)),
-        page,
-        limit,
-        total: resources.length,
-        category
-      };
+      return resources;
     } catch (error) {
-      console.error('Error getting products by category:', error);
+      console.error('Error counting products by category:', error);
       throw error;
     }
   }
 
-  // Get active products only
-  async getActiveProducts(page = 1, limit = 10) {
+  // Number of products (published or not) assigned to a category
+  async countByCategoryId(categoryId) {
     try {
-      const offset = (page - 1) * limit;
-      
       const querySpec = {
-        query: 'SELECT * FROM c WHERE c.isActive = true ORDER BY c.createdAt DESC OFFSET @offset LIMIT @limit',
-        parameters: [
-          { name: '@offset', value: offset },
-          { name: '@limit', value: limit }
-        ]
+        query: 'SELECT VALUE COUNT(1) FROM c WHERE c.categoryId = @categoryId',
+        parameters: [{ name: '@categoryId', value: categoryId }]
       };
-
       const { resources } = await this.container.items.query(querySpec).fetchAll();
-      
-      return {
-        products: resources.map(doc => Product.fromDocument(doc)),
-        page,
-        limit,
-        total: resources.length
-      };
+      return resources[0] || 0;
     } catch (error) {
-      console.error('Error getting active products:', error);
+      console.error('Error counting products in category:', error);
       throw error;
     }
   }
 
-  // Get published products (for customers)
-  async getPublishedProducts(page = 1, limit = 10) {
+  // Keep the category slug stored on products in step when a category's
+  // slug changes
+  async renameCategorySlug(categoryId, slug) {
     try {
-      const offset = (page - 1) * limit;
-      
       const querySpec = {
-        query: 'SELECT * FROM c WHERE c.isActive = true AND c.published = true ORDER BY c.createdAt DESC OFFSET @offset LIMIT @limit',
-        parameters: [
-          { name: '@offset', value: offset },
-          { name: '@limit', value: limit }
-        ]
+        query: 'SELECT c.id FROM c WHERE c.categoryId = @categoryId',
+        parameters: [{ name: '@categoryId', value: categoryId }]
       };
-
       const { resources } = await this.container.items.query(querySpec).fetchAll();
-      
-      return {
-        products: resources.map(doc => Product.fromDocument(doc)),
-        page,
-        limit,
-        total: resources.length
-      };
+      for (const { id } of resources) {
+        await this.modifyProduct(id, product => {
+          product.category = slug;
+        });
+      }
+      searchService.invalidate();
+      return resources.length;
     } catch (error) {
-      console.error('Error getting published products:', error);
+      console.error('Error renaming category slug on products:', error);
       throw error;
     }
   }
 
+  // Get active products only
+  async getActiveProducts(page = 1, limit = 10) {
+    return this.queryProducts({ status: 'active' }, { page, limit });
+  }
+
+  // Get published products (for customers)
+  async getPublishedProducts(page = 1, limit = 10) {
+    return this.queryProducts({ published: true }, { page, limit });
+  }
+
   // Get featured products
   async getFeaturedProducts(page = 1, limit = 10) {
-    try {
-      const offset = (page - 1) * limit;
-      
-      const querySpec = {
-        query: 'SELECT * FROM c WHERE c.isActive = true AND c.published = true AND c.featured = true ORDER BY c.createdAt DESC OFFSET @offset LIMIT @limit',
-        parameters: [
-          { name: '@offset', value: offset },
-          { name: '@limit', value: limit }
-        ]
-      };
+    return this.queryProducts({ published: true, featured: true }, { page, limit });
+  }
 
-      const { resources } = await this.container.items.query(querySpec).fetchAll();
-      
-      return {
-        products: resources.map(doc => Product.fromDocument(doc)),
-        page,
-        limit,
-        total: resources.length
-      };
+  // Update product stock (of one variant when `variantId` is given)
+  async updateProductStock(id, newQuantity, variantId = null) {
+    try {
+      const { previous, product } = await this.modifyProduct(id, current => {
+        current.updateStock(newQuantity, variantId);
+      });
+      return this.notifyWishlists(previous, product);
     } catch (error) {
-      console.error('Error getting featured products:', error);
+      console.error('Error updating product stock:', error);
       throw error;
     }
   }
 
-  // Update product stock
-  async updateProductStock(id, newQuantity) {
-    try {
-      const product = await this.findById(id);
-      if (!product) {
+  // Read a product, apply `mutate` to it and replace it, using the document
+  // ETag so concurrent writers cannot overwrite each other: a replace that
+  // loses the race fails with 412 and is retried against the fresh document.
+  // `mutate` may throw to abort. Returns { previous, product }.
+  async modifyProduct(id, mutate, maxAttempts = 5) {
+    for (let attempt = 1; ; attempt++) {
+      const { resource } = await this.container.item(id, id).read();
+      if (!resource) {
         throw new Error('Product not found');
       }
 
-      product.updateStock(newQuantity);
-      
-      // Update document in Cosmos DB
-      const document = product.toDocument();
+      const product = Product.fromDocument(resource);
+      mutate(product);
+
       try {
-        const { resource } = await this.container.item(id, id).replace(document);
-        return Product.fromDocument(resource);
-      } catch (updateError) {
-        // If that fails, try using category as partition key (for existing products)
-        if (updateError.code === 404 || updateError.message.includes('Entity with the specified id does not exist')) {
-          try {
-            const { resource } = await this.container.item(id, product.category).replace(document);
-            return Product.fromDocument(resource);
-          } catch (categoryError) {
-            // If that also fails, try without partition key (single partition)
-            const { resource } = await this.container.item(id).replace(document);
-            return Product.fromDocument(resource);
-          }
+        const { resource: updated } = await this.container.item(id, id).replace(product.toDocument(), {
+          accessCondition: { type: 'IfMatch', condition: resource._etag }
+        });
+        return { previous: resource, product: Product.fromDocument(updated) };
+      } catch (replaceError) {
+        if (replaceError.code === 412 && attempt < maxAttempts) {
+          continue;
         }
-        throw updateError;
+        throw replaceError;
       }
+    }
+  }
+
+  // Atomically add `delta` (negative to take stock) to a product's quantity,
+  // or to one variant's stock. Two buyers racing for the last unit cannot
+  // both succeed: the loser is retried and the stock check then fails.
+  async adjustStock(id, delta, variantId = null) {
+    try {
+      const { previous, product } = await this.modifyProduct(id, current => {
+        const variant = variantId ? current.findVariant(variantId) : null;
+        if (variantId && !variant) {
+          throw new Error('Product variant not found');
+        }
+        const newQuantity = (variant ? variant.quantity : current.quantity) + delta;
+        if (newQuantity < 0) {
+          throw new Error(`Insufficient stock for ${current.getLineName(variant)}`);
+        }
+        current.updateStock(newQuantity, variantId);
+      });
+      return this.notifyWishlists(previous, product);
     } catch (error) {
-      console.error('Error updating product stock:', error);
+      console.error('Error adjusting product stock:', error);
       throw error;
     }
   }
 
-  // Add image to product
-  async addProductImage(id, imageUrl) {
+  // Store a product's review aggregate without overwriting a stock change
+  // landing at the same time
+  async setRating(id, { ratingAverage, ratingCount }) {
     try {
-      const product = await this.findById(id);
-      if (!product) {
-        throw new Error('Product not found');
-      }
+      const { product } = await this.modifyProduct(id, current => {
+        current.ratingAverage = ratingAverage;
+        current.ratingCount = ratingCount;
+      });
+      return product;
+    } catch (error) {
+      console.error('Error setting product rating:', error);
+      throw error;
+    }
+  }
 
-      product.addImage(imageUrl);
-      
-      // Update document in Cosmos DB
-      const document = product.toDocument();
-      try {
-        const { resource } = await this.container.item(id, id).replace(document);
-        return Product.fromDocument(resource);
-      } catch (updateError) {
-        // If that fails, try using category as partition key (for existing products)
-        if (updateError.code === 404 || updateError.message.includes('Entity with the specified id does not exist')) {
-          try {
-            const { resource } = await this.container.item(id, product.category).replace(document);
-            return Product.fromDocument(resource);
-          } catch (categoryError) {
-            // If that also fails, try without partition key (single partition)
-            const { resource } = await this.container.item(id).replace(document);
-            return Product.fromDocument(resource);
-          }
-        }
-        throw updateError;
+  // Apply a change to a product's variants and validate the result
+  async modifyVariants(id, mutate) {
+    const { previous, product } = await this.modifyProduct(id, current => {
+      mutate(current);
+      const validationErrors = current.validateVariants();
+      if (validationErrors.length > 0) {
+        throw new Error(`Validation failed: ${validationErrors.join(', ')}`);
       }
+    });
+    // Variant SKUs are searchable
+    searchService.syncProduct(product);
+    return this.notifyWishlists(previous, product);
+  }
+
+  // Add a variant to a product
+  async addVariant(id, variantData) {
+    try {
+      return await this.modifyVariants(id, product => product.addVariant(variantData));
+    } catch (error) {
+      console.error('Error adding product variant:', error);
+      throw error;
+    }
+  }
+
+  // Update one of a product's variants
+  async updateVariant(id, variantId, variantData) {
+    try {
+      return await this.modifyVariants(id, product => product.updateVariant(variantId, variantData));
+    } catch (error) {
+      console.error('Error updating product variant:', error);
+      throw error;
+    }
+  }
+
+  // Remove one of a product's variants
+  async removeVariant(id, variantId) {
+    try {
+      return await this.modifyVariants(id, product => product.removeVariant(variantId));
+    } catch (error) {
+      console.error('Error removing product variant:', error);
+      throw error;
+    }
+  }
+
+  // Alert wishlist watchers when a product comes back into stock or gets
+  // cheaper. Alerts go out in the background and never fail the update.
+  notifyWishlists(previous, product) {
+    // Form updates may carry numbers as strings
+    if (Number(previous.quantity) <= 0 && Number(product.quantity) > 0) {
+      wishlistService.notifyBackInStock(product).catch(error => {
+        console.error('Error sending back-in-stock alerts:', error);
+      });
+    }
+    if (Number(product.price) < Number(previous.price)) {
+      wishlistService.notifyPriceDrop(product, previous.price).catch(error => {
+        console.error('Error sending price-drop alerts:', error);
+      });
+    }
+    return product;
+  }
+
+  // Add image to product
+  async addProductImage(id, imageUrl) {
+    try {
+      const { product } = await this.modifyProduct(id, current => current.addImage(imageUrl));
+      return product;
     } catch (error) {
       console.error('Error adding product image:', error);
       throw error;
@@ -421,32 +547,8 @@ export class ProductService {
   // Remove image from product
   async removeProductImage(id, imageUrl) {
     try {
-      const product = await this.findById(id);
-      if (!product) {
-        throw new Error('Product not found');
-      }
-
-      product.removeImage(imageUrl);
-      
-      // Update document in Cosmos DB
-      const document = product.toDocument();
-      try {
-        const { resource } = await this.container.item(id, id).replace(document);
-        return Product.fromDocument(resource);
-      } catch (updateError) {
-        // If that fails, try using category as partition key (for existing products)
-        if (updateError.code === 404 || updateError.message.includes('Entity with the specified id does not exist')) {
-          try {
-            const { resource } = await this.container.item(id, product.category).replace(document);
-            return Product.fromDocument(resource);
-          } catch (categoryError) {
-            // If that also fails, try without partition key (single partition)
-            const { resource } = await this.container.item(id).replace(document);
-            return Product.fromDocument(resource);
-          }
-        }
-        throw updateError;
-      }
+      const { product } = await this.modifyProduct(id, current => current.removeImage(imageUrl));
+      return product;
     } catch (error) {
       console.error('Error removing product image:', error);
       throw error;
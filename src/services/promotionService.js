@@ -0,0 +1,297 @@
+import { containers } from '../config/cosmos.js';
+import { Promotion, normalizeCode } from '../models/Promotion.js';
+import categoryService from './categoryService.js';
+import { roundMoney, toMinorUnits, fromMinorUnits } from '../utils/money.js';
+
+// Split a discount over order lines in proportion to their totals. Works in
+// minor units so the line discounts always add up to exactly `amount`.
+function allocateDiscount(lines, amount) {
+  const totalMinor = lines.reduce((sum, line) => sum + toMinorUnits(line.lineTotal), 0);
+  const amountMinor = toMinorUnits(amount);
+
+  const shares = lines.map(line => {
+    const exact = amountMinor * toMinorUnits(line.lineTotal) / totalMinor;
+    return { line, minor: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+  // Hand the pennies lost to rounding down to the largest remainders
+  let left = amountMinor - shares.reduce((sum, share) => sum + share.minor, 0);
+  [...shares]
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(share => {
+      if (left > 0) {
+        share.minor += 1;
+        left -= 1;
+      }
+    });
+
+  return new Map(shares.map(share => [share.line, fromMinorUnits(share.minor)]));
+}
+
+export class PromotionService {
+  constructor() {
+    this.container = containers.promotions;
+    this.ordersContainer = containers.orders;
+  }
+
+  // All promotions, newest first
+  async getAllPromotions() {
+    try {
+      const { resources } = await this.container.items
+        .query('SELECT * FROM c ORDER BY c.createdAt DESC')
+        .fetchAll();
+      return resources.map(doc => Promotion.fromDocument(doc));
+    } catch (error) {
+      console.error('Error getting promotions:', error);
+      throw error;
+    }
+  }
+
+  // Find a promotion by ID
+  async findById(id) {
+    try {
+      const { resource } = await this.container.item(id, id).read();
+      return resource ? Promotion.fromDocument(resource) : null;
+    } catch (error) {
+      if (error.code === 404) {
+        return null;
+      }
+      console.error('Error finding promotion by ID:', error);
+      throw error;
+    }
+  }
+
+  // Find a promotion by code (case-insensitive)
+  async findByCode(code) {
+    try {
+      const querySpec = {
+        query: 'SELECT * FROM c WHERE c.code = @code',
+        parameters: [{ name: '@code', value: normalizeCode(code) }]
+      };
+      const { resources } = await this.container.items.query(querySpec).fetchAll();
+      return resources.length > 0 ? Promotion.fromDocument(resources[0]) : null;
+    } catch (error) {
+      console.error('Error finding promotion by code:', error);
+      throw error;
+    }
+  }
+
+  // Check no other promotion uses the code
+  async checkCode(promotion) {
+    const existing = await this.findByCode(promotion.code);
+    if (existing && existing.id !== promotion.id) {
+      throw new Error('Promotion with this code already exists');
+    }
+  }
+
+  // Create a promotion
+  async createPromotion(promotionData) {
+    try {
+      const promotion = new Promotion({ ...promotionData, usageCount: 0 });
+
+      const validationErrors = promotion.validate();
+      if (validationErrors.length > 0) {
+        throw new Error(`Validation failed: ${validationErrors.join(', ')}`);
+      }
+      await this.checkCode(promotion);
+
+      const { resource } = await this.container.items.create(promotion.toDocument());
+      return Promotion.fromDocument(resource);
+    } catch (error) {
+      console.error('Error creating promotion:', error);
+      throw error;
+    }
+  }
+
+  // Update a promotion. The usage count is kept; only checkout changes it.
+  async updatePromotion(id, updateData) {
+    try {
+      if (updateData.code !== undefined) {
+        await this.checkCode({ id, code: normalizeCode(updateData.code) });
+      }
+
+      return await this.modifyPromotion(id, promotion => {
+        ['code', 'description', 'type', 'value', 'startsAt', 'endsAt', 'usageLimit', 'perUserLimit',
+          'minimumSpend', 'productIds', 'categoryIds', 'isActive'].forEach(field => {
+          if (updateData[field] !== undefined) promotion[field] = updateData[field];
+        });
+        promotion.code = normalizeCode(promotion.code);
+        promotion.updatedAt = new Date().toISOString();
+
+        const validationErrors = promotion.validate();
+        if (validationErrors.length > 0) {
+          throw new Error(`Validation failed: ${validationErrors.join(', ')}`);
+        }
+      });
+    } catch (error) {
+      console.error('Error updating promotion:', error);
+      throw error;
+    }
+  }
+
+  // Delete a promotion. Orders keep their own copy of the discount they got.
+  async deletePromotion(id) {
+    try {
+      await this.container.item(id, id).delete();
+      return true;
+    } catch (error) {
+      if (error.code === 404) {
+        throw new Error('Promotion not found');
+      }
+      console.error('Error deleting promotion:', error);
+      throw error;
+    }
+  }
+
+  // Read-modify-write a promotion guarded by its ETag, like product stock:
+  // a replace that loses a race fails with 412 and is retried. `mutate` may
+  // throw to abort.
+  async modifyPromotion(id, mutate, maxAttempts = 5) {
+    for (let attempt = 1; ; attempt++) {
+      let resource;
+      try {
+        ({ resource } = await this.container.item(id, id).read());
+      } catch (error) {
+        if (error.code !== 404) {
+          throw error;
+        }
+      }
+      if (!resource) {
+        throw new Error('Promotion not found');
+      }
+
+      const promotion = Promotion.fromDocument(resource);
+      mutate(promotion);
+
+      try {
+        const { resource: updated } = await this.container.item(id, id).replace(promotion.toDocument(), {
+          accessCondition: { type: 'IfMatch', condition: resource._etag }
+        });
+        return Promotion.fromDocument(updated);
+      } catch (replaceError) {
+        if (replaceError.code === 412 && attempt < maxAttempts) {
+          continue;
+        }
+        throw replaceError;
+      }
+    }
+  }
+
+  // Take one use of a promotion. Two customers racing for the last use
+  // cannot both get it: the loser is retried and then finds it used up.
+  async reserveUse(id) {
+    return this.modifyPromotion(id, promotion => {
+      if (!promotion.isRedeemableAt() || promotion.isUsedUp()) {
+        throw new Error(`Promo code ${promotion.code} is no longer available`);
+      }
+      promotion.usageCount += 1;
+    });
+  }
+
+  // Give a use back (the order was cancelled or never paid)
+  async releaseUse(id) {
+    return this.modifyPromotion(id, promotion => {
+      promotion.usageCount = Math.max(promotion.usageCount - 1, 0);
+    });
+  }
+
+  // Orders by a customer holding or having used the promotion
+  async countUsesByUser(promotionId, userId) {
+    const querySpec = {
+      query: `SELECT VALUE COUNT(1) FROM c
+        WHERE c.discount.promotionId = @promotionId AND c.discount.status IN ('reserved', 'redeemed')`,
+      parameters: [{ name: '@promotionId', value: promotionId }]
+    };
+    const { resources } = await this.ordersContainer.items
+      .query(querySpec, { partitionKey: userId })
+      .fetchAll();
+    return resources[0] || 0;
+  }
+
+  // Order lines the promotion applies to. Category scopes include subcategories.
+  async getEligibleLines(promotion, lines) {
+    if (!promotion.isScoped()) {
+      return lines;
+    }
+
+    let categoryIds = [];
+    if (promotion.categoryIds.length > 0) {
+      const categories = await categoryService.getAllCategories();
+      categoryIds = promotion.categoryIds.flatMap(id => categoryService.getDescendantIds(id, categories));
+    }
+    return lines.filter(line =>
+      promotion.productIds.includes(line.productId) ||
+      (line.categoryId && categoryIds.includes(line.categoryId)));
+  }
+
+  // Check a promo code against priced order lines for a customer.
+  // Returns { discount, lines, errors }: `lines` carry their share of the
+  // discount in `discount`, and `discount` is the record to store on the
+  // order. Callers must refuse the code while `errors` is non-empty.
+  // Lines priced in another `currency` get fixed amounts and minimum spends
+  // converted from the store currency.
+  async applyPromotion(code, { userId, lines, currency = null }) {
+    try {
+      const errors = [];
+      const promotion = await this.findByCode(code);
+      const label = normalizeCode(code);
+
+      if (!promotion || !promotion.isActive) {
+        errors.push(`Promo code ${label} is not valid`);
+      } else if (!promotion.isRedeemableAt()) {
+        errors.push(promotion.startsAt && Date.parse(promotion.startsAt) > Date.now()
+          ? `Promo code ${label} is not active yet`
+          : `Promo code ${label} has expired`);
+      } else if (promotion.isUsedUp()) {
+        errors.push(`Promo code ${label} is no longer available`);
+      } else if (promotion.perUserLimit !== null &&
+        await this.countUsesByUser(promotion.id, userId) >= promotion.perUserLimit) {
+        errors.push(`You have already used promo code ${label}`);
+      }
+      if (errors.length > 0) {
+        return { discount: null, lines, errors };
+      }
+
+      const inCurrency = amount => (currency ? currency.convert(amount) : amount);
+      const minimumSpend = inCurrency(promotion.minimumSpend);
+      const eligible = await this.getEligibleLines(promotion, lines);
+      const eligibleSubtotal = roundMoney(eligible.reduce((sum, line) => sum + line.lineTotal, 0));
+      if (eligible.length === 0) {
+        errors.push(`Promo code ${label} does not apply to any of these items`);
+      } else if (eligibleSubtotal < minimumSpend) {
+        errors.push(`Promo code ${label} needs a minimum spend of ${minimumSpend.toFixed(2)}${promotion.isScoped() ? ' on eligible items' : ''}`);
+      }
+      if (errors.length > 0) {
+        return { discount: null, lines, errors };
+      }
+
+      // Fixed amounts are recorded in the order's currency
+      const value = promotion.type === 'fixed_amount' ? inCurrency(promotion.value) : promotion.value;
+      let amount = 0;
+      if (promotion.type === 'percentage') {
+        amount = roundMoney(eligibleSubtotal * value / 100);
+      } else if (promotion.type === 'fixed_amount') {
+        amount = roundMoney(Math.min(value, eligibleSubtotal));
+      }
+
+      const shares = allocateDiscount(eligible, amount);
+      return {
+        discount: {
+          promotionId: promotion.id,
+          code: promotion.code,
+          type: promotion.type,
+          value,
+          amount,
+          freeShipping: promotion.type === 'free_shipping',
+          status: null // reserved | redeemed | released
+        },
+        lines: lines.map(line => (shares.get(line) ? { ...line, discount: shares.get(line) } : line)),
+        errors
+      };
+    } catch (error) {
+      console.error('Error applying promotion:', error);
+      throw error;
+    }
+  }
+}
+
+export default new PromotionService();
@@ -0,0 +1,253 @@
+import { containers } from '../config/cosmos.js';
+import { Product } from '../models/Product.js';
+import productService from './productService.js';
+
+// Product views are kept for 90 days
+const VIEW_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+// Orders that were paid for and not fully refunded or cancelled
+const PURCHASED_STATUSES = ['confirmed', 'processing', 'out_for_delivery', 'delivered', 'partially_refunded'];
+
+// Associations kept per product
+const MAX_ASSOCIATIONS = 20;
+
+// Only a viewer's most recent views count, so a long browsing session
+// does not link every product to every other
+const MAX_VIEWS_PER_VIEWER = 50;
+
+// Recommendation strategies. `auto` tries bought-together, then
+// also-viewed, then fills up from the same category.
+const STRATEGIES = {
+  auto: ['bought_together', 'also_viewed', 'category'],
+  bought_together: ['bought_together'],
+  also_viewed: ['also_viewed'],
+  category: ['category']
+};
+
+// Count every pair of products in each group: productId -> Map(otherId -> count)
+function countPairs(groups) {
+  const pairs = new Map();
+  const add = (a, b) => {
+    if (!pairs.has(a)) {
+      pairs.set(a, new Map());
+    }
+    pairs.get(a).set(b, (pairs.get(a).get(b) || 0) + 1);
+  };
+
+  groups.forEach(productIds => {
+    const unique = [...new Set(productIds)];
+    for (let i = 0; i < unique.length; i++) {
+      for (let j = i + 1; j < unique.length; j++) {
+        add(unique[i], unique[j]);
+        add(unique[j], unique[i]);
+      }
+    }
+  });
+  return pairs;
+}
+
+// The strongest associations of one product: [{ productId, count }]
+function topAssociations(counts) {
+  if (!counts) {
+    return [];
+  }
+  return [...counts]
+    .map(([productId, count]) => ({ productId, count }))
+    .sort((a, b) => (b.count - a.count) || a.productId.localeCompare(b.productId))
+    .slice(0, MAX_ASSOCIATIONS);
+}
+
+export class RecommendationService {
+  static STRATEGIES = Object.keys(STRATEGIES);
+
+  constructor() {
+    this.container = containers.recommendations;
+    this.viewsContainer = containers.product_views;
+    this.ordersContainer = containers.orders;
+    this.productsContainer = containers.products;
+    this.timer = null;
+    this.computing = false;
+  }
+
+  // Record that a viewer (a signed-in user or an anonymous visitor ID)
+  // looked at a product. One record per viewer and product; viewing again
+  // only refreshes it.
+  async recordView(productId, viewerId) {
+    try {
+      await this.viewsContainer.items.upsert({
+        id: `view_${viewerId}_${productId}`,
+        viewerId,
+        productId,
+        viewedAt: new Date().toISOString(),
+        ttl: VIEW_TTL_SECONDS
+      });
+    } catch (error) {
+      console.error('Error recording product view:', error);
+      throw error;
+    }
+  }
+
+  // Products bought in the same order: [[productId, ...], ...]
+  async getOrderBaskets() {
+    const querySpec = {
+      query: 'SELECT c.items FROM c WHERE ARRAY_CONTAINS(@statuses, c.status)',
+      parameters: [{ name: '@statuses', value: PURCHASED_STATUSES }]
+    };
+    const { resources } = await this.ordersContainer.items.query(querySpec).fetchAll();
+    return resources
+      .map(order => (order.items || []).map(item => item.productId))
+      .filter(productIds => productIds.length > 1);
+  }
+
+  // Products viewed by the same viewer: [[productId, ...], ...]
+  async getViewerHistories() {
+    const querySpec = {
+      query: 'SELECT c.viewerId, c.productId, c.viewedAt FROM c'
+    };
+    const { resources } = await this.viewsContainer.items.query(querySpec).fetchAll();
+
+    const histories = new Map();
+    resources.forEach(view => {
+      if (!histories.has(view.viewerId)) {
+        histories.set(view.viewerId, []);
+      }
+      histories.get(view.viewerId).push(view);
+    });
+    return [...histories.values()]
+      .filter(views => views.length > 1)
+      .map(views => views
+        .sort((a, b) => b.viewedAt.localeCompare(a.viewedAt))
+        .slice(0, MAX_VIEWS_PER_VIEWER)
+        .map(view => view.productId));
+  }
+
+  // Recompute "frequently bought together" and "customers also viewed" for
+  // every product and store them, one document per product. Products that
+  // no longer have any associations get empty lists.
+  async computeAssociations() {
+    if (this.computing) {
+      return 0;
+    }
+    this.computing = true;
+
+    try {
+      const [baskets, histories, { resources: existing }] = await Promise.all([
+        this.getOrderBaskets(),
+        this.getViewerHistories(),
+        this.container.items.query('SELECT c.productId FROM c').fetchAll()
+      ]);
+      const boughtTogether = countPairs(baskets);
+      const alsoViewed = countPairs(histories);
+
+      const productIds = new Set([
+        ...boughtTogether.keys(),
+        ...alsoViewed.keys(),
+        ...existing.map(doc => doc.productId)
+      ]);
+      const computedAt = new Date().toISOString();
+      for (const productId of productIds) {
+        await this.container.items.upsert({
+          id: productId,
+          productId,
+          boughtTogether: topAssociations(boughtTogether.get(productId)),
+          alsoViewed: topAssociations(alsoViewed.get(productId)),
+          computedAt
+        });
+      }
+
+      console.log(`Recommendations computed for ${productIds.size} products from ${baskets.length} orders and ${histories.length} viewers`);
+      return productIds.size;
+    } catch (error) {
+      console.error('Error computing recommendations:', error);
+      return 0;
+    } finally {
+      this.computing = false;
+    }
+  }
+
+  // Stored associations for a product, or null before the first run
+  async getAssociations(productId) {
+    try {
+      const { resource } = await this.container.item(productId, productId).read();
+      return resource || null;
+    } catch (error) {
+      if (error.code === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Published products by ID, in the given order
+  async findPublishedProducts(productIds) {
+    if (productIds.length === 0) {
+      return [];
+    }
+    const querySpec = {
+      query: 'SELECT * FROM c WHERE ARRAY_CONTAINS(@ids, c.id) AND c.isActive = true AND c.published = true',
+      parameters: [{ name: '@ids', value: productIds }]
+    };
+    const { resources } = await this.productsContainer.items.query(querySpec).fetchAll();
+    const products = new Map(resources.map(doc => [doc.id, Product.fromDocument(doc)]));
+    return productIds.map(id => products.get(id)).filter(Boolean);
+  }
+
+  // Recommendations for a product: [{ product, reason }], where reason is
+  // the strategy that produced it
+  async getRecommendations(product, { strategy = 'auto', limit = 4 } = {}) {
+    try {
+      const steps = STRATEGIES[strategy] || STRATEGIES.auto;
+      const associations = steps.some(step => step !== 'category')
+        ? await this.getAssociations(product.id)
+        : null;
+
+      const results = [];
+      const seen = new Set([product.id]);
+      const add = (products, reason) => {
+        products.forEach(item => {
+          if (results.length < limit && !seen.has(item.id)) {
+            seen.add(item.id);
+            results.push({ product: item, reason });
+          }
+        });
+      };
+
+      for (const step of steps) {
+        if (results.length >= limit) {
+          break;
+        }
+        if (step === 'category') {
+          const { products } = await productService.queryProducts(
+            { published: true, category: product.category },
+            { page: 1, limit: limit + 1, sort: 'rating' }
+          );
+          add(products, step);
+        } else if (associations) {
+          const list = step === 'bought_together' ? associations.boughtTogether : associations.alsoViewed;
+          add(await this.findPublishedProducts(list.map(item => item.productId)), step);
+        }
+      }
+      return results;
+    } catch (error) {
+      console.error('Error getting recommendations:', error);
+      throw error;
+    }
+  }
+
+  // Recompute associations now and then on an interval
+  start(intervalMs = parseInt(process.env.RECOMMENDATIONS_INTERVAL_MS) || 6 * 60 * 60 * 1000) {
+    if (this.timer) {
+      return;
+    }
+    this.computeAssociations();
+    this.timer = setInterval(() => this.computeAssociations(), intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export default new RecommendationService();
@@ -0,0 +1,273 @@
+import { containers } from '../config/cosmos.js';
+import { ReturnRequest } from '../models/ReturnRequest.js';
+import { isSameLine } from '../models/Order.js';
+import orderService from './orderService.js';
+import imageService from './imageService.js';
+import { queryPage } from '../utils/pagination.js';
+
+// Days after delivery during which a return can be opened
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS) || 30;
+
+export class ReturnService {
+  constructor() {
+    this.container = containers.returns;
+  }
+
+  // When the order was delivered, or null if it never was
+  getDeliveredAt(order) {
+    const delivered = order.statusHistory.find(entry => entry.to === 'delivered');
+    return delivered ? delivered.timestamp : null;
+  }
+
+  // Check the order can still take a return; returns a list of reasons it cannot
+  checkOrderEligibility(order) {
+    const errors = [];
+    const deliveredAt = this.getDeliveredAt(order);
+
+    if (!deliveredAt || !['delivered', 'partially_refunded'].includes(order.status)) {
+      errors.push('Only delivered orders can be returned');
+    } else if (Date.now() - new Date(deliveredAt).getTime() > RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+      errors.push(`Returns must be opened within ${RETURN_WINDOW_DAYS} days of delivery`);
+    }
+    return errors;
+  }
+
+  // Lines already claimed by open returns on the order
+  async getOpenItems(order) {
+    const returns = await this.findByOrder(order);
+    return returns.filter(r => r.isOpen()).flatMap(returnRequest => returnRequest.items);
+  }
+
+  // Open a return on some lines of a delivered order, with optional photos
+  async createReturn(order, { items, reason, comments }, files = []) {
+    try {
+      const errors = this.checkOrderEligibility(order);
+      if (errors.length > 0) {
+        throw new Error(`Validation failed: ${errors.join(', ')}`);
+      }
+
+      const { items: requested, errors: itemErrors } = orderService.normalizeRequestedItems(items);
+      if (itemErrors.length > 0) {
+        throw new Error(`Validation failed: ${itemErrors.join(', ')}`);
+      }
+
+      // Lines already refunded or waiting on another return cannot be claimed again
+      const openItems = await this.getOpenItems(order);
+      const returnItems = [];
+      for (const item of requested) {
+        const line = order.findItem(item.productId, item.variantId);
+        if (!line) {
+          errors.push(`Product ${item.productId} is not part of this order`);
+          continue;
+        }
+        const claimed = openItems
+          .filter(open => isSameLine(open, line.productId, line.variantId))
+          .reduce((sum, open) => sum + open.quantity, 0);
+        const returnable = order.getRefundableQuantity(line.productId, line.variantId) - claimed;
+        if (item.quantity > returnable) {
+          errors.push(`Only ${Math.max(returnable, 0)} of ${line.name} can still be returned`);
+        } else {
+          returnItems.push({
+            productId: line.productId,
+            variantId: line.variantId || null,
+            name: line.name,
+            quantity: item.quantity,
+            unitPrice: line.unitPrice
+          });
+        }
+      }
+      if (errors.length > 0) {
+        throw new Error(`Validation failed: ${errors.join(', ')}`);
+      }
+
+      const returnRequest = new ReturnRequest({
+        orderId: order.id,
+        userId: order.userId,
+        customerEmail: order.customerEmail,
+        items: returnItems,
+        reason,
+        comments
+      });
+      returnRequest.recordCreation();
+
+      const validationErrors = returnRequest.validate();
+      if (validationErrors.length > 0) {
+        throw new Error(`Validation failed: ${validationErrors.join(', ')}`);
+      }
+
+      // Photos are only uploaded once the request is known to be valid
+      if (files.length > 0) {
+        const uploads = await imageService.uploadReturnPhotos(files, returnRequest.id);
+        returnRequest.photos = uploads.map(upload => ({ fileName: upload.fileName, contentType: upload.contentType }));
+      }
+
+      const { resource } = await this.container.items.create(returnRequest.toDocument());
+      return ReturnRequest.fromDocument(resource);
+    } catch (error) {
+      console.error('Error creating return:', error);
+      throw error;
+    }
+  }
+
+  // Find a return by ID (cross-partition, for admins)
+  async findById(returnId) {
+    try {
+      const querySpec = {
+        query: 'SELECT * FROM c WHERE c.id = @id',
+        parameters: [{ name: '@id', value: returnId }]
+      };
+      const { resources } = await this.container.items.query(querySpec).fetchAll();
+      return resources.length > 0 ? ReturnRequest.fromDocument(resources[0]) : null;
+    } catch (error) {
+      console.error('Error finding return by ID:', error);
+      throw error;
+    }
+  }
+
+  // Find a return belonging to a user (point read in the user's partition)
+  async findByIdForUser(returnId, userId) {
+    try {
+      const { resource } = await this.container.item(returnId, userId).read();
+      return resource ? ReturnRequest.fromDocument(resource) : null;
+    } catch (error) {
+      if (error.code === 404) {
+        return null;
+      }
+      console.error('Error finding return for user:', error);
+      throw error;
+    }
+  }
+
+  // All returns opened against an order
+  async findByOrder(order) {
+    try {
+      const querySpec = {
+        query: 'SELECT * FROM c WHERE c.orderId = @orderId ORDER BY c.createdAt DESC',
+        parameters: [{ name: '@orderId', value: order.id }]
+      };
+      const { resources } = await this.container.items
+        .query(querySpec, { partitionKey: order.userId })
+        .fetchAll();
+      return resources.map(doc => ReturnRequest.fromDocument(doc));
+    } catch (error) {
+      console.error('Error finding returns for order:', error);
+      throw error;
+    }
+  }
+
+  // A user's returns, newest first
+  async getUserReturns(userId) {
+    try {
+      const querySpec = {
+        query: 'SELECT * FROM c WHERE c.userId = @userId ORDER BY c.createdAt DESC',
+        parameters: [{ name: '@userId', value: userId }]
+      };
+      const { resources } = await this.container.items
+        .query(querySpec, { partitionKey: userId })
+        .fetchAll();
+      return resources.map(doc => ReturnRequest.fromDocument(doc));
+    } catch (error) {
+      console.error('Error getting user returns:', error);
+      throw error;
+    }
+  }
+
+  // All returns (admin), newest first, with an optional status filter.
+  // `pagination` comes from getPagination (utils/pagination.js).
+  async listReturns({ status } = {}, pagination) {
+    try {
+      const { resources, ...pageInfo } = await queryPage(this.container, status ? {
+        where: 'WHERE c.status = @status',
+        parameters: [{ name: '@status', value: status }]
+      } : {}, pagination);
+
+      return {
+        returns: resources.map(doc => ReturnRequest.fromDocument(doc)),
+        ...pageInfo
+      };
+    } catch (error) {
+      console.error('Error getting returns:', error);
+      throw error;
+    }
+  }
+
+  // One of a return's photos as { content, contentType }, or null if there
+  // is no such photo
+  async getPhoto(returnRequest, index) {
+    const photo = returnRequest.photos[index];
+    if (!photo) {
+      return null;
+    }
+    const content = await imageService.downloadReturnPhoto(photo);
+    return content ? { content, contentType: photo.contentType || 'application/octet-stream' } : null;
+  }
+
+  // Approve or reject a return (admin)
+  async reviewReturn(returnRequest, status, { actorId, actorRole = 'admin', notes = null } = {}) {
+    try {
+      returnRequest.transitionTo(status, { actorId, actorRole, reason: notes });
+      if (notes) {
+        returnRequest.adminNotes = notes;
+      }
+      return this.saveReturn(returnRequest);
+    } catch (error) {
+      console.error('Error reviewing return:', error);
+      throw error;
+    }
+  }
+
+  // Mark the goods as received: refund the returned lines and put them back
+  // into stock. If the refund fails the return stays approved.
+  async receiveReturn(returnRequest, { actorId, actorRole = 'admin', notes = null, restock = true } = {}) {
+    try {
+      if (!returnRequest.canTransitionTo('received')) {
+        throw new Error(`Invalid status transition from ${returnRequest.status} to received`);
+      }
+
+      const order = await orderService.findByIdForUser(returnRequest.orderId, returnRequest.userId);
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      const refundedOrder = await orderService.refundOrder(order, {
+        items: returnRequest.items.map(({ productId, variantId, quantity }) => ({ productId, variantId, quantity })),
+        restock,
+        reason: `Return ${returnRequest.id}`,
+        actorId,
+        actorRole,
+        // A retry after a failed save finds the refund already made
+        idempotencyKey: returnRequest.id
+      });
+      const refundId = orderService.getRefundId(order, { idempotencyKey: returnRequest.id });
+      const refund = refundedOrder.refunds.find(entry => entry.id === refundId);
+
+      returnRequest.refund = { id: refund.id, amount: refund.amount, restocked: refund.restocked };
+      returnRequest.transitionTo('received', { actorId, actorRole, reason: notes || 'Goods received' });
+      if (notes) {
+        returnRequest.adminNotes = notes;
+      }
+      const savedReturn = await this.saveReturn(returnRequest);
+
+      return { returnRequest: savedReturn, order: refundedOrder };
+    } catch (error) {
+      console.error('Error receiving return:', error);
+      throw error;
+    }
+  }
+
+  // Replace a return document (partition key: userId)
+  async saveReturn(returnRequest) {
+    try {
+      returnRequest.updatedAt = new Date().toISOString();
+      const { resource } = await this.container
+        .item(returnRequest.id, returnRequest.userId)
+        .replace(returnRequest.toDocument());
+      return ReturnRequest.fromDocument(resource);
+    } catch (error) {
+      console.error('Error saving return:', error);
+      throw error;
+    }
+  }
+}
+
+export default new ReturnService();
@@ -0,0 +1,287 @@
+import { containers } from '../config/cosmos.js';
+import { Review } from '../models/Review.js';
+import productService from './productService.js';
+import orderService from './orderService.js';
+
+// Sort orders for a product's public reviews
+const REVIEW_SORTS = {
+  newest: 'c.createdAt DESC',
+  oldest: 'c.createdAt ASC',
+  highest: 'c.rating DESC',
+  lowest: 'c.rating ASC'
+};
+
+// Name shown on a review: first name and last initial
+function authorName(user) {
+  const initial = user.lastName ? ` ${user.lastName.charAt(0).toUpperCase()}.` : '';
+  return `${user.firstName || 'Customer'}${initial}`;
+}
+
+export class ReviewService {
+  static SORTS = Object.keys(REVIEW_SORTS);
+
+  constructor() {
+    this.container = containers.reviews;
+  }
+
+  // Post a review. Only customers with a delivered order containing the
+  // product may review it, once; the review waits for moderation.
+  async createReview(user, productId, { rating, title, body }) {
+    try {
+      const product = await productService.findById(productId);
+      if (!product || !product.isPublished()) {
+        throw new Error('Product not found');
+      }
+
+      const order = await orderService.findDeliveredOrderWithProduct(user.id, productId);
+      if (!order) {
+        throw new Error('Validation failed: You can only review products from your delivered orders');
+      }
+
+      if (await this.findByProductForUser(productId, user.id)) {
+        throw new Error('Review already exists for this product');
+      }
+
+      const review = new Review({
+        productId,
+        userId: user.id,
+        orderId: order.id,
+        authorName: authorName(user),
+        rating,
+        title,
+        body
+      });
+      review.recordCreation();
+
+      const validationErrors = review.validate();
+      if (validationErrors.length > 0) {
+        throw new Error(`Validation failed: ${validationErrors.join(', ')}`);
+      }
+
+      try {
+        const { resource } = await this.container.items.create(review.toDocument());
+        return Review.fromDocument(resource);
+      } catch (error) {
+        // Two posts from the same customer raced each other
+        if (error.code === 409) {
+          throw new Error('Review already exists for this product');
+        }
+        throw error;
+      }
+    } catch (error) {
+      console.error('Error creating review:', error);
+      throw error;
+    }
+  }
+
+  // Find a review by ID (cross-partition, for admins)
+  async findById(reviewId) {
+    try {
+      const querySpec = {
+        query: 'SELECT * FROM c WHERE c.id = @id',
+        parameters: [{ name: '@id', value: reviewId }]
+      };
+      const { resources } = await this.container.items.query(querySpec).fetchAll();
+      return resources.length > 0 ? Review.fromDocument(resources[0]) : null;
+    } catch (error) {
+      console.error('Error finding review by ID:', error);
+      throw error;
+    }
+  }
+
+  // Find a user's review of a product (point read in the product's partition)
+  async findByProductForUser(productId, userId) {
+    try {
+      const review = new Review({ productId, userId });
+      const { resource } = await this.container.item(review.id, productId).read();
+      return resource ? Review.fromDocument(resource) : null;
+    } catch (error) {
+      if (error.code === 404) {
+        return null;
+      }
+      console.error('Error finding review for user:', error);
+      throw error;
+    }
+  }
+
+  // Edit a review. Changed reviews go back to moderation, and leave the
+  // product's rating until they are approved again.
+  async updateReview(review, { rating, title, body }) {
+    try {
+      const wasApproved = review.isApproved();
+      if (rating !== undefined) review.rating = rating;
+      if (title !== undefined) review.title = title;
+      if (body !== undefined) review.body = body;
+
+      const validationErrors = review.validate();
+      if (validationErrors.length > 0) {
+        throw new Error(`Validation failed: ${validationErrors.join(', ')}`);
+      }
+
+      if (review.status !== 'pending') {
+        review.transitionTo('pending', { actorId: review.userId, actorRole: 'customer', reason: 'Review edited' });
+      }
+      const saved = await this.saveReview(review);
+
+      if (wasApproved) {
+        await this.refreshProductRating(review.productId);
+      }
+      return saved;
+    } catch (error) {
+      console.error('Error updating review:', error);
+      throw error;
+    }
+  }
+
+  // Delete a review
+  async deleteReview(review) {
+    try {
+      await this.container.item(review.id, review.productId).delete();
+      if (review.isApproved()) {
+        await this.refreshProductRating(review.productId);
+      }
+      return true;
+    } catch (error) {
+      console.error('Error deleting review:', error);
+      throw error;
+    }
+  }
+
+  // Approve or hide a review (admin) and update the product's rating
+  async moderateReview(review, status, { actorId, actorRole = 'admin', note = null } = {}) {
+    try {
+      review.transitionTo(status, { actorId, actorRole, reason: note });
+      if (note) {
+        review.moderationNote = note;
+      }
+      const saved = await this.saveReview(review);
+      await this.refreshProductRating(review.productId);
+      return saved;
+    } catch (error) {
+      console.error('Error moderating review:', error);
+      throw error;
+    }
+  }
+
+  // Ratings of a product's approved reviews
+  async getApprovedRatings(productId) {
+    const querySpec = {
+      query: "SELECT VALUE c.rating FROM c WHERE c.productId = @productId AND c.status = 'approved'",
+      parameters: [{ name: '@productId', value: productId }]
+    };
+    const { resources } = await this.container.items
+      .query(querySpec, { partitionKey: productId })
+      .fetchAll();
+    return resources;
+  }
+
+  // Average, count and per-star breakdown of a product's approved reviews
+  async getRatingSummary(productId) {
+    try {
+      const ratings = await this.getApprovedRatings(productId);
+      const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+      ratings.forEach(rating => {
+        distribution[rating] = (distribution[rating] || 0) + 1;
+      });
+      const total = ratings.reduce((sum, rating) => sum + rating, 0);
+
+      return {
+        ratingAverage: ratings.length > 0 ? Math.round((total / ratings.length) * 10) / 10 : 0,
+        ratingCount: ratings.length,
+        distribution
+      };
+    } catch (error) {
+      console.error('Error getting rating summary:', error);
+      throw error;
+    }
+  }
+
+  // Recalculate the aggregate stored on the product from its approved reviews
+  async refreshProductRating(productId) {
+    try {
+      const { ratingAverage, ratingCount } = await this.getRatingSummary(productId);
+      return await productService.setRating(productId, { ratingAverage, ratingCount });
+    } catch (error) {
+      console.error('Error refreshing product rating:', error);
+      throw error;
+    }
+  }
+
+  // Approved reviews of a product with pagination
+  async getProductReviews(productId, { sort = 'newest', page = 1, limit = 10 } = {}) {
+    try {
+      const querySpec = {
+        query: `SELECT * FROM c WHERE c.productId = @productId AND c.status = 'approved'
+          ORDER BY ${REVIEW_SORTS[sort] || REVIEW_SORTS.newest} OFFSET @offset LIMIT @limit`,
+        parameters: [
+          { name: '@productId', value: productId },
+          { name: '@offset', value: (page - 1) * limit },
+          { name: '@limit', value: limit }
+        ]
+      };
+      const { resources } = await this.container.items
+        .query(querySpec, { partitionKey: productId })
+        .fetchAll();
+      return resources.map(doc => Review.fromDocument(doc));
+    } catch (error) {
+      console.error('Error getting product reviews:', error);
+      throw error;
+    }
+  }
+
+  // A user's reviews across all products, newest first (cross-partition)
+  async getUserReviews(userId) {
+    try {
+      const querySpec = {
+        query: 'SELECT * FROM c WHERE c.userId = @userId ORDER BY c.createdAt DESC',
+        parameters: [{ name: '@userId', value: userId }]
+      };
+      const { resources } = await this.container.items.query(querySpec).fetchAll();
+      return resources.map(doc => Review.fromDocument(doc));
+    } catch (error) {
+      console.error('Error getting user reviews:', error);
+      throw error;
+    }
+  }
+
+  // All reviews (admin) with optional status and product filters and pagination
+  async getAllReviews({ status, productId, page = 1, limit = 20 } = {}) {
+    try {
+      let query = 'SELECT * FROM c WHERE 1=1';
+      const parameters = [];
+      if (status) {
+        query += ' AND c.status = @status';
+        parameters.push({ name: '@status', value: status });
+      }
+      if (productId) {
+        query += ' AND c.productId = @productId';
+        parameters.push({ name: '@productId', value: productId });
+      }
+      query += ' ORDER BY c.createdAt DESC OFFSET @offset LIMIT @limit';
+      parameters.push({ name: '@offset', value: (page - 1) * limit });
+      parameters.push({ name: '@limit', value: limit });
+
+      const { resources } = await this.container.items.query({ query, parameters }).fetchAll();
+      return resources.map(doc => Review.fromDocument(doc));
+    } catch (error) {
+      console.error('Error getting reviews:', error);
+      throw error;
+    }
+  }
+
+  // Replace a review document (partition key: productId)
+  async saveReview(review) {
+    try {
+      review.updatedAt = new Date().toISOString();
+      const { resource } = await this.container
+        .item(review.id, review.productId)
+        .replace(review.toDocument());
+      return Review.fromDocument(resource);
+    } catch (error) {
+      console.error('Error saving review:', error);
+      throw error;
+    }
+  }
+}
+
+export default new ReviewService();
@@ -0,0 +1,435 @@
+import { containers } from '../config/cosmos.js';
+import { Product } from '../models/Product.js';
+import { Category } from '../models/Category.js';
+
+// How much a match in each field counts towards relevance
+const FIELD_BOOSTS = {
+  name: 3,
+  sku: 2,
+  category: 1.5,
+  description: 1
+};
+
+// Relevance of a query term matching an indexed word exactly, as the start
+// of a longer word ("shi" -> "shirt") or with a typo ("tshrit" -> "tshirt")
+const MATCH_WEIGHTS = {
+  exact: 1,
+  prefix: 0.75,
+  typo: 0.5
+};
+
+// Price bands for the price facet; `max` is exclusive
+const PRICE_BANDS = [
+  { key: 'under_10', min: 0, max: 10 },
+  { key: '10_25', min: 10, max: 25 },
+  { key: '25_50', min: 25, max: 50 },
+  { key: '50_100', min: 50, max: 100 },
+  { key: '100_plus', min: 100, max: null }
+];
+
+// Sort orders for search results; relevance ties go to the newest product.
+// `price` is the product's price in the currency searched in.
+const SEARCH_SORTS = {
+  relevance: (a, b) => (b.score - a.score) || b.product.createdAt.localeCompare(a.product.createdAt),
+  newest: (a, b) => b.product.createdAt.localeCompare(a.product.createdAt),
+  oldest: (a, b) => a.product.createdAt.localeCompare(b.product.createdAt),
+  price_asc: (a, b) => a.price - b.price,
+  price_desc: (a, b) => b.price - a.price,
+  name_asc: (a, b) => a.product.name.localeCompare(b.product.name),
+  name_desc: (a, b) => b.product.name.localeCompare(a.product.name),
+  rating: (a, b) => (b.product.ratingAverage - a.product.ratingAverage) || (b.product.ratingCount - a.product.ratingCount)
+};
+
+// Words too common to help ranking
+const STOP_WORDS = new Set(['a', 'an', 'and', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+// Rebuild the index at least this often, to pick up changes made by other
+// server instances and stock updates
+const INDEX_TTL_MS = parseInt(process.env.SEARCH_INDEX_TTL_MS) || 5 * 60 * 1000;
+
+// Add a product and the words of its searchable fields to an index
+function addToIndex(products, words, product) {
+  products.set(product.id, product);
+
+  const fields = {
+    name: product.name,
+    sku: [product.sku, ...product.variants.map(variant => variant.sku)].join(' '),
+    category: product.category,
+    description: product.description
+  };
+  Object.entries(fields).forEach(([field, text]) => {
+    tokenize(text).forEach(word => {
+      if (!words.has(word)) {
+        words.set(word, new Map());
+      }
+      const postings = words.get(word);
+      if (!postings.has(product.id)) {
+        postings.set(product.id, new Set());
+      }
+      postings.get(product.id).add(field);
+    });
+  });
+}
+
+// Take a product and its words out of an index
+function removeFromIndex(products, words, productId) {
+  products.delete(productId);
+  words.forEach((postings, word) => {
+    if (postings.delete(productId) && postings.size === 0) {
+      words.delete(word);
+    }
+  });
+}
+
+// Split text into lowercase words without accents or punctuation
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['\u2019]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !STOP_WORDS.has(word));
+}
+
+// Typos tolerated for a query term: none for short words, one from 4
+// letters, two from 8
+function allowedTypos(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+// Edit distance counting a swap of neighbouring letters as one edit,
+// giving up once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+}
+
+// Key of the price band a price falls in
+function priceBandKey(price) {
+  const band = PRICE_BANDS.find(item => price >= item.min && (item.max === null || price < item.max));
+  return band ? band.key : null;
+}
+
+export class SearchService {
+  static SORTS = Object.keys(SEARCH_SORTS);
+  static PRICE_BANDS = PRICE_BANDS.map(band => band.key);
+
+  constructor() {
+    this.productsContainer = containers.products;
+    this.categoriesContainer = containers.categories;
+    this.products = new Map(); // productId -> Product
+    this.categories = []; // active categories, for suggestions
+    this.words = new Map(); // word -> Map(productId -> Set of fields)
+    this.builtAt = 0;
+    this.stale = true;
+    this.building = null;
+  }
+
+  // Mark the index out of date; it is rebuilt before the next search.
+  // Called when categories change, or many products at once.
+  invalidate() {
+    this.stale = true;
+  }
+
+  // Bring one product's entry up to date after it is created or updated:
+  // published products are (re)indexed and any other product is taken out,
+  // so the index only ever holds products that may be shown.
+  syncProduct(product) {
+    removeFromIndex(this.products, this.words, product.id);
+    if (product.isPublished()) {
+      addToIndex(this.products, this.words, product);
+    }
+    // A rebuild already scanning may have read the old version
+    if (this.building) {
+      this.stale = true;
+    }
+  }
+
+  // Take a deleted product out of the index
+  removeProduct(productId) {
+    removeFromIndex(this.products, this.words, productId);
+    if (this.building) {
+      this.stale = true;
+    }
+  }
+
+  // Rebuild the index from every published product and active category
+  async rebuild() {
+    const querySpec = {
+      query: 'SELECT * FROM c WHERE c.isActive = true AND c.published = true'
+    };
+    // Changes made while the scan runs mark the new index stale again
+    this.stale = false;
+    let resources;
+    let categoryDocs;
+    try {
+      [{ resources }, { resources: categoryDocs }] = await Promise.all([
+        this.productsContainer.items.query(querySpec).fetchAll(),
+        this.categoriesContainer.items.query('SELECT * FROM c WHERE c.isActive = true').fetchAll()
+      ]);
+    } catch (error) {
+      this.stale = true;
+      console.error('Error rebuilding search index:', error);
+      throw error;
+    }
+
+    const products = new Map();
+    const words = new Map();
+    resources.forEach(doc => addToIndex(products, words, Product.fromDocument(doc)));
+
+    this.products = products;
+    this.words = words;
+    this.categories = categoryDocs.map(doc => {
+      const category = Category.fromDocument(doc);
+      return { category, words: tokenize(category.name) };
+    });
+    this.builtAt = Date.now();
+    return products.size;
+  }
+
+  // Rebuild the index if it is stale or older than the TTL; concurrent
+  // searches share one rebuild. With `allowStale`, an existing index is used
+  // straight away and rebuilt in the background.
+  async ensureIndex({ allowStale = false } = {}) {
+    if (!this.stale && Date.now() - this.builtAt < INDEX_TTL_MS) {
+      return;
+    }
+    if (!this.building) {
+      this.building = this.rebuild().finally(() => {
+        this.building = null;
+      });
+    }
+    if (allowStale && this.builtAt > 0) {
+      this.building.catch(() => {});
+      return;
+    }
+    await this.building;
+  }
+
+  // Relevance of each product matching one query term: productId -> score
+  matchTerm(term) {
+    const typos = allowedTypos(term);
+    const scores = new Map();
+
+    this.words.forEach((postings, word) => {
+      let weight = 0;
+      if (word === term) {
+        weight = MATCH_WEIGHTS.exact;
+      } else if (term.length >= 2 && word.startsWith(term)) {
+        weight = MATCH_WEIGHTS.prefix;
+      } else if (typos > 0 && editDistance(term, word, typos) <= typos) {
+        weight = MATCH_WEIGHTS.typo;
+      }
+      if (weight === 0) {
+        return;
+      }
+
+      postings.forEach((fields, productId) => {
+        let score = 0;
+        fields.forEach(field => {
+          score += FIELD_BOOSTS[field] * weight;
+        });
+        scores.set(productId, Math.max(scores.get(productId) || 0, score));
+      });
+    });
+    return scores;
+  }
+
+  // Products matching every term of the query, with their relevance
+  matchQuery(queryText) {
+    const terms = [...new Set(tokenize(queryText))];
+    if (terms.length === 0) {
+      return [];
+    }
+
+    let matches = null;
+    terms.forEach(term => {
+      const scores = this.matchTerm(term);
+      if (matches === null) {
+        matches = scores;
+        return;
+      }
+      const combined = new Map();
+      matches.forEach((score, productId) => {
+        if (scores.has(productId)) {
+          combined.set(productId, score + scores.get(productId));
+        }
+      });
+      matches = combined;
+    });
+
+    const phrase = terms.join(' ');
+    return [...matches].map(([productId, score]) => {
+      const product = this.products.get(productId);
+      // Products whose name contains the whole query rank first
+      const bonus = tokenize(product.name).join(' ').includes(phrase) ? FIELD_BOOSTS.name : 0;
+      return { product, score: score + bonus };
+    });
+  }
+
+  // Search published products. Filters: categoryIds/categorySlugs (a
+  // category and its subcategories; products without a category ID match
+  // by slug), minPrice, maxPrice and priceBand. Prices are filtered, banded
+  // and sorted in `currency` (default the store currency), as products show
+  // them. Facet counts for categories and price bands are returned
+  // alongside; each facet ignores its own filter so the other options stay
+  // visible.
+  async search(queryText, { categoryIds = null, categorySlugs = [], minPrice, maxPrice, priceBand, currency = null, sort = 'relevance', page = 1, limit = 12 } = {}) {
+    try {
+      await this.ensureIndex();
+      // Unpublished products are dropped before counting and paging, so
+      // pages are full and totals and facets only count what is shown
+      const matches = this.matchQuery(queryText).filter(({ product }) => product.isPublished()).map(match => ({
+        ...match,
+        price: currency ? match.product.getPriceIn(currency) : match.product.price
+      }));
+
+      const inCategory = ({ product }) => !categoryIds ||
+        (product.categoryId ? categoryIds.includes(product.categoryId) : categorySlugs.includes(product.category));
+      const inPriceRange = ({ price }) =>
+        (minPrice === undefined || price >= minPrice) &&
+        (maxPrice === undefined || price <= maxPrice) &&
+        (!priceBand || priceBandKey(price) === priceBand);
+
+      const categoryCounts = new Map();
+      matches.filter(inPriceRange).forEach(({ product }) => {
+        categoryCounts.set(product.category, (categoryCounts.get(product.category) || 0) + 1);
+      });
+      const bandCounts = new Map();
+      matches.filter(inCategory).forEach(({ price }) => {
+        const key = priceBandKey(price);
+        bandCounts.set(key, (bandCounts.get(key) || 0) + 1);
+      });
+
+      const results = matches
+        .filter(match => inCategory(match) && inPriceRange(match))
+        .sort(SEARCH_SORTS[sort] || SEARCH_SORTS.relevance);
+      const pageResults = results.slice((page - 1) * limit, page * limit);
+
+      return {
+        products: await this.loadProducts(pageResults.map(({ product }) => product.id)),
+        page,
+        limit,
+        total: results.length,
+        totalPages: Math.ceil(results.length / limit),
+        facets: {
+          categories: [...categoryCounts]
+            .map(([category, count]) => ({ category, count }))
+            .sort((a, b) => (b.count - a.count) || String(a.category).localeCompare(String(b.category))),
+          priceBands: PRICE_BANDS.map(band => ({
+            key: band.key,
+            min: band.min,
+            max: band.max,
+            count: bandCounts.get(band.key) || 0
+          }))
+        }
+      };
+    } catch (error) {
+      console.error('Error searching products:', error);
+      throw error;
+    }
+  }
+
+  // Suggestions for a search box, matched against the index: product names
+  // ranked like search results, active categories whose name words start
+  // with the query words, and SKUs (including variant SKUs) starting with
+  // the query. Nothing is read from the database: product changes keep the
+  // index free of unpublished products, so only published ones are suggested.
+  async suggest(queryText, { limit = 5 } = {}) {
+    try {
+      await this.ensureIndex({ allowStale: true });
+      const terms = tokenize(queryText);
+
+      const products = this.matchQuery(queryText)
+        .filter(({ product }) => product.isPublished())
+        .sort(SEARCH_SORTS.relevance)
+        .slice(0, limit)
+        .map(({ product }) => ({
+          id: product.id,
+          name: product.name,
+          category: product.category,
+          image: product.images[0] || null
+        }));
+
+      const categories = terms.length === 0 ? [] : this.categories
+        .filter(({ words }) => terms.every(term => words.some(word => word.startsWith(term))))
+        .map(({ category }) => ({ id: category.id, name: category.name, slug: category.slug }))
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .slice(0, limit);
+
+      const prefix = String(queryText || '').trim().toUpperCase();
+      const skuCodes = product => [product.sku, ...product.variants.filter(variant => variant.isActive).map(variant => variant.sku)]
+        .filter(sku => sku && sku.toUpperCase().startsWith(prefix));
+      const skus = [];
+      if (prefix.length >= 2) {
+        for (const product of this.products.values()) {
+          if (product.isPublished()) {
+            skuCodes(product).forEach(sku => skus.push({ sku, productId: product.id, name: product.name }));
+          }
+          if (skus.length >= limit) {
+            break;
+          }
+        }
+      }
+
+      return { products, categories, skus: skus.slice(0, limit) };
+    } catch (error) {
+      console.error('Error getting search suggestions:', error);
+      throw error;
+    }
+  }
+
+  // Current versions of the products on a results page, in ranking order.
+  // The index may lag stock and image changes, or changes made on another
+  // server instance; products found deleted or unpublished are dropped and
+  // taken out of the index so later pages and counts leave them out.
+  async loadProducts(productIds) {
+    if (productIds.length === 0) {
+      return [];
+    }
+    const querySpec = {
+      query: 'SELECT * FROM c WHERE ARRAY_CONTAINS(@ids, c.id)',
+      parameters: [{ name: '@ids', value: productIds }]
+    };
+    const { resources } = await this.productsContainer.items.query(querySpec).fetchAll();
+    const products = new Map(resources.map(doc => [doc.id, Product.fromDocument(doc)]));
+    productIds.forEach(id => {
+      const product = products.get(id);
+      if (!product) {
+        this.removeProduct(id);
+      } else if (!product.isPublished()) {
+        this.syncProduct(product);
+      }
+    });
+    return productIds
+      .map(id => products.get(id))
+      .filter(product => product && product.isPublished());
+  }
+}
+
+export default new SearchService();
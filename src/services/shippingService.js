@@ -0,0 +1,227 @@
+import { containers } from '../config/cosmos.js';
+import { ShippingZone, normalizeCountry } from '../models/ShippingZone.js';
+
+// Price of a method for a parcel, or null when its rate table does not
+// reach that far. Rates with an `upTo` are tried from the lowest up; a rate
+// without one covers everything above.
+function ratePrice(method, measure) {
+  const bounded = method.rates
+    .filter(rate => rate.upTo !== null && rate.upTo !== undefined)
+    .sort((a, b) => a.upTo - b.upTo);
+  const rate = bounded.find(item => measure <= item.upTo) ||
+    method.rates.find(item => item.upTo === null || item.upTo === undefined);
+  return rate ? rate.price : null;
+}
+
+export class ShippingService {
+  constructor() {
+    this.container = containers.shipping_zones;
+  }
+
+  // All shipping zones (few enough to load whole)
+  async getAllZones() {
+    try {
+      const { resources } = await this.container.items.query('SELECT * FROM c').fetchAll();
+      return resources
+        .map(doc => ShippingZone.fromDocument(doc))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('Error getting shipping zones:', error);
+      throw error;
+    }
+  }
+
+  // Find a zone by ID
+  async findById(id) {
+    try {
+      const { resource } = await this.container.item(id, id).read();
+      return resource ? ShippingZone.fromDocument(resource) : null;
+    } catch (error) {
+      if (error.code === 404) {
+        return null;
+      }
+      console.error('Error finding shipping zone by ID:', error);
+      throw error;
+    }
+  }
+
+  // Check no other active zone lists the same country
+  async checkCountries(zone) {
+    const zones = await this.getAllZones();
+    const taken = zone.countries.filter(country =>
+      zones.some(other => other.id !== zone.id && other.isActive && other.countries
+        .some(item => normalizeCountry(item) === normalizeCountry(country))));
+    if (zone.isActive && taken.length > 0) {
+      throw new Error(`Validation failed: ${taken.join(', ')} already belong to another shipping zone`);
+    }
+  }
+
+  // Create a shipping zone
+  async createZone(zoneData) {
+    try {
+      const zone = new ShippingZone(zoneData);
+
+      const validationErrors = zone.validate();
+      if (validationErrors.length > 0) {
+        throw new Error(`Validation failed: ${validationErrors.join(', ')}`);
+      }
+      await this.checkCountries(zone);
+
+      const { resource } = await this.container.items.create(zone.toDocument());
+      return ShippingZone.fromDocument(resource);
+    } catch (error) {
+      console.error('Error creating shipping zone:', error);
+      throw error;
+    }
+  }
+
+  // Update a shipping zone. Orders keep the method and price they were quoted.
+  async updateZone(id, updateData) {
+    try {
+      const existing = await this.findById(id);
+      if (!existing) {
+        throw new Error('Shipping zone not found');
+      }
+
+      // Rebuilding through the constructor gives new methods their IDs
+      const zone = new ShippingZone({
+        ...existing.toDocument(),
+        ...updateData,
+        id,
+        createdAt: existing.createdAt,
+        updatedAt: new Date().toISOString()
+      });
+
+      const validationErrors = zone.validate();
+      if (validationErrors.length > 0) {
+        throw new Error(`Validation failed: ${validationErrors.join(', ')}`);
+      }
+      await this.checkCountries(zone);
+
+      const { resource } = await this.container.item(id, id).replace(zone.toDocument());
+      return ShippingZone.fromDocument(resource);
+    } catch (error) {
+      console.error('Error updating shipping zone:', error);
+      throw error;
+    }
+  }
+
+  // Delete a shipping zone
+  async deleteZone(id) {
+    try {
+      await this.container.item(id, id).delete();
+      return true;
+    } catch (error) {
+      if (error.code === 404) {
+        throw new Error('Shipping zone not found');
+      }
+      console.error('Error deleting shipping zone:', error);
+      throw error;
+    }
+  }
+
+  // The active zone for a country: the zone listing it, else the
+  // rest-of-the-world zone, else null
+  findZoneForCountry(zones, country) {
+    const active = zones.filter(zone => zone.isActive);
+    return active.find(zone => zone.coversCountry(country)) ||
+      active.find(zone => zone.isRestOfWorld()) ||
+      null;
+  }
+
+  // Shipping options for priced order lines (which carry their unit
+  // `weight`) sent to a country. `orderValue` is the subtotal after
+  // discounts; `freeShipping` comes from a promo code. Rates are in the
+  // store currency; for an order in another `currency` prices and
+  // thresholds are converted and order values compared in the store currency.
+  // Returns { configured, zone, weight, methods }, cheapest method first.
+  // `configured` is false until an admin creates a zone; checkout then
+  // works without shipping charges.
+  async quote({ lines, orderValue, country, freeShipping = false, currency = null }) {
+    try {
+      const zones = await this.getAllZones();
+      // Weights are in kg; round to the gram
+      const weight = Math.round(lines.reduce((sum, line) => sum + (line.weight || 0) * line.quantity, 0) * 1000) / 1000;
+      if (zones.length === 0) {
+        return { configured: false, zone: null, weight, methods: [] };
+      }
+
+      const zone = this.findZoneForCountry(zones, country);
+      if (!zone) {
+        return { configured: true, zone: null, weight, methods: [] };
+      }
+
+      const rate = currency ? currency.rate : 1;
+      const methods = zone.methods
+        .filter(method => method.isActive)
+        .map(method => {
+          const storePrice = ratePrice(method, method.basis === 'weight' ? weight : orderValue / rate);
+          if (storePrice === null) {
+            return null;
+          }
+          const price = currency ? currency.convert(storePrice) : storePrice;
+          const overThreshold = method.freeOver !== null && orderValue >= (currency ? currency.convert(method.freeOver) : method.freeOver);
+          const free = freeShipping || overThreshold;
+          return {
+            id: method.id,
+            name: method.name,
+            price: free ? 0 : price,
+            originalPrice: price,
+            free,
+            freeReason: free ? (freeShipping ? 'promotion' : 'threshold') : null,
+            minDays: method.minDays,
+            maxDays: method.maxDays
+          };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.price - b.price);
+
+      return { configured: true, zone: { id: zone.id, name: zone.name }, weight, methods };
+    } catch (error) {
+      console.error('Error quoting shipping:', error);
+      throw error;
+    }
+  }
+
+  // Pick the shipping for an order: the requested method, or the cheapest
+  // one. Returns { shipping, errors }; `shipping` is the record to store on
+  // the order, or null when no zones are configured.
+  async selectMethod({ lines, orderValue, country, freeShipping = false, currency = null, methodId = null }) {
+    const quote = await this.quote({ lines, orderValue, country, freeShipping, currency });
+    const errors = [];
+
+    if (!quote.configured) {
+      return { shipping: null, errors };
+    }
+    if (!quote.zone) {
+      errors.push(`We do not ship to ${country}`);
+      return { shipping: null, errors };
+    }
+
+    const method = methodId ? quote.methods.find(item => item.id === methodId) : quote.methods[0];
+    if (!method) {
+      errors.push(methodId
+        ? `Shipping method ${methodId} is not available for this order`
+        : `No shipping method is available for this order to ${country}`);
+      return { shipping: null, errors };
+    }
+
+    return {
+      shipping: {
+        zoneId: quote.zone.id,
+        zoneName: quote.zone.name,
+        methodId: method.id,
+        name: method.name,
+        price: method.price,
+        originalPrice: method.originalPrice,
+        freeReason: method.freeReason,
+        minDays: method.minDays,
+        maxDays: method.maxDays,
+        weight: quote.weight
+      },
+      errors
+    };
+  }
+}
+
+export default new ShippingService();
@@ -0,0 +1,204 @@
+import { containers } from '../config/cosmos.js';
+import { TaxRate } from '../models/TaxRate.js';
+import { normalizeCountry } from '../models/ShippingZone.js';
+import categoryService from './categoryService.js';
+import { roundMoney } from '../utils/money.js';
+
+// Tax in an amount: taken out of a tax-inclusive price, or added on top of
+// a tax-exclusive one
+function taxOn(amount, rate, inclusive) {
+  return inclusive
+    ? roundMoney(amount - amount / (1 + rate / 100))
+    : roundMoney(amount * rate / 100);
+}
+
+export class TaxService {
+  constructor() {
+    this.container = containers.tax_rates;
+  }
+
+  // All tax rates (few enough to load whole)
+  async getAllRates() {
+    try {
+      const { resources } = await this.container.items.query('SELECT * FROM c').fetchAll();
+      return resources
+        .map(doc => TaxRate.fromDocument(doc))
+        .sort((a, b) => a.country.localeCompare(b.country) || (a.categoryId || '').localeCompare(b.categoryId || ''));
+    } catch (error) {
+      console.error('Error getting tax rates:', error);
+      throw error;
+    }
+  }
+
+  // Find a tax rate by ID
+  async findById(id) {
+    try {
+      const { resource } = await this.container.item(id, id).read();
+      return resource ? TaxRate.fromDocument(resource) : null;
+    } catch (error) {
+      if (error.code === 404) {
+        return null;
+      }
+      console.error('Error finding tax rate by ID:', error);
+      throw error;
+    }
+  }
+
+  // Check the category exists and no other rate covers the same country and category
+  async checkRate(taxRate) {
+    if (taxRate.categoryId && !(await categoryService.findById(taxRate.categoryId))) {
+      throw new Error('Category not found');
+    }
+    const rates = await this.getAllRates();
+    const duplicate = rates.find(other => other.id !== taxRate.id &&
+      normalizeCountry(other.country) === normalizeCountry(taxRate.country) &&
+      other.categoryId === taxRate.categoryId);
+    if (duplicate) {
+      throw new Error('Tax rate for this country and category already exists');
+    }
+  }
+
+  // Create a tax rate
+  async createRate(rateData) {
+    try {
+      const taxRate = new TaxRate(rateData);
+
+      const validationErrors = taxRate.validate();
+      if (validationErrors.length > 0) {
+        throw new Error(`Validation failed: ${validationErrors.join(', ')}`);
+      }
+      await this.checkRate(taxRate);
+
+      const { resource } = await this.container.items.create(taxRate.toDocument());
+      return TaxRate.fromDocument(resource);
+    } catch (error) {
+      console.error('Error creating tax rate:', error);
+      throw error;
+    }
+  }
+
+  // Update a tax rate. Orders keep the tax they were charged.
+  async updateRate(id, updateData) {
+    try {
+      const taxRate = await this.findById(id);
+      if (!taxRate) {
+        throw new Error('Tax rate not found');
+      }
+
+      ['name', 'country', 'categoryId', 'rate', 'isActive'].forEach(field => {
+        if (updateData[field] !== undefined) taxRate[field] = updateData[field];
+      });
+      taxRate.categoryId = taxRate.categoryId || null;
+      taxRate.updatedAt = new Date().toISOString();
+
+      const validationErrors = taxRate.validate();
+      if (validationErrors.length > 0) {
+        throw new Error(`Validation failed: ${validationErrors.join(', ')}`);
+      }
+      await this.checkRate(taxRate);
+
+      const { resource } = await this.container.item(id, id).replace(taxRate.toDocument());
+      return TaxRate.fromDocument(resource);
+    } catch (error) {
+      console.error('Error updating tax rate:', error);
+      throw error;
+    }
+  }
+
+  // Delete a tax rate
+  async deleteRate(id) {
+    try {
+      await this.container.item(id, id).delete();
+      return true;
+    } catch (error) {
+      if (error.code === 404) {
+        throw new Error('Tax rate not found');
+      }
+      console.error('Error deleting tax rate:', error);
+      throw error;
+    }
+  }
+
+  // The rate for a category in a country: the category's own rate, else
+  // the nearest parent category's, else the country's standard rate (no
+  // category). Countries without any rate use the `*` rates. Null if none.
+  findRate(rates, categories, country, categoryId) {
+    const active = rates.filter(rate => rate.isActive);
+    const forCountry = active.filter(rate => rate.isForCountry(country));
+    const candidates = forCountry.length > 0
+      ? forCountry
+      : active.filter(rate => rate.country === TaxRate.ALL_COUNTRIES);
+
+    const chain = [];
+    for (let id = categoryId; id && !chain.includes(id);) {
+      chain.push(id);
+      const category = categories.find(item => item.id === id);
+      id = category ? category.parentId : null;
+    }
+    for (const id of [...chain, null]) {
+      const rate = candidates.find(item => item.categoryId === id);
+      if (rate) {
+        return rate;
+      }
+    }
+    return null;
+  }
+
+  // Tax for priced order lines (after their promo code discount) and
+  // shipping sent to a country. Shipping prices include tax at the
+  // country's standard rate. Returns { lines, shippingTax, taxLines,
+  // taxTotal, addedTax }: each taxed line gets `tax`, `taxLines` sums the tax
+  // per rate for receipts and invoices, and `addedTax` is the part charged
+  // on top of tax-exclusive prices.
+  async calculate({ lines, shipping = null, country }) {
+    try {
+      const [rates, categories] = await Promise.all([
+        this.getAllRates(),
+        categoryService.getAllCategories()
+      ]);
+
+      const totals = new Map();
+      const record = (rate, inclusive, taxable, amount) => {
+        const key = `${rate.name}|${rate.rate}|${inclusive}`;
+        const line = totals.get(key) || { name: rate.name, rate: rate.rate, inclusive, taxable: 0, amount: 0 };
+        // `taxable` is always the amount before tax
+        line.taxable = roundMoney(line.taxable + (inclusive ? taxable - amount : taxable));
+        line.amount = roundMoney(line.amount + amount);
+        totals.set(key, line);
+        return { name: rate.name, rate: rate.rate, inclusive, amount };
+      };
+
+      const taxedLines = lines.map(line => {
+        const rate = this.findRate(rates, categories, country, line.categoryId);
+        if (!rate) {
+          return line;
+        }
+        const taxable = roundMoney(line.lineTotal - (line.discount || 0));
+        const inclusive = line.taxInclusive !== false;
+        return { ...line, tax: record(rate, inclusive, taxable, taxOn(taxable, rate.rate, inclusive)) };
+      });
+
+      let shippingTax = null;
+      if (shipping && shipping.price > 0) {
+        const rate = this.findRate(rates, categories, country, null);
+        if (rate) {
+          shippingTax = record(rate, true, shipping.price, taxOn(shipping.price, rate.rate, true));
+        }
+      }
+
+      const taxLines = [...totals.values()].filter(line => line.amount > 0);
+      return {
+        lines: taxedLines,
+        shippingTax,
+        taxLines,
+        taxTotal: roundMoney(taxLines.reduce((sum, line) => sum + line.amount, 0)),
+        addedTax: roundMoney(taxLines.filter(line => !line.inclusive).reduce((sum, line) => sum + line.amount, 0))
+      };
+    } catch (error) {
+      console.error('Error calculating tax:', error);
+      throw error;
+    }
+  }
+}
+
+export default new TaxService();
@@ -1,6 +1,7 @@
 import { containers } from '../config/cosmos.js';
 import { User } from '../models/User.js';
 import Order from '../models/Order.js';
+import { queryPage } from '../utils/pagination.js';
 
 export class UserService {
   constructor() {
@@ -126,67 +127,36 @@ export class UserService {
     }
   }
 
-  // Get all users (with pagination)
-  async getAllUsers(page = 1, limit = 10) {
+  // List users, newest first, optionally matching a search term against
+  // name and email. `pagination` comes from getPagination (utils/pagination.js).
+  async listUsers(searchTerm, pagination) {
     try {
-      const offset = (page - 1) * limit;
-      
-      const querySpec = {
-        query: 'SELECT * FROM c ORDER BY c.createdAt DESC OFFSET @offset LIMIT @limit',
-        parameters: [
-          { name: '@offset', value: offset },
-          { name: '@limit', value: limit }
-        ]
-      };
+      const { resources, ...pageInfo } = await queryPage(this.container, searchTerm ? {
+        where: `WHERE CONTAINS(c.firstName, @searchTerm, true)
+          OR CONTAINS(c.lastName, @searchTerm, true)
+          OR CONTAINS(c.email, @searchTerm, true)`,
+        parameters: [{ name: '@searchTerm', value: searchTerm }]
+      } : {}, pagination);
 
-      const { resources } = await this.container.items.query(querySpec).fetchAll();
-      
       return {
         users: resources.map(doc => User.fromDocument(doc)),
-        page,
-        limit,
-        total: resources.length
+        ...pageInfo
       };
     } catch (error) {
-      console.error('Error getting all users:', error);
+      console.error('Error listing users:', error);
       throw error;
     }
   }
 
+  // Get all users (with pagination)
+  async getAllUsers(page = 1, limit = 10) {
+    return this.listUsers(null, { mode: 'offset', page, limit });
+  }
+
   // Search users
   async searchUsers(searchTerm, page = 1, limit = 10) {
-    try {
-      const offset = (page - 1) * limit;
-      
-      const querySpec = {
-        query: `
-          SELECT * FROM c 
-          WHERE CONTAINS(c.firstName, @searchTerm, true) 
-             OR CONTAINS(c.lastName, @searchTerm, true) 
-             OR CONTAINS(c.email, @searchTerm, true)
-          ORDER BY c.createdAt DESC 
-          OFFSET @offset LIMIT @limit
-        `,
-        parameters: [
-          { name: '@searchTerm', value: searchTerm },
-          { name: '@offset', value: offset },
-          { name: '@limit', value: limit }
-        ]
-      };
-
-      const { resources } = await this.container.items.query(querySpec).fetchAll();
-      
-      return {
-        users: resources.map(doc => User.fromDocument(doc)),
-        page,
-        limit,
-        total: resources.length,
-        searchTerm
-      };
-    } catch (error) {
-      console.error('Error searching users:', error);
-      throw error;
-    }
+    const result = await this.listUsers(searchTerm, { mode: 'offset', page, limit });
+    return { ...result, searchTerm };
   }
 
   // Verify user credentials
@@ -305,6 +275,7 @@ export class UserService {
   async createOrder(orderData) {
     try {
       const order = new Order(orderData);
+      order.recordCreation();
       // Validate order data
       const validationErrors = order.validate();
       if (validationErrors.length > 0) {
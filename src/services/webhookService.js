@@ -0,0 +1,321 @@
+import { containers } from '../config/cosmos.js';
+import { stripe, stripeConfig } from '../config/stripe.js';
+import orderService from './orderService.js';
+import cartService from './cartService.js';
+import { fromMinorUnits, roundMoney } from '../utils/money.js';
+
+// Processed events are kept for 30 days, comfortably longer than Stripe's
+// 3-day retry window
+const EVENT_LOG_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// A delivery still marked "processing" after this long is assumed to have
+// crashed and may be retried
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+export class WebhookService {
+  constructor() {
+    this.container = containers.webhook_events;
+    this.handlers = {
+      'checkout.session.completed': this.handleCheckoutCompleted.bind(this),
+      'checkout.session.async_payment_succeeded': this.handleAsyncPaymentSucceeded.bind(this),
+      'checkout.session.async_payment_failed': this.handleAsyncPaymentFailed.bind(this),
+      'checkout.session.expired': this.handleCheckoutExpired.bind(this),
+      'charge.refunded': this.handleChargeRefunded.bind(this),
+      'charge.dispute.created': this.handleDisputeCreated.bind(this)
+    };
+  }
+
+  // Verify the Stripe signature and parse the event
+  constructEvent(rawBody, signature) {
+    return stripe.webhooks.constructEvent(rawBody, signature, stripeConfig.webhookSecret);
+  }
+
+  // Claim an event for processing. Returns false if it was already processed
+  // (or is being processed right now) so redeliveries become no-ops.
+  async claimEvent(event) {
+    const record = {
+      id: event.id,
+      type: event.type,
+      status: 'processing',
+      attempts: 1,
+      receivedAt: new Date().toISOString(),
+      ttl: EVENT_LOG_TTL_SECONDS
+    };
+
+    try {
+      await this.container.items.create(record);
+      return true;
+    } catch (error) {
+      if (error.code !== 409) {
+        throw error;
+      }
+    }
+
+    // Seen before: only retry deliveries that failed or were abandoned
+    const { resource: existing, etag } = await this.container.item(event.id, event.id).read();
+    const isStale = existing.status === 'processing' &&
+      Date.now() - new Date(existing.updatedAt || existing.receivedAt).getTime() > STALE_PROCESSING_MS;
+    if (existing.status !== 'failed' && !isStale) {
+      return false;
+    }
+
+    try {
+      await this.container.item(event.id, event.id).replace({
+        ...existing,
+        status: 'processing',
+        attempts: (existing.attempts || 1) + 1,
+        updatedAt: new Date().toISOString()
+      }, { accessCondition: { type: 'IfMatch', condition: etag } });
+      return true;
+    } catch (error) {
+      // Another delivery claimed it first
+      if (error.code === 412) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Record the outcome of processing an event
+  async completeEvent(event, status, details = {}) {
+    try {
+      const { resource: existing } = await this.container.item(event.id, event.id).read();
+      await this.container.item(event.id, event.id).replace({
+        ...existing,
+        ...details,
+        status,
+        updatedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`Error recording webhook event ${event.id}:`, error);
+    }
+  }
+
+  // Process a verified event exactly once.
+  // Returns { duplicate, handled }; throws if processing failed so Stripe retries.
+  async processEvent(event) {
+    const handler = this.handlers[event.type];
+    if (!handler) {
+      return { duplicate: false, handled: false };
+    }
+
+    const claimed = await this.claimEvent(event);
+    if (!claimed) {
+      console.log(`Webhook event ${event.id} (${event.type}) already processed, skipping`);
+      return { duplicate: true, handled: false };
+    }
+
+    try {
+      const result = await handler(event.data.object);
+      await this.completeEvent(event, 'processed', { orderId: result?.orderId || null });
+      return { duplicate: false, handled: true };
+    } catch (error) {
+      await this.completeEvent(event, 'failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Find the order for a checkout session. The session metadata carries the
+  // owner so the lookup is a point read; older sessions fall back to a scan.
+  async findOrderForSession(session) {
+    const orderId = session.client_reference_id;
+    if (!orderId) {
+      return null;
+    }
+    const userId = session.metadata && session.metadata.userId;
+    if (userId) {
+      const order = await orderService.findByIdForUser(orderId, userId);
+      if (order) {
+        return order;
+      }
+    }
+    return orderService.findById(orderId);
+  }
+
+  // Find the order for a charge or dispute via its payment intent
+  async findOrderForPaymentIntent(paymentIntentId) {
+    if (!paymentIntentId) {
+      return null;
+    }
+    return orderService.findByPaymentIntentId(paymentIntentId);
+  }
+
+  // Apply a status change on Stripe's behalf. Transitions the order's state
+  // machine does not allow (e.g. a refund arriving for a cancelled order) are
+  // logged and skipped; the payment fields are still updated by the caller.
+  applyStatus(order, status, reason) {
+    if (order.status === status) {
+      return false;
+    }
+    if (!order.canTransitionTo(status)) {
+      console.warn(`Ignoring ${order.status} -> ${status} for order ${order.id} (${reason})`);
+      return false;
+    }
+    order.transitionTo(status, { actorId: 'stripe', actorRole: 'system', reason });
+    return true;
+  }
+
+  // Mark an order as paid: pending -> confirmed, reserved stock becomes sold.
+  // `changes` are saved along with it (see orderService.saveOrder).
+  async confirmPayment(order, reason, changes = () => {}) {
+    let confirmed = false;
+    const saved = await orderService.commitStock(order, current => {
+      changes(current);
+      current.paymentStatus = 'paid';
+      confirmed = this.applyStatus(current, 'confirmed', reason);
+    });
+
+    // The order was cancelled or its payment failed while a payment was in
+    // flight, and its stock has gone back: give the money back
+    if (saved.status === 'cancelled' || saved.status === 'payment_failed') {
+      console.warn(`Payment received for ${saved.status} order ${saved.id}, refunding`);
+      return orderService.refundOrder(saved, {
+        reason: saved.status === 'cancelled' ? 'Payment received after cancellation' : 'Payment received after payment failed',
+        actorId: 'stripe',
+        actorRole: 'system',
+        updateStatus: false
+      });
+    }
+
+    if (confirmed) {
+      await orderService.sendConfirmation(saved);
+    }
+
+    try {
+      await cartService.clearCart(order.userId);
+    } catch (error) {
+      // The order is paid either way; a stale cart is only cosmetic
+      console.error('Error clearing cart after payment:', error);
+    }
+    return saved;
+  }
+
+  // checkout.session.completed: card payments are paid now, delayed methods
+  // (e.g. bank debits) stay pending until async_payment_succeeded/failed
+  async handleCheckoutCompleted(session) {
+    const order = await this.findOrderForSession(session);
+    if (!order) {
+      console.error('Order not found for session:', session.id);
+      return null;
+    }
+
+    const recordPaymentIntent = current => {
+      current.paymentIntentId = session.payment_intent || current.paymentIntentId;
+    };
+
+    if (session.payment_status === 'paid' || session.payment_status === 'no_payment_required') {
+      await this.confirmPayment(order, 'Payment received', recordPaymentIntent);
+      console.log('Order marked as confirmed:', order.id);
+    } else {
+      await orderService.saveOrder(order, current => {
+        recordPaymentIntent(current);
+        current.paymentStatus = 'processing';
+      });
+      console.log('Order awaiting asynchronous payment:', order.id);
+    }
+    return { orderId: order.id };
+  }
+
+  // checkout.session.async_payment_succeeded: pending -> confirmed
+  async handleAsyncPaymentSucceeded(session) {
+    const order = await this.findOrderForSession(session);
+    if (!order) {
+      console.error('Order not found for session:', session.id);
+      return null;
+    }
+
+    await this.confirmPayment(order, 'Delayed payment succeeded', current => {
+      current.paymentIntentId = session.payment_intent || current.paymentIntentId;
+    });
+    console.log('Order marked as confirmed after async payment:', order.id);
+    return { orderId: order.id };
+  }
+
+  // checkout.session.async_payment_failed: pending -> payment_failed, stock released
+  async handleAsyncPaymentFailed(session) {
+    const order = await this.findOrderForSession(session);
+    if (!order) {
+      console.error('Order not found for session:', session.id);
+      return null;
+    }
+
+    let failed = false;
+    const saved = await orderService.releaseStock(order, current => {
+      current.paymentStatus = 'failed';
+      failed = this.applyStatus(current, 'payment_failed', 'Delayed payment failed');
+    });
+    if (failed) {
+      await orderService.notifyCustomer('sendOrderStatusEmail', saved);
+    }
+    console.log('Order payment failed:', order.id);
+    return { orderId: order.id };
+  }
+
+  // checkout.session.expired: pending -> cancelled, stock released
+  async handleCheckoutExpired(session) {
+    const order = await this.findOrderForSession(session);
+    if (!order) {
+      console.error('Order not found for session:', session.id);
+      return null;
+    }
+
+    if (order.status !== 'pending') {
+      return { orderId: order.id };
+    }
+    await orderService.releaseStock(order, current => {
+      this.applyStatus(current, 'cancelled', 'Checkout session expired');
+    });
+    console.log('Order cancelled after session expiry:', order.id);
+    return { orderId: order.id };
+  }
+
+  // charge.refunded: -> refunded, or partially_refunded while money remains captured
+  async handleChargeRefunded(charge) {
+    const order = await this.findOrderForPaymentIntent(charge.payment_intent);
+    if (!order) {
+      console.error('Order not found for charge:', charge.id);
+      return null;
+    }
+
+    // Refunds issued from the admin API are recorded before Stripe makes
+    // them, and that request sets the status and emails the customer; this
+    // picks up refunds made directly in the Stripe dashboard
+    const fullyRefunded = charge.refunded || charge.amount_refunded >= charge.amount;
+    let previouslyRefunded;
+    const saved = await orderService.saveOrder(order, current => {
+      previouslyRefunded = current.amountRefunded;
+      current.amountRefunded = Math.max(current.amountRefunded, fromMinorUnits(charge.amount_refunded));
+      current.paymentStatus = fullyRefunded ? 'refunded' : 'partially_refunded';
+      if (current.amountRefunded > previouslyRefunded) {
+        this.applyStatus(current, current.paymentStatus, 'Charge refunded in Stripe');
+      }
+    });
+
+    // Only refunds we had not recorded yet need an email; the others sent one already
+    if (saved.amountRefunded > previouslyRefunded) {
+      await orderService.notifyCustomer('sendOrderRefundEmail', saved, {
+        amount: roundMoney(saved.amountRefunded - previouslyRefunded)
+      });
+    }
+    console.log(`Order payment marked as ${saved.paymentStatus}:`, order.id);
+    return { orderId: order.id };
+  }
+
+  // charge.dispute.created: -> disputed
+  async handleDisputeCreated(dispute) {
+    const order = await this.findOrderForPaymentIntent(dispute.payment_intent);
+    if (!order) {
+      console.error('Order not found for dispute:', dispute.id);
+      return null;
+    }
+
+    await orderService.saveOrder(order, current => {
+      current.paymentStatus = 'disputed';
+      this.applyStatus(current, 'disputed', `Dispute opened: ${dispute.reason || 'unknown reason'}`);
+    });
+    console.log('Order marked as disputed:', order.id);
+    return { orderId: order.id };
+  }
+}
+
+export default new WebhookService();
@@ -0,0 +1,211 @@
+import { containers } from '../config/cosmos.js';
+import { Wishlist } from '../models/Wishlist.js';
+import { Product } from '../models/Product.js';
+import emailService from './emailService.js';
+
+export class WishlistService {
+  constructor() {
+    this.container = containers.wishlists;
+    this.productsContainer = containers.products;
+  }
+
+  // Get the user's wishlist (an empty wishlist if none has been saved yet)
+  async getWishlist(userId) {
+    try {
+      const wishlist = new Wishlist({ userId });
+      const { resource } = await this.container.item(wishlist.id, userId).read();
+      return resource ? Wishlist.fromDocument(resource) : wishlist;
+    } catch (error) {
+      if (error.code === 404) {
+        return new Wishlist({ userId });
+      }
+      console.error('Error getting wishlist:', error);
+      throw error;
+    }
+  }
+
+  // Persist the wishlist (created on first write)
+  async saveWishlist(wishlist) {
+    try {
+      const validationErrors = wishlist.validate();
+      if (validationErrors.length > 0) {
+        throw new Error(`Validation failed: ${validationErrors.join(', ')}`);
+      }
+
+      wishlist.updatedAt = new Date().toISOString();
+      const { resource } = await this.container.items.upsert(wishlist.toDocument());
+      return Wishlist.fromDocument(resource);
+    } catch (error) {
+      console.error('Error saving wishlist:', error);
+      throw error;
+    }
+  }
+
+  // Load several products in one query, keyed by ID
+  async findProducts(productIds) {
+    if (productIds.length === 0) {
+      return new Map();
+    }
+    const querySpec = {
+      query: 'SELECT * FROM c WHERE ARRAY_CONTAINS(@ids, c.id)',
+      parameters: [{ name: '@ids', value: productIds }]
+    };
+    const { resources } = await this.productsContainer.items.query(querySpec).fetchAll();
+    return new Map(resources.map(doc => [doc.id, Product.fromDocument(doc)]));
+  }
+
+  // The wishlist with live product info. Products that were deleted or
+  // unpublished are listed as unavailable rather than dropped.
+  async getWishlistWithProducts(userId) {
+    try {
+      const wishlist = await this.getWishlist(userId);
+      const products = await this.findProducts(wishlist.items.map(item => item.productId));
+
+      const items = wishlist.items.map(item => {
+        const product = products.get(item.productId);
+        const available = Boolean(product && product.isPublished());
+        return {
+          productId: item.productId,
+          product: available ? product.toPublicInfo() : null,
+          available,
+          inStock: available && product.isInStock(),
+          priceWhenAdded: item.priceWhenAdded,
+          priceDropped: available && item.priceWhenAdded !== undefined && Number(product.price) < item.priceWhenAdded,
+          notifyBackInStock: item.notifyBackInStock,
+          notifyPriceDrop: item.notifyPriceDrop,
+          addedAt: item.addedAt
+        };
+      });
+
+      return {
+        id: wishlist.id,
+        items,
+        itemCount: items.length,
+        updatedAt: wishlist.updatedAt
+      };
+    } catch (error) {
+      console.error('Error getting wishlist with products:', error);
+      throw error;
+    }
+  }
+
+  // Add a published product to the user's wishlist
+  async addItem(user, productId, alerts = {}) {
+    try {
+      const products = await this.findProducts([productId]);
+      const product = products.get(productId);
+      if (!product || !product.isPublished()) {
+        throw new Error('Product not found');
+      }
+
+      const wishlist = await this.getWishlist(user.id);
+      wishlist.email = user.email;
+      wishlist.firstName = user.firstName;
+      wishlist.addItem(productId, { price: Number(product.price), ...alerts });
+      await this.saveWishlist(wishlist);
+      return this.getWishlistWithProducts(user.id);
+    } catch (error) {
+      console.error('Error adding wishlist item:', error);
+      throw error;
+    }
+  }
+
+  // Change the alerts on a wishlisted product
+  async updateItem(user, productId, alerts) {
+    try {
+      const wishlist = await this.getWishlist(user.id);
+      wishlist.email = user.email;
+      wishlist.firstName = user.firstName;
+      wishlist.setItemAlerts(productId, alerts);
+      await this.saveWishlist(wishlist);
+      return this.getWishlistWithProducts(user.id);
+    } catch (error) {
+      console.error('Error updating wishlist item:', error);
+      throw error;
+    }
+  }
+
+  // Remove a product from the user's wishlist
+  async removeItem(userId, productId) {
+    try {
+      const wishlist = await this.getWishlist(userId);
+      wishlist.removeItem(productId);
+      await this.saveWishlist(wishlist);
+      return this.getWishlistWithProducts(userId);
+    } catch (error) {
+      console.error('Error removing wishlist item:', error);
+      throw error;
+    }
+  }
+
+  // Wishlists that hold a product with the given alert switched on (cross-partition)
+  async findWatchers(productId, alert) {
+    const querySpec = {
+      query: `SELECT VALUE c FROM c JOIN i IN c.items WHERE i.productId = @productId AND i.${alert} = true`,
+      parameters: [{ name: '@productId', value: productId }]
+    };
+    const { resources } = await this.container.items.query(querySpec).fetchAll();
+    return resources.map(doc => Wishlist.fromDocument(doc));
+  }
+
+  // Email everyone waiting for a product that has come back into stock
+  async notifyBackInStock(product) {
+    try {
+      if (!product.isPublished() || !product.isInStock()) {
+        return 0;
+      }
+
+      const watchers = await this.findWatchers(product.id, 'notifyBackInStock');
+      let notified = 0;
+      for (const wishlist of watchers) {
+        try {
+          await emailService.sendWishlistBackInStockEmail(wishlist, product);
+          wishlist.findItem(product.id).lastBackInStockAt = new Date().toISOString();
+          await this.saveWishlist(wishlist);
+          notified++;
+        } catch (error) {
+          console.error(`Error sending back-in-stock alert to user ${wishlist.userId}:`, error);
+        }
+      }
+      return notified;
+    } catch (error) {
+      console.error('Error sending back-in-stock alerts:', error);
+      throw error;
+    }
+  }
+
+  // Email everyone watching a product whose price fell below what they last
+  // saw (the price when they added it, or the price of their last alert)
+  async notifyPriceDrop(product, previousPrice) {
+    try {
+      if (!product.isPublished()) {
+        return 0;
+      }
+
+      const watchers = await this.findWatchers(product.id, 'notifyPriceDrop');
+      let notified = 0;
+      for (const wishlist of watchers) {
+        const item = wishlist.findItem(product.id);
+        const referencePrice = Number(item.lastNotifiedPrice ?? item.priceWhenAdded ?? previousPrice);
+        if (!(Number(product.price) < referencePrice)) {
+          continue;
+        }
+
+        try {
+          await emailService.sendWishlistPriceDropEmail(wishlist, product, referencePrice);
+          item.lastNotifiedPrice = Number(product.price);
+          await this.saveWishlist(wishlist);
+          notified++;
+        } catch (error) {
+          console.error(`Error sending price-drop alert to user ${wishlist.userId}:`, error);
+        }
+      }
+      return notified;
+    } catch (error) {
+      console.error('Error sending price-drop alerts:', error);
+      throw error;
+    }
+  }
+}
+
+export default new WishlistService();
@@ -0,0 +1,21 @@
+// Supported carriers and their public tracking pages.
+// `{trackingNumber}` in the URL template is replaced with the (encoded) tracking number.
+export const CARRIERS = {
+  royal_mail: { name: 'Royal Mail', trackingUrl: 'https://www.royalmail.com/track-your-item#/tracking-results/{trackingNumber}' },
+  parcelforce: { name: 'Parcelforce', trackingUrl: 'https://www.parcelforce.com/track-trace?trackNumber={trackingNumber}' },
+  dpd: { name: 'DPD', trackingUrl: 'https://track.dpd.co.uk/parcels/{trackingNumber}' },
+  evri: { name: 'Evri', trackingUrl: 'https://www.evri.com/track/parcel/{trackingNumber}' },
+  dhl: { name: 'DHL', trackingUrl: 'https://www.dhl.com/gb-en/home/tracking.html?tracking-id={trackingNumber}' },
+  ups: { name: 'UPS', trackingUrl: 'https://www.ups.com/track?tracknum={trackingNumber}' },
+  fedex: { name: 'FedEx', trackingUrl: 'https://www.fedex.com/fedextrack/?trknbr={trackingNumber}' },
+  other: { name: 'Other', trackingUrl: null }
+};
+
+// Build the tracking link for a shipment, or null if the carrier has none
+export function getTrackingUrl(carrier, trackingNumber) {
+  const template = CARRIERS[carrier] && CARRIERS[carrier].trackingUrl;
+  if (!template || !trackingNumber) {
+    return null;
+  }
+  return template.replace('{trackingNumber}', encodeURIComponent(trackingNumber));
+}
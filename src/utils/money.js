@@ -0,0 +1,32 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Money helpers
+// Prices are stored as decimal amounts in the store currency (e.g. 12.99 GBP).
+// Round at every step so totals never drift by fractions of a penny.
+
+// The store currency: catalogue prices, promotion amounts and shipping rates
+// are in it. Customers may pay in other currencies (see currencyService).
+export const STORE_CURRENCY = (process.env.STORE_CURRENCY || 'gbp').toLowerCase();
+
+// Round an amount to 2 decimal places
+export function roundMoney(amount) {
+  return Math.round((Number(amount) + Number.EPSILON) * 100) / 100;
+}
+
+// Convert a decimal amount to minor units (pence/cents) as used by Stripe
+export function toMinorUnits(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+// Format an amount for people to read, e.g. £12.99 (the store currency by default)
+export function formatMoney(amount, currency = STORE_CURRENCY) {
+  return new Intl.NumberFormat('en-GB', { style: 'currency', currency: currency.toUpperCase() })
+    .format(Number(amount || 0));
+}
+
+// Convert minor units (pence/cents) back to a decimal amount
+export function fromMinorUnits(amount) {
+  return roundMoney(Number(amount) / 100);
+}
@@ -0,0 +1,161 @@
+// Pagination helpers shared by list endpoints.
+// Offset mode (`?page=&limit=`) is the default. Cursor mode is opt-in with
+// `?cursor=` (empty for the first page) or `?pagination=cursor`: each page
+// starts after the sort value and ID of the last item of the previous one
+// (keyset pagination), which costs the same however deep you page and does
+// not shift when new items are inserted. Cosmos DB continuation tokens are
+// not used, as the SDK does not support them for cross-partition ORDER BY
+// queries. Positions are handed to clients as opaque cursors signed with
+// CURSOR_SECRET (or JWT_SECRET).
+import crypto from 'crypto';
+
+// Used when no secret is configured: cursors then only work until restart
+const FALLBACK_SECRET = crypto.randomBytes(32).toString('hex');
+
+function cursorSecret() {
+  return process.env.CURSOR_SECRET || process.env.JWT_SECRET || FALLBACK_SECRET;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', cursorSecret()).update(payload).digest('base64url');
+}
+
+// Fingerprint of a query, so a cursor only resumes the query it came from
+function queryFingerprint(querySpec) {
+  return crypto.createHash('sha256').update(JSON.stringify(querySpec)).digest('base64url').slice(0, 16);
+}
+
+// Read page/limit/cursor from the query string
+export function getPagination(query = {}, { defaultLimit = 10, maxLimit = 100 } = {}) {
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+  if (query.cursor !== undefined || query.pagination === 'cursor') {
+    return { mode: 'cursor', cursor: query.cursor || null, limit };
+  }
+  return { mode: 'offset', page: Math.max(parseInt(query.page) || 1, 1), limit };
+}
+
+// Wrap the position after the last item of a page in a signed cursor
+export function encodeCursor(position, querySpec) {
+  const payload = Buffer.from(JSON.stringify({
+    v: position.value,
+    i: position.id,
+    q: queryFingerprint(querySpec)
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+// Unwrap a cursor into { value, id }, checking it was issued by us for the
+// same query
+export function decodeCursor(cursor, querySpec) {
+  const [payload, signature = ''] = String(cursor).split('.');
+  const given = Buffer.from(signature);
+  const expected = Buffer.from(payload ? sign(payload) : '');
+  if (!payload || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new Error('Validation failed: Invalid cursor');
+  }
+
+  const { v: value, i: id, q: fingerprint } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  if (fingerprint !== queryFingerprint(querySpec)) {
+    throw new Error('Validation failed: Cursor does not match this query');
+  }
+  return { value, id };
+}
+
+// Value of a property path such as `c.createdAt` on a document
+function readPath(doc, path) {
+  return path.split('.').slice(1).reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), doc);
+}
+
+// Cosmos DB sorts documents without the sort property first, then those
+// where it is null, then real values (older documents may lack fields added
+// later, such as products' ratingAverage). Comparisons with < and > skip
+// the first two groups, so a cursor says which group its item was in.
+const SORT_GROUPS = [
+  path => `NOT IS_DEFINED(${path})`,
+  path => `IS_NULL(${path})`,
+  path => `(IS_DEFINED(${path}) AND NOT IS_NULL(${path}))`
+];
+
+function sortGroup(value) {
+  if (value === undefined) return 0;
+  return value === null ? 1 : 2;
+}
+
+// Condition matching the items after a cursor's position in
+// `ORDER BY <sortPath> <direction>, c.id <direction>`
+function afterPosition(sortPath, descending, position) {
+  const comparison = descending ? '<' : '>';
+  const group = sortGroup(position.value);
+  const sameGroup = group === 2
+    ? `(${sortPath} ${comparison} @cursorValue OR (${sortPath} = @cursorValue AND c.id ${comparison} @cursorId))`
+    : `(${SORT_GROUPS[group](sortPath)} AND c.id ${comparison} @cursorId)`;
+  const laterGroups = SORT_GROUPS
+    .filter((condition, index) => (descending ? index < group : index > group))
+    .map(condition => condition(sortPath));
+  return `(${[sameGroup, ...laterGroups].join(' OR ')})`;
+}
+
+// Run one page of `SELECT * FROM c <where> ORDER BY <orderBy>`; `where` is
+// a full WHERE clause (or empty) and `orderBy` a single property and
+// direction. Offset mode returns { resources, page, limit, total,
+// totalPages } using a separate COUNT; cursor mode returns { resources,
+// limit, nextCursor }, where nextCursor is null on the last page. Cursor
+// pages break ties on `id`, which needs a composite index on the sort
+// property and /id (see config/cosmos.js). Pass `partitionKey` when every
+// match is in one partition, so the query is not sent to all of them.
+export async function queryPage(container, { where = '', parameters = [], orderBy = 'c.createdAt DESC', partitionKey }, pagination) {
+  const { limit } = pagination;
+  const querySpec = {
+    query: `SELECT * FROM c ${where} ORDER BY ${orderBy}`,
+    parameters
+  };
+  const options = partitionKey !== undefined ? { partitionKey } : {};
+
+  if (pagination.mode === 'cursor') {
+    const [sortPath, direction = 'ASC'] = orderBy.trim().split(/\s+/);
+    const conditions = where ? [`(${where.replace(/^\s*WHERE\s+/i, '')})`] : [];
+    const pageParameters = [...parameters, { name: '@pageSize', value: limit + 1 }];
+    if (pagination.cursor) {
+      const position = decodeCursor(pagination.cursor, querySpec);
+      conditions.push(afterPosition(sortPath, direction.toUpperCase() === 'DESC', position));
+      pageParameters.push({ name: '@cursorId', value: position.id });
+      if (sortGroup(position.value) === 2) {
+        pageParameters.push({ name: '@cursorValue', value: position.value });
+      }
+    }
+
+    // One extra item tells whether there is a next page
+    const { resources } = await container.items.query({
+      query: `SELECT TOP @pageSize * FROM c ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY ${sortPath} ${direction}, c.id ${direction}`,
+      parameters: pageParameters
+    }, options).fetchAll();
+
+    const page = resources.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+      resources: page,
+      limit,
+      nextCursor: resources.length > limit ? encodeCursor({ value: readPath(last, sortPath), id: last.id }, querySpec) : null
+    };
+  }
+
+  const { page } = pagination;
+  const [{ resources }, { resources: counts }] = await Promise.all([
+    container.items.query({
+      query: `${querySpec.query} OFFSET @offset LIMIT @limit`,
+      parameters: [
+        ...parameters,
+        { name: '@offset', value: (page - 1) * limit },
+        { name: '@limit', value: limit }
+      ]
+    }, options).fetchAll(),
+    container.items.query({
+      query: `SELECT VALUE COUNT(1) FROM c ${where}`,
+      parameters
+    }, options).fetchAll()
+  ]);
+
+  const total = counts[0] || 0;
+  return { resources, page, limit, total, totalPages: Math.ceil(total / limit) };
+}
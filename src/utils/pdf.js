@@ -0,0 +1,131 @@
+// Minimal PDF writer
+// Enough for text documents such as invoices: A4 pages, text in Helvetica
+// or Helvetica-Bold (built into every PDF reader, so nothing is embedded)
+// and straight lines. Positions are in points from the top-left corner.
+
+// Glyph widths (per 1000 units of font size) for characters 32-126, from
+// the standard Helvetica font metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Characters outside Latin-1 that WinAnsiEncoding has a code for
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+  '•': 0x95, '–': 0x96, '—': 0x97, '…': 0x85
+};
+
+// Byte codes of a string in WinAnsiEncoding; anything else becomes "?"
+function encode(text) {
+  return [...String(text)].map(char => {
+    const code = char.codePointAt(0);
+    if ((code >= 32 && code <= 126) || (code >= 0xa0 && code <= 0xff)) {
+      return code;
+    }
+    return WIN_ANSI_EXTRAS[char] || 0x3f;
+  });
+}
+
+// A string literal for a content stream
+function pdfString(codes) {
+  return `(${codes.map(code => {
+    const char = String.fromCharCode(code);
+    return char === '(' || char === ')' || char === '\\' ? `\\${char}` : char;
+  }).join('')})`;
+}
+
+function formatNumber(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+export class PdfDocument {
+  static A4 = { width: 595.28, height: 841.89 };
+
+  constructor({ width = PdfDocument.A4.width, height = PdfDocument.A4.height, title = null } = {}) {
+    this.width = width;
+    this.height = height;
+    this.title = title;
+    this.pages = [];
+    this.addPage();
+  }
+
+  // Start a new page; later drawing goes on it
+  addPage() {
+    this.pages.push([]);
+    return this;
+  }
+
+  // Width of a string in points
+  textWidth(text, { size = 10, bold = false } = {}) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    const units = encode(text).reduce((sum, code) => sum + (code >= 32 && code <= 126 ? widths[code - 32] : 556), 0);
+    return units * size / 1000;
+  }
+
+  // Draw text with its baseline at y. `align` right or center measures from x.
+  text(text, x, y, { size = 10, bold = false, align = 'left' } = {}) {
+    const width = this.textWidth(text, { size, bold });
+    const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+    this.pages[this.pages.length - 1].push(
+      `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${formatNumber(left)} ${formatNumber(this.height - y)} Td ${pdfString(encode(text))} Tj ET`
+    );
+    return this;
+  }
+
+  // Draw a straight line
+  line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+    this.pages[this.pages.length - 1].push(
+      `${formatNumber(width)} w ${formatNumber(x1)} ${formatNumber(this.height - y1)} m ${formatNumber(x2)} ${formatNumber(this.height - y2)} l S`
+    );
+    return this;
+  }
+
+  // The finished document
+  toBuffer() {
+    // Objects 1-4 are the catalog, the page tree and the two fonts; each
+    // page then takes two objects, the page and its content stream
+    const objects = [];
+    const pageIds = this.pages.map((_, index) => 5 + index * 2);
+    objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+    objects.push(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+    objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    this.pages.forEach((operations, index) => {
+      const content = operations.join('\n');
+      objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.width} ${this.height}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`);
+      objects.push(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    });
+    if (this.title) {
+      objects.push(`<< /Title ${pdfString(encode(this.title))} /Producer (john-api) >>`);
+    }
+
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+      const offset = Buffer.byteLength(output, 'latin1');
+      output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+      return offset;
+    });
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R${this.title ? ` /Info ${objects.length} 0 R` : ''} >>\n`;
+    output += `startxref\n${xrefOffset}\n%%EOF\n`;
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+export default PdfDocument;
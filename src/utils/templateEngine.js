@@ -0,0 +1,190 @@
+// Minimal logic-less template engine for email templates.
+//
+//   {{name}}                  value, HTML-escaped unless rendering text
+//   {{{name}}}                raw value
+//   {{order.total}}           dotted paths; inside #each, `this` is the item
+//   {{#if x}}..{{else}}..{{/if}}, {{#unless x}}..{{/unless}}
+//   {{#each items}}..{{/each}}    @index is available inside the block
+//   {{> partial}}             rendered with the current context
+//   {{! comment }}
+//
+// Lookups that fail in the current context fall back to enclosing contexts,
+// so fields of the outer data are available inside #each blocks.
+
+const TAG_PATTERN = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Tags that produce no output: a line holding only one of these is removed
+// entirely so block markup does not leave blank lines behind
+function isStandaloneTag(tag) {
+  return /^[#/!]|^else$/.test(tag);
+}
+
+// Split a template into text and tag tokens
+function tokenize(source) {
+  const tokens = [];
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    let text = source.slice(lastIndex, match.index);
+    let end = TAG_PATTERN.lastIndex;
+    const raw = match[1] !== undefined;
+    const tag = raw ? match[1] : match[2];
+
+    if (!raw && isStandaloneTag(tag)) {
+      const lineStart = text.lastIndexOf('\n') + 1;
+      const atLineStart = text.includes('\n') || lastIndex === 0 || source[lastIndex - 1] === '\n';
+      const after = /^[ \t]*(\r?\n|$)/.exec(source.slice(end));
+      if (atLineStart && after && /^[ \t]*$/.test(text.slice(lineStart))) {
+        text = text.slice(0, lineStart);
+        end += after[0].length;
+      }
+    }
+
+    if (text) {
+      tokens.push({ type: 'text', value: text });
+    }
+    tokens.push({ type: raw ? 'raw' : 'tag', value: tag });
+    lastIndex = end;
+    TAG_PATTERN.lastIndex = end;
+  }
+
+  if (lastIndex < source.length) {
+    tokens.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+  return tokens;
+}
+
+// Build a tree of nodes from the tokens. Blocks keep their main branch in
+// `then` and their {{else}} branch in `inverse`.
+function parse(source) {
+  const root = { type: 'root', then: [] };
+  const stack = [{ node: root, children: root.then }];
+
+  for (const token of tokenize(source)) {
+    const current = stack[stack.length - 1];
+
+    if (token.type === 'text') {
+      current.children.push(token);
+    } else if (token.type === 'raw') {
+      current.children.push({ type: 'variable', path: token.value, escape: false });
+    } else if (token.value.startsWith('!')) {
+      continue;
+    } else if (token.value.startsWith('>')) {
+      current.children.push({ type: 'partial', name: token.value.slice(1).trim() });
+    } else if (token.value.startsWith('#')) {
+      const [helper, path] = token.value.slice(1).trim().split(/\s+/);
+      if (!['if', 'unless', 'each'].includes(helper) || !path) {
+        throw new Error(`Unknown template block: {{${token.value}}}`);
+      }
+      const block = { type: helper, path, then: [], inverse: [] };
+      current.children.push(block);
+      stack.push({ node: block, children: block.then });
+    } else if (token.value === 'else') {
+      if (stack.length === 1) {
+        throw new Error('{{else}} outside of a block');
+      }
+      current.children = current.node.inverse;
+    } else if (token.value.startsWith('/')) {
+      const helper = token.value.slice(1).trim();
+      if (current.node.type !== helper) {
+        throw new Error(`Unexpected {{/${helper}}}`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ type: 'variable', path: token.value, escape: true });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#${stack[stack.length - 1].node.type}}} block`);
+  }
+  return root;
+}
+
+function lookup(path, contexts) {
+  if (path === 'this' || path === '.') {
+    return contexts[contexts.length - 1];
+  }
+  const parts = path.replace(/^this\./, '').split('.');
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    let value = contexts[i];
+    if (value === null || typeof value !== 'object' || !(parts[0] in value)) {
+      continue;
+    }
+    for (const part of parts) {
+      value = value === null || value === undefined ? undefined : value[part];
+    }
+    return value;
+  }
+  return undefined;
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function renderNodes(nodes, contexts, options) {
+  let output = '';
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+      case 'variable': {
+        const value = lookup(node.path, contexts);
+        const text = value === null || value === undefined ? '' : String(value);
+        output += node.escape && options.escape ? escapeHtml(text) : text;
+        break;
+      }
+      case 'partial': {
+        const partial = options.resolvePartial(node.name);
+        output += renderNodes(partial.nodes, contexts, options);
+        break;
+      }
+      case 'if':
+      case 'unless': {
+        const truthy = isTruthy(lookup(node.path, contexts));
+        const branch = (node.type === 'if') === truthy ? node.then : node.inverse;
+        output += renderNodes(branch, contexts, options);
+        break;
+      }
+      case 'each': {
+        const items = lookup(node.path, contexts);
+        if (Array.isArray(items) && items.length > 0) {
+          items.forEach((item, index) => {
+            output += renderNodes(node.then, [...contexts, { '@index': index }, item], options);
+          });
+        } else {
+          output += renderNodes(node.inverse, contexts, options);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  return output;
+}
+
+// Compile a template source. The result renders data with
+// { escape, resolvePartial(name) -> compiled template }.
+export function compile(source) {
+  const root = parse(source);
+  return {
+    nodes: root.then,
+    render(data, options = {}) {
+      return renderNodes(root.then, [data], { escape: true, ...options });
+    }
+  };
+}
@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Currency } from '../src/models/Currency.js';
+import { Product } from '../src/models/Product.js';
+
+describe('Currency', () => {
+  const eur = new Currency({ code: 'EUR', rate: 1.17 });
+
+  it('converts store amounts to the cent', () => {
+    assert.equal(eur.code, 'eur');
+    assert.equal(eur.convert(10), 11.7);
+    assert.equal(eur.convert(9.99), 11.69);
+  });
+
+  it('refuses currencies without minor units and bad rates', () => {
+    assert.deepEqual(new Currency({ code: 'jpy', rate: 180 }).validate(),
+      ['Currencies without minor units (JPY) are not supported']);
+    assert.deepEqual(new Currency({ code: 'usd', rate: 0 }).validate(), ['Exchange rate must be a positive number']);
+  });
+});
+
+describe('Product prices in a currency', () => {
+  const eur = new Currency({ code: 'eur', rate: 1.2 });
+  const product = new Product({
+    price: 10,
+    prices: { eur: 11.99 },
+    variants: [{ id: 'v1', price: 15 }, { id: 'v2', price: null }]
+  });
+
+  it('uses the product\'s own price in the currency', () => {
+    assert.equal(product.getPriceIn(eur), 11.99);
+    assert.equal(product.getPriceIn(new Currency({ code: 'usd', rate: 1.25 })), 12.5);
+  });
+
+  it('converts variants with their own price and falls back to the product price', () => {
+    assert.equal(product.getPriceIn(eur, product.variants[0]), 18);
+    assert.equal(product.getPriceIn(eur, product.variants[1]), 11.99);
+  });
+});
@@ -0,0 +1,88 @@
+import './helpers/env.js';
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate as nextTick } from 'node:timers/promises';
+import { EmailOutboxService } from '../src/services/emailOutboxService.js';
+import { MemoryContainer } from './helpers/memoryContainer.js';
+
+const message = { to: 'ann@example.com', subject: 'Hello', html: '<p>Hi</p>', text: 'Hi', template: 'welcome' };
+
+describe('EmailOutboxService', () => {
+  let outbox;
+  let sent;
+
+  beforeEach(() => {
+    outbox = new EmailOutboxService();
+    outbox.container = new MemoryContainer();
+    outbox.maxAttempts = 3;
+    sent = [];
+    outbox.transport = { name: 'test', send: async record => { sent.push(record); return { messageId: `m${sent.length}` }; } };
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  it('stores a message and sends it straight away', async () => {
+    const { id, status } = await outbox.enqueue(message);
+    assert.equal(status, 'pending');
+    await nextTick();
+    await nextTick();
+    const record = outbox.container.get(id);
+    assert.equal(record.status, 'sent');
+    assert.equal(record.messageId, 'm1');
+    assert.equal(record.ttl, 7 * 24 * 60 * 60);
+    assert.equal(sent.length, 1);
+  });
+
+  it('keeps a message for retry when the transport fails, and gives up after the last attempt', async () => {
+    outbox.transport.send = async () => { throw new Error('SMTP down'); };
+    const { id } = await outbox.enqueue(message);
+    await nextTick();
+    await nextTick();
+    let record = outbox.container.get(id);
+    assert.equal(record.status, 'pending');
+    assert.equal(record.attempts, 1);
+    assert.equal(record.lastError, 'SMTP down');
+    assert.ok(new Date(record.nextAttemptAt).getTime() > Date.now());
+
+    // Make the retries due straight away
+    for (let attempt = 2; attempt <= 3; attempt++) {
+      outbox.container.put({ ...outbox.container.get(id), nextAttemptAt: new Date(0).toISOString() });
+      await outbox.deliver(id);
+    }
+    record = outbox.container.get(id);
+    assert.equal(record.status, 'failed');
+    assert.equal(record.ttl, 30 * 24 * 60 * 60);
+  });
+
+  it('lets only one worker send a message', async () => {
+    outbox.container.put({ ...message, id: 'e1', status: 'pending', attempts: 0, nextAttemptAt: new Date(0).toISOString(), updatedAt: new Date().toISOString() });
+    await Promise.all([outbox.deliver('e1'), outbox.deliver('e1'), outbox.deliver('e1')]);
+    assert.equal(sent.length, 1);
+    assert.equal(outbox.container.get('e1').status, 'sent');
+  });
+
+  it('queues expiring mail during an outage and stops retrying it once expired', async () => {
+    outbox.transport.send = async () => { throw new Error('SMTP down'); };
+    const { id, status } = await outbox.enqueue(message, { expiresInSeconds: 600 });
+    assert.equal(status, 'pending');
+    await nextTick();
+    await nextTick();
+    let record = outbox.container.get(id);
+    assert.equal(record.status, 'pending');
+    assert.ok(record.ttl > 0 && record.ttl <= 600);
+
+    outbox.container.put({ ...record, nextAttemptAt: new Date(0).toISOString(), expiresAt: new Date(Date.now() - 1000).toISOString() });
+    assert.equal(await outbox.deliver(id), null);
+    record = outbox.container.get(id);
+    assert.equal(record.attempts, 1);
+  });
+
+  it('does not keep a sent one-time message beyond its expiry', async () => {
+    const { id } = await outbox.enqueue(message, { expiresInSeconds: 600 });
+    await nextTick();
+    await nextTick();
+    const record = outbox.container.get(id);
+    assert.equal(record.status, 'sent');
+    assert.ok(record.ttl <= 600);
+  });
+});
@@ -0,0 +1,16 @@
+// Services read their configuration when imported. Tests never reach the
+// database or Stripe, so placeholder settings are enough; import this first.
+const defaults = {
+  COSMOS_ENDPOINT: 'https://localhost:8081',
+  COSMOS_KEY: Buffer.from('test-cosmos-key').toString('base64'),
+  AZURE_STORAGE_CONNECTION_STRING: `DefaultEndpointsProtocol=https;AccountName=test;AccountKey=${Buffer.from('test-storage-key').toString('base64')};EndpointSuffix=core.windows.net`,
+  STRIPE_SECRET_KEY: 'sk_test_placeholder',
+  JWT_SECRET: 'test-secret',
+  EMAIL_TRANSPORT: 'console'
+};
+
+for (const [name, value] of Object.entries(defaults)) {
+  if (!process.env[name]) {
+    process.env[name] = value;
+  }
+}
@@ -0,0 +1,74 @@
+// A Cosmos DB container kept in memory, for services under test. Documents
+// get an `_etag` that changes on every write, and `replace` honours IfMatch
+// access conditions with a 412 like Cosmos does. `beforeReplace` lets a test
+// slip in a concurrent write just before a replace lands.
+
+function cosmosError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+export class MemoryContainer {
+  constructor(documents = []) {
+    this.documents = new Map();
+    this.version = 0;
+    this.beforeReplace = null;
+    documents.forEach(doc => this.put(doc));
+  }
+
+  put(doc) {
+    const stored = { ...structuredClone(doc), _etag: `"${++this.version}"` };
+    this.documents.set(doc.id, stored);
+    return structuredClone(stored);
+  }
+
+  get(id) {
+    const doc = this.documents.get(id);
+    return doc ? structuredClone(doc) : undefined;
+  }
+
+  get items() {
+    return {
+      create: async doc => {
+        if (this.documents.has(doc.id)) {
+          throw cosmosError(409, 'Entity with the specified id already exists in the system.');
+        }
+        return { resource: this.put(doc) };
+      },
+      upsert: async doc => ({ resource: this.put(doc) }),
+      query: () => ({
+        fetchAll: async () => ({ resources: [...this.documents.values()].map(doc => structuredClone(doc)) })
+      })
+    };
+  }
+
+  item(id) {
+    return {
+      read: async () => {
+        const resource = this.get(id);
+        return { resource, etag: resource ? resource._etag : undefined, statusCode: resource ? 200 : 404 };
+      },
+      replace: async (doc, options = {}) => {
+        if (this.beforeReplace) {
+          const hook = this.beforeReplace;
+          this.beforeReplace = null;
+          await hook(this);
+        }
+        const current = this.documents.get(id);
+        if (!current) {
+          throw cosmosError(404, 'Entity with the specified id does not exist in the system.');
+        }
+        const condition = options.accessCondition;
+        if (condition && condition.type === 'IfMatch' && condition.condition !== current._etag) {
+          throw cosmosError(412, 'Precondition Failed');
+        }
+        return { resource: this.put(doc) };
+      },
+      delete: async () => {
+        if (!this.documents.delete(id)) {
+          throw cosmosError(404, 'Entity with the specified id does not exist in the system.');
+        }
+        return {};
+      }
+    };
+  }
+}
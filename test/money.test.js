@@ -0,0 +1,25 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { roundMoney, toMinorUnits, fromMinorUnits, formatMoney } from '../src/utils/money.js';
+
+describe('money helpers', () => {
+  it('rounds to two decimal places, half up', () => {
+    assert.equal(roundMoney(1.005), 1.01);
+    assert.equal(roundMoney(2.675), 2.68);
+    assert.equal(roundMoney(0.1 + 0.2), 0.3);
+    assert.equal(roundMoney('12.345'), 12.35);
+  });
+
+  it('converts to and from minor units', () => {
+    assert.equal(toMinorUnits(12.99), 1299);
+    assert.equal(toMinorUnits(0.29), 29);
+    assert.equal(fromMinorUnits(1299), 12.99);
+    assert.equal(fromMinorUnits(1), 0.01);
+  });
+
+  it('formats amounts with the currency symbol and thousands separators', () => {
+    assert.equal(formatMoney(1234.5, 'gbp'), '£1,234.50');
+    assert.equal(formatMoney(9.99, 'eur'), '€9.99');
+    assert.equal(formatMoney(null, 'gbp'), '£0.00');
+  });
+});
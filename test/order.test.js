@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Order } from '../src/models/Order.js';
+
+function paidOrder(data = {}) {
+  return new Order({
+    userId: 'u1',
+    items: [
+      { productId: 'p1', quantity: 2, unitPrice: 10, lineTotal: 20, discount: 2, tax: { inclusive: true, amount: 3 } },
+      { productId: 'p2', quantity: 1, unitPrice: 5, lineTotal: 5, tax: { inclusive: false, amount: 1 } }
+    ],
+    total: 24,
+    status: 'confirmed',
+    ...data
+  });
+}
+
+describe('Order', () => {
+  it('prices refunds from what the customer paid for the line', () => {
+    const order = paidOrder();
+    // Discount comes off, tax-inclusive prices are left as they are
+    assert.equal(order.getPaidAmount(order.items[0]), 18);
+    assert.equal(order.getPaidAmount(order.items[0], 1), 9);
+    // Tax added on top of tax-exclusive prices is refunded too
+    assert.equal(order.getPaidAmount(order.items[1]), 6);
+  });
+
+  it('tracks the refundable amount and quantities', () => {
+    const order = paidOrder({ amountRefunded: 9 });
+    order.items[0].refundedQuantity = 1;
+    assert.equal(order.getRefundableAmount(), 15);
+    assert.equal(order.getRefundableQuantity('p1'), 1);
+    assert.equal(order.getRefundableQuantity('p3'), 0);
+  });
+
+  it('only allows listed status transitions, and payment ones not by hand', () => {
+    const order = paidOrder();
+    assert.ok(order.canTransitionTo('refunded'));
+    assert.ok(!order.canTransitionManuallyTo('refunded'));
+    assert.ok(order.canTransitionManuallyTo('processing'));
+    assert.throws(() => order.transitionTo('pending'), /Invalid status transition from confirmed to pending/);
+  });
+
+  it('hides staff IDs and Stripe references from the customer', () => {
+    const order = paidOrder({
+      stripeSessionId: 'cs_1',
+      paymentIntentId: 'pi_1',
+      statusHistory: [{ from: 'pending', to: 'confirmed', actorId: 'admin_1', actorRole: 'admin' }],
+      refunds: [{ id: 'r1', stripeRefundId: 're_1', status: 'succeeded', amount: 5, actorId: 'admin_1' }]
+    });
+    const info = order.toCustomerInfo();
+    assert.ok(!('stripeSessionId' in info));
+    assert.ok(!('paymentIntentId' in info));
+    assert.deepEqual(info.statusHistory, [{ from: 'pending', to: 'confirmed', actorRole: 'admin' }]);
+    assert.deepEqual(info.refunds, [{ id: 'r1', status: 'succeeded', amount: 5 }]);
+  });
+});
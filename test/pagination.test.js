@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPagination, encodeCursor, decodeCursor, queryPage } from '../src/utils/pagination.js';
+
+// A container that records the queries it is sent and answers each with
+// the next list of documents
+function recordingContainer(...answers) {
+  const queries = [];
+  return {
+    queries,
+    items: {
+      query: (querySpec, options) => {
+        queries.push({ ...querySpec, options });
+        return { fetchAll: async () => ({ resources: answers.shift() || [] }) };
+      }
+    }
+  };
+}
+
+const listQuery = { query: 'SELECT * FROM c  ORDER BY c.ratingAverage DESC', parameters: [] };
+
+describe('getPagination', () => {
+  it('defaults to offset pages and clamps the limit', () => {
+    assert.deepEqual(getPagination({}), { mode: 'offset', page: 1, limit: 10 });
+    assert.deepEqual(getPagination({ page: '3', limit: '500' }), { mode: 'offset', page: 3, limit: 100 });
+    assert.deepEqual(getPagination({ page: '-2', limit: '0' }, { defaultLimit: 20 }), { mode: 'offset', page: 1, limit: 20 });
+  });
+
+  it('switches to cursor pages on request', () => {
+    assert.deepEqual(getPagination({ cursor: '' }), { mode: 'cursor', cursor: null, limit: 10 });
+    assert.deepEqual(getPagination({ pagination: 'cursor', limit: '5' }), { mode: 'cursor', cursor: null, limit: 5 });
+  });
+});
+
+describe('cursors', () => {
+  it('round-trip a position, including a missing sort value', () => {
+    assert.deepEqual(decodeCursor(encodeCursor({ value: 4.5, id: 'p1' }, listQuery), listQuery), { value: 4.5, id: 'p1' });
+    assert.deepEqual(decodeCursor(encodeCursor({ value: null, id: 'p2' }, listQuery), listQuery), { value: null, id: 'p2' });
+    assert.deepEqual(decodeCursor(encodeCursor({ value: undefined, id: 'p3' }, listQuery), listQuery), { value: undefined, id: 'p3' });
+  });
+
+  it('reject tampered cursors and cursors from another query', () => {
+    const cursor = encodeCursor({ value: 4.5, id: 'p1' }, listQuery);
+    const [payload, signature] = cursor.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), v: 0 })).toString('base64url');
+    assert.throws(() => decodeCursor(`${forged}.${signature}`, listQuery), /Invalid cursor/);
+    assert.throws(() => decodeCursor('garbage', listQuery), /Invalid cursor/);
+    assert.throws(() => decodeCursor(cursor, { ...listQuery, parameters: [{ name: '@x', value: 1 }] }), /does not match this query/);
+  });
+});
+
+describe('queryPage', () => {
+  it('pages by offset with a total count', async () => {
+    const container = recordingContainer([{ id: 'a' }, { id: 'b' }], [5]);
+    const result = await queryPage(container, { where: 'WHERE c.status = @status', parameters: [{ name: '@status', value: 'new' }] }, { mode: 'offset', page: 2, limit: 2 });
+    assert.deepEqual(result, { resources: [{ id: 'a' }, { id: 'b' }], page: 2, limit: 2, total: 5, totalPages: 3 });
+    assert.match(container.queries[0].query, /OFFSET @offset LIMIT @limit$/);
+    assert.deepEqual(container.queries[0].parameters.slice(1), [{ name: '@offset', value: 2 }, { name: '@limit', value: 2 }]);
+    assert.equal(container.queries[1].query, 'SELECT VALUE COUNT(1) FROM c WHERE c.status = @status');
+  });
+
+  it('fetches one extra item to tell whether a cursor page has a next page', async () => {
+    const container = recordingContainer([{ id: 'a', ratingAverage: 5 }, { id: 'b', ratingAverage: 4 }, { id: 'c', ratingAverage: 3 }]);
+    const result = await queryPage(container, { orderBy: 'c.ratingAverage DESC', partitionKey: 'u1' }, { mode: 'cursor', cursor: null, limit: 2 });
+    assert.deepEqual(result.resources.map(doc => doc.id), ['a', 'b']);
+    assert.deepEqual(decodeCursor(result.nextCursor, listQuery), { value: 4, id: 'b' });
+    assert.match(container.queries[0].query, /SELECT TOP @pageSize/);
+    assert.match(container.queries[0].query, /ORDER BY c.ratingAverage DESC, c.id DESC/);
+    assert.deepEqual(container.queries[0].options, { partitionKey: 'u1' });
+
+    const last = recordingContainer([{ id: 'c', ratingAverage: 3 }]);
+    assert.equal((await queryPage(last, { orderBy: 'c.ratingAverage DESC' }, { mode: 'cursor', cursor: null, limit: 2 })).nextCursor, null);
+  });
+
+  it('continues after a value, then into items without one', async () => {
+    const options = { orderBy: 'c.ratingAverage DESC' };
+    const container = recordingContainer([]);
+    await queryPage(container, options, { mode: 'cursor', cursor: encodeCursor({ value: 4, id: 'b' }, listQuery), limit: 2 });
+    const { query, parameters } = container.queries[0];
+    assert.match(query, /c.ratingAverage < @cursorValue OR \(c.ratingAverage = @cursorValue AND c.id < @cursorId\)/);
+    // Items without a rating sort last in descending order, so they still follow
+    assert.match(query, /NOT IS_DEFINED\(c.ratingAverage\)/);
+    assert.match(query, /IS_NULL\(c.ratingAverage\)/);
+    assert.deepEqual(parameters.slice(1), [{ name: '@cursorId', value: 'b' }, { name: '@cursorValue', value: 4 }]);
+  });
+
+  it('issues a usable cursor when the last item has no sort value', async () => {
+    const options = { orderBy: 'c.ratingAverage DESC' };
+    const first = recordingContainer([{ id: 'b', ratingAverage: 4 }, { id: 'y' }, { id: 'x' }]);
+    const page = await queryPage(first, options, { mode: 'cursor', cursor: null, limit: 2 });
+    assert.deepEqual(decodeCursor(page.nextCursor, listQuery), { value: undefined, id: 'y' });
+
+    const next = recordingContainer([{ id: 'x' }]);
+    await queryPage(next, options, { mode: 'cursor', cursor: page.nextCursor, limit: 2 });
+    const { query, parameters } = next.queries[0];
+    assert.match(query, /\(\(NOT IS_DEFINED\(c.ratingAverage\) AND c.id < @cursorId\)\)/);
+    assert.doesNotMatch(query, /@cursorValue/);
+    assert.deepEqual(parameters.slice(1), [{ name: '@cursorId', value: 'y' }]);
+  });
+
+  it('moves from missing values to real ones in ascending order', async () => {
+    const options = { orderBy: 'c.ratingAverage ASC' };
+    const ascQuery = { query: 'SELECT * FROM c  ORDER BY c.ratingAverage ASC', parameters: [] };
+    const container = recordingContainer([]);
+    await queryPage(container, options, { mode: 'cursor', cursor: encodeCursor({ value: undefined, id: 'y' }, ascQuery), limit: 2 });
+    const { query } = container.queries[0];
+    assert.match(query, /NOT IS_DEFINED\(c.ratingAverage\) AND c.id > @cursorId/);
+    assert.match(query, /IS_NULL\(c.ratingAverage\)/);
+    assert.match(query, /IS_DEFINED\(c.ratingAverage\) AND NOT IS_NULL\(c.ratingAverage\)/);
+  });
+});
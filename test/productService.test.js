@@ -0,0 +1,112 @@
+import './helpers/env.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProductService } from '../src/services/productService.js';
+import { Product } from '../src/models/Product.js';
+import { Currency } from '../src/models/Currency.js';
+import { MemoryContainer } from './helpers/memoryContainer.js';
+
+function createService(products) {
+  const service = new ProductService();
+  service.container = new MemoryContainer(products.map(data => new Product(data).toDocument()));
+  // Wishlist alerts are not under test here
+  service.notifyWishlists = (previous, product) => product;
+  return service;
+}
+
+describe('ProductService stock updates', () => {
+  let service;
+
+  beforeEach(() => {
+    service = createService([{ id: 'p1', sku: 'SKU-1', name: 'Shirt', price: 20, quantity: 5 }]);
+  });
+
+  it('takes stock and refuses to go below zero', async () => {
+    await service.adjustStock('p1', -3);
+    assert.equal(service.container.get('p1').quantity, 2);
+    await assert.rejects(service.adjustStock('p1', -3), /Insufficient stock/);
+    assert.equal(service.container.get('p1').quantity, 2);
+  });
+
+  it('keeps a reservation that lands during an admin edit', async () => {
+    service.container.beforeReplace = async container => {
+      await container.item('p1').replace({ ...container.get('p1'), quantity: 4 });
+    };
+    const product = await service.updateProduct('p1', { name: 'Linen shirt' });
+    assert.equal(product.name, 'Linen shirt');
+    assert.equal(product.quantity, 4);
+  });
+
+  it('keeps an admin edit that lands during a reservation', async () => {
+    service.container.beforeReplace = async container => {
+      await container.item('p1').replace({ ...container.get('p1'), price: 18 });
+    };
+    await service.adjustStock('p1', -1);
+    const stored = service.container.get('p1');
+    assert.equal(stored.quantity, 4);
+    assert.equal(stored.price, 18);
+  });
+
+  it('sets stock without losing a concurrent edit', async () => {
+    service.container.beforeReplace = async container => {
+      await container.item('p1').replace({ ...container.get('p1'), name: 'Renamed' });
+    };
+    await service.updateProductStock('p1', 10);
+    const stored = service.container.get('p1');
+    assert.equal(stored.quantity, 10);
+    assert.equal(stored.name, 'Renamed');
+  });
+
+  it('reports a missing product', async () => {
+    await assert.rejects(service.updateProduct('missing', { name: 'x' }), /Product not found/);
+  });
+});
+
+describe('ProductService listings in another currency', () => {
+  const eur = new Currency({ code: 'eur', rate: 1.2 });
+  let service;
+
+  beforeEach(() => {
+    service = createService([
+      { id: 'a', sku: 'SKU-A', name: 'A', price: 10 }, // 12.00 EUR
+      { id: 'b', sku: 'SKU-B', name: 'B', price: 20, prices: { eur: 9.5 } },
+      { id: 'c', sku: 'SKU-C', name: 'C', price: 15 }, // 18.00 EUR
+      { id: 'd', sku: 'SKU-D', name: 'D', price: 5, prices: { eur: 18 } }
+    ]);
+  });
+
+  it('sorts by the price shown, own prices included', async () => {
+    const ascending = await service.queryProducts({ currency: eur }, { sort: 'price_asc', limit: 3 });
+    assert.deepEqual(ascending.products.map(product => product.id), ['b', 'a', 'c']);
+    assert.equal(ascending.total, 4);
+    assert.equal(ascending.totalPages, 2);
+
+    const descending = await service.queryProducts({ currency: eur }, { sort: 'price_desc', page: 2, limit: 3 });
+    assert.deepEqual(descending.products.map(product => product.id), ['b']);
+  });
+
+  it('pages through the sort with cursors, ties broken by ID', async () => {
+    const ids = [];
+    let cursor = null;
+    do {
+      const result = await service.queryProducts({ currency: eur }, { mode: 'cursor', cursor, limit: 1, sort: 'price_asc' });
+      ids.push(...result.products.map(product => product.id));
+      cursor = result.nextCursor;
+    } while (cursor);
+    assert.deepEqual(ids, ['b', 'a', 'c', 'd']);
+
+    const first = await service.queryProducts({ currency: eur }, { mode: 'cursor', limit: 1, sort: 'price_asc' });
+    const other = new Currency({ code: 'eur', rate: 1.3 });
+    await assert.rejects(service.queryProducts({ currency: other }, { mode: 'cursor', cursor: first.nextCursor, limit: 1, sort: 'price_asc' }),
+      /Cursor does not match this query/);
+  });
+
+  it('compares price bounds with the price shown', () => {
+    const { where, parameters } = service.buildProductFilter({ minPrice: 10, currency: eur });
+    assert.match(where, /IS_DEFINED\(c\.prices\[@currencyCode\]\) \? c\.prices\[@currencyCode\] : ROUND\(c\.price \* @currencyRate \* 100\) \/ 100\) >= @minPrice/);
+    assert.deepEqual(parameters.map(({ name }) => name), ['@currencyCode', '@currencyRate', '@minPrice']);
+
+    const inStoreCurrency = service.buildProductFilter({ minPrice: 10, currency: new Currency({ code: 'gbp', rate: 1 }) });
+    assert.equal(inStoreCurrency.where, 'WHERE c.price >= @minPrice');
+  });
+});
@@ -0,0 +1,115 @@
+import './helpers/env.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import promotionService, { PromotionService } from '../src/services/promotionService.js';
+import { OrderService } from '../src/services/orderService.js';
+import { Promotion } from '../src/models/Promotion.js';
+import { Order } from '../src/models/Order.js';
+import { MemoryContainer } from './helpers/memoryContainer.js';
+
+function createService(promotion) {
+  const service = new PromotionService();
+  service.container = new MemoryContainer([new Promotion(promotion).toDocument()]);
+  service.ordersContainer = new MemoryContainer();
+  return service;
+}
+
+const lines = [
+  { productId: 'p1', quantity: 1, lineTotal: 10 },
+  { productId: 'p2', quantity: 1, lineTotal: 10 },
+  { productId: 'p3', quantity: 1, lineTotal: 10 }
+];
+
+describe('PromotionService discounts', () => {
+  it('splits a discount over lines so the shares add up to the total', async () => {
+    const service = createService({ id: 'promo1', code: 'TEN', type: 'fixed_amount', value: 10 });
+    const { discount, lines: discounted, errors } = await service.applyPromotion('ten', { userId: 'u1', lines });
+    assert.deepEqual(errors, []);
+    assert.equal(discount.amount, 10);
+    // 10.00 over three equal lines: the leftover penny goes to one of them
+    assert.deepEqual(discounted.map(line => line.discount).sort(), [3.33, 3.33, 3.34]);
+  });
+
+  it('takes a percentage off eligible lines only', async () => {
+    const service = createService({ id: 'promo1', code: 'HALF', type: 'percentage', value: 50, productIds: ['p2'] });
+    const { discount, lines: discounted } = await service.applyPromotion('HALF', { userId: 'u1', lines });
+    assert.equal(discount.amount, 5);
+    assert.deepEqual(discounted.map(line => line.discount), [undefined, 5, undefined]);
+  });
+
+  it('caps a fixed amount at the eligible subtotal', async () => {
+    const service = createService({ id: 'promo1', code: 'BIG', type: 'fixed_amount', value: 50 });
+    const { discount } = await service.applyPromotion('BIG', { userId: 'u1', lines });
+    assert.equal(discount.amount, 30);
+  });
+
+  it('converts fixed amounts and minimum spends into the order currency', async () => {
+    const service = createService({ id: 'promo1', code: 'TEN', type: 'fixed_amount', value: 10, minimumSpend: 10 });
+    const currency = { convert: amount => amount * 2 };
+    const { discount } = await service.applyPromotion('TEN', { userId: 'u1', lines, currency });
+    assert.equal(discount.value, 20);
+    assert.equal(discount.amount, 20);
+
+    const small = await service.applyPromotion('TEN', { userId: 'u1', lines: lines.slice(0, 1), currency });
+    assert.deepEqual(small.errors, ['Promo code TEN needs a minimum spend of 20.00']);
+  });
+
+  it('refuses an unknown or used up code', async () => {
+    const service = createService({ id: 'promo1', code: 'GONE', type: 'percentage', value: 10, usageLimit: 1, usageCount: 1 });
+    assert.deepEqual((await service.applyPromotion('GONE', { userId: 'u1', lines })).errors,
+      ['Promo code GONE is no longer available']);
+    service.container = new MemoryContainer();
+    assert.deepEqual((await service.applyPromotion('NOPE', { userId: 'u1', lines })).errors,
+      ['Promo code NOPE is not valid']);
+  });
+});
+
+describe('OrderService promo code reservation', () => {
+  const original = { container: promotionService.container, countUsesByUser: promotionService.countUsesByUser };
+  let orders;
+  let order;
+
+  beforeEach(() => {
+    promotionService.container = new MemoryContainer([
+      new Promotion({ id: 'promo1', code: 'ONCE', type: 'percentage', value: 10, usageLimit: 5, perUserLimit: 1 }).toDocument()
+    ]);
+    promotionService.countUsesByUser = async () => 1;
+    order = new Order({ userId: 'u1', items: lines, discount: { promotionId: 'promo1', code: 'ONCE', status: null } });
+    orders = new OrderService();
+    orders.container = new MemoryContainer([order.toDocument()]);
+  });
+
+  afterEach(() => {
+    Object.assign(promotionService, original);
+  });
+
+  const usageCount = () => promotionService.container.get('promo1').usageCount;
+
+  it('holds a use for the order', async () => {
+    const reserved = await orders.reserveDiscount(order);
+    assert.equal(reserved.discount.status, 'reserved');
+    assert.equal(usageCount(), 1);
+  });
+
+  it('gives the use back when the customer is over their limit', async () => {
+    promotionService.countUsesByUser = async () => 2;
+    await assert.rejects(orders.reserveDiscount(order), /can only be used 1 time/);
+    assert.equal(usageCount(), 0);
+    assert.equal(orders.container.get(order.id).discount.status, 'released');
+  });
+
+  it('gives the use back when the order cannot be saved', async () => {
+    orders.container = new MemoryContainer();
+    await assert.rejects(orders.reserveDiscount(order), /Order not found/);
+    assert.equal(usageCount(), 0);
+  });
+
+  it('gives the use back when counting the customer\'s uses fails', async () => {
+    promotionService.countUsesByUser = async () => {
+      throw new Error('Service unavailable');
+    };
+    await assert.rejects(orders.reserveDiscount(order), /Service unavailable/);
+    assert.equal(usageCount(), 0);
+    assert.equal(orders.container.get(order.id).discount.status, 'released');
+  });
+});
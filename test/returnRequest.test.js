@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReturnRequest } from '../src/models/ReturnRequest.js';
+
+function openedReturn() {
+  const returnRequest = new ReturnRequest({
+    id: 'return_1',
+    orderId: 'order_1',
+    userId: 'u1',
+    items: [{ productId: 'p1', quantity: 1 }],
+    reason: 'damaged',
+    adminNotes: 'Parcel crushed',
+    photos: [{ fileName: 'returns/return_1/a.jpg', contentType: 'image/jpeg' }]
+  });
+  returnRequest.recordCreation();
+  return returnRequest;
+}
+
+describe('ReturnRequest', () => {
+  it('moves through review and receipt only', () => {
+    const returnRequest = openedReturn();
+    assert.ok(returnRequest.isOpen());
+    assert.throws(() => returnRequest.transitionTo('received'), /Invalid status transition from requested to received/);
+    returnRequest.transitionTo('approved', { actorId: 'admin_1', actorRole: 'admin' });
+    returnRequest.transitionTo('received', { actorId: 'admin_1', actorRole: 'admin' });
+    assert.ok(!returnRequest.isOpen());
+    assert.deepEqual(returnRequest.statusHistory.map(entry => entry.to), ['requested', 'approved', 'received']);
+  });
+
+  it('links photos through the API instead of exposing blob names', () => {
+    const returnRequest = openedReturn();
+    const customer = returnRequest.toCustomerInfo();
+    assert.deepEqual(customer.photos, [{ url: '/api/users/returns/return_1/photos/0', contentType: 'image/jpeg' }]);
+    assert.ok(!('adminNotes' in customer));
+    assert.ok(customer.statusHistory.every(entry => !('actorId' in entry)));
+
+    const admin = returnRequest.toAdminInfo();
+    assert.deepEqual(admin.photos, [{ url: '/api/admin/returns/return_1/photos/0', contentType: 'image/jpeg' }]);
+    assert.equal(admin.adminNotes, 'Parcel crushed');
+  });
+});
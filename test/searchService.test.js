@@ -0,0 +1,120 @@
+import './helpers/env.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchService } from '../src/services/searchService.js';
+import { Product } from '../src/models/Product.js';
+import { MemoryContainer } from './helpers/memoryContainer.js';
+
+function shirt(id, data = {}) {
+  return new Product({ id, sku: `SKU-${id}`, name: `Shirt ${id}`, category: 'tops', price: 20, published: true, ...data });
+}
+
+function createService(products) {
+  const service = new SearchService();
+  service.productsContainer = new MemoryContainer(products.map(product => product.toDocument()));
+  service.categoriesContainer = new MemoryContainer();
+  return service;
+}
+
+describe('SearchService index sync', () => {
+  let service;
+
+  beforeEach(async () => {
+    service = createService([shirt('1'), shirt('2'), shirt('3')]);
+    await service.ensureIndex();
+  });
+
+  it('takes an unpublished product out of pages, totals and facets', async () => {
+    const hidden = shirt('2', { published: false });
+    service.productsContainer.put(hidden.toDocument());
+    service.syncProduct(hidden);
+
+    const result = await service.search('shirt', { limit: 2 });
+    assert.deepEqual(result.products.map(product => product.id).sort(), ['1', '3']);
+    assert.equal(result.total, 2);
+    assert.equal(result.totalPages, 1);
+    assert.deepEqual(result.facets.categories, [{ category: 'tops', count: 2 }]);
+  });
+
+  it('indexes a product once it is published', async () => {
+    service.syncProduct(shirt('4', { name: 'Linen blazer', published: false }));
+    const result = await service.search('blazer');
+    assert.equal(result.total, 0);
+
+    const blazer = shirt('4', { name: 'Linen blazer' });
+    service.productsContainer.put(blazer.toDocument());
+    service.syncProduct(blazer);
+    assert.equal((await service.search('blazer')).total, 1);
+    assert.equal((await service.search('shirt')).total, 3);
+  });
+
+  it('drops a renamed product from its old words', async () => {
+    const renamed = shirt('1', { name: 'Linen blazer' });
+    service.productsContainer.put(renamed.toDocument());
+    service.syncProduct(renamed);
+    assert.equal((await service.search('shirt')).total, 2);
+    assert.equal((await service.search('blazer')).total, 1);
+  });
+
+  it('takes a deleted product out of the index', async () => {
+    service.removeProduct('3');
+    assert.equal((await service.search('shirt')).total, 2);
+    assert.equal((await service.search('SKU-3')).total, 0);
+  });
+
+  it('drops products unpublished on another instance once a page reads them back', async () => {
+    service.productsContainer.put(shirt('2', { published: false }).toDocument());
+
+    const first = await service.search('shirt');
+    assert.deepEqual(first.products.map(product => product.id).sort(), ['1', '3']);
+    const second = await service.search('shirt');
+    assert.equal(second.total, 2);
+  });
+
+  it('rebuilds again when a product changes during a rebuild', async () => {
+    service.invalidate();
+    const rebuilding = service.ensureIndex();
+    service.syncProduct(shirt('1', { name: 'Linen blazer' }));
+    await rebuilding;
+    assert.equal(service.stale, true);
+  });
+});
+
+describe('SearchService suggestions', () => {
+  let service;
+
+  beforeEach(async () => {
+    service = createService([shirt('1'), shirt('2'), shirt('3', { name: 'Linen blazer' })]);
+    await service.ensureIndex();
+    // Suggestions must be served from the index alone
+    service.productsContainer = {
+      items: {
+        query: () => {
+          throw new Error('suggest read the database');
+        }
+      }
+    };
+  });
+
+  it('suggests published products and SKUs from the index', async () => {
+    const { products, skus } = await service.suggest('shirt');
+    assert.deepEqual(products.map(product => product.id).sort(), ['1', '2']);
+    assert.deepEqual(skus, []);
+
+    const bySku = await service.suggest('sku-3');
+    assert.deepEqual(bySku.skus, [{ sku: 'SKU-3', productId: '3', name: 'Linen blazer' }]);
+  });
+
+  it('stops suggesting a product once it is unpublished', async () => {
+    service.syncProduct(shirt('2', { published: false }));
+    const { products } = await service.suggest('shirt');
+    assert.deepEqual(products.map(product => product.id), ['1']);
+    assert.deepEqual((await service.suggest('sku-2')).skus, []);
+  });
+
+  it('limits products and SKUs', async () => {
+    const { products, skus } = await service.suggest('sku', { limit: 2 });
+    assert.equal(skus.length, 2);
+    assert.ok(products.length <= 2);
+  });
+});
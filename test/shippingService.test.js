@@ -0,0 +1,114 @@
+import './helpers/env.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ShippingService } from '../src/services/shippingService.js';
+import { ShippingZone } from '../src/models/ShippingZone.js';
+import { Currency } from '../src/models/Currency.js';
+import { MemoryContainer } from './helpers/memoryContainer.js';
+
+const zones = [
+  {
+    id: 'uk',
+    name: 'United Kingdom',
+    countries: ['GB'],
+    methods: [
+      { id: 'standard', name: 'Standard', basis: 'weight', rates: [{ upTo: 2, price: 4 }, { upTo: 0.5, price: 2.5 }, { upTo: null, price: 9 }], freeOver: 50 },
+      { id: 'express', name: 'Express', basis: 'order_value', rates: [{ upTo: 100, price: 12 }], minDays: 1, maxDays: 1 },
+      { id: 'retired', name: 'Retired', rates: [{ upTo: null, price: 1 }], isActive: false }
+    ]
+  },
+  {
+    id: 'world',
+    name: 'Rest of the world',
+    countries: [ShippingZone.REST_OF_WORLD],
+    methods: [{ id: 'airmail', name: 'Airmail', rates: [{ upTo: 1, price: 15 }] }]
+  }
+];
+
+function parcel(weight, quantity = 1) {
+  return [{ productId: 'p1', quantity, weight }];
+}
+
+describe('ShippingService rates', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new ShippingService();
+    service.container = new MemoryContainer(zones.map(zone => new ShippingZone(zone).toDocument()));
+  });
+
+  it('picks the lowest weight band that fits, cheapest method first', async () => {
+    const quote = await service.quote({ lines: parcel(0.2, 2), orderValue: 20, country: 'gb' });
+    assert.equal(quote.weight, 0.4);
+    assert.deepEqual(quote.zone, { id: 'uk', name: 'United Kingdom' });
+    assert.deepEqual(quote.methods.map(method => [method.id, method.price]), [['standard', 2.5], ['express', 12]]);
+  });
+
+  it('falls back to the open-ended rate above the last band', async () => {
+    const quote = await service.quote({ lines: parcel(3), orderValue: 20, country: 'GB' });
+    assert.equal(quote.methods.find(method => method.id === 'standard').price, 9);
+  });
+
+  it('leaves out methods whose rates do not reach the order', async () => {
+    const quote = await service.quote({ lines: parcel(1), orderValue: 150, country: 'GB' });
+    assert.deepEqual(quote.methods.map(method => method.id), ['standard']);
+  });
+
+  it('ships free over the threshold or with a promo code', async () => {
+    const overThreshold = await service.quote({ lines: parcel(1), orderValue: 50, country: 'GB' });
+    const standard = overThreshold.methods.find(method => method.id === 'standard');
+    assert.equal(standard.price, 0);
+    assert.equal(standard.originalPrice, 4);
+    assert.equal(standard.freeReason, 'threshold');
+
+    const promoted = await service.quote({ lines: parcel(1), orderValue: 20, country: 'GB', freeShipping: true });
+    assert.ok(promoted.methods.every(method => method.price === 0 && method.freeReason === 'promotion'));
+  });
+
+  it('converts prices and thresholds into the order currency', async () => {
+    const currency = new Currency({ code: 'eur', rate: 1.2 });
+    const quote = await service.quote({ lines: parcel(1), orderValue: 60, country: 'GB', currency });
+    const standard = quote.methods.find(method => method.id === 'standard');
+    // The free-shipping threshold of 50 is 60 in euros
+    assert.equal(standard.free, true);
+    assert.equal(standard.originalPrice, 4.8);
+    // Order-value rates are looked up with the order value in the store currency
+    assert.equal(quote.methods.find(method => method.id === 'express').price, 14.4);
+
+    const under = await service.quote({ lines: parcel(1), orderValue: 59.99, country: 'GB', currency });
+    assert.equal(under.methods.find(method => method.id === 'standard').price, 4.8);
+  });
+
+  it('sends other countries to the rest-of-the-world zone', async () => {
+    const quote = await service.quote({ lines: parcel(0.5), orderValue: 20, country: 'FR' });
+    assert.deepEqual(quote.zone, { id: 'world', name: 'Rest of the world' });
+    assert.deepEqual(quote.methods.map(method => method.id), ['airmail']);
+  });
+
+  it('selects the requested or cheapest method', async () => {
+    const cheapest = await service.selectMethod({ lines: parcel(1), orderValue: 20, country: 'GB' });
+    assert.deepEqual(cheapest.errors, []);
+    assert.equal(cheapest.shipping.methodId, 'standard');
+    assert.equal(cheapest.shipping.price, 4);
+    assert.equal(cheapest.shipping.weight, 1);
+
+    const express = await service.selectMethod({ lines: parcel(1), orderValue: 20, country: 'GB', methodId: 'express' });
+    assert.equal(express.shipping.methodId, 'express');
+  });
+
+  it('refuses unknown methods and countries without a zone', async () => {
+    const retired = await service.selectMethod({ lines: parcel(1), orderValue: 20, country: 'GB', methodId: 'retired' });
+    assert.deepEqual(retired.errors, ['Shipping method retired is not available for this order']);
+
+    service.container = new MemoryContainer([new ShippingZone(zones[0]).toDocument()]);
+    const abroad = await service.selectMethod({ lines: parcel(1), orderValue: 20, country: 'FR' });
+    assert.equal(abroad.shipping, null);
+    assert.deepEqual(abroad.errors, ['We do not ship to FR']);
+  });
+
+  it('charges nothing until a zone is configured', async () => {
+    service.container = new MemoryContainer();
+    const result = await service.selectMethod({ lines: parcel(1), orderValue: 20, country: 'GB' });
+    assert.deepEqual(result, { shipping: null, errors: [] });
+  });
+});
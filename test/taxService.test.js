@@ -0,0 +1,104 @@
+import './helpers/env.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TaxService } from '../src/services/taxService.js';
+import categoryService from '../src/services/categoryService.js';
+import { TaxRate } from '../src/models/TaxRate.js';
+import { MemoryContainer } from './helpers/memoryContainer.js';
+
+const rates = [
+  { id: 'gb', country: 'GB', rate: 20 },
+  { id: 'gb-books', country: 'GB', categoryId: 'books', rate: 0 },
+  { id: 'gb-children', country: 'GB', categoryId: 'children', name: 'VAT reduced', rate: 5 },
+  { id: 'default', country: TaxRate.ALL_COUNTRIES, name: 'Sales tax', rate: 10 }
+];
+
+const categories = [
+  { id: 'books', parentId: null },
+  { id: 'children', parentId: 'clothing' },
+  { id: 'clothing', parentId: null },
+  { id: 'baby', parentId: 'children' }
+];
+
+describe('TaxService', () => {
+  const getAllCategories = categoryService.getAllCategories;
+  let service;
+
+  before(() => {
+    categoryService.getAllCategories = async () => categories;
+  });
+
+  after(() => {
+    categoryService.getAllCategories = getAllCategories;
+  });
+
+  beforeEach(() => {
+    service = new TaxService();
+    service.container = new MemoryContainer(rates.map(rate => new TaxRate(rate).toDocument()));
+  });
+
+  it('takes tax out of tax-inclusive prices', async () => {
+    const result = await service.calculate({ lines: [{ productId: 'p1', lineTotal: 120 }], country: 'GB' });
+    assert.deepEqual(result.lines[0].tax, { name: 'VAT', rate: 20, inclusive: true, amount: 20 });
+    assert.deepEqual(result.taxLines, [{ name: 'VAT', rate: 20, inclusive: true, taxable: 100, amount: 20 }]);
+    assert.equal(result.taxTotal, 20);
+    assert.equal(result.addedTax, 0);
+  });
+
+  it('adds tax on top of tax-exclusive prices', async () => {
+    const result = await service.calculate({ lines: [{ productId: 'p1', lineTotal: 100, taxInclusive: false }], country: 'GB' });
+    assert.deepEqual(result.taxLines, [{ name: 'VAT', rate: 20, inclusive: false, taxable: 100, amount: 20 }]);
+    assert.equal(result.addedTax, 20);
+  });
+
+  it('taxes what is left after the promo code discount', async () => {
+    const result = await service.calculate({
+      lines: [
+        { productId: 'p1', lineTotal: 60, discount: 12 },
+        { productId: 'p2', lineTotal: 50, discount: 10, taxInclusive: false }
+      ],
+      country: 'GB'
+    });
+    assert.equal(result.lines[0].tax.amount, 8);
+    assert.equal(result.lines[1].tax.amount, 8);
+    assert.equal(result.taxTotal, 16);
+    assert.equal(result.addedTax, 8);
+  });
+
+  it('uses the nearest category rate, then the standard rate', async () => {
+    const result = await service.calculate({
+      lines: [
+        { productId: 'p1', lineTotal: 10, categoryId: 'books' },
+        { productId: 'p2', lineTotal: 21, categoryId: 'baby' },
+        { productId: 'p3', lineTotal: 12, categoryId: 'clothing' }
+      ],
+      country: 'gb'
+    });
+    assert.deepEqual(result.lines.map(line => [line.tax.name, line.tax.amount]), [['VAT', 0], ['VAT reduced', 1], ['VAT', 2]]);
+    // Zero-rated sales are left off the summary
+    assert.deepEqual(result.taxLines.map(line => line.name), ['VAT reduced', 'VAT']);
+  });
+
+  it('uses the rates for all countries where a country has none', async () => {
+    const result = await service.calculate({ lines: [{ productId: 'p1', lineTotal: 11, categoryId: 'books' }], country: 'FR' });
+    assert.deepEqual(result.lines[0].tax, { name: 'Sales tax', rate: 10, inclusive: true, amount: 1 });
+  });
+
+  it('taxes shipping at the standard rate, inclusive', async () => {
+    const result = await service.calculate({
+      lines: [{ productId: 'p1', lineTotal: 10, categoryId: 'books' }],
+      shipping: { price: 6 },
+      country: 'GB'
+    });
+    assert.deepEqual(result.shippingTax, { name: 'VAT', rate: 20, inclusive: true, amount: 1 });
+    assert.equal(result.taxTotal, 1);
+  });
+
+  it('leaves lines untaxed without a matching rate', async () => {
+    service.container = new MemoryContainer([new TaxRate(rates[0]).toDocument()]);
+    const result = await service.calculate({ lines: [{ productId: 'p1', lineTotal: 10 }], shipping: { price: 5 }, country: 'US' });
+    assert.equal(result.lines[0].tax, undefined);
+    assert.equal(result.shippingTax, null);
+    assert.equal(result.taxTotal, 0);
+  });
+});